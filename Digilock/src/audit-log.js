@@ -0,0 +1,179 @@
+import crypto from "crypto";
+import { createReadStream, existsSync } from "fs";
+import { appendFile, mkdir, open } from "fs/promises";
+import { dirname } from "path";
+import { createInterface } from "readline";
+import { ErrorCode, ProtocolError } from "./protocol.js";
+
+export const DEFAULT_QUERY_LIMIT = 100;
+export const MAX_QUERY_LIMIT = 1000;
+
+/**
+ * Hashes a command payload for the audit log, so the log shows which payload
+ * was sent without storing it
+ * @param {Buffer} payload
+ * @returns {string} SHA-256 as hex string
+ */
+export function hashPayload(payload) {
+  return crypto.createHash("sha256").update(payload).digest("hex");
+}
+
+/**
+ * Converts a timestamp filter to the ISO format of the log, so timestamps can
+ * be compared as strings
+ * @throws {ProtocolError} INVALID_PARAMETER if it is not a valid date
+ */
+export function toISOTimestamp(value, field) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ProtocolError(
+      ErrorCode.INVALID_PARAMETER,
+      `Invalid ${field} timestamp "${value}"`,
+      { field }
+    );
+  }
+  return date.toISOString();
+}
+
+/**
+ * Returns whether the last line of a file is cut off, e.g. by a crash while
+ * it was written
+ */
+async function hasIncompleteLine(file) {
+  if (!existsSync(file)) return false;
+  const handle = await open(file, "r");
+  try {
+    const { size } = await handle.stat();
+    if (size === 0) return false;
+    const { buffer } = await handle.read(Buffer.alloc(1), 0, 1, size - 1);
+    return buffer[0] !== 0x0a;
+  } finally {
+    await handle.close();
+  }
+}
+
+function matches(entry, filter) {
+  if (filter.actor !== undefined && entry.actor !== filter.actor) return false;
+  if (filter.actions && !filter.actions.includes(entry.action)) return false;
+  if (filter.nodeId !== undefined && entry.nodeId !== filter.nodeId) {
+    return false;
+  }
+  if (filter.result !== undefined && entry.result !== filter.result) {
+    return false;
+  }
+  if (filter.from && entry.timestamp < filter.from) return false;
+  if (filter.to && entry.timestamp >= filter.to) return false;
+  return true;
+}
+
+/**
+ * Creates the append-only audit log. Every entry is one JSON line with the
+ * time, who did it (`actor`), what was done (`action`), the affected node and
+ * the result. Entries are never changed or removed by the server.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path of the log file (default: ./store/audit-log.jsonl)
+ */
+export async function createAuditLog(options = {}) {
+  const file = options.file || "./store/audit-log.jsonl";
+  await mkdir(dirname(file), { recursive: true });
+
+  // Appends are chained so lines are written in the order they were recorded
+  let writes = Promise.resolve();
+  // The first entry must not continue a line that was cut off
+  let separator = (await hasIncompleteLine(file)) ? "\n" : "";
+
+  return {
+    file,
+
+    /**
+     * Appends an entry to the log
+     * @param {Object} entry
+     * @param {string} entry.actor - Name of the API key, or "policy" for automatic decisions
+     * @param {string} entry.action - What was done, e.g. "S2_GRANT"
+     * @param {number} [entry.nodeId] - The affected node
+     * @param {string} [entry.payloadHash] - SHA-256 of the sent payload, see {@link hashPayload}
+     * @param {string} entry.result - Outcome, e.g. "granted" or "denied"
+     * @param {Object} [entry.details] - Action-specific context
+     * @returns {Promise<void>} Resolves when the entry is written. Write errors
+     *   are logged, never thrown, so auditing cannot break the action itself
+     */
+    record(entry) {
+      const line =
+        separator +
+        JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) +
+        "\n";
+      separator = "";
+      writes = writes
+        .then(() => appendFile(file, line, { mode: 0o600 }))
+        .catch((error) => {
+          console.error(
+            `[Audit] ❌ Could not write to ${file}: ${error.message}`
+          );
+        });
+      return writes;
+    },
+
+    /**
+     * Returns the entries matching a filter, newest first
+     * @param {Object} [filter]
+     * @param {string} [filter.actor] - Name of the API key
+     * @param {string|string[]} [filter.action] - One or more actions
+     * @param {number} [filter.nodeId] - The affected node
+     * @param {string} [filter.result] - e.g. "success" or "failed"
+     * @param {string} [filter.from] - Only entries at or after this time
+     * @param {string} [filter.to] - Only entries before this time
+     * @param {number} [filter.offset] - Number of matching entries to skip (default: 0)
+     * @param {number} [filter.limit] - Maximum number of entries (default: 100, max: 1000)
+     * @returns {Promise<{total: number, offset: number, limit: number, entries: Object[]}>}
+     *   `total` is the number of matching entries
+     */
+    async query(filter = {}) {
+      const offset = filter.offset ?? 0;
+      const limit = Math.min(
+        filter.limit ?? DEFAULT_QUERY_LIMIT,
+        MAX_QUERY_LIMIT
+      );
+      const criteria = {
+        actor: filter.actor,
+        actions:
+          filter.action === undefined ? undefined : [filter.action].flat(),
+        nodeId: filter.nodeId,
+        result: filter.result,
+        from: filter.from && toISOTimestamp(filter.from, "from"),
+        to: filter.to && toISOTimestamp(filter.to, "to"),
+      };
+
+      // Wait for pending appends, so a query sees everything recorded before it
+      await writes;
+      if (!existsSync(file)) {
+        return { total: 0, offset, limit, entries: [] };
+      }
+
+      // Newest first: only the last offset + limit matches are needed
+      const window = [];
+      let total = 0;
+      const lines = createInterface({
+        input: createReadStream(file, "utf8"),
+        crlfDelay: Infinity,
+      });
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          // A line cut off by a crash
+          continue;
+        }
+        if (!matches(entry, criteria)) continue;
+        total++;
+        window.push(entry);
+        if (window.length > offset + limit) window.shift();
+      }
+
+      const entries = window.reverse().slice(offset);
+      return { total, offset, limit, entries };
+    },
+  };
+}
@@ -0,0 +1,137 @@
+import { appendFile, mkdtemp, readFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { afterEach, beforeEach, test, vi } from "vitest";
+import { MAX_QUERY_LIMIT, createAuditLog, hashPayload } from "./audit-log.js";
+import { ErrorCode } from "./protocol.js";
+
+let dir;
+let auditLog;
+
+/** Records n entries, one second apart, starting at the epoch */
+async function recordEntries(n) {
+  for (let i = 0; i < n; i++) {
+    vi.setSystemTime(i * 1000);
+    await auditLog.record({
+      actor: i % 2 === 0 ? "admin" : "installer-1",
+      action: i % 3 === 0 ? "UNLOCK" : "LOCK",
+      nodeId: 5 + (i % 2),
+      result: "success",
+      details: { i },
+    });
+  }
+}
+
+/** Returns the indexes of the recorded entries */
+function indexes(result) {
+  return result.entries.map((entry) => entry.details.i);
+}
+
+beforeEach(async () => {
+  vi.useFakeTimers({ toFake: ["Date"] });
+  dir = await mkdtemp(join(tmpdir(), "digilock-audit-"));
+  auditLog = await createAuditLog({ file: join(dir, "audit", "log.jsonl") });
+});
+
+afterEach(async () => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+  await rm(dir, { recursive: true, force: true });
+});
+
+test("query() returns the newest entries first, a page at a time", async (t) => {
+  await recordEntries(10);
+
+  const first = await auditLog.query({ limit: 4 });
+  t.expect(first).toMatchObject({ total: 10, offset: 0, limit: 4 });
+  t.expect(indexes(first)).toEqual([9, 8, 7, 6]);
+  t.expect(first.entries[0]).toEqual({
+    timestamp: "1970-01-01T00:00:09.000Z",
+    actor: "installer-1",
+    action: "UNLOCK",
+    nodeId: 6,
+    result: "success",
+    details: { i: 9 },
+  });
+
+  t.expect(indexes(await auditLog.query({ offset: 4, limit: 4 }))).toEqual([
+    5, 4, 3, 2,
+  ]);
+  const last = await auditLog.query({ offset: 8, limit: 4 });
+  t.expect(last).toMatchObject({ total: 10, offset: 8, limit: 4 });
+  t.expect(indexes(last)).toEqual([1, 0]);
+  t.expect((await auditLog.query({ offset: 10 })).entries).toEqual([]);
+});
+
+test("query() limits the page size", async (t) => {
+  await recordEntries(3);
+
+  t.expect(await auditLog.query()).toMatchObject({ offset: 0, limit: 100 });
+  t.expect(await auditLog.query({ limit: 5000 })).toMatchObject({
+    limit: MAX_QUERY_LIMIT,
+  });
+});
+
+test("query() pages through the matching entries only", async (t) => {
+  await recordEntries(12);
+
+  const result = await auditLog.query({
+    actor: "admin",
+    action: ["UNLOCK", "LOCK"],
+    from: "1970-01-01T00:00:02Z",
+    to: new Date(10_000).toISOString(),
+    offset: 1,
+    limit: 2,
+  });
+  t.expect(result.total).toBe(4);
+  t.expect(indexes(result)).toEqual([6, 4]);
+
+  const unlocks = await auditLog.query({ action: "UNLOCK", nodeId: 6 });
+  t.expect(indexes(unlocks)).toEqual([9, 3]);
+  t.expect((await auditLog.query({ result: "failed" })).total).toBe(0);
+});
+
+test("query() rejects invalid timestamps", async (t) => {
+  await t
+    .expect(auditLog.query({ from: "yesterday" }))
+    .rejects.toThrow(
+      t.expect.objectContaining({
+        code: ErrorCode.INVALID_PARAMETER,
+        details: { field: "from" },
+      })
+    );
+});
+
+test("query() sees pending entries and skips lines cut off by a crash", async (t) => {
+  t.expect(await auditLog.query()).toEqual({
+    total: 0,
+    offset: 0,
+    limit: 100,
+    entries: [],
+  });
+
+  await recordEntries(1);
+  await appendFile(auditLog.file, '{"timestamp":"1970-01-01T00:00:01');
+  // After the restart, entries are written to a new line
+  auditLog = await createAuditLog({ file: auditLog.file });
+  auditLog.record({ actor: "admin", action: "LOCK", details: { i: 2 } });
+
+  const result = await auditLog.query();
+  t.expect(result.total).toBe(2);
+  t.expect(indexes(result)).toEqual([2, 0]);
+});
+
+test("records the hash of payloads instead of the payload", async (t) => {
+  const payload = Buffer.from("0102030405", "hex");
+  await auditLog.record({
+    actor: "admin",
+    action: "MP_COMMAND",
+    payloadHash: hashPayload(payload),
+  });
+
+  const contents = await readFile(auditLog.file, "utf8");
+  t.expect(contents).toContain(
+    "74f81fe167d99b4cb41d6d0ccda82278caee9f3e2f25d5e5a3936ff3dcec60d0"
+  );
+  t.expect(contents).not.toContain("0102030405");
+});
@@ -0,0 +1,338 @@
+import crypto from "crypto";
+import { existsSync } from "fs";
+import { mkdir, readFile, writeFile } from "fs/promises";
+import { dirname } from "path";
+import { ErrorCode, ProtocolError } from "./protocol.js";
+
+/**
+ * Roles in ascending order of privileges. Every role may do everything the
+ * roles before it may do.
+ */
+export const ROLES = ["viewer", "installer", "admin"];
+
+/**
+ * Minimum role per WebSocket command.
+ * Commands that are not listed require `admin`, so new commands are locked
+ * down until they are explicitly opened up here.
+ */
+export const COMMAND_ROLES = {
+  // Read-only
+  GET_PROVISIONING_ENTRIES: "viewer",
+  GET_PROVISIONING_ENTRY: "viewer",
+  GET_NODES: "viewer",
+  GET_NODE: "viewer",
+  GET_STATUS: "viewer",
+  LIST_CONTROLLERS: "viewer",
+  GET_SCHEMA: "viewer",
+  GET_LOCK_STATE: "viewer",
+  GET_LOCK_CONFIGURATION: "viewer",
+  GET_USER_CODES: "viewer", // Codes are masked below admin
+  GET_USER_CODE: "viewer",
+  GET_KEYPAD_MODE: "viewer",
+  GET_SCHEDULES: "viewer",
+  GET_BATTERY_REPORT: "viewer",
+  GET_BATTERY_HISTORY: "viewer",
+  QUERY_LOCK_EVENTS: "viewer", // Also broadcast to everyone as LOCK_EVENT
+  GET_PAYLOAD_LIMITS: "viewer",
+  GET_MP_CODECS: "viewer",
+  GET_QUEUE: "viewer",
+  GET_WAKE_UP_INTERVAL: "viewer",
+  PING: "viewer",
+  // Provisioning. Exports hold the DSKs of all locks, which are needed to
+  // include them into another network
+  EXPORT_PROVISIONING_ENTRIES: "installer",
+  ADD_PROVISIONING_ENTRY: "installer",
+  UPDATE_PROVISIONING_ENTRY_STATUS: "installer",
+  DELETE_PROVISIONING_ENTRY: "installer",
+  IMPORT_PROVISIONING_ENTRIES: "installer",
+  RESTORE_PROVISIONING_ENTRIES: "installer",
+  // Inclusion and exclusion
+  BEGIN_INCLUSION: "installer",
+  STOP_INCLUSION: "installer",
+  BEGIN_EXCLUSION: "installer",
+  STOP_EXCLUSION: "installer",
+  GRANT_SECURITY_CLASSES: "installer",
+  VALIDATE_DSK: "installer",
+  REJECT_S2_REQUEST: "installer",
+  // Driver control and lock access
+  START: "admin",
+  ADD_CONTROLLER: "admin",
+  REMOVE_CONTROLLER: "admin",
+  SEND_COMMAND: "admin",
+  SEND_COMMAND_AND_WAIT: "admin",
+  SEND_MP: "admin",
+  SET_MP_SECURITY: "admin",
+  REMOVE_MP_SECURITY: "admin",
+  LOCK: "admin",
+  UNLOCK: "admin",
+  SET_LOCK_CONFIGURATION: "admin",
+  SET_USER_CODE: "admin",
+  CLEAR_USER_CODE: "admin",
+  SET_USER_CODES: "admin",
+  GET_ADMIN_CODE: "admin",
+  SET_ADMIN_CODE: "admin",
+  SET_KEYPAD_MODE: "admin",
+  SET_SCHEDULE: "admin",
+  CLEAR_SCHEDULE: "admin",
+  SET_WAKE_UP_INTERVAL: "admin",
+  CANCEL_QUEUED: "admin",
+  ROTATE_SECURITY_KEYS: "admin",
+  EXPORT_SECURITY_KEYS: "admin",
+  // Shows the activity of every API key
+  QUERY_AUDIT_LOG: "admin",
+};
+
+/**
+ * Returns the minimum role required for a command
+ * @param {string} type - The command type
+ * @returns {string}
+ */
+export function getRequiredRole(type) {
+  return COMMAND_ROLES[type] || "admin";
+}
+
+/**
+ * Checks whether a role grants at least the privileges of another role
+ * @param {string} role - The role of the client
+ * @param {string} requiredRole - The minimum role
+ */
+export function hasRole(role, requiredRole) {
+  const index = ROLES.indexOf(role);
+  return index !== -1 && index >= ROLES.indexOf(requiredRole);
+}
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key, "utf8").digest("hex");
+}
+
+/**
+ * Normalizes a configured API key and checks its role
+ * @param {Object} entry - `{ name, role, key }` or `{ name, role, keyHash }`
+ */
+function toKeyEntry(entry, source) {
+  if (!ROLES.includes(entry.role)) {
+    throw new Error(
+      `API key "${entry.name}" from ${source} has invalid role "${entry.role}", expected one of ${ROLES.join(", ")}`
+    );
+  }
+  const keyHash = entry.keyHash || (entry.key && hashKey(entry.key));
+  if (!keyHash) {
+    throw new Error(
+      `API key "${entry.name}" from ${source} has neither a key nor a keyHash`
+    );
+  }
+  return {
+    name: entry.name || "unnamed",
+    role: entry.role,
+    keyHash: keyHash.toLowerCase(),
+  };
+}
+
+/**
+ * Returns the address of the remote end of a request for logging
+ */
+function getRemoteAddress(req) {
+  return req.socket?.remoteAddress || "unknown";
+}
+
+/**
+ * Creates the authenticator for the HTTP and WebSocket server.
+ *
+ * API keys are read from the `DIGILOCK_API_KEYS` environment variable
+ * (JSON array of `{ name, role, key }`) and from the keys file (JSON object
+ * `{ keys: [{ name, role, keyHash }] }` with SHA-256 hashes of the keys).
+ * If neither contains a key, an admin key is generated, its hash is stored in
+ * the keys file and the key itself is printed once.
+ *
+ * Clients authenticate with `Authorization: Bearer <key>`, `X-API-Key: <key>`
+ * or, for WebSocket connections from browsers, the `token` query parameter.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.keysFile] - Path of the keys file (default: ./store/api-keys.json)
+ * @param {string[]} [options.allowedOrigins] - Origins that may call the API from a browser, in addition to the server's own origin
+ */
+export async function createAuthenticator(options = {}) {
+  const keysFile = options.keysFile || "./store/api-keys.json";
+  const allowedOrigins = options.allowedOrigins || [];
+  const keys = [];
+
+  if (process.env.DIGILOCK_API_KEYS) {
+    const envKeys = JSON.parse(process.env.DIGILOCK_API_KEYS);
+    for (const entry of envKeys) {
+      keys.push(toKeyEntry(entry, "DIGILOCK_API_KEYS"));
+    }
+  }
+
+  if (existsSync(keysFile)) {
+    const fileContent = JSON.parse(await readFile(keysFile, "utf8"));
+    for (const entry of fileContent.keys || []) {
+      keys.push(toKeyEntry(entry, keysFile));
+    }
+  }
+
+  if (keys.length === 0) {
+    // First run: create an admin key so the server is never left open
+    const key = crypto.randomBytes(24).toString("base64url");
+    const entry = {
+      name: "admin",
+      role: "admin",
+      keyHash: hashKey(key),
+      createdAt: new Date().toISOString(),
+    };
+    await mkdir(dirname(keysFile), { recursive: true });
+    await writeFile(keysFile, JSON.stringify({ keys: [entry] }, null, 2), {
+      mode: 0o600,
+    });
+    keys.push(toKeyEntry(entry, keysFile));
+    console.log(`[Auth] 🔑 No API keys configured, generated an admin key.`);
+    console.log(`[Auth]   Key: ${key}`);
+    console.log(
+      `[Auth]   This key is shown only once. Its hash is stored in ${keysFile}`
+    );
+  } else {
+    console.log(`[Auth] ✅ Loaded ${keys.length} API key(s)`);
+  }
+
+  /**
+   * Looks up the identity for an API key
+   * @returns {{name: string, role: string}|null}
+   */
+  function identify(key) {
+    if (!key) return null;
+    const hash = Buffer.from(hashKey(key), "hex");
+    for (const entry of keys) {
+      const expected = Buffer.from(entry.keyHash, "hex");
+      if (
+        expected.length === hash.length &&
+        crypto.timingSafeEqual(expected, hash)
+      ) {
+        return { name: entry.name, role: entry.role };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Extracts the API key from the request headers or the `token` query parameter
+   */
+  function getKeyFromRequest(req) {
+    const authorization = req.headers.authorization;
+    if (authorization && authorization.startsWith("Bearer ")) {
+      return authorization.slice("Bearer ".length).trim();
+    }
+    if (req.headers["x-api-key"]) {
+      return req.headers["x-api-key"];
+    }
+    const url = new URL(req.url, "http://localhost");
+    return url.searchParams.get("token");
+  }
+
+  /**
+   * Checks whether a browser origin may talk to the server.
+   * Requests without Origin header (non-browser clients) are allowed.
+   */
+  function isOriginAllowed(req) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+    if (allowedOrigins.includes(origin)) return true;
+    try {
+      return new URL(origin).host === req.headers.host;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Authenticates an HTTP or WebSocket upgrade request
+   * @returns {{identity?: {name: string, role: string}, reason?: string}}
+   */
+  function authenticate(req) {
+    if (!isOriginAllowed(req)) {
+      return { reason: `origin ${req.headers.origin} is not allowed` };
+    }
+    const key = getKeyFromRequest(req);
+    if (!key) {
+      return { reason: "no API key provided" };
+    }
+    const identity = identify(key);
+    if (!identity) {
+      return { reason: "invalid API key" };
+    }
+    return { identity };
+  }
+
+  return {
+    /** Options for the `cors` middleware: only the configured origins get CORS headers */
+    corsOptions: {
+      origin: allowedOrigins.length > 0 ? allowedOrigins : false,
+      allowedHeaders: ["Authorization", "X-API-Key", "Content-Type"],
+    },
+
+    /**
+     * Express middleware that rejects requests without a valid API key or
+     * with a role below `minimumRole`. Sets `req.identity`.
+     * @param {string} minimumRole - One of {@link ROLES}
+     */
+    requireRole(minimumRole) {
+      return (req, res, next) => {
+        const { identity, reason } = authenticate(req);
+        if (!identity) {
+          console.warn(
+            `[Auth] ❌ Rejected ${req.method} ${req.originalUrl} from ${getRemoteAddress(req)}: ${reason}`
+          );
+          res.status(401).json({ code: ErrorCode.UNAUTHORIZED, message: reason });
+          return;
+        }
+        if (!hasRole(identity.role, minimumRole)) {
+          console.warn(
+            `[Auth] ❌ Rejected ${req.method} ${req.originalUrl} from ${identity.name} (${identity.role}): requires ${minimumRole}`
+          );
+          res.status(403).json({
+            code: ErrorCode.FORBIDDEN,
+            message: `This request requires the ${minimumRole} role`,
+          });
+          return;
+        }
+        req.identity = identity;
+        next();
+      };
+    },
+
+    /**
+     * `verifyClient` callback for the `ws` WebSocketServer.
+     * Rejects the upgrade with 401 and sets `req.identity` on success.
+     */
+    verifyWebSocketClient(info, callback) {
+      const { identity, reason } = authenticate(info.req);
+      if (!identity) {
+        console.warn(
+          `[Auth] ❌ Rejected WebSocket connection from ${getRemoteAddress(info.req)}: ${reason}`
+        );
+        callback(false, 401, "Unauthorized");
+        return;
+      }
+      info.req.identity = identity;
+      callback(true);
+    },
+
+    /**
+     * Checks whether a client may execute a command
+     * @param {{name: string, role: string}} identity - The authenticated client
+     * @param {string} type - The command type
+     * @throws {ProtocolError} FORBIDDEN if the role is not sufficient
+     */
+    authorizeCommand(identity, type) {
+      const requiredRole = getRequiredRole(type);
+      if (!identity || !hasRole(identity.role, requiredRole)) {
+        console.warn(
+          `[Auth] ❌ Rejected ${type} from ${identity?.name ?? "unknown"} (${identity?.role ?? "no role"}): requires ${requiredRole}`
+        );
+        throw new ProtocolError(
+          ErrorCode.FORBIDDEN,
+          `${type} requires the ${requiredRole} role`,
+          { requiredRole }
+        );
+      }
+    },
+  };
+}
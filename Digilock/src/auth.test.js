@@ -0,0 +1,274 @@
+import crypto from "crypto";
+import { mkdtemp, readFile, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { afterEach, beforeEach, test, vi } from "vitest";
+import {
+  ROLES,
+  createAuthenticator,
+  getRequiredRole,
+  hasRole,
+} from "./auth.js";
+import { ErrorCode } from "./protocol.js";
+
+const KEYS = {
+  viewer: "viewer-key-0123456789",
+  installer: "installer-key-0123456789",
+  admin: "admin-key-0123456789",
+};
+
+let dir;
+let keysFile;
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value, "utf8").digest("hex");
+}
+
+/** Returns an HTTP request like express and ws pass it */
+function createRequest({ headers = {}, url = "/api/status" } = {}) {
+  return {
+    method: "GET",
+    url,
+    originalUrl: url,
+    headers: { host: "digilock.local:3001", ...headers },
+    socket: { remoteAddress: "127.0.0.1" },
+  };
+}
+
+/** Runs the requireRole middleware and returns what it did */
+function runMiddleware(auth, role, request) {
+  const res = {
+    status: vi.fn(() => res),
+    json: vi.fn(),
+  };
+  const next = vi.fn();
+  auth.requireRole(role)(request, res, next);
+  return {
+    status: res.status.mock.calls[0]?.[0] ?? null,
+    body: res.json.mock.calls[0]?.[0] ?? null,
+    passed: next.mock.calls.length === 1,
+    identity: request.identity,
+  };
+}
+
+/** Creates an authenticator with a key per role, from the environment */
+function create(options = {}) {
+  vi.stubEnv(
+    "DIGILOCK_API_KEYS",
+    JSON.stringify(
+      ROLES.map((role) => ({ name: `${role}-1`, role, key: KEYS[role] }))
+    )
+  );
+  return createAuthenticator({ keysFile, ...options });
+}
+
+beforeEach(async () => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+  vi.stubEnv("DIGILOCK_API_KEYS", undefined);
+  dir = await mkdtemp(join(tmpdir(), "digilock-auth-"));
+  keysFile = join(dir, "api-keys.json");
+});
+
+afterEach(async () => {
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+  await rm(dir, { recursive: true, force: true });
+});
+
+test("commands that are not listed require admin", (t) => {
+  t.expect(getRequiredRole("GET_STATUS")).toBe("viewer");
+  t.expect(getRequiredRole("BEGIN_INCLUSION")).toBe("installer");
+  t.expect(getRequiredRole("UNLOCK")).toBe("admin");
+  t.expect(getRequiredRole("SOME_FUTURE_COMMAND")).toBe("admin");
+});
+
+test("every role has the privileges of the roles below it", (t) => {
+  t.expect(hasRole("admin", "viewer")).toBe(true);
+  t.expect(hasRole("admin", "installer")).toBe(true);
+  t.expect(hasRole("installer", "installer")).toBe(true);
+  t.expect(hasRole("installer", "admin")).toBe(false);
+  t.expect(hasRole("viewer", "installer")).toBe(false);
+  t.expect(hasRole("superuser", "viewer")).toBe(false);
+  t.expect(hasRole(undefined, "viewer")).toBe(false);
+});
+
+test("accepts keys from the header, the X-API-Key header and the token parameter", async (t) => {
+  const auth = await create();
+
+  for (const request of [
+    createRequest({ headers: { authorization: `Bearer ${KEYS.installer}` } }),
+    createRequest({ headers: { "x-api-key": KEYS.installer } }),
+    createRequest({ url: `/api/status?token=${KEYS.installer}` }),
+  ]) {
+    t.expect(runMiddleware(auth, "viewer", request)).toEqual({
+      status: null,
+      body: null,
+      passed: true,
+      identity: { name: "installer-1", role: "installer" },
+    });
+  }
+});
+
+test("looks up keys from the keys file by their hash", async (t) => {
+  await writeFile(
+    keysFile,
+    JSON.stringify({
+      keys: [
+        {
+          name: "ops",
+          role: "installer",
+          keyHash: sha256("ops-key").toUpperCase(),
+        },
+      ],
+    })
+  );
+  const auth = await createAuthenticator({ keysFile });
+
+  const request = createRequest({ headers: { "x-api-key": "ops-key" } });
+  t.expect(runMiddleware(auth, "installer", request)).toMatchObject({
+    passed: true,
+    identity: { name: "ops", role: "installer" },
+  });
+  // The hash itself is no key
+  const byHash = createRequest({ headers: { "x-api-key": sha256("ops-key") } });
+  t.expect(runMiddleware(auth, "viewer", byHash).status).toBe(401);
+});
+
+test("answers requests without a valid key with 401", async (t) => {
+  const auth = await create();
+
+  t.expect(runMiddleware(auth, "viewer", createRequest())).toEqual({
+    status: 401,
+    body: { code: ErrorCode.UNAUTHORIZED, message: "no API key provided" },
+    passed: false,
+    identity: undefined,
+  });
+  const request = createRequest({ headers: { "x-api-key": "guessed-key" } });
+  t.expect(runMiddleware(auth, "viewer", request)).toMatchObject({
+    status: 401,
+    body: { code: ErrorCode.UNAUTHORIZED, message: "invalid API key" },
+    passed: false,
+  });
+});
+
+test("answers requests of a lower role with 403", async (t) => {
+  const auth = await create();
+  const request = createRequest({
+    headers: { authorization: `Bearer ${KEYS.viewer}` },
+  });
+
+  t.expect(runMiddleware(auth, "installer", request)).toEqual({
+    status: 403,
+    body: {
+      code: ErrorCode.FORBIDDEN,
+      message: "This request requires the installer role",
+    },
+    passed: false,
+    identity: undefined,
+  });
+});
+
+test("rejects browsers from other origins", async (t) => {
+  const auth = await create({ allowedOrigins: ["https://app.example.com"] });
+  const withOrigin = (origin) =>
+    createRequest({ headers: { "x-api-key": KEYS.admin, origin } });
+
+  t.expect(
+    runMiddleware(auth, "viewer", withOrigin("https://evil.example.com"))
+  ).toMatchObject({
+    status: 401,
+    body: { message: "origin https://evil.example.com is not allowed" },
+  });
+  t.expect(runMiddleware(auth, "viewer", withOrigin("null")).status).toBe(401);
+  // The server's own origin and the configured ones
+  t.expect(
+    runMiddleware(auth, "viewer", withOrigin("http://digilock.local:3001"))
+      .passed
+  ).toBe(true);
+  t.expect(
+    runMiddleware(auth, "viewer", withOrigin("https://app.example.com")).passed
+  ).toBe(true);
+});
+
+test("verifyWebSocketClient() rejects the upgrade with 401", async (t) => {
+  const auth = await create();
+
+  const rejected = vi.fn();
+  auth.verifyWebSocketClient({ req: createRequest() }, rejected);
+  t.expect(rejected).toHaveBeenCalledExactlyOnceWith(
+    false,
+    401,
+    "Unauthorized"
+  );
+
+  const accepted = vi.fn();
+  const req = createRequest({ url: `/?token=${KEYS.viewer}` });
+  auth.verifyWebSocketClient({ req }, accepted);
+  t.expect(accepted).toHaveBeenCalledExactlyOnceWith(true);
+  t.expect(req.identity).toEqual({ name: "viewer-1", role: "viewer" });
+});
+
+test("authorizeCommand() rejects commands above the role with FORBIDDEN", async (t) => {
+  const auth = await create();
+  const installer = { name: "installer-1", role: "installer" };
+
+  t.expect(() => auth.authorizeCommand(installer, "GET_STATUS")).not.toThrow();
+  t.expect(() =>
+    auth.authorizeCommand(installer, "ADD_PROVISIONING_ENTRY")
+  ).not.toThrow();
+  for (const type of ["UNLOCK", "SOME_FUTURE_COMMAND"]) {
+    t.expect(() => auth.authorizeCommand(installer, type)).toThrow(
+      t.expect.objectContaining({
+        code: ErrorCode.FORBIDDEN,
+        message: `${type} requires the admin role`,
+        details: { requiredRole: "admin" },
+      })
+    );
+  }
+  // Exports hold the DSKs of all locks
+  t.expect(() =>
+    auth.authorizeCommand(
+      { name: "viewer-1", role: "viewer" },
+      "EXPORT_PROVISIONING_ENTRIES"
+    )
+  ).toThrow(
+    t.expect.objectContaining({ details: { requiredRole: "installer" } })
+  );
+  t.expect(() => auth.authorizeCommand(null, "GET_STATUS")).toThrow(
+    t.expect.objectContaining({ code: ErrorCode.FORBIDDEN })
+  );
+});
+
+test("generates an admin key on first run and stores only its hash", async (t) => {
+  const auth = await createAuthenticator({ keysFile });
+
+  const printed = console.log.mock.calls
+    .map(([message]) => /Key: (\S+)/.exec(message)?.[1])
+    .find(Boolean);
+  const { keys } = JSON.parse(await readFile(keysFile, "utf8"));
+  t.expect(keys).toEqual([
+    {
+      name: "admin",
+      role: "admin",
+      keyHash: sha256(printed),
+      createdAt: t.expect.any(String),
+    },
+  ]);
+  const request = createRequest({ headers: { "x-api-key": printed } });
+  t.expect(runMiddleware(auth, "admin", request).identity).toEqual({
+    name: "admin",
+    role: "admin",
+  });
+});
+
+test("rejects configured keys with an unknown role", async (t) => {
+  vi.stubEnv(
+    "DIGILOCK_API_KEYS",
+    JSON.stringify([{ name: "root", role: "superuser", key: "root-key" }])
+  );
+
+  await t
+    .expect(createAuthenticator({ keysFile }))
+    .rejects.toThrow('API key "root" from DIGILOCK_API_KEYS has invalid role');
+});
@@ -0,0 +1,220 @@
+import { createReadStream, existsSync } from "fs";
+import { appendFile, mkdir } from "fs/promises";
+import { dirname } from "path";
+import { createInterface } from "readline";
+
+export const DEFAULT_LOW_THRESHOLD = 20;
+export const DEFAULT_HISTORY_LIMIT = 100;
+
+/** How long a webhook receiver may take to answer */
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+/** Battery fields that are tracked per node */
+const BATTERY_FIELDS = ["level", "chargingStatus", "rechargeOrReplace"];
+
+/**
+ * Whether a battery state needs attention: the level is below the threshold,
+ * or the device asks for its battery to be replaced now
+ */
+function isLow(state, threshold) {
+  return (
+    (typeof state.level === "number" && state.level < threshold) ||
+    state.rechargeOrReplace === "Now"
+  );
+}
+
+/**
+ * Checks the low-battery threshold
+ * @throws {Error} If it is not a percentage
+ */
+function toThreshold(value) {
+  if (value === undefined || value === null || value === "") {
+    return DEFAULT_LOW_THRESHOLD;
+  }
+  const threshold = Number(value);
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > 100) {
+    throw new Error(
+      `Invalid low-battery threshold "${value}", expected a percentage from 1 to 100`
+    );
+  }
+  return threshold;
+}
+
+/**
+ * Creates the battery monitor. It keeps the last battery state of every node,
+ * appends each change to a history file and raises an alert when a node's
+ * battery becomes low. The alert is sent to the webhook (if configured) and
+ * returned to the caller, which broadcasts it as BATTERY_LOW.
+ *
+ * A node alerts once when it becomes low, and again only after its level was
+ * back at or above the threshold, e.g. after the battery was replaced.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path of the history file (default: ./store/battery-history.jsonl)
+ * @param {number|string} [options.lowThreshold] - Battery level in percent below which a battery is low (default: 20)
+ * @param {string} [options.webhookUrl] - URL that receives a POST request with every alert (optional)
+ * @param {string} [options.controllerId] - Controller of the nodes, added to the alerts (optional)
+ */
+export async function createBatteryMonitor(options = {}) {
+  const file = options.file || "./store/battery-history.jsonl";
+  const lowThreshold = toThreshold(options.lowThreshold);
+  const webhookUrl = options.webhookUrl || null;
+  const controllerId = options.controllerId;
+  await mkdir(dirname(file), { recursive: true });
+
+  /** Last known state by node ID */
+  const states = new Map();
+
+  // Restore the last state of every node, so a restart neither forgets the
+  // levels of sleeping locks nor repeats alerts that were already sent
+  if (existsSync(file)) {
+    const lines = createInterface({
+      input: createReadStream(file, "utf8"),
+      crlfDelay: Infinity,
+    });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const { nodeId, timestamp, ...state } = JSON.parse(line);
+        states.set(nodeId, { ...state, updatedAt: timestamp });
+      } catch {
+        // A line cut off by a crash
+      }
+    }
+  }
+
+  // Appends are chained so lines are written in the order they were recorded
+  let writes = Promise.resolve();
+
+  function append(entry) {
+    const line = JSON.stringify(entry) + "\n";
+    writes = writes
+      .then(() => appendFile(file, line))
+      .catch((error) => {
+        console.error(
+          `[Battery] ❌ Could not write to ${file}: ${error.message}`
+        );
+      });
+    return writes;
+  }
+
+  async function sendWebhook(alert) {
+    try {
+      const response = await fetch(webhookUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(alert),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+    } catch (error) {
+      console.error(
+        `[Battery] ❌ Webhook for node ${alert.nodeId} failed: ${error.message}`
+      );
+    }
+  }
+
+  return {
+    file,
+    lowThreshold,
+
+    /**
+     * Records new battery values of a node
+     * @param {number} nodeId
+     * @param {Object} values - Any of `level` (percent), `chargingStatus`
+     *   ("Discharging", "Charging" or "Maintaining") and `rechargeOrReplace`
+     *   ("No", "Soon" or "Now"), e.g. from ZWaveLock.getCachedBatteryState()
+     * @returns {{state: Object, changed: boolean, alert: Object|null}}
+     *   `alert` is set if the battery just became low
+     */
+    update(nodeId, values) {
+      const previous = states.get(nodeId);
+      const state = { ...previous };
+      for (const field of BATTERY_FIELDS) {
+        // Values the node has not reported yet keep the last known value
+        if (values[field] != null) state[field] = values[field];
+      }
+      const changed = BATTERY_FIELDS.some(
+        (field) => state[field] !== previous?.[field]
+      );
+      if (!changed) return { state: previous, changed, alert: null };
+
+      const timestamp = new Date().toISOString();
+      state.updatedAt = timestamp;
+      state.low = isLow(state, lowThreshold);
+      states.set(nodeId, state);
+      append({
+        timestamp,
+        nodeId,
+        level: state.level,
+        chargingStatus: state.chargingStatus,
+        rechargeOrReplace: state.rechargeOrReplace,
+        low: state.low,
+      });
+
+      let alert = null;
+      if (state.low && !previous?.low) {
+        alert = {
+          type: "BATTERY_LOW",
+          nodeId,
+          level: state.level ?? null,
+          threshold: lowThreshold,
+          chargingStatus: state.chargingStatus ?? null,
+          rechargeOrReplace: state.rechargeOrReplace ?? null,
+          timestamp,
+          ...(controllerId && { controllerId }),
+        };
+        const reason =
+          state.level < lowThreshold
+            ? `${state.level}% (threshold ${lowThreshold}%)`
+            : "replace now";
+        console.warn(`[Battery] 🪫 Node ${nodeId} battery low: ${reason}`);
+        if (webhookUrl) sendWebhook(alert);
+      }
+      return { state, changed, alert };
+    },
+
+    /**
+     * Returns the last known battery state of a node
+     * @param {number} nodeId
+     * @returns {{level?: number, chargingStatus?: string, rechargeOrReplace?: string, low: boolean, updatedAt: string}|undefined}
+     */
+    getState(nodeId) {
+      return states.get(nodeId);
+    },
+
+    /**
+     * Returns the recorded changes of a node's battery, newest first
+     * @param {number} nodeId
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Maximum number of entries (default: 100)
+     * @returns {Promise<Object[]>}
+     */
+    async getHistory(nodeId, { limit = DEFAULT_HISTORY_LIMIT } = {}) {
+      // Wait for pending appends, so the history includes the latest change
+      await writes;
+      if (!existsSync(file)) return [];
+
+      const window = [];
+      const lines = createInterface({
+        input: createReadStream(file, "utf8"),
+        crlfDelay: Infinity,
+      });
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        if (entry.nodeId !== nodeId) continue;
+        window.push(entry);
+        if (window.length > limit) window.shift();
+      }
+      return window.reverse();
+    },
+  };
+}
@@ -0,0 +1,186 @@
+import crypto from "crypto";
+import { ErrorCode, ProtocolError } from "./protocol.js";
+
+/** How long a queued command waits for the node to wake up, in seconds */
+export const DEFAULT_QUEUE_TTL = 24 * 60 * 60;
+export const MAX_QUEUE_TTL = 7 * 24 * 60 * 60;
+
+/**
+ * Creates the queue for commands to sleeping nodes. A sleeping node only
+ * listens for a few seconds after it wakes up, so commands sent while it
+ * sleeps are held here and sent in order when the node reports its wake-up.
+ * Commands that are still queued when their TTL runs out are dropped.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.onDelivered] - Called with the queued command and
+ *   the result once a command was sent
+ * @param {Function} [options.onFailed] - Called with the queued command and a
+ *   ProtocolError if sending failed, the command expired, its node was removed
+ *   or the queue was closed
+ */
+export function createCommandQueue(options = {}) {
+  const onDelivered = options.onDelivered || (() => {});
+  const onFailed = options.onFailed || (() => {});
+
+  /** Queued commands by queue ID, oldest first */
+  const queue = new Map();
+  /** Nodes whose commands are being sent right now */
+  const flushing = new Set();
+
+  /** The queued command as reported to clients, without its internals */
+  function toInfo({ send, timer, ...info }) {
+    return info;
+  }
+
+  function remove(queueId) {
+    const item = queue.get(queueId);
+    if (!item) return undefined;
+    clearTimeout(item.timer);
+    queue.delete(queueId);
+    return item;
+  }
+
+  function nextFor(nodeId) {
+    for (const item of queue.values()) {
+      if (item.nodeId === nodeId) return item;
+    }
+    return undefined;
+  }
+
+  return {
+    /**
+     * Queues a command until its node wakes up
+     * @param {number} nodeId - The sleeping node
+     * @param {string} command - What the command does, e.g. "LOCK"
+     * @param {Function} send - Sends the command when the node is awake
+     * @param {Object} [options]
+     * @param {number} [options.ttl] - Seconds until the command expires (default: 24 hours, max: 7 days)
+     * @param {string} [options.actor] - Who queued the command
+     * @returns {{queueId: string, nodeId: number, command: string, actor: string|null, queuedAt: string, expiresAt: string}}
+     */
+    enqueue(nodeId, command, send, { ttl = DEFAULT_QUEUE_TTL, actor } = {}) {
+      if (!Number.isInteger(ttl) || ttl < 1 || ttl > MAX_QUEUE_TTL) {
+        throw new ProtocolError(
+          ErrorCode.INVALID_PARAMETER,
+          `TTL must be 1 to ${MAX_QUEUE_TTL} seconds`,
+          { field: "queueTtl" }
+        );
+      }
+      const now = Date.now();
+      const item = {
+        queueId: crypto.randomUUID(),
+        nodeId,
+        command,
+        actor: actor ?? null,
+        queuedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttl * 1000).toISOString(),
+        send,
+      };
+      item.timer = setTimeout(() => {
+        remove(item.queueId);
+        console.warn(
+          `[Queue] ⌛ ${command} for node ${nodeId} expired (${item.queueId})`
+        );
+        onFailed(
+          toInfo(item),
+          new ProtocolError(
+            ErrorCode.COMMAND_EXPIRED,
+            `Node ${nodeId} did not wake up within ${ttl} seconds`
+          )
+        );
+      }, ttl * 1000);
+      item.timer.unref();
+      queue.set(item.queueId, item);
+      return toInfo(item);
+    },
+
+    /**
+     * Whether commands for a node are waiting. New commands for that node
+     * are queued behind them, so they are sent in order.
+     * @param {number} nodeId
+     */
+    has(nodeId) {
+      return flushing.has(nodeId) || !!nextFor(nodeId);
+    },
+
+    /**
+     * Returns the queued commands, oldest first
+     * @param {number} [nodeId] - Only the commands of this node
+     */
+    list(nodeId) {
+      return [...queue.values()]
+        .filter((item) => nodeId === undefined || item.nodeId === nodeId)
+        .map(toInfo);
+    },
+
+    /**
+     * Removes a queued command without sending it
+     * @param {string} queueId
+     * @returns The removed command
+     * @throws {ProtocolError} QUEUED_COMMAND_NOT_FOUND if it was already sent, expired or cancelled
+     */
+    cancel(queueId) {
+      const item = remove(queueId);
+      if (!item) {
+        throw new ProtocolError(
+          ErrorCode.QUEUED_COMMAND_NOT_FOUND,
+          `No queued command ${queueId}`,
+          { queueId }
+        );
+      }
+      return toInfo(item);
+    },
+
+    /**
+     * Drops all commands of a node, e.g. because it was removed
+     * @param {number} nodeId
+     * @param {ProtocolError} reason - Passed to onFailed
+     */
+    clear(nodeId, reason) {
+      for (const item of [...queue.values()]) {
+        if (item.nodeId !== nodeId) continue;
+        remove(item.queueId);
+        onFailed(toInfo(item), reason);
+      }
+    },
+
+    /**
+     * Sends the queued commands of a node that just woke up, one after the
+     * other. Commands queued meanwhile are sent as well.
+     * @param {number} nodeId
+     */
+    async flush(nodeId) {
+      if (flushing.has(nodeId)) return;
+      flushing.add(nodeId);
+      try {
+        let item;
+        while ((item = nextFor(nodeId))) {
+          remove(item.queueId);
+          console.log(
+            `[Queue] 📤 Sending queued ${item.command} to node ${nodeId} (${item.queueId})`
+          );
+          try {
+            onDelivered(toInfo(item), await item.send());
+          } catch (error) {
+            console.error(
+              `[Queue] ❌ Queued ${item.command} for node ${nodeId} failed: ${error.message}`
+            );
+            onFailed(toInfo(item), error);
+          }
+        }
+      } finally {
+        flushing.delete(nodeId);
+      }
+    },
+
+    /**
+     * Drops all queued commands, e.g. because the driver stops
+     * @param {ProtocolError} reason - Passed to onFailed
+     */
+    close(reason) {
+      for (const queueId of [...queue.keys()]) {
+        onFailed(toInfo(remove(queueId)), reason);
+      }
+    },
+  };
+}
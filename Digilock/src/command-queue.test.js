@@ -0,0 +1,189 @@
+import { afterEach, beforeEach, test, vi } from "vitest";
+import {
+  DEFAULT_QUEUE_TTL,
+  MAX_QUEUE_TTL,
+  createCommandQueue,
+} from "./command-queue.js";
+import { ErrorCode, ProtocolError } from "./protocol.js";
+
+let onDelivered;
+let onFailed;
+let queue;
+
+beforeEach(() => {
+  vi.useFakeTimers({ now: 0 });
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+  vi.spyOn(console, "error").mockImplementation(() => {});
+  onDelivered = vi.fn();
+  onFailed = vi.fn();
+  queue = createCommandQueue({ onDelivered, onFailed });
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+test("sends the commands of a node in the order they were queued", async (t) => {
+  const sent = [];
+  const send = (name) =>
+    vi.fn(async () => {
+      sent.push(name);
+      return { name };
+    });
+  const lock = queue.enqueue(5, "LOCK", send("lock 5"), { actor: "admin" });
+  queue.enqueue(6, "LOCK", send("lock 6"));
+  queue.enqueue(5, "UNLOCK", send("unlock 5"));
+
+  t.expect(lock).toEqual({
+    queueId: t.expect.any(String),
+    nodeId: 5,
+    command: "LOCK",
+    actor: "admin",
+    queuedAt: "1970-01-01T00:00:00.000Z",
+    expiresAt: new Date(DEFAULT_QUEUE_TTL * 1000).toISOString(),
+  });
+  t.expect(queue.has(5)).toBe(true);
+  t.expect(queue.list(5).map((item) => item.command)).toEqual([
+    "LOCK",
+    "UNLOCK",
+  ]);
+
+  await queue.flush(5);
+
+  t.expect(sent).toEqual(["lock 5", "unlock 5"]);
+  t.expect(onDelivered).toHaveBeenNthCalledWith(1, lock, { name: "lock 5" });
+  t.expect(queue.has(5)).toBe(false);
+  t.expect(queue.list()).toEqual([
+    t.expect.objectContaining({ nodeId: 6, command: "LOCK" }),
+  ]);
+});
+
+test("sends commands that are queued while the node's commands are sent", async (t) => {
+  let resolveFirst;
+  const first = vi.fn(() => new Promise((resolve) => (resolveFirst = resolve)));
+  const second = vi.fn(async () => "second");
+  queue.enqueue(5, "LOCK", first);
+
+  const flushed = queue.flush(5);
+  // The node counts as busy until all its commands were sent
+  t.expect(queue.list(5)).toEqual([]);
+  t.expect(queue.has(5)).toBe(true);
+  queue.enqueue(5, "UNLOCK", second);
+  await queue.flush(5);
+  t.expect(second).not.toHaveBeenCalled();
+
+  resolveFirst("first");
+  await flushed;
+  t.expect(onDelivered.mock.calls.map(([, result]) => result)).toEqual([
+    "first",
+    "second",
+  ]);
+  t.expect(queue.has(5)).toBe(false);
+});
+
+test("reports failed commands and continues with the next", async (t) => {
+  const error = new ProtocolError(ErrorCode.SEND_FAILED, "No ACK");
+  queue.enqueue(5, "LOCK", async () => {
+    throw error;
+  });
+  queue.enqueue(5, "UNLOCK", async () => "unlocked");
+
+  await queue.flush(5);
+
+  t.expect(onFailed).toHaveBeenCalledExactlyOnceWith(
+    t.expect.objectContaining({ command: "LOCK" }),
+    error
+  );
+  t.expect(onDelivered).toHaveBeenCalledExactlyOnceWith(
+    t.expect.objectContaining({ command: "UNLOCK" }),
+    "unlocked"
+  );
+});
+
+test("drops commands whose node does not wake up within their TTL", async (t) => {
+  const send = vi.fn();
+  const lock = queue.enqueue(5, "LOCK", send, { ttl: 60 });
+  queue.enqueue(5, "UNLOCK", send, { ttl: 120 });
+
+  vi.advanceTimersByTime(59_999);
+  t.expect(onFailed).not.toHaveBeenCalled();
+  vi.advanceTimersByTime(1);
+
+  t.expect(onFailed).toHaveBeenCalledExactlyOnceWith(
+    lock,
+    t.expect.objectContaining({
+      code: ErrorCode.COMMAND_EXPIRED,
+      message: "Node 5 did not wake up within 60 seconds",
+    })
+  );
+  t.expect(queue.list().map((item) => item.command)).toEqual(["UNLOCK"]);
+
+  vi.advanceTimersByTime(60_000);
+  await queue.flush(5);
+  t.expect(queue.has(5)).toBe(false);
+  t.expect(send).not.toHaveBeenCalled();
+});
+
+test("rejects invalid TTLs", (t) => {
+  for (const ttl of [0, 1.5, MAX_QUEUE_TTL + 1, "60"]) {
+    t.expect(() => queue.enqueue(5, "LOCK", vi.fn(), { ttl })).toThrow(
+      t.expect.objectContaining({
+        code: ErrorCode.INVALID_PARAMETER,
+        details: { field: "queueTtl" },
+      })
+    );
+  }
+  t.expect(queue.list()).toEqual([]);
+});
+
+test("cancel() removes a command without sending it", async (t) => {
+  const send = vi.fn();
+  const { queueId } = queue.enqueue(5, "LOCK", send);
+
+  t.expect(queue.cancel(queueId)).toMatchObject({ queueId, command: "LOCK" });
+  t.expect(() => queue.cancel(queueId)).toThrow(
+    t.expect.objectContaining({ code: ErrorCode.QUEUED_COMMAND_NOT_FOUND })
+  );
+
+  vi.advanceTimersByTime(DEFAULT_QUEUE_TTL * 1000);
+  await queue.flush(5);
+  t.expect(send).not.toHaveBeenCalled();
+  t.expect(onFailed).not.toHaveBeenCalled();
+});
+
+test("clear() fails the commands of one node", (t) => {
+  queue.enqueue(5, "LOCK", vi.fn());
+  queue.enqueue(6, "LOCK", vi.fn());
+  const reason = new ProtocolError(ErrorCode.NODE_NOT_FOUND, "Node 5 removed");
+
+  queue.clear(5, reason);
+
+  t.expect(onFailed).toHaveBeenCalledExactlyOnceWith(
+    t.expect.objectContaining({ nodeId: 5 }),
+    reason
+  );
+  t.expect(queue.has(5)).toBe(false);
+  t.expect(queue.has(6)).toBe(true);
+});
+
+test("close() fails all queued commands and stops their timers", (t) => {
+  const send = vi.fn();
+  queue.enqueue(5, "LOCK", send);
+  queue.enqueue(6, "UNLOCK", send);
+  const reason = new ProtocolError(
+    ErrorCode.DRIVER_NOT_READY,
+    "The driver was stopped"
+  );
+
+  queue.close(reason);
+
+  t.expect(onFailed.mock.calls).toEqual([
+    [t.expect.objectContaining({ nodeId: 5, command: "LOCK" }), reason],
+    [t.expect.objectContaining({ nodeId: 6, command: "UNLOCK" }), reason],
+  ]);
+  t.expect(queue.list()).toEqual([]);
+  t.expect(vi.getTimerCount()).toBe(0);
+  t.expect(send).not.toHaveBeenCalled();
+});
@@ -0,0 +1,1247 @@
+import { parseIntegerString, validateSchema } from "./schema-validator.js";
+import { ErrorCode, ProtocolError } from "./protocol.js";
+
+/**
+ * JSON Schemas for all WebSocket commands, keyed by command type.
+ * Every incoming message is validated against the schema of its type before
+ * it is dispatched, so handlers can rely on the shape of their input.
+ * The schemas are served as-is by the GET_SCHEMA command.
+ */
+
+const DSK_PATTERN = "^\\s*[0-9]{5}(\\s*-?\\s*[0-9]{5}){7}\\s*$";
+
+/** Controller IDs become directory names in ./store, so they are kept simple */
+const CONTROLLER_ID_PATTERN = "^[a-z0-9][a-z0-9_-]{0,31}$";
+
+/** Integer that may also be sent as a decimal (`"2"`) or hex (`"0x0002"`) string */
+function integerLike(minimum, maximum, description) {
+  return {
+    type: ["integer", "string"],
+    minimum,
+    maximum,
+    pattern: "^\\s*(0[xX][0-9a-fA-F]+|[0-9]+)\\s*$",
+    patternDescription: "a decimal or 0x-prefixed hex number",
+    description,
+  };
+}
+
+const dsk = {
+  type: "string",
+  minLength: 1,
+  pattern: DSK_PATTERN,
+  patternDescription:
+    "a DSK in the form 12345-12345-12345-12345-12345-12345-12345-12345",
+  description: "Device-Specific Key of the node",
+};
+
+/** Looking up existing entries must not reject DSKs that were stored in another format */
+const existingDsk = {
+  type: "string",
+  minLength: 1,
+  description: "Device-Specific Key of an existing provisioning entry",
+};
+
+const nodeId = integerLike(1, 4000, "ID of the node");
+
+const queueTtl = {
+  type: "integer",
+  minimum: 1,
+  maximum: 604800,
+  description:
+    "Seconds the command waits if the node is asleep, before it expires (default: 86400)",
+};
+
+const securityClassNames = [
+  "S2_Unauthenticated",
+  "S2_Authenticated",
+  "S2_AccessControl",
+  "S0_Legacy",
+];
+
+/**
+ * Wraps command-specific properties into a full command schema
+ * @param {string} type - The command type
+ * @param {string} description - What the command does
+ * @param {Object} [properties] - Command-specific properties
+ * @param {string[]} [required] - Required command-specific properties
+ */
+function command(type, description, properties = {}, required = []) {
+  return {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    title: type,
+    description,
+    type: "object",
+    properties: {
+      type: { const: type },
+      requestId: {
+        type: ["string", "integer"],
+        description: "Echoed in the reply to correlate it with the request",
+      },
+      controllerId: {
+        type: "string",
+        pattern: CONTROLLER_ID_PATTERN,
+        patternDescription:
+          "up to 32 lowercase letters, digits, '-' and '_', starting with a letter or digit",
+        description:
+          'Controller the command is for (default: "default", see LIST_CONTROLLERS)',
+      },
+      ...properties,
+    },
+    required: ["type", ...required],
+    additionalProperties: false,
+  };
+}
+
+const schemas = new Map();
+
+/**
+ * Registers the schema for a command type. Replaces an existing schema.
+ * @param {string} type - The command type
+ * @param {Object} schema - JSON Schema describing the whole message
+ */
+export function registerCommandSchema(type, schema) {
+  schemas.set(type, schema);
+}
+
+/**
+ * Returns the schema for a command type
+ * @param {string} type - The command type
+ * @returns {Object|undefined}
+ */
+export function getCommandSchema(type) {
+  return schemas.get(type);
+}
+
+/**
+ * Returns all registered schemas keyed by command type
+ * @returns {Object<string, Object>}
+ */
+export function getCommandSchemas() {
+  return Object.fromEntries(schemas);
+}
+
+/**
+ * Validates a parsed WebSocket message against the schema of its command type
+ * @param {Object} message - The parsed message
+ * @throws {ProtocolError} UNKNOWN_COMMAND if no schema is registered for the type,
+ *   INVALID_PARAMETER with field-level `details.errors` if the message does not match
+ */
+export function validateCommand(message) {
+  const schema = schemas.get(message.type);
+  if (!schema) {
+    throw new ProtocolError(
+      ErrorCode.UNKNOWN_COMMAND,
+      `Unknown message type: ${message.type}`
+    );
+  }
+
+  const errors = validateSchema(message, schema);
+  if (errors.length > 0) {
+    const [first] = errors;
+    throw new ProtocolError(
+      ErrorCode.INVALID_PARAMETER,
+      `Invalid ${message.type} command: ${errors
+        .map((e) => `${e.field} ${e.message}`)
+        .join("; ")}`,
+      { field: first.field, errors }
+    );
+  }
+}
+
+/**
+ * Converts a value accepted by an {@link integerLike} schema to a number.
+ * Strings with a 0x prefix are parsed as hex, all other strings as decimal.
+ * @param {number|string|undefined} value - A value that passed schema validation
+ * @param {number} [defaultValue] - Returned when the value is undefined
+ * @returns {number|undefined}
+ */
+export function toInteger(value, defaultValue) {
+  if (value === undefined) return defaultValue;
+  if (typeof value === "number") return value;
+  return parseIntegerString(value);
+}
+
+registerCommandSchema(
+  "GET_PROVISIONING_ENTRIES",
+  command(
+    "GET_PROVISIONING_ENTRIES",
+    "Lists all SmartStart provisioning entries"
+  )
+);
+
+registerCommandSchema(
+  "GET_PROVISIONING_ENTRY",
+  command(
+    "GET_PROVISIONING_ENTRY",
+    "Returns a single provisioning entry",
+    { dsk: existingDsk },
+    ["dsk"]
+  )
+);
+
+registerCommandSchema(
+  "ADD_PROVISIONING_ENTRY",
+  command(
+    "ADD_PROVISIONING_ENTRY",
+    "Adds or updates a SmartStart provisioning entry",
+    {
+      entry: {
+        type: "object",
+        description: "The provisioning entry",
+        properties: {
+          dsk,
+          name: { type: "string", maxLength: 200 },
+          location: { type: "string", maxLength: 200 },
+          protocol: {
+            enum: ["ZWave", "ZWaveLongRange", "Z-Wave Long Range"],
+            description: "Protocol used for inclusion (default: ZWave)",
+          },
+          status: {
+            type: "boolean",
+            description: "Whether the entry is active (default: false)",
+          },
+          s2AccessControl: { type: "boolean" },
+          s2Authenticated: { type: "boolean" },
+          s2Unauthenticated: { type: "boolean" },
+          s0Legacy: { type: "boolean" },
+          securityClasses: {
+            type: "object",
+            description: "Alternative to the individual security class flags",
+            properties: {
+              s2AccessControl: { type: "boolean" },
+              s2Authenticated: { type: "boolean" },
+              s2Unauthenticated: { type: "boolean" },
+              s0Legacy: { type: "boolean" },
+            },
+            additionalProperties: false,
+          },
+          supportedProtocols: {
+            type: "array",
+            items: { enum: [0, 1] },
+            description:
+              "Protocols supported by the node (0 = Z-Wave, 1 = Long Range)",
+          },
+          manufacturerId: { type: "integer", minimum: 0, maximum: 0xffff },
+          productType: { type: "integer", minimum: 0, maximum: 0xffff },
+          productId: { type: "integer", minimum: 0, maximum: 0xffff },
+          applicationVersion: { type: "string" },
+          genericDeviceClass: { type: "integer", minimum: 0, maximum: 0xff },
+          specificDeviceClass: { type: "integer", minimum: 0, maximum: 0xff },
+          installerIconType: { type: "integer", minimum: 0, maximum: 0xffff },
+          qrCode: {
+            type: "string",
+            pattern: "^90[0-9]+$",
+            patternDescription: "a SmartStart QR code string",
+            description: "The QR code the entry was created from",
+          },
+        },
+        required: ["dsk"],
+        additionalProperties: false,
+      },
+    },
+    ["entry"]
+  )
+);
+
+registerCommandSchema(
+  "UPDATE_PROVISIONING_ENTRY_STATUS",
+  command(
+    "UPDATE_PROVISIONING_ENTRY_STATUS",
+    "Activates or deactivates a provisioning entry",
+    {
+      dsk: existingDsk,
+      active: {
+        type: "boolean",
+        description: "Whether the entry should be active",
+      },
+    },
+    ["dsk", "active"]
+  )
+);
+
+registerCommandSchema(
+  "DELETE_PROVISIONING_ENTRY",
+  command(
+    "DELETE_PROVISIONING_ENTRY",
+    "Removes a provisioning entry",
+    { dsk: existingDsk },
+    ["dsk"]
+  )
+);
+
+registerCommandSchema(
+  "IMPORT_PROVISIONING_ENTRIES",
+  command(
+    "IMPORT_PROVISIONING_ENTRIES",
+    "Adds or updates many SmartStart provisioning entries at once",
+    {
+      content: {
+        type: ["string", "array", "object"],
+        minLength: 1,
+        minItems: 1,
+        description:
+          "SmartStart QR code strings (one per line), CSV text, a JSON array of entries and QR code strings, or a provisioning backup",
+      },
+      format: {
+        enum: ["auto", "qr", "csv", "json"],
+        description: "Format of content (default: auto)",
+      },
+      active: {
+        type: "boolean",
+        description:
+          "Whether entries without an explicit status are active (default: true)",
+      },
+    },
+    ["content"]
+  )
+);
+
+registerCommandSchema(
+  "EXPORT_PROVISIONING_ENTRIES",
+  command(
+    "EXPORT_PROVISIONING_ENTRIES",
+    "Exports all SmartStart provisioning entries as JSON backup, CSV or QR code strings",
+    {
+      format: {
+        enum: ["json", "csv", "qr"],
+        description: "Output format (default: json)",
+      },
+    }
+  )
+);
+
+registerCommandSchema(
+  "RESTORE_PROVISIONING_ENTRIES",
+  command(
+    "RESTORE_PROVISIONING_ENTRIES",
+    "Re-provisions all entries of a JSON backup, e.g. onto a replacement controller",
+    {
+      backup: {
+        type: ["object", "string"],
+        minLength: 1,
+        description:
+          "The JSON backup from EXPORT_PROVISIONING_ENTRIES, as object or string",
+      },
+    },
+    ["backup"]
+  )
+);
+
+registerCommandSchema(
+  "BEGIN_INCLUSION",
+  command(
+    "BEGIN_INCLUSION",
+    "Starts including a node. S2 requests are sent to the client that started the inclusion",
+    {
+      strategy: {
+        enum: ["default", "smartStart", "s2", "insecure"],
+        description:
+          "default: S2 if supported, otherwise S0 where needed; smartStart: only listen for active provisioning entries; s2: S2 with DSK PIN entry; insecure: no encryption (default: default)",
+      },
+      forceSecurity: {
+        type: "boolean",
+        description: "With default: also use S0 for nodes that don't need it",
+      },
+      dsk: {
+        ...dsk,
+        description:
+          "With s2: the full DSK of the node, if known. No PIN is requested then",
+      },
+    }
+  )
+);
+
+registerCommandSchema(
+  "STOP_INCLUSION",
+  command("STOP_INCLUSION", "Stops a running inclusion")
+);
+
+registerCommandSchema(
+  "BEGIN_EXCLUSION",
+  command("BEGIN_EXCLUSION", "Starts excluding a node", {
+    strategy: {
+      enum: ["excludeOnly", "disableProvisioningEntry", "unprovision"],
+      description:
+        "What happens to the provisioning entry of the excluded node (default: disableProvisioningEntry)",
+    },
+  })
+);
+
+registerCommandSchema(
+  "STOP_EXCLUSION",
+  command("STOP_EXCLUSION", "Stops a running exclusion")
+);
+
+registerCommandSchema(
+  "GRANT_SECURITY_CLASSES",
+  command(
+    "GRANT_SECURITY_CLASSES",
+    "Answers GRANT_SECURITY_CLASSES_REQUESTED during an inclusion",
+    {
+      securityClasses: {
+        type: "array",
+        items: { enum: securityClassNames },
+        description:
+          "Security classes to grant, a subset of allowedSecurityClasses of the request",
+      },
+      clientSideAuth: {
+        type: "boolean",
+        description:
+          "Whether to grant client-side authentication, if requested (default: false)",
+      },
+    },
+    ["securityClasses"]
+  )
+);
+
+registerCommandSchema(
+  "VALIDATE_DSK",
+  command(
+    "VALIDATE_DSK",
+    "Answers VALIDATE_DSK_REQUESTED during an inclusion with the PIN printed on the node",
+    {
+      pin: {
+        type: "string",
+        pattern: "^[0-9]{5}$",
+        patternDescription: "5 digits",
+        description: "The first 5 digits of the node's DSK",
+      },
+    },
+    ["pin"]
+  )
+);
+
+registerCommandSchema(
+  "REJECT_S2_REQUEST",
+  command(
+    "REJECT_S2_REQUEST",
+    "Rejects the pending S2 request of an inclusion. The node stays included without S2"
+  )
+);
+
+registerCommandSchema(
+  "GET_NODES",
+  command("GET_NODES", "Lists all nodes in the network")
+);
+
+registerCommandSchema(
+  "GET_NODE",
+  command("GET_NODE", "Returns a single node", { nodeId }, ["nodeId"])
+);
+
+registerCommandSchema(
+  "GET_STATUS",
+  command("GET_STATUS", "Returns the driver status")
+);
+
+registerCommandSchema(
+  "LIST_CONTROLLERS",
+  command("LIST_CONTROLLERS", "Lists the Z-Wave controllers of this server")
+);
+
+registerCommandSchema(
+  "ADD_CONTROLLER",
+  command(
+    "ADD_CONTROLLER",
+    "Registers another Z-Wave controller. Its driver is started with START",
+    {
+      port: {
+        type: "string",
+        minLength: 1,
+        description:
+          'Serial port of the controller, or "mock://" for a simulated controller',
+      },
+      name: {
+        type: "string",
+        minLength: 1,
+        maxLength: 64,
+        description: "Shown to users, e.g. the site or building",
+      },
+    },
+    ["controllerId", "port"]
+  )
+);
+
+registerCommandSchema(
+  "REMOVE_CONTROLLER",
+  command(
+    "REMOVE_CONTROLLER",
+    "Stops the driver of a controller and forgets the controller. Its keys and provisioning list are kept",
+    {},
+    ["controllerId"]
+  )
+);
+
+registerCommandSchema(
+  "START",
+  command("START", "Starts the Z-Wave driver", {
+    port: {
+      type: "string",
+      minLength: 1,
+      description:
+        'Serial port of the controller, or "mock://" for a simulated controller',
+    },
+    mockLocks: {
+      type: "array",
+      description: "Simulated locks, only used with a mock port",
+      items: {
+        type: "object",
+        properties: {
+          nodeId: { type: "integer", minimum: 2, maximum: 232 },
+          name: { type: "string" },
+          included: { type: "boolean" },
+          securityClasses: {
+            type: "array",
+            items: { enum: securityClassNames },
+          },
+          manufacturerId: { type: "integer", minimum: 0, maximum: 0xffff },
+          productType: { type: "integer", minimum: 0, maximum: 0xffff },
+          productId: { type: "integer", minimum: 0, maximum: 0xffff },
+        },
+        required: ["nodeId"],
+        additionalProperties: false,
+      },
+    },
+  })
+);
+
+registerCommandSchema(
+  "SEND_COMMAND",
+  command(
+    "SEND_COMMAND",
+    "Sends a custom Manufacturer Proprietary (CC 0x91) payload to a node",
+    {
+      nodeId,
+      payloadHex: {
+        type: "string",
+        minLength: 1,
+        pattern: "^[0-9a-fA-F\\s]+$",
+        patternDescription: "a hex string",
+        description:
+          "Vendor payload as hex string. Its length must be within the node's payload limits (32 bytes without a product profile)",
+      },
+      manufacturerId: integerLike(
+        0,
+        0xffff,
+        "Manufacturer ID (default: 0x0000). Strings without 0x prefix are decimal"
+      ),
+      count: integerLike(1, 100, "How often to send the payload (default: 1)"),
+      queueTtl,
+    },
+    ["nodeId", "payloadHex"]
+  )
+);
+
+registerCommandSchema(
+  "SEND_COMMAND_AND_WAIT",
+  command(
+    "SEND_COMMAND_AND_WAIT",
+    "Sends a custom Manufacturer Proprietary (CC 0x91) payload to a node and waits for its reply",
+    {
+      nodeId,
+      payloadHex: {
+        type: "string",
+        minLength: 1,
+        pattern: "^[0-9a-fA-F\\s]+$",
+        patternDescription: "a hex string",
+        description:
+          "Vendor payload as hex string. Its length must be within the node's payload limits (32 bytes without a product profile)",
+      },
+      manufacturerId: integerLike(
+        0,
+        0xffff,
+        "Manufacturer ID of the payload and the reply (default: 0x0000). Strings without 0x prefix are decimal"
+      ),
+      expect: {
+        type: "object",
+        description:
+          "Which frame is the reply (default: the next frame with the manufacturer ID)",
+        properties: {
+          opcode: {
+            type: "string",
+            minLength: 2,
+            pattern: "^[0-9a-fA-F\\s]+$",
+            patternDescription: "a hex string",
+            description: "The reply payload starts with these bytes (hex)",
+          },
+          sequenceOffset: {
+            type: "integer",
+            minimum: 0,
+            maximum: 254,
+            description:
+              "The reply payload has the same byte at this offset as the request payload, e.g. a sequence number",
+          },
+        },
+        additionalProperties: false,
+      },
+      timeoutMs: {
+        type: "integer",
+        minimum: 100,
+        maximum: 60000,
+        description:
+          "Milliseconds to wait for the reply after the frame was sent (default: 5000)",
+      },
+    },
+    ["nodeId", "payloadHex"]
+  )
+);
+
+registerCommandSchema(
+  "SEND_MP",
+  command(
+    "SEND_MP",
+    "Sends a named Manufacturer Proprietary command, encoded by the codec of the manufacturer ID",
+    {
+      nodeId,
+      command: {
+        type: "string",
+        pattern: "^[A-Za-z][A-Za-z0-9_]*$",
+        patternDescription: "a command name like OPEN_DOOR",
+        description: "Name of the command in the codec",
+      },
+      args: {
+        type: "object",
+        description: "Arguments of the command, as the codec expects them",
+      },
+      manufacturerId: integerLike(
+        0,
+        0xffff,
+        "Manufacturer ID of the codec (default: the node's manufacturer ID)"
+      ),
+      queueTtl,
+    },
+    ["nodeId", "command"]
+  )
+);
+
+registerCommandSchema(
+  "GET_MP_CODECS",
+  command(
+    "GET_MP_CODECS",
+    "Returns the loaded Manufacturer Proprietary codecs and their commands"
+  )
+);
+
+registerCommandSchema(
+  "SET_MP_SECURITY",
+  command(
+    "SET_MP_SECURITY",
+    "Gives the lock of a provisioning entry a key that secures its Manufacturer Proprietary payloads",
+    {
+      dsk: existingDsk,
+      mode: {
+        enum: ["aes-ccm", "hmac-sha256"],
+        description:
+          "aes-ccm encrypts and authenticates payloads, hmac-sha256 only authenticates them (default: aes-ccm)",
+      },
+      keyHex: {
+        type: "string",
+        pattern: "^\\s*([0-9a-fA-F]\\s*){32}$",
+        patternDescription: "32 hex characters (16 bytes)",
+        description:
+          "The lock's payload key. Without it, a random key is generated and returned once",
+      },
+    },
+    ["dsk"]
+  )
+);
+
+registerCommandSchema(
+  "REMOVE_MP_SECURITY",
+  command(
+    "REMOVE_MP_SECURITY",
+    "Deletes the payload key of a provisioning entry, so the lock's Manufacturer Proprietary payloads are sent in clear",
+    { dsk: existingDsk },
+    ["dsk"]
+  )
+);
+
+registerCommandSchema(
+  "GET_PAYLOAD_LIMITS",
+  command(
+    "GET_PAYLOAD_LIMITS",
+    "Returns the SEND_COMMAND payload lengths a node accepts",
+    { nodeId },
+    ["nodeId"]
+  )
+);
+
+registerCommandSchema(
+  "LOCK",
+  command("LOCK", "Secures a lock via Door Lock CC", { nodeId, queueTtl }, [
+    "nodeId",
+  ])
+);
+
+registerCommandSchema(
+  "UNLOCK",
+  command(
+    "UNLOCK",
+    "Unsecures a lock via Door Lock CC",
+    { nodeId, queueTtl },
+    ["nodeId"]
+  )
+);
+
+registerCommandSchema(
+  "GET_LOCK_STATE",
+  command(
+    "GET_LOCK_STATE",
+    "Returns the lock, door, bolt and latch state of a lock",
+    {
+      nodeId,
+      cached: {
+        type: "boolean",
+        description:
+          "Return the last reported state instead of querying the lock (default: false)",
+      },
+    },
+    ["nodeId"]
+  )
+);
+
+registerCommandSchema(
+  "GET_LOCK_CONFIGURATION",
+  command(
+    "GET_LOCK_CONFIGURATION",
+    "Returns the Door Lock configuration of a lock",
+    { nodeId },
+    ["nodeId"]
+  )
+);
+
+const doorHandles = {
+  type: "array",
+  items: { type: "boolean" },
+  minItems: 4,
+  maxItems: 4,
+};
+
+registerCommandSchema(
+  "SET_LOCK_CONFIGURATION",
+  command(
+    "SET_LOCK_CONFIGURATION",
+    "Changes the Door Lock configuration of a lock. Settings that are not given keep their current value",
+    {
+      nodeId,
+      configuration: {
+        type: "object",
+        properties: {
+          operationType: {
+            enum: ["Constant", "Timed"],
+            description:
+              "Constant: stay in the set mode. Timed: relock after lockTimeout",
+          },
+          lockTimeout: {
+            type: "integer",
+            minimum: 1,
+            maximum: 15239,
+            description: "Seconds until a Timed lock secures itself again",
+          },
+          outsideHandlesCanOpenDoor: {
+            ...doorHandles,
+            description: "Which of the 4 outside handles can open the door",
+          },
+          insideHandlesCanOpenDoor: {
+            ...doorHandles,
+            description: "Which of the 4 inside handles can open the door",
+          },
+          autoRelockTime: {
+            type: "integer",
+            minimum: 0,
+            maximum: 0xffff,
+            description:
+              "Seconds until the lock secures itself after being unlocked (0 disables)",
+          },
+          holdAndReleaseTime: {
+            type: "integer",
+            minimum: 0,
+            maximum: 0xffff,
+            description:
+              "Seconds the latch stays retracted after unlocking (0 disables)",
+          },
+          twistAssist: { type: "boolean" },
+          blockToBlock: { type: "boolean" },
+        },
+        additionalProperties: false,
+      },
+      queueTtl,
+    },
+    ["nodeId", "configuration"]
+  )
+);
+
+const userId = integerLike(1, 0xffff, "User code slot, starting at 1");
+
+const userCode = {
+  type: "string",
+  minLength: 4,
+  maxLength: 10,
+  description: "The code, 4 to 10 characters the lock accepts (usually digits)",
+};
+
+const userIdStatus = {
+  enum: ["Enabled", "Disabled", "Messaging", "PassageMode"],
+  description: "Status of the slot (default: Enabled)",
+};
+
+registerCommandSchema(
+  "GET_USER_CODES",
+  command(
+    "GET_USER_CODES",
+    "Returns the occupied user code slots of a lock. Codes are masked for clients below admin",
+    {
+      nodeId,
+      refresh: {
+        type: "boolean",
+        description:
+          "Query all slots from the lock instead of returning the cached codes (default: false)",
+      },
+    },
+    ["nodeId"]
+  )
+);
+
+registerCommandSchema(
+  "GET_USER_CODE",
+  command(
+    "GET_USER_CODE",
+    "Queries the status and code of one user code slot. The code is masked for clients below admin",
+    { nodeId, userId },
+    ["nodeId", "userId"]
+  )
+);
+
+registerCommandSchema(
+  "SET_USER_CODE",
+  command(
+    "SET_USER_CODE",
+    "Stores a user code in a slot of a lock",
+    { nodeId, userId, userCode, userIdStatus, queueTtl },
+    ["nodeId", "userId", "userCode"]
+  )
+);
+
+registerCommandSchema(
+  "CLEAR_USER_CODE",
+  command(
+    "CLEAR_USER_CODE",
+    "Clears a user code slot of a lock",
+    {
+      nodeId,
+      userId: integerLike(0, 0xffff, "User code slot, or 0 to clear all slots"),
+      queueTtl,
+    },
+    ["nodeId", "userId"]
+  )
+);
+
+registerCommandSchema(
+  "SET_USER_CODES",
+  command(
+    "SET_USER_CODES",
+    "Sets and clears several user codes of a lock, one slot after another",
+    {
+      nodeId,
+      codes: {
+        type: "array",
+        minItems: 1,
+        maxItems: 500,
+        items: {
+          type: "object",
+          properties: {
+            userId,
+            userCode,
+            userIdStatus: {
+              enum: [...userIdStatus.enum, "Available"],
+              description:
+                "Status of the slot (default: Enabled). Available clears the slot",
+            },
+          },
+          required: ["userId"],
+          additionalProperties: false,
+        },
+      },
+      queueTtl,
+    },
+    ["nodeId", "codes"]
+  )
+);
+
+registerCommandSchema(
+  "GET_ADMIN_CODE",
+  command(
+    "GET_ADMIN_CODE",
+    "Queries the admin code of a lock (User Code CC version 2)",
+    { nodeId },
+    ["nodeId"]
+  )
+);
+
+registerCommandSchema(
+  "SET_ADMIN_CODE",
+  command(
+    "SET_ADMIN_CODE",
+    "Changes the admin code of a lock (User Code CC version 2)",
+    {
+      nodeId,
+      adminCode: {
+        type: "string",
+        pattern: "^(|.{4,10})$",
+        patternDescription: "4 to 10 characters, or empty to deactivate",
+        description: "The new code, or an empty string to deactivate it",
+      },
+      queueTtl,
+    },
+    ["nodeId", "adminCode"]
+  )
+);
+
+const keypadMode = {
+  enum: ["Normal", "Vacation", "Privacy", "LockedOut"],
+  description: "LockedOut rejects every code entered on the keypad",
+};
+
+registerCommandSchema(
+  "GET_KEYPAD_MODE",
+  command(
+    "GET_KEYPAD_MODE",
+    "Queries the keypad mode of a lock (User Code CC version 2)",
+    { nodeId },
+    ["nodeId"]
+  )
+);
+
+registerCommandSchema(
+  "SET_KEYPAD_MODE",
+  command(
+    "SET_KEYPAD_MODE",
+    "Changes the keypad mode of a lock (User Code CC version 2)",
+    { nodeId, keypadMode, queueTtl },
+    ["nodeId", "keypadMode"]
+  )
+);
+
+const scheduleKind = {
+  enum: ["WeekDay", "YearDay", "DailyRepeating"],
+  description:
+    "WeekDay: one weekday and time window. YearDay: from a start to a stop date. DailyRepeating: a time window on several weekdays",
+};
+
+const scheduleSlotId = integerLike(
+  1,
+  0xff,
+  "Schedule slot of the kind, starting at 1"
+);
+
+const weekday = {
+  enum: [
+    "Sunday",
+    "Monday",
+    "Tuesday",
+    "Wednesday",
+    "Thursday",
+    "Friday",
+    "Saturday",
+  ],
+};
+
+const hour = { type: "integer", minimum: 0, maximum: 23 };
+const minute = { type: "integer", minimum: 0, maximum: 59 };
+
+const localDateTime = {
+  type: "string",
+  pattern: "^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}$",
+  patternDescription: "a date and time like 2024-06-01T10:00",
+  description: "Date and time in the lock's local time",
+};
+
+registerCommandSchema(
+  "SET_SCHEDULE",
+  command(
+    "SET_SCHEDULE",
+    "Stores a schedule for a user code slot of a lock. The user's code then only works within their schedules",
+    {
+      nodeId,
+      kind: scheduleKind,
+      userId,
+      slotId: scheduleSlotId,
+      schedule: {
+        type: "object",
+        description:
+          "WeekDay: weekday, startHour, startMinute, stopHour, stopMinute. YearDay: start, stop. DailyRepeating: weekdays, startHour, startMinute, durationHour, durationMinute",
+        properties: {
+          weekday,
+          weekdays: { type: "array", minItems: 1, maxItems: 7, items: weekday },
+          startHour: hour,
+          startMinute: minute,
+          stopHour: hour,
+          stopMinute: minute,
+          durationHour: hour,
+          durationMinute: minute,
+          start: localDateTime,
+          stop: localDateTime,
+        },
+        additionalProperties: false,
+      },
+      queueTtl,
+    },
+    ["nodeId", "kind", "userId", "slotId", "schedule"]
+  )
+);
+
+registerCommandSchema(
+  "GET_SCHEDULES",
+  command(
+    "GET_SCHEDULES",
+    "Returns the schedules of one or all user code slots of a lock",
+    {
+      nodeId,
+      userId: integerLike(1, 0xffff, "Only return this user's schedules"),
+      refresh: {
+        type: "boolean",
+        description:
+          "Query the user's schedule slots from the lock instead of returning the cached schedules (default: false). Requires userId",
+      },
+    },
+    ["nodeId"]
+  )
+);
+
+registerCommandSchema(
+  "CLEAR_SCHEDULE",
+  command(
+    "CLEAR_SCHEDULE",
+    "Erases a schedule slot of a user code slot",
+    {
+      nodeId,
+      kind: scheduleKind,
+      userId,
+      slotId: scheduleSlotId,
+      queueTtl,
+    },
+    ["nodeId", "kind", "userId", "slotId"]
+  )
+);
+
+registerCommandSchema(
+  "GET_BATTERY_REPORT",
+  command(
+    "GET_BATTERY_REPORT",
+    "Returns the battery state of all battery-powered locks, lowest level first"
+  )
+);
+
+registerCommandSchema(
+  "GET_BATTERY_HISTORY",
+  command(
+    "GET_BATTERY_HISTORY",
+    "Returns the recorded battery changes of a node, newest first",
+    {
+      nodeId,
+      limit: {
+        type: "integer",
+        minimum: 1,
+        maximum: 1000,
+        description: "Maximum number of entries to return (default: 100)",
+      },
+    },
+    ["nodeId"]
+  )
+);
+
+registerCommandSchema(
+  "GET_QUEUE",
+  command(
+    "GET_QUEUE",
+    "Returns the commands waiting for sleeping nodes to wake up, oldest first",
+    { nodeId }
+  )
+);
+
+registerCommandSchema(
+  "CANCEL_QUEUED",
+  command(
+    "CANCEL_QUEUED",
+    "Removes a queued command before it is sent",
+    {
+      queueId: {
+        type: "string",
+        minLength: 1,
+        description: "ID of the queued command, from COMMAND_QUEUED or GET_QUEUE",
+      },
+    },
+    ["queueId"]
+  )
+);
+
+registerCommandSchema(
+  "GET_WAKE_UP_INTERVAL",
+  command(
+    "GET_WAKE_UP_INTERVAL",
+    "Returns how often a sleeping node wakes up, and the intervals it supports",
+    { nodeId },
+    ["nodeId"]
+  )
+);
+
+registerCommandSchema(
+  "SET_WAKE_UP_INTERVAL",
+  command(
+    "SET_WAKE_UP_INTERVAL",
+    "Changes how often a sleeping node wakes up",
+    {
+      nodeId,
+      wakeUpInterval: integerLike(
+        0,
+        0xffffff,
+        "Seconds between wake-ups, or 0 to only wake up on events"
+      ),
+      queueTtl,
+    },
+    ["nodeId", "wakeUpInterval"]
+  )
+);
+
+registerCommandSchema(
+  "ROTATE_SECURITY_KEYS",
+  command(
+    "ROTATE_SECURITY_KEYS",
+    "Replaces network keys with newly generated ones and restarts the driver",
+    {
+      securityClasses: {
+        type: "array",
+        items: { enum: securityClassNames },
+        description: "Standard Z-Wave keys to rotate (default: all)",
+      },
+      longRangeSecurityClasses: {
+        type: "array",
+        items: { enum: ["S2_Authenticated", "S2_AccessControl"] },
+        description: "Long Range keys to rotate (default: all)",
+      },
+    }
+  )
+);
+
+registerCommandSchema(
+  "EXPORT_SECURITY_KEYS",
+  command(
+    "EXPORT_SECURITY_KEYS",
+    "Exports all network keys as a passphrase-encrypted backup",
+    {
+      passphrase: {
+        type: "string",
+        minLength: 12,
+        description: "Passphrase to encrypt the backup with",
+      },
+    },
+    ["passphrase"]
+  )
+);
+
+registerCommandSchema(
+  "QUERY_AUDIT_LOG",
+  command(
+    "QUERY_AUDIT_LOG",
+    "Searches the audit log, newest entries first",
+    {
+      actor: {
+        type: "string",
+        minLength: 1,
+        description: "Only entries of this API key name",
+      },
+      action: {
+        type: ["string", "array"],
+        minLength: 1,
+        items: { type: "string", minLength: 1 },
+        description: "Only entries with this action or one of these actions",
+      },
+      nodeId,
+      result: {
+        type: "string",
+        minLength: 1,
+        description: 'Only entries with this result, e.g. "failed"',
+      },
+      from: {
+        type: "string",
+        minLength: 1,
+        description: "Only entries at or after this ISO 8601 timestamp",
+      },
+      to: {
+        type: "string",
+        minLength: 1,
+        description: "Only entries before this ISO 8601 timestamp",
+      },
+      offset: {
+        type: "integer",
+        minimum: 0,
+        description: "Number of matching entries to skip (default: 0)",
+      },
+      limit: {
+        type: "integer",
+        minimum: 1,
+        maximum: 1000,
+        description: "Maximum number of entries to return (default: 100)",
+      },
+    }
+  )
+);
+
+const lockEventName = {
+  enum: ["locked", "unlocked", "notFullyLocked", "jammed", "tamper"],
+};
+
+registerCommandSchema(
+  "QUERY_LOCK_EVENTS",
+  command(
+    "QUERY_LOCK_EVENTS",
+    "Searches the history of events reported by the locks, newest events first",
+    {
+      nodeId,
+      event: {
+        type: ["string", "array"],
+        minLength: 1,
+        items: lockEventName,
+        description: `Only this event or one of these events: ${lockEventName.enum.join(", ")}`,
+      },
+      source: {
+        enum: ["manual", "rf", "keypad", "auto", "cover"],
+        description: "Only events with this cause",
+      },
+      userId,
+      from: {
+        type: "string",
+        minLength: 1,
+        description: "Only events at or after this ISO 8601 timestamp",
+      },
+      to: {
+        type: "string",
+        minLength: 1,
+        description: "Only events before this ISO 8601 timestamp",
+      },
+      offset: {
+        type: "integer",
+        minimum: 0,
+        description: "Number of matching events to skip (default: 0)",
+      },
+      limit: {
+        type: "integer",
+        minimum: 1,
+        maximum: 1000,
+        description: "Maximum number of events to return (default: 100)",
+      },
+    }
+  )
+);
+
+registerCommandSchema(
+  "GET_SCHEMA",
+  command("GET_SCHEMA", "Returns the JSON Schema of one or all commands", {
+    command: {
+      type: "string",
+      description: "Command type to return the schema for (default: all)",
+    },
+  })
+);
+
+registerCommandSchema("PING", command("PING", "Health check"));
@@ -0,0 +1,329 @@
+import { existsSync } from "fs";
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import { dirname } from "path";
+import { isMockPort } from "./mock-network.js";
+import { ErrorCode, ProtocolError } from "./protocol.js";
+import { parsePort } from "./serial-link.js";
+import { createDriverSupervisor } from "./driver-supervisor.js";
+
+/**
+ * The controller registry lets one server manage several Z-Wave controllers,
+ * e.g. a Z-Wave and a Long Range stick. Every controller is a separate
+ * network with its own serial port, driver cache, provisioning list, network
+ * keys, payload keys and logs.
+ */
+
+/** The controller that always exists and serves commands without `controllerId` */
+export const DEFAULT_CONTROLLER_ID = "default";
+
+/**
+ * Returns the paths of the files a controller keeps. The default controller
+ * keeps them directly in ./store, where they were before there were several
+ * controllers, the others in ./store/controllers/<id>.
+ * @param {string} controllerId
+ */
+export function getControllerFiles(controllerId) {
+  const dir =
+    controllerId === DEFAULT_CONTROLLER_ID
+      ? "./store"
+      : `./store/controllers/${controllerId}`;
+  return {
+    dir,
+    cacheDir: `${dir}/cache`,
+    keysFile: `${dir}/security-keys.enc.json`,
+    mpCountersFile: `${dir}/mp-counters.json`,
+    auditLogFile: `${dir}/audit-log.jsonl`,
+    lockEventsFile: `${dir}/lock-events.jsonl`,
+    batteryHistoryFile: `${dir}/battery-history.jsonl`,
+  };
+}
+
+/**
+ * Creates the controller registry. Controllers added at runtime are
+ * remembered in the controllers file, so they are back after a restart. Like
+ * the default controller, their drivers only start with START.
+ *
+ * @param {Object} options
+ * @param {string} options.defaultPort - Port of the default controller
+ * @param {(controllerId: string, files: Object) => Promise<Object>} options.createServices -
+ *   Creates what a controller keeps for itself from its files (see {@link getControllerFiles}):
+ *   `keyStore`, `mpSecurity`, `auditLog`, `grantPolicy`, `lockEventLog` and `batteryMonitor`
+ * @param {(controller: Object, port: string, options: {mockLocks?: Object[]}) => Object} options.createClient -
+ *   Creates the ZWaveProvisioningClient of a controller
+ * @param {Object} [options.supervisor] - Settings of the driver supervisor, see loadSupervisorSettings
+ * @param {string} [options.file] - Path of the controllers file (default: ./store/controllers.json)
+ */
+export async function createControllerRegistry(options) {
+  const { defaultPort, createServices, createClient } = options;
+  const file = options.file || "./store/controllers.json";
+  const supervisor = createDriverSupervisor(options.supervisor);
+
+  /** Controllers by ID, the default controller first */
+  const controllers = new Map();
+
+  async function createController(controllerId, port, name) {
+    const files = getControllerFiles(controllerId);
+    return {
+      controllerId,
+      name: name ?? null,
+      port,
+      files,
+      client: null,
+      startOptions: null,
+      ...(await createServices(controllerId, files)),
+    };
+  }
+
+  async function persist() {
+    const added = [...controllers.values()]
+      .filter((c) => c.controllerId !== DEFAULT_CONTROLLER_ID)
+      .map(({ controllerId, name, port }) => ({ controllerId, name, port }));
+    await mkdir(dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    await writeFile(tmpFile, JSON.stringify({ controllers: added }, null, 2));
+    await rename(tmpFile, file);
+  }
+
+  /**
+   * @throws {ProtocolError} INVALID_PARAMETER if the port is not supported or
+   *   another controller uses it. Simulated controllers may share one
+   */
+  function checkPortAvailable(port, controllerId) {
+    parsePort(port);
+    if (isMockPort(port)) return;
+    for (const controller of controllers.values()) {
+      if (
+        controller.controllerId !== controllerId &&
+        controller.port === port
+      ) {
+        throw new ProtocolError(
+          ErrorCode.INVALID_PARAMETER,
+          `Port ${port} is used by controller ${controller.controllerId}`,
+          { field: "port" }
+        );
+      }
+    }
+  }
+
+  function get(controllerId = DEFAULT_CONTROLLER_ID) {
+    const controller = controllers.get(controllerId);
+    if (!controller) {
+      throw new ProtocolError(
+        ErrorCode.CONTROLLER_NOT_FOUND,
+        `Controller ${controllerId} not found`,
+        { controllerId }
+      );
+    }
+    return controller;
+  }
+
+  async function closeClient(controller) {
+    if (!controller.client) return;
+    try {
+      await controller.client.close();
+    } catch (error) {
+      console.error(
+        `[Controllers] ❌ Error closing the driver of controller ${controller.controllerId}:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Replaces the client of a controller with a new one and connects it
+   * @returns {Promise<Object>} The new client, once its driver was started.
+   *   The driver is ready when the client emits `ready`
+   */
+  async function startClient(controller, port, startOptions) {
+    await closeClient(controller);
+    controller.client = createClient(controller, port, {
+      mockLocks: startOptions.mockLocks,
+    });
+    startOptions.setup?.(controller.client);
+    await controller.client.connect();
+    return controller.client;
+  }
+
+  /** Lets the supervisor restart the driver of a controller when it fails */
+  function supervise(controller, startOptions) {
+    supervisor.watch(controller.controllerId, controller.client, {
+      stop: () => closeClient(controller),
+      start: () => startClient(controller, controller.port, startOptions),
+      onReconnecting: startOptions.onReconnecting,
+      onGaveUp: startOptions.onGaveUp,
+    });
+  }
+
+  controllers.set(
+    DEFAULT_CONTROLLER_ID,
+    await createController(DEFAULT_CONTROLLER_ID, defaultPort)
+  );
+  if (existsSync(file)) {
+    const saved = JSON.parse(await readFile(file, "utf8")).controllers ?? [];
+    for (const { controllerId, name, port } of saved) {
+      controllers.set(
+        controllerId,
+        await createController(controllerId, port, name)
+      );
+    }
+  }
+  console.log(
+    `[Controllers] 🎛️  ${[...controllers.values()]
+      .map((c) => `${c.controllerId} (${c.port})`)
+      .join(", ")}`
+  );
+
+  return {
+    /**
+     * Returns a controller
+     * @param {string} [controllerId] - Default: the default controller
+     * @throws {ProtocolError} CONTROLLER_NOT_FOUND
+     */
+    get,
+
+    /** Returns all controllers, the default controller first */
+    list() {
+      return [...controllers.values()];
+    },
+
+    /**
+     * Returns what clients may know about a controller
+     * @param {Object} controller
+     */
+    getInfo(controller) {
+      return {
+        controllerId: controller.controllerId,
+        name: controller.name,
+        port: controller.port,
+        connected: !!controller.client,
+        driverReady: controller.client?.driverReady || false,
+        recovery: supervisor.getRecovery(controller.controllerId),
+      };
+    },
+
+    /**
+     * Registers a controller. Its driver is not started
+     * @param {Object} definition
+     * @param {string} definition.controllerId - Becomes a directory name, see the ADD_CONTROLLER schema
+     * @param {string} definition.port - Serial port, tcp://host:port,
+     *   esphome://host[:port], or mock:// for a simulated controller
+     * @param {string} [definition.name] - Shown to users
+     * @returns {Promise<Object>} The controller
+     * @throws {ProtocolError} INVALID_PARAMETER if the ID or the port is taken,
+     *   or the port is not supported
+     */
+    async add({ controllerId, port, name }) {
+      if (controllers.has(controllerId)) {
+        throw new ProtocolError(
+          ErrorCode.INVALID_PARAMETER,
+          `Controller ${controllerId} already exists`,
+          { field: "controllerId" }
+        );
+      }
+      checkPortAvailable(port, controllerId);
+      const controller = await createController(controllerId, port, name);
+      controllers.set(controllerId, controller);
+      await persist();
+      console.log(
+        `[Controllers] ➕ Added controller ${controllerId} on ${port}`
+      );
+      return controller;
+    },
+
+    /**
+     * Stops the driver of a controller and forgets the controller. Its files
+     * are kept, so adding it again with the same ID restores its keys and
+     * provisioning list
+     * @param {string} controllerId
+     * @returns {Promise<Object>} The removed controller
+     * @throws {ProtocolError} CONTROLLER_NOT_FOUND, or INVALID_PARAMETER for
+     *   the default controller
+     */
+    async remove(controllerId) {
+      if (controllerId === DEFAULT_CONTROLLER_ID) {
+        throw new ProtocolError(
+          ErrorCode.INVALID_PARAMETER,
+          "The default controller cannot be removed",
+          { field: "controllerId" }
+        );
+      }
+      const controller = get(controllerId);
+      controllers.delete(controllerId);
+      await persist();
+      supervisor.cancel(controllerId);
+      await closeClient(controller);
+      controller.client = null;
+      console.log(`[Controllers] ➖ Removed controller ${controllerId}`);
+      return controller;
+    },
+
+    /**
+     * Starts the driver of a controller. A running driver is closed first, a
+     * pending restart is cancelled. Once started, the driver is restarted by
+     * the supervisor whenever it fails
+     * @param {string} controllerId
+     * @param {Object} [startOptions]
+     * @param {string} [startOptions.port] - Replaces the port of the controller
+     * @param {Object[]} [startOptions.mockLocks] - Only used with mock:// ports
+     * @param {(client: Object) => void} [startOptions.setup] - Called with the
+     *   new client before it connects, e.g. to listen to its events. Also
+     *   called with the clients of restarts
+     * @param {(info: Object) => void} [startOptions.onReconnecting] - Called
+     *   before each restart after the driver failed
+     * @param {(info: Object) => void} [startOptions.onGaveUp] - Called when the
+     *   supervisor stops restarting the driver
+     * @returns {Promise<Object>} The controller
+     */
+    async start(controllerId, startOptions = {}) {
+      const controller = get(controllerId);
+      const port = startOptions.port || controller.port;
+      checkPortAvailable(port, controllerId);
+
+      supervisor.cancel(controllerId);
+      // Kept for restart(), so a restarted driver gets the same mock locks
+      // and event handlers
+      controller.startOptions = startOptions;
+      await startClient(controller, port, startOptions);
+      supervise(controller, startOptions);
+      if (port !== controller.port) {
+        controller.port = port;
+        if (controllerId !== DEFAULT_CONTROLLER_ID) await persist();
+      }
+      console.log(
+        `Successfully connected to Z-Wave controller ${controllerId} on ${port}`
+      );
+      return controller;
+    },
+
+    /**
+     * Starts the driver of a controller again with the options of its last
+     * start, e.g. because the driver only reads new network keys on startup
+     * @param {string} controllerId
+     * @returns {Promise<Object>} The controller
+     */
+    async restart(controllerId) {
+      const controller = get(controllerId);
+      return this.start(controllerId, {
+        ...controller.startOptions,
+        port: controller.port,
+      });
+    },
+
+    /**
+     * Returns the recovery in progress after the driver of a controller failed
+     * @param {string} controllerId
+     * @returns {Object|null} See the driver supervisor
+     */
+    getRecovery(controllerId) {
+      return supervisor.getRecovery(controllerId);
+    },
+
+    /** Closes the drivers of all controllers */
+    async close() {
+      for (const controller of controllers.values()) {
+        supervisor.cancel(controller.controllerId);
+        await closeClient(controller);
+      }
+    },
+  };
+}
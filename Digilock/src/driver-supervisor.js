@@ -0,0 +1,244 @@
+import { existsSync } from "fs";
+import { readFile } from "fs/promises";
+
+/**
+ * The driver supervisor restarts the driver of a controller when it fails,
+ * e.g. because the stick was unplugged for longer than the serial link keeps
+ * reconnecting, or zwave-js gave up on the controller. The failed driver is
+ * torn down right away, then new drivers are started with exponential backoff
+ * until one is ready again.
+ */
+
+export const DEFAULT_SUPERVISOR_SETTINGS = Object.freeze({
+  /** Delay before the first restart, doubled for each further restart */
+  restartDelayMs: 5000,
+  /** Longest delay before a restart */
+  maxRestartDelayMs: 300000,
+  /** Restarts before giving up, 0 to never give up */
+  maxRestartAttempts: 0,
+});
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Checks the supervisor settings and fills in defaults
+ * @throws {Error} If a setting is invalid
+ */
+function toSupervisorSettings(config, source) {
+  if (typeof config !== "object" || config === null || Array.isArray(config)) {
+    throw new Error(`Supervisor settings from ${source} must be an object`);
+  }
+  const settings = { ...DEFAULT_SUPERVISOR_SETTINGS };
+  for (const field of Object.keys(DEFAULT_SUPERVISOR_SETTINGS)) {
+    settings[field] = config[field] ?? settings[field];
+    if (!isNonNegativeInteger(settings[field])) {
+      throw new Error(
+        `Supervisor settings from ${source} have invalid ${field}, expected an integer >= 0`
+      );
+    }
+  }
+  return Object.freeze(settings);
+}
+
+/**
+ * Loads the supervisor settings from the `DIGILOCK_SUPERVISOR` environment
+ * variable (JSON object) or the supervisor file. Missing settings keep their
+ * {@link DEFAULT_SUPERVISOR_SETTINGS}.
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path of the supervisor file (default: ./store/supervisor.json)
+ * @returns {Promise<Object>} The settings
+ */
+export async function loadSupervisorSettings(options = {}) {
+  const file = options.file || "./store/supervisor.json";
+  let config = {};
+  let source = "defaults";
+  if (process.env.DIGILOCK_SUPERVISOR) {
+    config = JSON.parse(process.env.DIGILOCK_SUPERVISOR);
+    source = "DIGILOCK_SUPERVISOR";
+  } else if (existsSync(file)) {
+    config = JSON.parse(await readFile(file, "utf8"));
+    source = file;
+  }
+  const settings = toSupervisorSettings(config, source);
+  console.log(
+    `[Supervisor] 🩺 Restart failed drivers after ${settings.restartDelayMs}ms up to ${settings.maxRestartDelayMs}ms, ${settings.maxRestartAttempts || "unlimited"} attempts`
+  );
+  return settings;
+}
+
+/**
+ * Creates the driver supervisor
+ * @param {Object} [settings] - See {@link loadSupervisorSettings} (default: {@link DEFAULT_SUPERVISOR_SETTINGS})
+ */
+export function createDriverSupervisor(settings = DEFAULT_SUPERVISOR_SETTINGS) {
+  settings = toSupervisorSettings(settings, "options");
+
+  /** Recoveries in progress by controller ID */
+  const recoveries = new Map();
+
+  function wait(recovery, ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms);
+      recovery.cancelWait = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  /**
+   * Resolves once the driver of a restarted client is ready, rejects if it
+   * fails before. The driver opens the port when it starts, but identifies
+   * the controller only afterwards, so a started driver may still fail
+   */
+  function waitUntilReady(recovery, client) {
+    if (client.driverReady) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const stopListening = () => {
+        client.off("ready", onReady);
+        client.off("driverFailed", onFailed);
+      };
+      const onReady = () => {
+        stopListening();
+        resolve();
+      };
+      const onFailed = (error) => {
+        stopListening();
+        reject(error);
+      };
+      client.on("ready", onReady);
+      client.on("driverFailed", onFailed);
+      recovery.cancelWait = () => {
+        stopListening();
+        resolve();
+      };
+    });
+  }
+
+  function watch(controllerId, client, handlers) {
+    client.once("driverFailed", (error) => {
+      void recover(controllerId, error, handlers);
+    });
+  }
+
+  async function recover(controllerId, error, handlers) {
+    if (recoveries.has(controllerId)) return;
+    const recovery = {
+      since: new Date().toISOString(),
+      attempt: 0,
+      lastError: error.message,
+      nextAttemptAt: null,
+      cancelled: false,
+      cancelWait: null,
+    };
+    recoveries.set(controllerId, recovery);
+    console.warn(
+      `[Supervisor] 💥 Driver of controller ${controllerId} failed: ${error.message}`
+    );
+    await handlers.stop();
+
+    while (!recovery.cancelled) {
+      recovery.attempt++;
+      if (
+        settings.maxRestartAttempts &&
+        recovery.attempt > settings.maxRestartAttempts
+      ) {
+        recoveries.delete(controllerId);
+        console.error(
+          `[Supervisor] ❌ Giving up on controller ${controllerId} after ${settings.maxRestartAttempts} restarts, send START to try again`
+        );
+        handlers.onGaveUp?.({
+          attempts: settings.maxRestartAttempts,
+          error: recovery.lastError,
+        });
+        return;
+      }
+      const delay = Math.min(
+        settings.restartDelayMs * 2 ** (recovery.attempt - 1),
+        settings.maxRestartDelayMs
+      );
+      recovery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      console.warn(
+        `[Supervisor] 🔁 Restarting the driver of controller ${controllerId} in ${delay}ms (attempt ${recovery.attempt})`
+      );
+      handlers.onReconnecting?.({
+        attempt: recovery.attempt,
+        delayMs: delay,
+        nextAttemptAt: recovery.nextAttemptAt,
+        error: recovery.lastError,
+      });
+      await wait(recovery, delay);
+      if (recovery.cancelled) return;
+
+      recovery.nextAttemptAt = null;
+      try {
+        const client = await handlers.start();
+        if (recovery.cancelled) return;
+        await waitUntilReady(recovery, client);
+        if (recovery.cancelled) return;
+        recoveries.delete(controllerId);
+        console.log(
+          `[Supervisor] ✅ Driver of controller ${controllerId} restarted after ${recovery.attempt} attempt(s)`
+        );
+        watch(controllerId, client, handlers);
+        return;
+      } catch (restartError) {
+        recovery.lastError = restartError.message;
+        console.warn(
+          `[Supervisor] ⚠️  Restart of controller ${controllerId} failed: ${restartError.message}`
+        );
+      }
+    }
+  }
+
+  return {
+    settings,
+
+    /**
+     * Restarts the driver of a controller when its client reports
+     * `driverFailed`. The client is watched until its first failure; the
+     * client of a successful restart is watched again
+     *
+     * @param {string} controllerId
+     * @param {Object} client - ZWaveProvisioningClient whose driver is running
+     * @param {Object} handlers
+     * @param {() => Promise<void>} handlers.stop - Tears down the failed client
+     * @param {() => Promise<Object>} handlers.start - Starts a new client and
+     *   resolves with it once its driver was started. The restart succeeds
+     *   when the client emits `ready`, and fails like a rejection of `start`
+     *   when it emits `driverFailed` first
+     * @param {(info: {attempt: number, delayMs: number, nextAttemptAt: string, error: string}) => void} [handlers.onReconnecting] -
+     *   Called before each restart
+     * @param {(info: {attempts: number, error: string}) => void} [handlers.onGaveUp] -
+     *   Called when `maxRestartAttempts` restarts failed
+     */
+    watch,
+
+    /**
+     * Stops restarting a controller, e.g. because it was started or removed
+     * by a user
+     * @param {string} controllerId
+     */
+    cancel(controllerId) {
+      const recovery = recoveries.get(controllerId);
+      if (!recovery) return;
+      recovery.cancelled = true;
+      recovery.cancelWait?.();
+      recoveries.delete(controllerId);
+    },
+
+    /**
+     * Returns the recovery in progress for a controller, or null
+     * @param {string} controllerId
+     * @returns {{since: string, attempt: number, lastError: string, nextAttemptAt: string|null}|null}
+     */
+    getRecovery(controllerId) {
+      const recovery = recoveries.get(controllerId);
+      if (!recovery) return null;
+      const { since, attempt, lastError, nextAttemptAt } = recovery;
+      return { since, attempt, lastError, nextAttemptAt };
+    },
+  };
+}
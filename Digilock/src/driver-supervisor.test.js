@@ -0,0 +1,238 @@
+import { EventEmitter } from "events";
+import { afterEach, beforeEach, test, vi } from "vitest";
+import { createDriverSupervisor } from "./driver-supervisor.js";
+
+/**
+ * Returns handlers for watch() whose start() fails the given number of times
+ * before it resolves with a new client. The drivers of the first
+ * `failuresAfterStart` of these clients fail 1s after they were started,
+ * the others are ready right away
+ */
+function createHandlers(failures = 0, failuresAfterStart = 0) {
+  const clients = [];
+  return {
+    clients,
+    stop: vi.fn(async () => {}),
+    start: vi.fn(async () => {
+      if (failures-- > 0) throw new Error("Failed to open the serial port");
+      const client = new EventEmitter();
+      clients.push(client);
+      if (failuresAfterStart-- > 0) {
+        client.driverReady = false;
+        setTimeout(() => {
+          client.emit("driverFailed", new Error("Controller not identified"));
+        }, 1000);
+      } else {
+        client.driverReady = true;
+      }
+      return client;
+    }),
+    onReconnecting: vi.fn(),
+    onGaveUp: vi.fn(),
+  };
+}
+
+beforeEach(() => {
+  vi.useFakeTimers({ now: 0 });
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+test("restarts a failed driver after restartDelayMs", async (t) => {
+  const supervisor = createDriverSupervisor({ restartDelayMs: 1000 });
+  const client = new EventEmitter();
+  const handlers = createHandlers();
+  supervisor.watch("default", client, handlers);
+
+  client.emit("driverFailed", new Error("The controller was unplugged"));
+  await vi.advanceTimersByTimeAsync(0);
+  t.expect(handlers.stop).toHaveBeenCalledOnce();
+  t.expect(handlers.onReconnecting).toHaveBeenCalledWith({
+    attempt: 1,
+    delayMs: 1000,
+    nextAttemptAt: new Date(1000).toISOString(),
+    error: "The controller was unplugged",
+  });
+  t.expect(supervisor.getRecovery("default")).toEqual({
+    since: new Date(0).toISOString(),
+    attempt: 1,
+    lastError: "The controller was unplugged",
+    nextAttemptAt: new Date(1000).toISOString(),
+  });
+
+  await vi.advanceTimersByTimeAsync(999);
+  t.expect(handlers.start).not.toHaveBeenCalled();
+  await vi.advanceTimersByTimeAsync(1);
+  t.expect(handlers.start).toHaveBeenCalledOnce();
+  t.expect(supervisor.getRecovery("default")).toBeNull();
+});
+
+test("doubles the delay after each failed restart, up to maxRestartDelayMs", async (t) => {
+  const supervisor = createDriverSupervisor({
+    restartDelayMs: 1000,
+    maxRestartDelayMs: 5000,
+  });
+  const client = new EventEmitter();
+  const handlers = createHandlers(4);
+  supervisor.watch("default", client, handlers);
+
+  client.emit("driverFailed", new Error("The controller was unplugged"));
+  await vi.runAllTimersAsync();
+
+  t.expect(handlers.start).toHaveBeenCalledTimes(5);
+  t.expect(
+    handlers.onReconnecting.mock.calls.map(([info]) => info.delayMs)
+  ).toEqual([1000, 2000, 4000, 5000, 5000]);
+  // From the second attempt on, the error is the one of the last restart
+  t.expect(handlers.onReconnecting.mock.calls[1][0].error).toBe(
+    "Failed to open the serial port"
+  );
+  t.expect(handlers.onGaveUp).not.toHaveBeenCalled();
+});
+
+test("gives up after maxRestartAttempts", async (t) => {
+  const supervisor = createDriverSupervisor({
+    restartDelayMs: 1000,
+    maxRestartAttempts: 2,
+  });
+  const client = new EventEmitter();
+  const handlers = createHandlers(Infinity);
+  supervisor.watch("default", client, handlers);
+
+  client.emit("driverFailed", new Error("The controller was unplugged"));
+  await vi.runAllTimersAsync();
+
+  t.expect(handlers.start).toHaveBeenCalledTimes(2);
+  t.expect(handlers.onGaveUp).toHaveBeenCalledExactlyOnceWith({
+    attempts: 2,
+    error: "Failed to open the serial port",
+  });
+  t.expect(supervisor.getRecovery("default")).toBeNull();
+});
+
+test("a driver that fails after it was started counts as a failed restart", async (t) => {
+  const supervisor = createDriverSupervisor({
+    restartDelayMs: 1000,
+    maxRestartAttempts: 3,
+  });
+  const client = new EventEmitter();
+  const handlers = createHandlers(0, Infinity);
+  supervisor.watch("default", client, handlers);
+
+  client.emit("driverFailed", new Error("The controller was unplugged"));
+  await vi.advanceTimersByTimeAsync(1000);
+  t.expect(handlers.start).toHaveBeenCalledOnce();
+  // The recovery goes on while the new driver is not ready
+  t.expect(supervisor.getRecovery("default")).toMatchObject({ attempt: 1 });
+
+  await vi.runAllTimersAsync();
+  t.expect(handlers.start).toHaveBeenCalledTimes(3);
+  t.expect(
+    handlers.onReconnecting.mock.calls.map(([info]) => [
+      info.attempt,
+      info.delayMs,
+      info.error,
+    ])
+  ).toEqual([
+    [1, 1000, "The controller was unplugged"],
+    [2, 2000, "Controller not identified"],
+    [3, 4000, "Controller not identified"],
+  ]);
+  t.expect(handlers.onGaveUp).toHaveBeenCalledExactlyOnceWith({
+    attempts: 3,
+    error: "Controller not identified",
+  });
+});
+
+test("a restarted driver is watched once it is ready", async (t) => {
+  const supervisor = createDriverSupervisor({ restartDelayMs: 1000 });
+  const client = new EventEmitter();
+  const handlers = createHandlers();
+  handlers.start.mockImplementationOnce(async () => {
+    const restarted = new EventEmitter();
+    restarted.driverReady = false;
+    setTimeout(() => restarted.emit("ready"), 500);
+    handlers.clients.push(restarted);
+    return restarted;
+  });
+  supervisor.watch("default", client, handlers);
+
+  client.emit("driverFailed", new Error("The controller was unplugged"));
+  await vi.advanceTimersByTimeAsync(1000);
+  t.expect(supervisor.getRecovery("default")).not.toBeNull();
+  await vi.advanceTimersByTimeAsync(500);
+  t.expect(supervisor.getRecovery("default")).toBeNull();
+
+  handlers.clients[0].emit("driverFailed", new Error("Unplugged again"));
+  await vi.advanceTimersByTimeAsync(0);
+  t.expect(handlers.onReconnecting).toHaveBeenLastCalledWith(
+    t.expect.objectContaining({ attempt: 1, error: "Unplugged again" })
+  );
+});
+
+test("cancel() during the wait stops the recovery", async (t) => {
+  const supervisor = createDriverSupervisor({ restartDelayMs: 1000 });
+  const client = new EventEmitter();
+  const handlers = createHandlers();
+  supervisor.watch("default", client, handlers);
+
+  client.emit("driverFailed", new Error("The controller was unplugged"));
+  await vi.advanceTimersByTimeAsync(500);
+  supervisor.cancel("default");
+  await vi.runAllTimersAsync();
+
+  t.expect(handlers.start).not.toHaveBeenCalled();
+  t.expect(handlers.onGaveUp).not.toHaveBeenCalled();
+  t.expect(supervisor.getRecovery("default")).toBeNull();
+});
+
+test("watches the client of a successful restart", async (t) => {
+  const supervisor = createDriverSupervisor({ restartDelayMs: 1000 });
+  const client = new EventEmitter();
+  const handlers = createHandlers();
+  supervisor.watch("default", client, handlers);
+
+  client.emit("driverFailed", new Error("The controller was unplugged"));
+  await vi.runAllTimersAsync();
+  t.expect(handlers.clients).toHaveLength(1);
+
+  // The old client is no longer watched
+  client.emit("driverFailed", new Error("Late failure of the old client"));
+  await vi.runAllTimersAsync();
+  t.expect(handlers.start).toHaveBeenCalledOnce();
+
+  handlers.clients[0].emit("driverFailed", new Error("Unplugged again"));
+  await vi.advanceTimersByTimeAsync(0);
+  t.expect(handlers.onReconnecting).toHaveBeenLastCalledWith(
+    t.expect.objectContaining({
+      attempt: 1,
+      delayMs: 1000,
+      error: "Unplugged again",
+    })
+  );
+  await vi.runAllTimersAsync();
+  t.expect(handlers.start).toHaveBeenCalledTimes(2);
+  t.expect(handlers.stop).toHaveBeenCalledTimes(2);
+});
+
+test("ignores further failures while a recovery is in progress", async (t) => {
+  const supervisor = createDriverSupervisor({ restartDelayMs: 1000 });
+  const first = new EventEmitter();
+  const second = new EventEmitter();
+  const handlers = createHandlers();
+  supervisor.watch("default", first, handlers);
+  supervisor.watch("default", second, handlers);
+
+  first.emit("driverFailed", new Error("The controller was unplugged"));
+  second.emit("driverFailed", new Error("The controller was unplugged"));
+  await vi.runAllTimersAsync();
+
+  t.expect(handlers.stop).toHaveBeenCalledOnce();
+  t.expect(handlers.start).toHaveBeenCalledOnce();
+});
@@ -0,0 +1,373 @@
+import { existsSync } from "fs";
+import { readFile } from "fs/promises";
+import { ErrorCode, ProtocolError } from "./protocol.js";
+
+/**
+ * Decides which security classes a node gets during a classic S2 inclusion.
+ *
+ * SmartStart inclusions don't go through the policy: zwave-js grants exactly
+ * the security classes of the node's provisioning entry.
+ */
+
+export const GRANT_MODES = ["auto", "interactive"];
+
+/** Security classes from lowest to highest */
+const SECURITY_CLASS_ORDER = [
+  "S0_Legacy",
+  "S2_Unauthenticated",
+  "S2_Authenticated",
+  "S2_AccessControl",
+];
+
+/** Security classes that can only be granted if someone validates the DSK */
+const DSK_VALIDATION_CLASSES = ["S2_Authenticated", "S2_AccessControl"];
+
+/** Generic device class of locks and keypads */
+const ENTRY_CONTROL_DEVICE_CLASS = 0x40;
+const DOOR_LOCK_CC = 0x62;
+
+export const DEFAULT_GRANT_POLICY = Object.freeze({
+  mode: "auto",
+  minimumSecurityClass: null,
+  lockMinimumSecurityClass: "S2_AccessControl",
+  restrictToProvisioningEntry: true,
+  allowClientSideAuth: false,
+  promptTimeoutSeconds: 60,
+});
+
+/** zwave-js cancels the bootstrapping after 240 seconds without a grant */
+const MAX_PROMPT_TIMEOUT_SECONDS = 230;
+
+function rank(securityClass) {
+  return SECURITY_CLASS_ORDER.indexOf(securityClass);
+}
+
+function highest(securityClasses) {
+  return securityClasses.reduce(
+    (max, securityClass) =>
+      max === null || rank(securityClass) > rank(max) ? securityClass : max,
+    null
+  );
+}
+
+/**
+ * Checks a policy configuration and fills in defaults
+ * @throws {Error} If a setting is invalid
+ */
+function toGrantPolicy(config, source) {
+  const policy = { ...DEFAULT_GRANT_POLICY, ...config };
+  if (!GRANT_MODES.includes(policy.mode)) {
+    throw new Error(
+      `Grant policy from ${source} has invalid mode "${policy.mode}", expected one of ${GRANT_MODES.join(", ")}`
+    );
+  }
+  for (const field of ["minimumSecurityClass", "lockMinimumSecurityClass"]) {
+    if (policy[field] !== null && rank(policy[field]) === -1) {
+      throw new Error(
+        `Grant policy from ${source} has invalid ${field} "${policy[field]}", expected null or one of ${SECURITY_CLASS_ORDER.join(", ")}`
+      );
+    }
+  }
+  if (
+    !Number.isInteger(policy.promptTimeoutSeconds) ||
+    policy.promptTimeoutSeconds < 1 ||
+    policy.promptTimeoutSeconds > MAX_PROMPT_TIMEOUT_SECONDS
+  ) {
+    throw new Error(
+      `Grant policy from ${source} has invalid promptTimeoutSeconds, expected 1-${MAX_PROMPT_TIMEOUT_SECONDS}`
+    );
+  }
+  return policy;
+}
+
+/**
+ * Loads the grant policy from the `DIGILOCK_GRANT_POLICY` environment variable
+ * (JSON) or the policy file. Settings that are missing in both use
+ * {@link DEFAULT_GRANT_POLICY}.
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path of the policy file (default: ./store/grant-policy.json)
+ * @returns {Promise<Object>}
+ */
+export async function loadGrantPolicy(options = {}) {
+  const file = options.file || "./store/grant-policy.json";
+  if (process.env.DIGILOCK_GRANT_POLICY) {
+    return toGrantPolicy(
+      JSON.parse(process.env.DIGILOCK_GRANT_POLICY),
+      "DIGILOCK_GRANT_POLICY"
+    );
+  }
+  if (existsSync(file)) {
+    return toGrantPolicy(JSON.parse(await readFile(file, "utf8")), file);
+  }
+  return toGrantPolicy({}, "defaults");
+}
+
+/**
+ * Whether a node is a lock
+ * @param {Object} [node] - The FoundNode of zwave-js during inclusion, or a ZWaveNode
+ */
+export function isLock(node) {
+  return (
+    node?.deviceClass?.generic?.key === ENTRY_CONTROL_DEVICE_CLASS ||
+    !!node?.supportedCCs?.includes(DOOR_LOCK_CC) ||
+    !!node?.supportsCC?.(DOOR_LOCK_CC)
+  );
+}
+
+/**
+ * Applies a policy to the security classes a node requests
+ * @param {Object} policy - See {@link loadGrantPolicy}
+ * @param {Object} request
+ * @param {string[]} request.securityClasses - Requested security classes
+ * @param {boolean} request.clientSideAuth - Whether client-side authentication is requested
+ * @param {string[]} request.availableKeys - Security classes the driver has keys for
+ * @param {string[]} [request.provisioningEntryClasses] - Security classes of the node's provisioning entry, if known
+ * @param {boolean} request.isLock - Whether the node is a lock
+ * @param {boolean} request.canValidateDSK - Whether someone can validate the DSK
+ * @returns {{allowed: string[], clientSideAuth: boolean, minimumSecurityClass: string|null, denied: string|null, reasons: string[]}}
+ *   `denied` is set if the node may not get any security class
+ */
+export function evaluateGrantRequest(policy, request) {
+  const reasons = [];
+  let allowed = [...request.securityClasses];
+
+  const restrict = (predicate, reason) => {
+    const removed = allowed.filter((securityClass) => !predicate(securityClass));
+    if (removed.length > 0) {
+      reasons.push(`${removed.join(", ")}: ${reason}`);
+      allowed = allowed.filter(predicate);
+    }
+  };
+
+  restrict(
+    (securityClass) => request.availableKeys.includes(securityClass),
+    "no network key"
+  );
+  if (policy.restrictToProvisioningEntry && request.provisioningEntryClasses) {
+    restrict(
+      (securityClass) =>
+        request.provisioningEntryClasses.includes(securityClass),
+      "not in the provisioning entry"
+    );
+  }
+  if (!request.canValidateDSK) {
+    restrict(
+      (securityClass) => !DSK_VALIDATION_CLASSES.includes(securityClass),
+      "nobody can validate the DSK"
+    );
+  }
+
+  const minimums = [policy.minimumSecurityClass];
+  if (request.isLock) minimums.push(policy.lockMinimumSecurityClass);
+  const minimumSecurityClass = highest(minimums.filter(Boolean));
+
+  let denied = null;
+  if (
+    minimumSecurityClass &&
+    (allowed.length === 0 || rank(highest(allowed)) < rank(minimumSecurityClass))
+  ) {
+    denied = `${request.isLock ? "Locks require" : "The policy requires"} at least ${minimumSecurityClass}`;
+    allowed = [];
+  }
+
+  return {
+    allowed,
+    clientSideAuth: request.clientSideAuth && policy.allowClientSideAuth,
+    minimumSecurityClass,
+    denied,
+    reasons,
+  };
+}
+
+/**
+ * Checks a grant chosen by a user against the result of {@link evaluateGrantRequest}
+ * @param {{allowed: string[], minimumSecurityClass: string|null}} evaluation
+ * @param {string[]} securityClasses - The security classes to grant
+ * @throws {ProtocolError} INVALID_PARAMETER if the grant violates the policy
+ */
+export function checkGrant(evaluation, securityClasses) {
+  const notAllowed = securityClasses.filter(
+    (securityClass) => !evaluation.allowed.includes(securityClass)
+  );
+  if (notAllowed.length > 0) {
+    throw new ProtocolError(
+      ErrorCode.INVALID_PARAMETER,
+      `Security classes may not be granted: ${notAllowed.join(", ")}`,
+      { field: "securityClasses", allowed: evaluation.allowed }
+    );
+  }
+  const { minimumSecurityClass } = evaluation;
+  if (
+    minimumSecurityClass &&
+    rank(highest(securityClasses) ?? "") < rank(minimumSecurityClass)
+  ) {
+    throw new ProtocolError(
+      ErrorCode.INVALID_PARAMETER,
+      `The grant must include at least ${minimumSecurityClass}. Use REJECT_S2_REQUEST to grant nothing`,
+      { field: "securityClasses", minimumSecurityClass }
+    );
+  }
+}
+
+/**
+ * Creates the grant decision maker used by the Z-Wave client during S2
+ * bootstrapping. Every decision is recorded in the audit log.
+ *
+ * Requests are answered by a prompt, if there is one: the client that
+ * started the inclusion or, in "interactive" mode, the prompt registered
+ * with setInteractivePrompt. Otherwise the policy grants everything it allows.
+ *
+ * A prompt is an object with `grantSecurityClasses(request, signal)` and
+ * `validateDSKAndEnterPIN(dsk, signal)`, both resolving to
+ * `{ answer, actor, reason? }` where `answer` is false for a rejection.
+ *
+ * @param {Object} [policy] - See {@link loadGrantPolicy} (default: {@link DEFAULT_GRANT_POLICY})
+ * @param {Object} [options]
+ * @param {Object} [options.auditLog] - Audit log from createAuditLog
+ */
+export function createGrantPolicy(policy = DEFAULT_GRANT_POLICY, options = {}) {
+  const auditLog = options.auditLog;
+  let interactivePrompt = null;
+
+  function audit(entry) {
+    auditLog?.record(entry);
+  }
+
+  return {
+    /** The active policy settings */
+    getPolicy() {
+      return { ...policy };
+    },
+
+    /**
+     * Sets the prompt used in "interactive" mode for inclusions that were not
+     * started by a client, e.g. by an inclusion controller
+     */
+    setInteractivePrompt(prompt) {
+      interactivePrompt = prompt;
+    },
+
+    /**
+     * Returns the prompt to ask for an inclusion
+     * @param {Object} [inclusionPrompt] - Prompt of the client that started the inclusion
+     */
+    getPrompt(inclusionPrompt) {
+      return (
+        inclusionPrompt ||
+        (policy.mode === "interactive" ? interactivePrompt : null)
+      );
+    },
+
+    /**
+     * Decides which security classes to grant
+     * @param {Object} request - See {@link evaluateGrantRequest}, plus `nodeId`
+     *   and `dskKnown` (the DSK was given when the inclusion was started)
+     * @param {Object} [prompt] - From {@link getPrompt}
+     * @returns {Promise<{securityClasses: string[], clientSideAuth: boolean}|false>}
+     */
+    async decideGrant(request, prompt) {
+      const evaluation = evaluateGrantRequest(policy, {
+        ...request,
+        canValidateDSK: request.dskKnown || !!prompt,
+      });
+      const details = {
+        requested: request.securityClasses,
+        allowed: evaluation.allowed,
+        reasons: evaluation.reasons,
+        mode: policy.mode,
+      };
+
+      if (evaluation.denied) {
+        console.warn(
+          `[Security] ❌ Denying all security classes for node ${request.nodeId}: ${evaluation.denied}`
+        );
+        audit({
+          actor: "policy",
+          action: "S2_GRANT",
+          nodeId: request.nodeId,
+          result: "denied",
+          details: { ...details, reason: evaluation.denied },
+        });
+        return false;
+      }
+
+      if (!prompt) {
+        const grant = {
+          securityClasses: evaluation.allowed,
+          clientSideAuth: evaluation.clientSideAuth,
+        };
+        console.log(
+          `[Security] ✅ Policy grants ${grant.securityClasses.join(", ") || "no security classes"} to node ${request.nodeId}`
+        );
+        audit({
+          actor: "policy",
+          action: "S2_GRANT",
+          nodeId: request.nodeId,
+          result: "granted",
+          details: { ...details, granted: grant.securityClasses },
+        });
+        return grant;
+      }
+
+      const controller = new AbortController();
+      const timeout = setTimeout(
+        () => controller.abort(),
+        policy.promptTimeoutSeconds * 1000
+      );
+      let answer, actor, reason;
+      try {
+        ({ answer, actor, reason } = await prompt.grantSecurityClasses(
+          {
+            nodeId: request.nodeId,
+            securityClasses: request.securityClasses,
+            allowedSecurityClasses: evaluation.allowed,
+            clientSideAuth: evaluation.clientSideAuth,
+            minimumSecurityClass: evaluation.minimumSecurityClass,
+            reasons: evaluation.reasons,
+          },
+          controller.signal
+        ));
+      } finally {
+        clearTimeout(timeout);
+      }
+
+      audit({
+        actor,
+        action: "S2_GRANT",
+        nodeId: request.nodeId,
+        result: answer ? "granted" : "denied",
+        details: {
+          ...details,
+          ...(answer && {
+            granted: answer.securityClasses,
+            clientSideAuth: answer.clientSideAuth,
+          }),
+          ...(reason && { reason }),
+        },
+      });
+      return answer;
+    },
+
+    /**
+     * Asks for the PIN of the DSK
+     * @param {string} dsk - The DSK without its first 5 digits
+     * @param {number} nodeId - The node being included
+     * @param {Object} [prompt] - From {@link getPrompt}
+     * @returns {Promise<string|false>}
+     */
+    async validateDSK(dsk, nodeId, prompt) {
+      if (!prompt) return false;
+      const { answer, actor, reason } = await prompt.validateDSKAndEnterPIN(
+        dsk
+      );
+      audit({
+        actor,
+        action: "S2_DSK_VALIDATION",
+        nodeId,
+        result: answer ? "confirmed" : "rejected",
+        ...(reason && { details: { reason } }),
+      });
+      return answer;
+    },
+  };
+}
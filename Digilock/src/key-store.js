@@ -0,0 +1,428 @@
+import crypto from "crypto";
+import { existsSync } from "fs";
+import { mkdir, readFile, readdir, rename, writeFile } from "fs/promises";
+import { dirname } from "path";
+import { ErrorCode, ProtocolError } from "./protocol.js";
+
+/** Security classes with a network key for standard Z-Wave */
+export const SECURITY_KEY_CLASSES = [
+  "S2_Unauthenticated",
+  "S2_Authenticated",
+  "S2_AccessControl",
+  "S0_Legacy",
+];
+
+/** Security classes with a network key for Z-Wave Long Range */
+export const LONG_RANGE_SECURITY_KEY_CLASSES = [
+  "S2_Authenticated",
+  "S2_AccessControl",
+];
+
+/** Environment variables to import existing keys from, by security class */
+const ENV_KEYS = {
+  S2_Unauthenticated: "ZWAVE_S2_UNAUTHENTICATED_KEY",
+  S2_Authenticated: "ZWAVE_S2_AUTHENTICATED_KEY",
+  S2_AccessControl: "ZWAVE_S2_ACCESS_CONTROL_KEY",
+  S0_Legacy: "ZWAVE_S0_LEGACY_KEY",
+};
+
+const ENV_KEYS_LONG_RANGE = {
+  S2_Authenticated: "ZWAVE_LR_S2_AUTHENTICATED_KEY",
+  S2_AccessControl: "ZWAVE_LR_S2_ACCESS_CONTROL_KEY",
+};
+
+const FILE_FORMAT_VERSION = 1;
+
+function generateKey() {
+  return crypto.randomBytes(16).toString("hex").toUpperCase();
+}
+
+function isValidKey(key) {
+  return typeof key === "string" && /^[0-9a-fA-F]{32}$/.test(key);
+}
+
+/**
+ * Encrypts a JSON-serializable value with AES-256-GCM. The encryption key is
+ * derived from the secret with scrypt and a random salt.
+ * @param {unknown} value - Value to encrypt
+ * @param {string} secret - Passphrase or master key
+ * @returns {Object} Envelope that can be stored as JSON
+ */
+function encrypt(value, secret) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = crypto.scryptSync(secret, salt, 32);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(value), "utf8"),
+    cipher.final(),
+  ]);
+  return {
+    version: FILE_FORMAT_VERSION,
+    cipher: "aes-256-gcm",
+    kdf: "scrypt",
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+/**
+ * Decrypts an envelope created by {@link encrypt}
+ * @throws {Error} If the secret is wrong or the data was tampered with
+ */
+function decrypt(envelope, secret) {
+  if (envelope.version !== FILE_FORMAT_VERSION) {
+    throw new Error(`Unsupported key store format version ${envelope.version}`);
+  }
+  const key = crypto.scryptSync(
+    secret,
+    Buffer.from(envelope.salt, "base64"),
+    32
+  );
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    key,
+    Buffer.from(envelope.iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+  try {
+    const data = Buffer.concat([
+      decipher.update(Buffer.from(envelope.data, "base64")),
+      decipher.final(),
+    ]);
+    return JSON.parse(data.toString("utf8"));
+  } catch {
+    throw new Error(
+      "Could not decrypt the key store: wrong passphrase or corrupted file"
+    );
+  }
+}
+
+/**
+ * Fills in the keys for the given classes, preferring existing ones.
+ * @returns {{keys: Object, generated: string[], imported: string[]}}
+ */
+function completeKeys(classes, envNames, existing = {}) {
+  const keys = {};
+  const generated = [];
+  const imported = [];
+  for (const securityClass of classes) {
+    const fromEnv = process.env[envNames[securityClass]];
+    if (existing[securityClass]) {
+      keys[securityClass] = existing[securityClass];
+    } else if (fromEnv) {
+      if (!isValidKey(fromEnv)) {
+        throw new Error(
+          `${envNames[securityClass]} must be 32 hex characters (16 bytes)`
+        );
+      }
+      keys[securityClass] = fromEnv.toUpperCase();
+      imported.push(securityClass);
+    } else {
+      keys[securityClass] = generateKey();
+      generated.push(securityClass);
+    }
+  }
+  return { keys, generated, imported };
+}
+
+/**
+ * Returns whether a driver cache directory holds a network, i.e. the
+ * `<homeId>.jsonl` file zwave-js writes for it
+ * @param {string} [cacheDir]
+ */
+async function hasNetworkCache(cacheDir) {
+  if (!cacheDir || !existsSync(cacheDir)) return false;
+  const files = await readdir(cacheDir);
+  return files.some((name) => /^[0-9a-f]{8}\.jsonl$/i.test(name));
+}
+
+/**
+ * Creates the store for the S0/S2 network keys and the Manufacturer
+ * Proprietary payload keys of locks (see mp-security.js).
+ *
+ * Keys are kept in an AES-256-GCM encrypted file. The encryption secret is the
+ * `DIGILOCK_KEYSTORE_PASSPHRASE` environment variable or, if that is not set,
+ * a random master key stored next to the key file.
+ * On first run, keys are imported from the `ZWAVE_*_KEY` environment variables
+ * where set (to keep an existing network working) and generated otherwise.
+ * Keys are never generated for a network that is already in the driver
+ * cache, since its nodes could no longer be reached securely.
+ * Once the file exists, the environment variables are ignored.
+ *
+ * Key material is never logged. Use {@link getSecurityKeys} to pass the keys
+ * to the driver and {@link getInfo} for anything user-facing.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path of the encrypted key file (default: ./store/security-keys.enc.json)
+ * @param {string} [options.masterKeyFile] - Path of the generated master key (default: ./store/keystore.key)
+ * @param {boolean} [options.importFromEnv] - Whether to import the `ZWAVE_*_KEY` environment variables on first run (default: true).
+ *   Only one network may use them, so the stores of further controllers generate all keys
+ * @param {string} [options.cacheDir] - Driver cache directory of the controller. If it
+ *   holds a network, the store is not created with generated keys
+ * @throws {Error} If keys would be generated for a network in `cacheDir`
+ */
+export async function createKeyStore(options = {}) {
+  const file = options.file || "./store/security-keys.enc.json";
+  const masterKeyFile = options.masterKeyFile || "./store/keystore.key";
+  const importFromEnv = options.importFromEnv ?? true;
+
+  async function getSecret() {
+    if (process.env.DIGILOCK_KEYSTORE_PASSPHRASE) {
+      return process.env.DIGILOCK_KEYSTORE_PASSPHRASE;
+    }
+    if (existsSync(masterKeyFile)) {
+      return (await readFile(masterKeyFile, "utf8")).trim();
+    }
+    console.warn(
+      `[KeyStore] ⚠️  DIGILOCK_KEYSTORE_PASSPHRASE is not set, generating a master key in ${masterKeyFile}. Protect this file or set a passphrase.`
+    );
+    const masterKey = crypto.randomBytes(32).toString("hex");
+    await mkdir(dirname(masterKeyFile), { recursive: true });
+    await writeFile(masterKeyFile, masterKey, { mode: 0o600 });
+    return masterKey;
+  }
+
+  const secret = await getSecret();
+  let state;
+
+  // Writes are chained so an older state never overwrites a newer one, and
+  // two writes never share the temporary file
+  let writes = Promise.resolve();
+
+  function persist() {
+    const data = JSON.stringify(encrypt(state, secret), null, 2);
+    writes = writes
+      .catch(() => {})
+      .then(async () => {
+        await mkdir(dirname(file), { recursive: true });
+        // Write to a temporary file first, so a crash can't leave us without keys
+        const tmpFile = `${file}.tmp`;
+        await writeFile(tmpFile, data, { mode: 0o600 });
+        await rename(tmpFile, file);
+      });
+    return writes;
+  }
+
+  if (existsSync(file)) {
+    state = decrypt(JSON.parse(await readFile(file, "utf8")), secret);
+    // Key files written before payload security have no payload keys
+    state.mpKeys ??= {};
+    const envKeysSet = [
+      ...Object.values(ENV_KEYS),
+      ...Object.values(ENV_KEYS_LONG_RANGE),
+    ].filter((name) => process.env[name]);
+    if (importFromEnv && envKeysSet.length > 0) {
+      console.warn(
+        `[KeyStore] ⚠️  Ignoring ${envKeysSet.join(", ")}: keys are loaded from ${file}`
+      );
+    }
+    console.log(`[KeyStore] ✅ Loaded security keys from ${file}`);
+  } else {
+    const standard = completeKeys(
+      SECURITY_KEY_CLASSES,
+      importFromEnv ? ENV_KEYS : {}
+    );
+    const longRange = completeKeys(
+      LONG_RANGE_SECURITY_KEY_CLASSES,
+      importFromEnv ? ENV_KEYS_LONG_RANGE : {}
+    );
+    if (
+      standard.generated.length + longRange.generated.length > 0 &&
+      (await hasNetworkCache(options.cacheDir))
+    ) {
+      const remedy = importFromEnv
+        ? `Set ${[
+            ...standard.generated.map((c) => ENV_KEYS[c]),
+            ...longRange.generated.map((c) => ENV_KEYS_LONG_RANGE[c]),
+          ].join(", ")} to the keys of the network`
+        : `Restore ${file} from a backup`;
+      throw new Error(
+        `${options.cacheDir} holds an existing network, but there are no keys for it in ${file}. ` +
+          `New keys would lock out its securely included nodes. ` +
+          `${remedy}, or delete ${options.cacheDir} to start a new network`
+      );
+    }
+    const now = new Date().toISOString();
+    state = {
+      securityKeys: standard.keys,
+      securityKeysLongRange: longRange.keys,
+      createdAt: now,
+      rotatedAt: null,
+      history: [],
+      mpKeys: {},
+    };
+    await persist();
+
+    const imported = [
+      ...standard.imported,
+      ...longRange.imported.map((c) => `LR ${c}`),
+    ];
+    const generated = [
+      ...standard.generated,
+      ...longRange.generated.map((c) => `LR ${c}`),
+    ];
+    if (imported.length > 0) {
+      console.log(
+        `[KeyStore] ✅ Imported security keys from environment: ${imported.join(", ")}`
+      );
+    }
+    if (generated.length > 0) {
+      console.log(
+        `[KeyStore] 🔑 Generated new security keys: ${generated.join(", ")}`
+      );
+    }
+    console.log(`[KeyStore] ✅ Security keys stored encrypted in ${file}`);
+  }
+
+  return {
+    /**
+     * Returns the current keys as hex strings, in the format expected by
+     * ZWaveProvisioningClient. Do not log the result.
+     */
+    getSecurityKeys() {
+      return {
+        securityKeys: { ...state.securityKeys },
+        securityKeysLongRange: { ...state.securityKeysLongRange },
+      };
+    },
+
+    /**
+     * Returns information about the stored keys without any key material
+     */
+    getInfo() {
+      return {
+        securityClasses: Object.keys(state.securityKeys),
+        longRangeSecurityClasses: Object.keys(state.securityKeysLongRange),
+        createdAt: state.createdAt,
+        rotatedAt: state.rotatedAt,
+        previousKeySets: state.history.length,
+        mpKeys: Object.keys(state.mpKeys).length,
+        encryptedWith: process.env.DIGILOCK_KEYSTORE_PASSPHRASE
+          ? "passphrase"
+          : "masterKeyFile",
+      };
+    },
+
+    /**
+     * Replaces keys with newly generated ones. The previous keys are kept in
+     * the (encrypted) history, so a backup still allows recovering nodes that
+     * were included with them.
+     *
+     * Nodes that were included with a rotated key can no longer communicate
+     * securely and must be excluded and included again.
+     *
+     * @param {Object} [options]
+     * @param {string[]} [options.securityClasses] - Standard classes to rotate (default: all)
+     * @param {string[]} [options.longRangeSecurityClasses] - Long Range classes to rotate (default: all)
+     * @returns {Promise<{rotated: string[], rotatedLongRange: string[], rotatedAt: string}>}
+     */
+    async rotate({
+      securityClasses = SECURITY_KEY_CLASSES,
+      longRangeSecurityClasses = LONG_RANGE_SECURITY_KEY_CLASSES,
+    } = {}) {
+      for (const securityClass of securityClasses) {
+        if (!SECURITY_KEY_CLASSES.includes(securityClass)) {
+          throw new ProtocolError(
+            ErrorCode.INVALID_PARAMETER,
+            `Unknown security class ${securityClass}`,
+            { field: "securityClasses" }
+          );
+        }
+      }
+      for (const securityClass of longRangeSecurityClasses) {
+        if (!LONG_RANGE_SECURITY_KEY_CLASSES.includes(securityClass)) {
+          throw new ProtocolError(
+            ErrorCode.INVALID_PARAMETER,
+            `Unknown Long Range security class ${securityClass}`,
+            { field: "longRangeSecurityClasses" }
+          );
+        }
+      }
+
+      const rotatedAt = new Date().toISOString();
+      state.history.push({
+        replacedAt: rotatedAt,
+        securityKeys: { ...state.securityKeys },
+        securityKeysLongRange: { ...state.securityKeysLongRange },
+      });
+      for (const securityClass of securityClasses) {
+        state.securityKeys[securityClass] = generateKey();
+      }
+      for (const securityClass of longRangeSecurityClasses) {
+        state.securityKeysLongRange[securityClass] = generateKey();
+      }
+      state.rotatedAt = rotatedAt;
+      await persist();
+
+      console.log(
+        `[KeyStore] 🔑 Rotated security keys: ${[
+          ...securityClasses,
+          ...longRangeSecurityClasses.map((c) => `LR ${c}`),
+        ].join(", ")}`
+      );
+      return {
+        rotated: [...securityClasses],
+        rotatedLongRange: [...longRangeSecurityClasses],
+        rotatedAt,
+      };
+    },
+
+    /**
+     * Returns the Manufacturer Proprietary payload key of a lock, see
+     * mp-security.js. Do not log the result.
+     * @param {string} dsk - DSK of the lock's provisioning entry
+     * @returns {{key: string, mode: string, createdAt: string}|null}
+     */
+    getMPKey(dsk) {
+      return state.mpKeys[dsk] ? { ...state.mpKeys[dsk] } : null;
+    },
+
+    /**
+     * Stores the Manufacturer Proprietary payload key of a lock, replacing
+     * the previous one
+     * @param {string} dsk - DSK of the lock's provisioning entry
+     * @param {{key: string, mode: string, createdAt: string}} entry - The key as hex string
+     */
+    async setMPKey(dsk, entry) {
+      state.mpKeys[dsk] = { ...entry };
+      await persist();
+    },
+
+    /**
+     * Deletes the Manufacturer Proprietary payload key of a lock
+     * @param {string} dsk - DSK of the lock's provisioning entry
+     * @returns {Promise<boolean>} Whether the lock had a key
+     */
+    async deleteMPKey(dsk) {
+      if (!state.mpKeys[dsk]) return false;
+      delete state.mpKeys[dsk];
+      await persist();
+      return true;
+    },
+
+    /**
+     * Exports all keys, including previous ones, encrypted with a separate
+     * backup passphrase. The result is safe to store outside this machine.
+     * @param {string} passphrase - Passphrase to encrypt the backup with (at least 12 characters)
+     * @returns {Object} Encrypted backup
+     */
+    exportBackup(passphrase) {
+      if (typeof passphrase !== "string" || passphrase.length < 12) {
+        throw new ProtocolError(
+          ErrorCode.INVALID_PARAMETER,
+          "The backup passphrase must be at least 12 characters long",
+          { field: "passphrase" }
+        );
+      }
+      console.log(`[KeyStore] 📦 Exporting encrypted key backup`);
+      return {
+        type: "digilock-security-keys-backup",
+        exportedAt: new Date().toISOString(),
+        ...encrypt(state, passphrase),
+      };
+    },
+  };
+}
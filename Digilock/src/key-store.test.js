@@ -0,0 +1,268 @@
+import crypto from "crypto";
+import { existsSync } from "fs";
+import { mkdir, mkdtemp, readFile, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { afterEach, beforeEach, test, vi } from "vitest";
+import { createKeyStore } from "./key-store.js";
+import { ErrorCode } from "./protocol.js";
+
+const ENV_KEYS = {
+  ZWAVE_S2_UNAUTHENTICATED_KEY: "11111111111111111111111111111111",
+  ZWAVE_S2_AUTHENTICATED_KEY: "22222222222222222222222222222222",
+  ZWAVE_S2_ACCESS_CONTROL_KEY: "33333333333333333333333333333333",
+  ZWAVE_S0_LEGACY_KEY: "44444444444444444444444444444444",
+  ZWAVE_LR_S2_AUTHENTICATED_KEY: "55555555555555555555555555555555",
+  ZWAVE_LR_S2_ACCESS_CONTROL_KEY: "66666666666666666666666666666666",
+};
+
+let dir;
+let file;
+let cacheDir;
+
+/** Creates a key store in the temporary directory */
+function create(options = {}) {
+  return createKeyStore({
+    file,
+    masterKeyFile: join(dir, "keystore.key"),
+    cacheDir,
+    ...options,
+  });
+}
+
+/** Puts a network into the driver cache, like zwave-js does */
+async function cacheNetwork() {
+  await mkdir(cacheDir, { recursive: true });
+  await writeFile(join(cacheDir, "e2f88b83.jsonl"), "");
+}
+
+beforeEach(async () => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+  vi.stubEnv("DIGILOCK_KEYSTORE_PASSPHRASE", "key-store-test-passphrase");
+  for (const name of Object.keys(ENV_KEYS)) vi.stubEnv(name, undefined);
+  dir = await mkdtemp(join(tmpdir(), "digilock-keys-"));
+  file = join(dir, "security-keys.enc.json");
+  cacheDir = join(dir, "cache");
+});
+
+afterEach(async () => {
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+  await rm(dir, { recursive: true, force: true });
+});
+
+test("refuses to generate keys for a network in the driver cache", async (t) => {
+  await cacheNetwork();
+  vi.stubEnv(
+    "ZWAVE_S2_ACCESS_CONTROL_KEY",
+    ENV_KEYS.ZWAVE_S2_ACCESS_CONTROL_KEY
+  );
+
+  await t
+    .expect(create())
+    .rejects.toThrow(
+      /holds an existing network.*Set ZWAVE_S2_UNAUTHENTICATED_KEY, ZWAVE_S2_AUTHENTICATED_KEY, ZWAVE_S0_LEGACY_KEY, ZWAVE_LR_S2_AUTHENTICATED_KEY, ZWAVE_LR_S2_ACCESS_CONTROL_KEY to the keys of the network/
+    );
+  t.expect(existsSync(file)).toBe(false);
+
+  // The stores of further controllers cannot import keys
+  await t
+    .expect(create({ importFromEnv: false }))
+    .rejects.toThrow(`Restore ${file} from a backup`);
+});
+
+test("imports the keys of a network in the driver cache", async (t) => {
+  await cacheNetwork();
+  for (const [name, key] of Object.entries(ENV_KEYS)) vi.stubEnv(name, key);
+
+  const keyStore = await create();
+
+  t.expect(keyStore.getSecurityKeys()).toEqual({
+    securityKeys: {
+      S2_Unauthenticated: ENV_KEYS.ZWAVE_S2_UNAUTHENTICATED_KEY,
+      S2_Authenticated: ENV_KEYS.ZWAVE_S2_AUTHENTICATED_KEY,
+      S2_AccessControl: ENV_KEYS.ZWAVE_S2_ACCESS_CONTROL_KEY,
+      S0_Legacy: ENV_KEYS.ZWAVE_S0_LEGACY_KEY,
+    },
+    securityKeysLongRange: {
+      S2_Authenticated: ENV_KEYS.ZWAVE_LR_S2_AUTHENTICATED_KEY,
+      S2_AccessControl: ENV_KEYS.ZWAVE_LR_S2_ACCESS_CONTROL_KEY,
+    },
+  });
+});
+
+test("generates keys for a new network", async (t) => {
+  // Other files in the cache, e.g. of the device configuration, are no network
+  await mkdir(cacheDir, { recursive: true });
+  await writeFile(join(cacheDir, "config.json"), "{}");
+
+  const keyStore = await create();
+
+  const { securityKeys } = keyStore.getSecurityKeys();
+  t.expect(Object.values(securityKeys)).toHaveLength(4);
+  for (const key of Object.values(securityKeys)) {
+    t.expect(key).toMatch(/^[0-9A-F]{32}$/);
+  }
+  // Later starts load the keys, also with a network in the cache
+  await cacheNetwork();
+  t.expect((await create()).getSecurityKeys()).toEqual(
+    keyStore.getSecurityKeys()
+  );
+});
+
+test("concurrent changes are all written", async (t) => {
+  const keyStore = await create();
+
+  await Promise.all([
+    keyStore.setMPKey("dsk-1", { key: "AA", mode: "aes-ccm" }),
+    keyStore.rotate({ securityClasses: ["S0_Legacy"] }),
+    keyStore.setMPKey("dsk-2", { key: "BB", mode: "aes-ccm" }),
+    keyStore.deleteMPKey("dsk-1"),
+  ]);
+
+  t.expect(existsSync(`${file}.tmp`)).toBe(false);
+  const reloaded = await create();
+  t.expect(reloaded.getSecurityKeys()).toEqual(keyStore.getSecurityKeys());
+  t.expect(reloaded.getMPKey("dsk-1")).toBeNull();
+  t.expect(reloaded.getMPKey("dsk-2")).toEqual({ key: "BB", mode: "aes-ccm" });
+  t.expect(reloaded.getInfo().previousKeySets).toBe(1);
+});
+
+test("encrypts the keys with the passphrase", async (t) => {
+  for (const [name, key] of Object.entries(ENV_KEYS)) vi.stubEnv(name, key);
+  const keyStore = await create();
+
+  const contents = await readFile(file, "utf8");
+  for (const key of Object.values(ENV_KEYS)) {
+    t.expect(contents).not.toContain(key);
+  }
+  t.expect(JSON.parse(contents)).toMatchObject({
+    cipher: "aes-256-gcm",
+    kdf: "scrypt",
+  });
+  t.expect(existsSync(join(dir, "keystore.key"))).toBe(false);
+
+  // Later starts need the same passphrase, not the environment keys
+  for (const name of Object.keys(ENV_KEYS)) vi.stubEnv(name, undefined);
+  t.expect((await create()).getSecurityKeys()).toEqual(
+    keyStore.getSecurityKeys()
+  );
+  vi.stubEnv("DIGILOCK_KEYSTORE_PASSPHRASE", "another-passphrase");
+  await t
+    .expect(create())
+    .rejects.toThrow(
+      "Could not decrypt the key store: wrong passphrase or corrupted file"
+    );
+});
+
+test("encrypts the keys with a generated master key without a passphrase", async (t) => {
+  vi.stubEnv("DIGILOCK_KEYSTORE_PASSPHRASE", undefined);
+  const keyStore = await create();
+
+  t.expect(keyStore.getInfo().encryptedWith).toBe("masterKeyFile");
+  t.expect(
+    (await readFile(join(dir, "keystore.key"), "utf8")).trim()
+  ).toMatch(/^[0-9a-f]{64}$/);
+  t.expect((await create()).getSecurityKeys()).toEqual(
+    keyStore.getSecurityKeys()
+  );
+});
+
+test("rotate() replaces the given keys and keeps the previous ones", async (t) => {
+  const keyStore = await create();
+  const before = keyStore.getSecurityKeys();
+
+  const result = await keyStore.rotate({
+    securityClasses: ["S2_AccessControl"],
+    longRangeSecurityClasses: [],
+  });
+
+  t.expect(result).toEqual({
+    rotated: ["S2_AccessControl"],
+    rotatedLongRange: [],
+    rotatedAt: t.expect.any(String),
+  });
+  const after = keyStore.getSecurityKeys();
+  t.expect(after.securityKeys.S2_AccessControl).not.toBe(
+    before.securityKeys.S2_AccessControl
+  );
+  t.expect(after.securityKeys.S0_Legacy).toBe(before.securityKeys.S0_Legacy);
+  t.expect(after.securityKeysLongRange).toEqual(before.securityKeysLongRange);
+  t.expect(keyStore.getInfo()).toMatchObject({
+    rotatedAt: result.rotatedAt,
+    previousKeySets: 1,
+  });
+  t.expect((await create()).getSecurityKeys()).toEqual(after);
+});
+
+test("rotate() rejects unknown security classes", async (t) => {
+  const keyStore = await create();
+  const before = keyStore.getSecurityKeys();
+
+  await t
+    .expect(keyStore.rotate({ securityClasses: ["S2_Everything"] }))
+    .rejects.toThrow(
+      t.expect.objectContaining({
+        code: ErrorCode.INVALID_PARAMETER,
+        details: { field: "securityClasses" },
+      })
+    );
+  await t
+    .expect(keyStore.rotate({ longRangeSecurityClasses: ["S0_Legacy"] }))
+    .rejects.toThrow(
+      t.expect.objectContaining({
+        code: ErrorCode.INVALID_PARAMETER,
+        details: { field: "longRangeSecurityClasses" },
+      })
+    );
+  t.expect(keyStore.getSecurityKeys()).toEqual(before);
+  t.expect(keyStore.getInfo().previousKeySets).toBe(0);
+});
+
+test("exportBackup() encrypts all keys with the backup passphrase", async (t) => {
+  const keyStore = await create();
+  const initial = keyStore.getSecurityKeys();
+  await keyStore.rotate();
+  await keyStore.setMPKey("dsk-1", { key: "AA", mode: "aes-ccm" });
+
+  t.expect(() => keyStore.exportBackup("too-short")).toThrow(
+    t.expect.objectContaining({
+      code: ErrorCode.INVALID_PARAMETER,
+      details: { field: "passphrase" },
+    })
+  );
+
+  const backup = keyStore.exportBackup("backup-passphrase");
+  t.expect(backup).toMatchObject({
+    type: "digilock-security-keys-backup",
+    cipher: "aes-256-gcm",
+    kdf: "scrypt",
+  });
+  t.expect(JSON.stringify(backup)).not.toContain(
+    initial.securityKeys.S2_AccessControl
+  );
+
+  // The backup can be restored without this application
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    crypto.scryptSync(
+      "backup-passphrase",
+      Buffer.from(backup.salt, "base64"),
+      32
+    ),
+    Buffer.from(backup.iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(backup.tag, "base64"));
+  const restored = JSON.parse(
+    Buffer.concat([
+      decipher.update(Buffer.from(backup.data, "base64")),
+      decipher.final(),
+    ]).toString("utf8")
+  );
+  t.expect(restored).toMatchObject({
+    ...keyStore.getSecurityKeys(),
+    mpKeys: { "dsk-1": { key: "AA", mode: "aes-ccm" } },
+    history: [initial],
+  });
+});
@@ -0,0 +1,132 @@
+import { createReadStream, existsSync } from "fs";
+import { appendFile, mkdir } from "fs/promises";
+import { dirname } from "path";
+import { createInterface } from "readline";
+import {
+  DEFAULT_QUERY_LIMIT,
+  MAX_QUERY_LIMIT,
+  toISOTimestamp,
+} from "./audit-log.js";
+
+function matches(entry, filter) {
+  if (filter.nodeId !== undefined && entry.nodeId !== filter.nodeId) {
+    return false;
+  }
+  if (filter.events && !filter.events.includes(entry.event)) return false;
+  if (filter.source !== undefined && entry.source !== filter.source) {
+    return false;
+  }
+  if (filter.userId !== undefined && entry.userId !== filter.userId) {
+    return false;
+  }
+  if (filter.from && entry.timestamp < filter.from) return false;
+  if (filter.to && entry.timestamp >= filter.to) return false;
+  return true;
+}
+
+/**
+ * Creates the lock event history. Every event a lock reports (locked,
+ * unlocked, jammed, tamper, ...) is one JSON line with the time, the node,
+ * the event, what caused it (`source`) and the user code slot, if any.
+ *
+ * Unlike the audit log, which records what was done through the API, this
+ * records what happened at the lock, including keypad and manual operations.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path of the history file (default: ./store/lock-events.jsonl)
+ */
+export async function createLockEventLog(options = {}) {
+  const file = options.file || "./store/lock-events.jsonl";
+  await mkdir(dirname(file), { recursive: true });
+
+  // Appends are chained so lines are written in the order they were recorded
+  let writes = Promise.resolve();
+
+  return {
+    file,
+
+    /**
+     * Appends an event to the history
+     * @param {Object} entry
+     * @param {number} entry.nodeId - The lock
+     * @param {string} entry.event - e.g. "unlocked" or "jammed"
+     * @param {string|null} entry.source - "manual", "rf", "keypad", "auto" or "cover"
+     * @param {number|null} entry.userId - User code slot of keypad operations
+     * @returns {Object} The entry with its timestamp. It is written in the
+     *   background; write errors are logged, never thrown
+     */
+    record(entry) {
+      const recorded = { timestamp: new Date().toISOString(), ...entry };
+      const line = JSON.stringify(recorded) + "\n";
+      writes = writes
+        .then(() => appendFile(file, line, { mode: 0o600 }))
+        .catch((error) => {
+          console.error(
+            `[LockEvents] ❌ Could not write to ${file}: ${error.message}`
+          );
+        });
+      return recorded;
+    },
+
+    /**
+     * Returns the events matching a filter, newest first
+     * @param {Object} [filter]
+     * @param {number} [filter.nodeId] - The lock
+     * @param {string|string[]} [filter.event] - One or more events
+     * @param {string} [filter.source] - What caused the event
+     * @param {number} [filter.userId] - User code slot
+     * @param {string} [filter.from] - Only events at or after this time
+     * @param {string} [filter.to] - Only events before this time
+     * @param {number} [filter.offset] - Number of matching events to skip (default: 0)
+     * @param {number} [filter.limit] - Maximum number of events (default: 100, max: 1000)
+     * @returns {Promise<{total: number, offset: number, limit: number, events: Object[]}>}
+     *   `total` is the number of matching events
+     */
+    async query(filter = {}) {
+      const offset = filter.offset ?? 0;
+      const limit = Math.min(
+        filter.limit ?? DEFAULT_QUERY_LIMIT,
+        MAX_QUERY_LIMIT
+      );
+      const criteria = {
+        nodeId: filter.nodeId,
+        events: filter.event === undefined ? undefined : [filter.event].flat(),
+        source: filter.source,
+        userId: filter.userId,
+        from: filter.from && toISOTimestamp(filter.from, "from"),
+        to: filter.to && toISOTimestamp(filter.to, "to"),
+      };
+
+      // Wait for pending appends, so a query sees everything recorded before it
+      await writes;
+      if (!existsSync(file)) {
+        return { total: 0, offset, limit, events: [] };
+      }
+
+      // Newest first: only the last offset + limit matches are needed
+      const window = [];
+      let total = 0;
+      const lines = createInterface({
+        input: createReadStream(file, "utf8"),
+        crlfDelay: Infinity,
+      });
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          // A line cut off by a crash
+          continue;
+        }
+        if (!matches(entry, criteria)) continue;
+        total++;
+        window.push(entry);
+        if (window.length > offset + limit) window.shift();
+      }
+
+      const events = window.reverse().slice(offset);
+      return { total, offset, limit, events };
+    },
+  };
+}
@@ -1,4 +1,21 @@
 import crypto from "crypto";
+import {
+  CommandClasses,
+  EncapsulationFlags,
+  SupervisionStatus,
+} from "../../packages/core/src/definitions/index.js";
+import { ManufacturerProprietaryCC } from "../../packages/cc/src/cc/ManufacturerProprietaryCC.js";
+import {
+  SupervisionCC,
+  SupervisionCCReport,
+} from "../../packages/cc/src/cc/SupervisionCC.js";
+import { Bytes } from "../../packages/shared/src/index.js";
+import { ErrorCode, ProtocolError } from "./protocol.js";
+import { createTransmitScheduler } from "./transmit-scheduler.js";
+import {
+  DEFAULT_PAYLOAD_LENGTH,
+  findProductProfile,
+} from "./product-profiles.js";
 
 /**
  * Generates a random 32-byte payload for testing.
@@ -10,6 +27,30 @@ export function generateRandom32BytePayload() {
   return payload;
 }
 
+/**
+ * Converts a hex string to a Buffer. The length is checked when sending, see
+ * {@link checkVendorPayloadLength}.
+ * @param {string} payloadHex - Hex string (with or without spaces)
+ * @returns {Buffer}
+ * @throws {ProtocolError} INVALID_PAYLOAD if it is not a whole number of hex bytes
+ */
+export function hexToBuffer(payloadHex) {
+  const normalized = payloadHex.replace(/\s+/g, "");
+  if (!/^[0-9a-fA-F]+$/.test(normalized)) {
+    throw new ProtocolError(
+      ErrorCode.INVALID_PAYLOAD,
+      "Payload must contain only hex characters 0-9, a-f"
+    );
+  }
+  if (normalized.length % 2 !== 0) {
+    throw new ProtocolError(
+      ErrorCode.INVALID_PAYLOAD,
+      "Payload must have an even number of hex characters"
+    );
+  }
+  return Buffer.from(normalized, "hex");
+}
+
 /**
  * Converts a hex string to a 32-byte Buffer, validating the length.
  * @param {string} payloadHex - Hex string (with or without spaces)
@@ -17,86 +58,356 @@ export function generateRandom32BytePayload() {
  * @throws {Error} If the hex string is invalid or doesn't decode to exactly 32 bytes
  */
 export function hexTo32ByteBuffer(payloadHex) {
-  const normalized = payloadHex.replace(/\s+/g, "");
-  if (!/^[0-9a-fA-F]+$/.test(normalized)) {
-    throw new Error("Payload must contain only hex characters 0-9, a-f");
-  }
-  const buf = Buffer.from(normalized, "hex");
+  const buf = hexToBuffer(payloadHex);
   if (buf.length !== 32) {
-    throw new Error(
-      `vendorPayload must be exactly 32 bytes, got ${buf.length}`
+    throw new ProtocolError(
+      ErrorCode.PAYLOAD_LENGTH,
+      `vendorPayload must be exactly 32 bytes, got ${buf.length}`,
+      { expected: 32, actual: buf.length }
     );
   }
   return buf;
 }
 
 /**
- * Returns the Manufacturer Proprietary CC API with Supervision enabled if possible.
+ * Returns the longest vendor payload that fits into a single frame to a node.
+ * It depends on the maximum payload size the controller reported
+ * (`getMaxPayloadSize`, or `getMaxPayloadSizeLongRange` for Long Range
+ * nodes) minus the encapsulation the frame gets: Security and Supervision.
+ * @param {import("../../packages/zwave-js/src/Driver.js").Driver} driver
  * @param {import("../../packages/zwave-js/src/Node.js").ZWaveNode} node
- * @param {number} nodeId
- * @param {(update: any) => void} onSupervisionUpdate
+ * @returns {number}
  */
-export function getManufacturerProprietaryAPI(
-  node,
-  nodeId,
-  onSupervisionUpdate
-) {
-  console.log(
-    `[MP API] Getting Manufacturer Proprietary API for node ${nodeId}...`
+export function getMaxVendorPayloadLength(driver, node) {
+  const cc = new ManufacturerProprietaryCC({
+    nodeId: node.id,
+    manufacturerId: node.manufacturerId ?? 0x0000,
+  });
+  cc.toggleEncapsulationFlag(
+    EncapsulationFlags.Security,
+    driver.isCCSecure(cc.ccId, node.id)
   );
+  // The MP API uses Supervision if the node supports it
+  cc.toggleEncapsulationFlag(
+    EncapsulationFlags.Supervision,
+    node.supportsCC(CommandClasses.Supervision)
+  );
+  // zwave-js counts a CC ID and a command byte, but the CC 0x91 header is the
+  // CC ID and the 2-byte manufacturer ID
+  return driver.computeNetCCPayloadSize(cc) - 1;
+}
 
-  const base = node.commandClasses["Manufacturer Proprietary"];
-  console.log(`[MP API] Base CC wrapper exists: ${base ? "Yes" : "No"}`);
+/**
+ * Returns the vendor payload lengths a node accepts: the range of its product
+ * profile, but no more than fits into a frame. Nodes without a profile accept
+ * exactly 32 bytes. With payload security, the range applies to the payload
+ * before it is secured, and the frame must also fit the security overhead.
+ * @param {import("../../packages/zwave-js/src/Driver.js").Driver} driver
+ * @param {import("../../packages/zwave-js/src/Node.js").ZWaveNode} node
+ * @param {Object[]} [productProfiles] - See loadProductProfiles
+ * @param {{mode: string, overhead: number}|null} [payloadSecurity] - The payload security of the node, if it has one
+ * @returns {{profile: string|null, security: string|null, minPayloadLength: number, maxPayloadLength: number, maxFramePayloadLength: number}}
+ */
+export function getVendorPayloadLimits(
+  driver,
+  node,
+  productProfiles = [],
+  payloadSecurity = null
+) {
+  const profile = findProductProfile(productProfiles, node);
+  const maxFramePayloadLength =
+    getMaxVendorPayloadLength(driver, node) - (payloadSecurity?.overhead ?? 0);
+  return {
+    profile: profile?.name ?? null,
+    security: payloadSecurity?.mode ?? null,
+    minPayloadLength: profile
+      ? profile.minPayloadLength
+      : DEFAULT_PAYLOAD_LENGTH,
+    maxPayloadLength: profile
+      ? Math.min(
+          profile.maxPayloadLength ?? maxFramePayloadLength,
+          maxFramePayloadLength
+        )
+      : DEFAULT_PAYLOAD_LENGTH,
+    maxFramePayloadLength,
+  };
+}
 
-  if (!base) {
-    console.log(`[MP API] ❌ No Manufacturer Proprietary CC wrapper found`);
-    return null;
+/**
+ * Checks the length of a vendor payload against the limits of its node
+ * @param {Buffer} vendorPayload
+ * @param {Object} limits - See {@link getVendorPayloadLimits}
+ * @throws {ProtocolError} PAYLOAD_TOO_LARGE if it does not fit into a frame,
+ *   PAYLOAD_LENGTH if it is outside the range of the product profile
+ */
+export function checkVendorPayloadLength(vendorPayload, limits) {
+  const actual = vendorPayload.length;
+  if (actual > limits.maxFramePayloadLength) {
+    throw new ProtocolError(
+      ErrorCode.PAYLOAD_TOO_LARGE,
+      `vendorPayload has ${actual} bytes, but a frame to this node can carry at most ${limits.maxFramePayloadLength}`,
+      { maximum: limits.maxFramePayloadLength, actual }
+    );
   }
+  if (actual < limits.minPayloadLength || actual > limits.maxPayloadLength) {
+    const expected =
+      limits.minPayloadLength === limits.maxPayloadLength
+        ? `exactly ${limits.minPayloadLength}`
+        : `${limits.minPayloadLength} to ${limits.maxPayloadLength}`;
+    throw new ProtocolError(
+      ErrorCode.PAYLOAD_LENGTH,
+      `vendorPayload must be ${expected} bytes, got ${actual}`,
+      {
+        profile: limits.profile,
+        minimum: limits.minPayloadLength,
+        maximum: limits.maxPayloadLength,
+        actual,
+      }
+    );
+  }
+}
 
-  console.log(`[MP API] Base CC wrapper type:`, base);
-  console.log(
-    `[MP API] Base has withOptions: ${
-      typeof base.withOptions === "function" ? "Yes" : "No"
-    }`
+/**
+ * Converts the opcode of a response expectation to bytes
+ * @param {number|number[]|Buffer|string} opcode - A byte, bytes or a hex string
+ * @returns {Buffer}
+ * @throws {ProtocolError} INVALID_PARAMETER if it is none of these
+ */
+function toOpcodeBytes(opcode) {
+  if (typeof opcode === "string") {
+    try {
+      return hexToBuffer(opcode);
+    } catch (error) {
+      throw new ProtocolError(
+        ErrorCode.INVALID_PARAMETER,
+        `expect.opcode: ${error.message}`,
+        { field: "expect.opcode" }
+      );
+    }
+  }
+  const bytes = typeof opcode === "number" ? [opcode] : opcode;
+  const isBytes =
+    Array.isArray(bytes) &&
+    bytes.length > 0 &&
+    bytes.every((byte) => Number.isInteger(byte) && byte >= 0 && byte <= 0xff);
+  if (isBytes || (Buffer.isBuffer(bytes) && bytes.length > 0)) {
+    return Buffer.from(bytes);
+  }
+  throw new ProtocolError(
+    ErrorCode.INVALID_PARAMETER,
+    "expect.opcode must be a byte, an array of bytes or a hex string",
+    { field: "expect.opcode" }
   );
+}
 
-  if (typeof base.withOptions === "function") {
-    console.log(`[MP API] ✅ Using withOptions to enable supervision`);
-    console.log(`[MP API]   - useSupervision: "auto"`);
-    console.log(`[MP API]   - requestStatusUpdates: true`);
-
-    const apiWithSupervision = base.withOptions({
-      useSupervision: "auto",
-      requestStatusUpdates: true,
-      onUpdate: (update) => {
-        onSupervisionUpdate?.(update);
-        if (update) {
-          console.log(
-            `📡 Supervision update for node ${nodeId}:`,
-            update.status ?? "unknown"
-          );
-        }
-      },
-    });
+/**
+ * Creates the function that tells whether a received Manufacturer
+ * Proprietary frame answers a request.
+ * @param {Function|Object} [expect] - A predicate that gets each received
+ *   frame (`{nodeId, manufacturerId, payload, payloadLength, endpointIndex}`),
+ *   or an object whose conditions must all hold:
+ *   - `opcode`: the payload starts with this byte, these bytes or hex string
+ *   - `sequenceOffset`: the payload has the same byte at this offset as the
+ *     request payload, e.g. a sequence number
+ *   Frames must have the manufacturer ID of the request unless a predicate is
+ *   given. Without `expect`, the next such frame matches.
+ * @param {{manufacturerId: number, payload: Buffer}} request - The sent frame
+ * @returns {(frame: Object) => boolean}
+ * @throws {ProtocolError} INVALID_PARAMETER if expect is invalid
+ */
+export function createResponseMatcher(expect, request) {
+  if (typeof expect === "function") {
+    return expect;
+  }
+  if (expect !== undefined && (expect === null || typeof expect !== "object")) {
+    throw new ProtocolError(
+      ErrorCode.INVALID_PARAMETER,
+      "expect must be a function or an object",
+      { field: "expect" }
+    );
+  }
+  const opcode =
+    expect?.opcode !== undefined ? toOpcodeBytes(expect.opcode) : null;
+  const sequenceOffset = expect?.sequenceOffset;
+  if (
+    sequenceOffset !== undefined &&
+    (!Number.isInteger(sequenceOffset) ||
+      sequenceOffset < 0 ||
+      sequenceOffset >= request.payload.length)
+  ) {
+    throw new ProtocolError(
+      ErrorCode.INVALID_PARAMETER,
+      `expect.sequenceOffset must be an offset into the ${request.payload.length}-byte payload`,
+      { field: "expect.sequenceOffset" }
+    );
+  }
+
+  return (frame) => {
+    const payload = frame.payload ?? [];
+    if (frame.manufacturerId !== request.manufacturerId) return false;
+    if (
+      opcode &&
+      (payload.length < opcode.length ||
+        !opcode.every((byte, i) => payload[i] === byte))
+    ) {
+      return false;
+    }
+    if (
+      sequenceOffset !== undefined &&
+      payload[sequenceOffset] !== request.payload[sequenceOffset]
+    ) {
+      return false;
+    }
+    return true;
+  };
+}
+
+/**
+ * How much longer than the duration it reported a node may take to finish a
+ * supervised frame before it counts as timed out
+ */
+const SUPERVISION_GRACE_MS = 5000;
+
+/** How long a node may work on a frame if it reported an unknown duration */
+const UNKNOWN_DURATION_MS = 60000;
+
+/**
+ * Converts a Supervision report to the status of a sent frame
+ * @param {{status: number, duration?: Object}} report - A SupervisionCCReport
+ * @returns {{status: string, remainingDuration?: number|null}} For Working,
+ *   `remainingDuration` is in ms, or null if the node did not know it
+ */
+function toSendStatus(report) {
+  const status = SupervisionStatus[report.status] ?? "Fail";
+  if (report.status !== SupervisionStatus.Working) {
+    return { status };
+  }
+  return {
+    status,
+    remainingDuration: report.duration?.toMilliseconds() ?? null,
+  };
+}
+
+/**
+ * Waits for the final Supervision reports of a frame the node is working on
+ * @param {import("../../packages/zwave-js/src/Driver.js").Driver} driver
+ * @param {number} nodeId
+ * @param {number} sessionId
+ * @param {number|null} remainingDuration - ms, as reported by the node
+ * @param {(update: {status: string, remainingDuration?: number|null}) => void} onProgress
+ */
+async function followSupervisionSession(
+  driver,
+  nodeId,
+  sessionId,
+  remainingDuration,
+  onProgress
+) {
+  for (;;) {
+    const timeout =
+      (remainingDuration ?? UNKNOWN_DURATION_MS) + SUPERVISION_GRACE_MS;
+    let report;
+    try {
+      report = await driver.waitForCommand(
+        (cc) =>
+          cc instanceof SupervisionCCReport &&
+          cc.nodeId === nodeId &&
+          cc.sessionId === sessionId,
+        timeout
+      );
+    } catch {
+      console.log(
+        `[MP Send] ⏱️  Node ${nodeId} did not finish Supervision session ${sessionId} within ${timeout}ms`
+      );
+      onProgress({ status: "Timeout" });
+      return;
+    }
+    const update = toSendStatus(report);
+    console.log(`📡 Supervision update for node ${nodeId}: ${update.status}`);
+    onProgress(update);
+    if (update.status !== "Working" || !report.moreUpdatesFollow) return;
+    remainingDuration = update.remainingDuration;
+  }
+}
 
-    console.log(`[MP API] ✅ Created API with supervision support`);
-    return apiWithSupervision;
+/**
+ * Sends a Manufacturer Proprietary frame, supervised if the node supports
+ * Supervision CC. The CC API cannot do this: zwave-js does not supervise
+ * CC 0x91 and `sendData` does not return the result.
+ *
+ * If the node reports Working, this returns right away and `onProgress` is
+ * called with every later status, the last time with Success, Fail or
+ * Timeout (no final report within the reported duration plus a grace period).
+ *
+ * @param {import("../../packages/zwave-js/src/Driver.js").Driver} driver
+ * @param {import("../../packages/zwave-js/src/Node.js").ZWaveNode} node
+ * @param {number} manufacturerId - The 2-byte manufacturer ID
+ * @param {Buffer} payload - The vendor payload as it goes on air
+ * @param {(update: {status: string, remainingDuration?: number|null}) => void} [onProgress]
+ * @returns {Promise<{status: string, remainingDuration?: number|null, supervised: boolean}>}
+ *   Success, Working, Fail, NoSupport or Timeout (no Supervision report).
+ *   Unsupervised frames are Success once the node acknowledged them
+ */
+export async function sendSupervisedData(
+  driver,
+  node,
+  manufacturerId,
+  payload,
+  onProgress
+) {
+  if (!node.supportsCC(CommandClasses.Supervision)) {
+    await node.commandClasses["Manufacturer Proprietary"].sendData(
+      manufacturerId,
+      payload
+    );
+    return { status: "Success", supervised: false };
   }
 
-  console.log(
-    `[MP API] ⚠️  Base API does not support withOptions, using base API`
+  const cc = new ManufacturerProprietaryCC({ nodeId: node.id, manufacturerId });
+  cc.payload = Bytes.view(payload);
+  cc.toggleEncapsulationFlag(
+    EncapsulationFlags.Security,
+    driver.isCCSecure(cc.ccId, node.id)
+  );
+  const sessionId = driver.getNextSupervisionSessionId(node.id);
+  const report = await driver.sendCommand(
+    SupervisionCC.encapsulate(cc, sessionId, true)
   );
-  return base;
+  if (!report) {
+    return { status: "Timeout", supervised: true };
+  }
+
+  const sent = { ...toSendStatus(report), supervised: true };
+  if (sent.status === "Working" && report.moreUpdatesFollow) {
+    followSupervisionSession(
+      driver,
+      node.id,
+      sessionId,
+      sent.remainingDuration,
+      (update) => onProgress?.(update)
+    ).catch((error) => {
+      console.warn(
+        `[MP Send] Supervision session ${sessionId} of node ${node.id} failed: ${error.message}`
+      );
+    });
+  }
+  return sent;
 }
 
 /**
  * Creates Manufacturer Proprietary sending functions that work with a Z-Wave driver.
- * @param {Object} context - Context object with driver, driverReady, waitForDriverReady, and forceManufacturerProprietarySupport
+ * @param {Object} context - Context object with driver, driverReady, waitForDriverReady, forceManufacturerProprietarySupport, productProfiles, payloadSecurity (returns the payload security of a node ID, or null) and transmitScheduler (paces and retries the frames, see createTransmitScheduler)
  * @returns {Object} Object containing sendManufacturerProprietaryRandom and sendManufacturerProprietaryCustom functions
  */
 export function createManufacturerProprietarySender(context) {
-  const { driver, waitForDriverReady, forceManufacturerProprietarySupport } =
-    context;
+  const {
+    driver,
+    waitForDriverReady,
+    forceManufacturerProprietarySupport,
+    productProfiles = [],
+    payloadSecurity = () => null,
+    transmitScheduler = createTransmitScheduler(),
+  } = context;
 
   // Helper to get current driverReady state
   const getDriverReady = () => {
@@ -112,6 +423,45 @@ export function createManufacturerProprietarySender(context) {
     return context.driverReady || false;
   };
 
+  /**
+   * Sends one frame, see sendSupervisedData. Errors are left to the transmit
+   * scheduler, which decides whether to retry.
+   */
+  async function sendFrame(
+    node,
+    manufacturerId,
+    frame,
+    frameNumber,
+    onProgress
+  ) {
+    console.log(
+      `[MP Send] Sending frame (${manufacturerId}, <${frame.length} bytes>)...`
+    );
+    const startTime = Date.now();
+    try {
+      const sent = await sendSupervisedData(
+        driver,
+        node,
+        manufacturerId,
+        frame,
+        onProgress && ((update) => onProgress({ frameNumber, ...update }))
+      );
+      const duration = Date.now() - startTime;
+      console.log(`[MP Send] ✅ Frame #${frameNumber} sent in ${duration}ms`);
+      console.log(
+        `[MP Send]   Status: ${sent.status}${
+          sent.supervised ? "" : " (unsupervised)"
+        }`
+      );
+      return sent;
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      console.log(`[MP Send] ❌ Frame failed after ${duration}ms`);
+      console.log(`[MP Send]   Error: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Sends a Manufacturer Proprietary (CC 0x91) command with a random 32-byte payload.
    * This is useful for testing.
@@ -119,12 +469,17 @@ export function createManufacturerProprietarySender(context) {
    * @param {number} nodeId - The target node ID (default: 2)
    * @param {number} manufacturerId - The 2-byte manufacturer ID (default: 0x0000 for Silicon Labs)
    * @param {number} count - Number of frames to send (default: 5)
-   * @returns {Promise<Object>} Result object with details
+   * @param {Function} onProgress - Called with `{frameNumber, status, remainingDuration?}` when a frame the node is working on finishes, see sendSupervisedData (optional)
+   * @returns {Promise<Object>} Result object with details. Each of its
+   *   `results` has the frame's status, see sendSupervisedData
+   * @throws {ProtocolError} PAYLOAD_TOO_LARGE or PAYLOAD_LENGTH if 32 bytes
+   *   are outside the node's payload limits, see checkVendorPayloadLength
    */
   async function sendManufacturerProprietaryRandom({
     nodeId = 2,
     manufacturerId = 0x0000,
     count = 5,
+    onProgress,
   } = {}) {
     console.log(
       `\n[MP Send] ========== Starting Manufacturer Proprietary Send (Random) ==========`
@@ -139,7 +494,7 @@ export function createManufacturerProprietarySender(context) {
     console.log(`[MP Send] Step 1: Checking driver...`);
     if (!driver) {
       console.log(`[MP Send] ❌ Driver not started`);
-      throw new Error("Driver not started");
+      throw new ProtocolError(ErrorCode.DRIVER_NOT_READY, "Driver not started");
     }
     console.log(`[MP Send] ✅ Driver exists`);
 
@@ -162,7 +517,7 @@ export function createManufacturerProprietarySender(context) {
     const node = driver.controller.nodes.get(nodeId);
     if (!node) {
       console.log(`[MP Send] ❌ Node ${nodeId} not found in controller`);
-      throw new Error(`Node ${nodeId} not found`);
+      throw new ProtocolError(ErrorCode.NODE_NOT_FOUND, `Node ${nodeId} not found`);
     }
     console.log(`[MP Send] ✅ Node ${nodeId} found`);
     console.log(`[MP Send]   - Node status: ${node.status}`);
@@ -173,10 +528,32 @@ export function createManufacturerProprietarySender(context) {
     console.log(`[MP Send] Step 4: Checking node readiness...`);
     if (!node.ready) {
       console.log(`[MP Send] ❌ Node ${nodeId} is not ready yet`);
-      throw new Error(`Node ${nodeId} is not ready yet`);
+      throw new ProtocolError(
+        ErrorCode.NODE_NOT_READY,
+        `Node ${nodeId} is not ready yet`
+      );
     }
     console.log(`[MP Send] ✅ Node ${nodeId} is ready`);
 
+    // The random payloads have to fit the limits of the node like any other
+    const security = payloadSecurity(nodeId);
+    const limits = getVendorPayloadLimits(
+      driver,
+      node,
+      productProfiles,
+      security
+    );
+    console.log(
+      `[MP Send]   Payload limits: ${limits.minPayloadLength}-${limits.maxPayloadLength} bytes (profile: ${limits.profile ?? "none"}, frame: ${limits.maxFramePayloadLength})`
+    );
+    try {
+      checkVendorPayloadLength(Buffer.alloc(32), limits);
+    } catch (error) {
+      console.log(`[MP Send] ❌ ${error.message}`);
+      throw error;
+    }
+    console.log(`[MP Send] ✅ Payload length is within the limits`);
+
     // Step 5: Force CC support
     console.log(
       `[MP Send] Step 5: Forcing Manufacturer Proprietary CC support...`
@@ -201,7 +578,8 @@ export function createManufacturerProprietarySender(context) {
     const ccMP = node.commandClasses["Manufacturer Proprietary"];
     if (!ccMP) {
       console.log(`[MP Send] ❌ Failed to get Manufacturer Proprietary CC API`);
-      throw new Error(
+      throw new ProtocolError(
+        ErrorCode.CC_NOT_SUPPORTED,
         `Node ${nodeId} does not expose Manufacturer Proprietary CC (0x91)`
       );
     }
@@ -224,78 +602,75 @@ export function createManufacturerProprietarySender(context) {
         .padStart(4, "0")})`
     );
 
-    const results = [];
-    for (let i = 0; i < count; i++) {
-      console.log(`\n[MP Send] --- Frame #${i + 1} of ${count} ---`);
-
-      // Generate payload
-      console.log(`[MP Send] Generating random 32-byte payload...`);
-      const vendorPayload = generateRandom32BytePayload();
-      console.log(
-        `[MP Send] ✅ Generated payload: ${vendorPayload.length} bytes`
-      );
-      console.log(`[MP Send]   Payload hex: ${vendorPayload.toString("hex")}`);
-
-      // Send via high-level API
-      console.log(
-        `[MP Send] Calling ccMP.sendData(${manufacturerId}, <${vendorPayload.length} bytes>)...`
-      );
-      const startTime = Date.now();
-      try {
-        const result = await ccMP.sendData(manufacturerId, vendorPayload);
-        const duration = Date.now() - startTime;
-        console.log(`[MP Send] ✅ sendData() completed in ${duration}ms`);
-        console.log(
-          `[MP Send]   Result: ${
-            result !== undefined ? JSON.stringify(result) : "undefined"
-          }`
-        );
-        console.log(
-          `[MP Send] ✅ Manufacturer Proprietary frame #${
-            i + 1
-          } sent, sendData() result:`,
-          result
+    // Random payloads are generated once per frame, so retries resend the
+    // same frame
+    const payloads = [];
+    const { results, sent, failed } = await transmitScheduler.sendFrames(
+      nodeId,
+      count,
+      async (frameNumber) => {
+        console.log(`\n[MP Send] --- Frame #${frameNumber} of ${count} ---`);
+        if (!payloads[frameNumber]) {
+          const vendorPayload = generateRandom32BytePayload();
+          console.log(
+            `[MP Send] ✅ Generated payload: ${vendorPayload.length} bytes`
+          );
+          console.log(
+            `[MP Send]   Payload hex: ${vendorPayload.toString("hex")}`
+          );
+          payloads[frameNumber] = {
+            vendorPayload,
+            frame: security
+              ? await security.protect(manufacturerId, vendorPayload)
+              : vendorPayload,
+          };
+        }
+        const { vendorPayload, frame } = payloads[frameNumber];
+        const frameSent = await sendFrame(
+          node,
+          manufacturerId,
+          frame,
+          frameNumber,
+          onProgress
         );
-
-        results.push({
-          frameNumber: i + 1,
+        return {
           payloadHex: vendorPayload.toString("hex"),
-          result,
-        });
-      } catch (error) {
-        const duration = Date.now() - startTime;
-        console.log(`[MP Send] ❌ sendData() failed after ${duration}ms`);
-        console.log(`[MP Send]   Error: ${error.message}`);
-        console.log(`[MP Send]   Stack: ${error.stack}`);
-        throw error;
+          ...frameSent,
+        };
       }
-    }
+    );
 
     console.log(
       `\n[MP Send] ========== Finished sending Manufacturer Proprietary commands ==========`
     );
+    console.log(`[MP Send] ${sent} of ${count} frame(s) sent, ${failed} failed`);
     return {
       nodeId,
       manufacturerId,
       count,
+      sent,
+      failed,
       results,
     };
   }
 
   /**
-   * Sends a Manufacturer Proprietary (CC 0x91) command with a custom 32-byte payload.
+   * Sends a Manufacturer Proprietary (CC 0x91) command with a custom payload.
    *
    * @param {number} nodeId - The target node ID (default: 2)
-   * @param {Buffer} vendorPayload - The 32-byte vendor payload (must be exactly 32 bytes)
+   * @param {Buffer} vendorPayload - The vendor payload. Its length must be within the node's product profile (32 bytes without one), see getVendorPayloadLimits
    * @param {number} manufacturerId - The 2-byte manufacturer ID (default: 0x0000 for Silicon Labs)
    * @param {number} count - Number of frames to send (default: 1, max: 100)
-   * @returns {Promise<Object>} Result object with details
+   * @param {Function} onProgress - Called with `{frameNumber, status, remainingDuration?}` when a frame the node is working on finishes, see sendSupervisedData (optional)
+   * @returns {Promise<Object>} Result object with details. Each of its
+   *   `results` has the frame's status, see sendSupervisedData
    */
   async function sendManufacturerProprietaryCustom({
     nodeId = 2,
     vendorPayload,
     manufacturerId = 0x0000,
     count = 1,
+    onProgress,
   }) {
     console.log(
       `\n[MP Send] ========== Starting Manufacturer Proprietary Send (Custom) ==========`
@@ -310,7 +685,7 @@ export function createManufacturerProprietarySender(context) {
     console.log(`[MP Send] Step 1: Checking driver...`);
     if (!driver) {
       console.log(`[MP Send] ❌ Driver not started`);
-      throw new Error("Driver not started");
+      throw new ProtocolError(ErrorCode.DRIVER_NOT_READY, "Driver not started");
     }
     console.log(`[MP Send] ✅ Driver exists`);
 
@@ -334,20 +709,13 @@ export function createManufacturerProprietarySender(context) {
       console.log(
         `[MP Send] ❌ vendorPayload is not a Buffer (type: ${typeof vendorPayload})`
       );
-      throw new Error("vendorPayload must be a Buffer");
+      throw new ProtocolError(
+        ErrorCode.INVALID_PAYLOAD,
+        "vendorPayload must be a Buffer"
+      );
     }
     console.log(`[MP Send] ✅ vendorPayload is a Buffer`);
     console.log(`[MP Send]   Payload length: ${vendorPayload.length} bytes`);
-
-    if (vendorPayload.length !== 32) {
-      console.log(
-        `[MP Send] ❌ Payload length mismatch: expected 32, got ${vendorPayload.length}`
-      );
-      throw new Error(
-        `vendorPayload must be exactly 32 bytes, got ${vendorPayload.length}`
-      );
-    }
-    console.log(`[MP Send] ✅ Payload length is correct (32 bytes)`);
     const payloadHex = vendorPayload.toString("hex");
     console.log(`[MP Send]   Payload hex: ${payloadHex}`);
 
@@ -356,7 +724,7 @@ export function createManufacturerProprietarySender(context) {
     const node = driver.controller.nodes.get(nodeId);
     if (!node) {
       console.log(`[MP Send] ❌ Node ${nodeId} not found in controller`);
-      throw new Error(`Node ${nodeId} not found`);
+      throw new ProtocolError(ErrorCode.NODE_NOT_FOUND, `Node ${nodeId} not found`);
     }
     console.log(`[MP Send] ✅ Node ${nodeId} found`);
     console.log(`[MP Send]   - Node status: ${node.status}`);
@@ -367,10 +735,32 @@ export function createManufacturerProprietarySender(context) {
     console.log(`[MP Send] Step 5: Checking node readiness...`);
     if (!node.ready) {
       console.log(`[MP Send] ❌ Node ${nodeId} is not ready yet`);
-      throw new Error(`Node ${nodeId} is not ready yet`);
+      throw new ProtocolError(
+        ErrorCode.NODE_NOT_READY,
+        `Node ${nodeId} is not ready yet`
+      );
     }
     console.log(`[MP Send] ✅ Node ${nodeId} is ready`);
 
+    // The allowed length depends on the node's product profile and security
+    const security = payloadSecurity(nodeId);
+    const limits = getVendorPayloadLimits(
+      driver,
+      node,
+      productProfiles,
+      security
+    );
+    console.log(
+      `[MP Send]   Payload limits: ${limits.minPayloadLength}-${limits.maxPayloadLength} bytes (profile: ${limits.profile ?? "none"}, frame: ${limits.maxFramePayloadLength})`
+    );
+    try {
+      checkVendorPayloadLength(vendorPayload, limits);
+    } catch (error) {
+      console.log(`[MP Send] ❌ ${error.message}`);
+      throw error;
+    }
+    console.log(`[MP Send] ✅ Payload length is within the limits`);
+
     // Step 6: Force CC support
     console.log(
       `[MP Send] Step 6: Forcing Manufacturer Proprietary CC support...`
@@ -395,7 +785,8 @@ export function createManufacturerProprietarySender(context) {
     const ccMP = node.commandClasses["Manufacturer Proprietary"];
     if (!ccMP) {
       console.log(`[MP Send] ❌ Failed to get Manufacturer Proprietary CC API`);
-      throw new Error(
+      throw new ProtocolError(
+        ErrorCode.CC_NOT_SUPPORTED,
         `Node ${nodeId} does not expose Manufacturer Proprietary CC (0x91)`
       );
     }
@@ -425,64 +816,47 @@ export function createManufacturerProprietarySender(context) {
     console.log(
       `[MP Send] ✅ Node ${nodeId} found, sending CUSTOM Manufacturer Proprietary payload ${count} time(s)…`
     );
-    console.log(`[MP Send]   • Vendor payload (32 bytes): ${payloadHex}`);
+    console.log(
+      `[MP Send]   • Vendor payload (${vendorPayload.length} bytes): ${payloadHex}`
+    );
     console.log(
       `[MP Send]   • Manufacturer ID: ${manufacturerId} (0x${manufacturerId
         .toString(16)
         .padStart(4, "0")})`
     );
 
-    const results = [];
-    for (let i = 0; i < count; i++) {
-      console.log(`\n[MP Send] --- Frame #${i + 1} of ${count} ---`);
-      console.log(
-        `[MP Send] ➡️  Custom MP frame #${
-          i + 1
-        }: sending 32-byte payload via sendData()`
-      );
-
-      // Send via high-level API
-      console.log(
-        `[MP Send] Calling ccMP.sendData(${manufacturerId}, <${vendorPayload.length} bytes>)...`
-      );
-      const startTime = Date.now();
-      try {
-        const result = await ccMP.sendData(manufacturerId, vendorPayload);
-        const duration = Date.now() - startTime;
-        console.log(`[MP Send] ✅ sendData() completed in ${duration}ms`);
-        console.log(
-          `[MP Send]   Result: ${
-            result !== undefined ? JSON.stringify(result) : "undefined"
-          }`
-        );
-        console.log(
-          `[MP Send] ✅ Custom Manufacturer Proprietary frame #${
-            i + 1
-          } sent, sendData() result:`,
-          result
+    // Secured once per frame, so retries resend the same frame. If the first
+    // attempt arrived after all, the lock drops the retry as a replay
+    const frames = [];
+    const { results, sent, failed } = await transmitScheduler.sendFrames(
+      nodeId,
+      count,
+      async (frameNumber) => {
+        console.log(`\n[MP Send] --- Frame #${frameNumber} of ${count} ---`);
+        frames[frameNumber] ??= security
+          ? await security.protect(manufacturerId, vendorPayload)
+          : vendorPayload;
+        return sendFrame(
+          node,
+          manufacturerId,
+          frames[frameNumber],
+          frameNumber,
+          onProgress
         );
-
-        results.push({
-          frameNumber: i + 1,
-          result,
-        });
-      } catch (error) {
-        const duration = Date.now() - startTime;
-        console.log(`[MP Send] ❌ sendData() failed after ${duration}ms`);
-        console.log(`[MP Send]   Error: ${error.message}`);
-        console.log(`[MP Send]   Stack: ${error.stack}`);
-        throw error;
       }
-    }
+    );
 
     console.log(
       `\n[MP Send] ========== Finished sending CUSTOM Manufacturer Proprietary commands ==========`
     );
+    console.log(`[MP Send] ${sent} of ${count} frame(s) sent, ${failed} failed`);
     return {
       nodeId,
       count,
       vendorPayloadHex: payloadHex,
       manufacturerId,
+      sent,
+      failed,
       results,
     };
   }
@@ -0,0 +1,86 @@
+import { test } from "vitest";
+import { createResponseMatcher } from "./manufacturer-proprietary.js";
+import { ErrorCode } from "./protocol.js";
+
+/** A request with a sequence number in its second byte */
+const REQUEST = {
+  manufacturerId: 0x0129,
+  payload: Buffer.from([0x01, 0x07, 0xaa, 0xbb]),
+};
+
+/** Returns a received frame with the given payload */
+function frame(payload, manufacturerId = REQUEST.manufacturerId) {
+  return {
+    nodeId: 5,
+    manufacturerId,
+    payload: Buffer.from(payload),
+    payloadLength: payload.length,
+    endpointIndex: 0,
+  };
+}
+
+test("without expect, the next frame with the manufacturer ID matches", (t) => {
+  const matches = createResponseMatcher(undefined, REQUEST);
+
+  t.expect(matches(frame([0x55]))).toBe(true);
+  t.expect(matches(frame([]))).toBe(true);
+  t.expect(matches(frame([0x55], 0x0000))).toBe(false);
+});
+
+test("a predicate decides alone, also about the manufacturer ID", (t) => {
+  const predicate = (received) => received.payload[0] === 0x55;
+
+  const matches = createResponseMatcher(predicate, REQUEST);
+
+  t.expect(matches).toBe(predicate);
+  t.expect(matches(frame([0x55], 0x0000))).toBe(true);
+});
+
+test("matches the opcode given as byte, bytes or hex string", (t) => {
+  for (const opcode of [0x81, [0x81], "81", Buffer.from([0x81])]) {
+    const matches = createResponseMatcher({ opcode }, REQUEST);
+
+    t.expect(matches(frame([0x81, 0x07]))).toBe(true);
+    t.expect(matches(frame([0x82, 0x07]))).toBe(false);
+    t.expect(matches(frame([]))).toBe(false);
+  }
+
+  const matches = createResponseMatcher({ opcode: "81 07" }, REQUEST);
+  t.expect(matches(frame([0x81, 0x07, 0x00]))).toBe(true);
+  t.expect(matches(frame([0x81]))).toBe(false);
+});
+
+test("matches the sequence number of the request", (t) => {
+  const matches = createResponseMatcher(
+    { opcode: 0x81, sequenceOffset: 1 },
+    REQUEST
+  );
+
+  t.expect(matches(frame([0x81, 0x07]))).toBe(true);
+  t.expect(matches(frame([0x81, 0x08]))).toBe(false);
+  // A reply too short to hold the sequence number
+  t.expect(matches(frame([0x81]))).toBe(false);
+  t.expect(matches(frame([0x81, 0x07], 0x0000))).toBe(false);
+});
+
+test("rejects invalid expectations", (t) => {
+  for (const [expect, field] of [
+    [null, "expect"],
+    ["81", "expect"],
+    [{ opcode: "8" }, "expect.opcode"],
+    [{ opcode: "zz" }, "expect.opcode"],
+    [{ opcode: [] }, "expect.opcode"],
+    [{ opcode: [0x100] }, "expect.opcode"],
+    [{ opcode: 1.5 }, "expect.opcode"],
+    [{ sequenceOffset: -1 }, "expect.sequenceOffset"],
+    [{ sequenceOffset: 4 }, "expect.sequenceOffset"],
+    [{ sequenceOffset: "1" }, "expect.sequenceOffset"],
+  ]) {
+    t.expect(() => createResponseMatcher(expect, REQUEST)).toThrow(
+      t.expect.objectContaining({
+        code: ErrorCode.INVALID_PARAMETER,
+        details: { field },
+      })
+    );
+  }
+});
@@ -0,0 +1,471 @@
+import { readFileSync } from "fs";
+import { setTimeout as wait } from "timers/promises";
+import { MockPort } from "../../packages/serial/src/index_mock.js";
+import {
+  AddNodeStatus,
+  AddNodeToNetworkRequest,
+  AddNodeToNetworkRequestStatusReport,
+  AddNodeType,
+  ApplicationUpdateRequestSmartStartHomeIDReceived,
+  FunctionType,
+} from "../../packages/serial/src/index.js";
+import { MockController, MockNode } from "../../packages/testing/src/index.js";
+import {
+  CommandClasses,
+  SecurityClass,
+  dskFromString,
+  dskToString,
+  encodeCCList,
+  encodeNodeID,
+  nwiHomeIdFromDSK,
+} from "../../packages/core/src/index.js";
+import { Bytes } from "../../packages/shared/src/index.js";
+import { ManufacturerProprietaryCC } from "../../packages/cc/src/cc/ManufacturerProprietaryCC.js";
+import {
+  createDefaultMockControllerBehaviors,
+  createDefaultMockNodeBehaviors,
+} from "../../packages/zwave-js/src/Testing.js";
+import {
+  MockControllerInclusionState,
+  MockControllerStateKeys,
+} from "../../packages/zwave-js/src/lib/controller/MockControllerState.js";
+
+/**
+ * Port value that selects the simulated controller instead of a serial port.
+ * Both `mock` and `mock://` (optionally followed by anything) are accepted.
+ */
+export const MOCK_PORT = "mock://";
+
+/** Home ID used by the simulated controller */
+const MOCK_HOME_ID = 0x7e570001;
+
+/** Key under which the last SmartStart NWI Home ID requested by the host is stored in the mock controller state */
+const SMART_START_NWI_HOME_ID = "digilock.smartStartNwiHomeId";
+
+/**
+ * Default set of simulated locks: one lock that is already part of the
+ * network and one that is waiting to be included via SmartStart.
+ * The fingerprint matches the Silicon Labs dev board device config, so
+ * CC 0x91 is treated exactly like on the real hardware.
+ */
+const DEFAULT_MOCK_LOCKS = [
+  { nodeId: 2, name: "Mock Lock 2", included: true },
+  {
+    nodeId: 3,
+    name: "Mock Lock 3",
+    included: false,
+    securityClasses: ["S2_AccessControl"],
+  },
+];
+
+/**
+ * Checks whether a port string selects the simulated controller
+ * @param {string} port - The configured port
+ * @returns {boolean}
+ */
+export function isMockPort(port) {
+  return (
+    typeof port === "string" && (port === "mock" || port.startsWith(MOCK_PORT))
+  );
+}
+
+/**
+ * Loads the simulated lock definitions.
+ * `ZWAVE_MOCK_LOCKS` may point to a JSON file containing an array of lock
+ * definitions. Without it, the default set of locks is used.
+ * @returns {Array<Object>} Lock definitions
+ */
+export function loadMockLockConfig() {
+  const configPath = process.env.ZWAVE_MOCK_LOCKS;
+  if (!configPath) {
+    return DEFAULT_MOCK_LOCKS;
+  }
+
+  const locks = JSON.parse(readFileSync(configPath, "utf8"));
+  if (!Array.isArray(locks)) {
+    throw new Error(
+      `ZWAVE_MOCK_LOCKS must point to a JSON array of lock definitions`
+    );
+  }
+  return locks;
+}
+
+/**
+ * Normalizes a lock definition and fills in the defaults
+ * @param {Object} lock - Lock definition from the config
+ * @returns {Object} Normalized lock definition
+ */
+function normalizeLockDefinition(lock) {
+  const nodeId = Number(lock.nodeId);
+  if (!Number.isInteger(nodeId) || nodeId < 2 || nodeId > 232) {
+    throw new Error(
+      `Invalid mock lock nodeId ${lock.nodeId}: must be between 2 and 232`
+    );
+  }
+
+  const securityClasses = (lock.securityClasses || []).map((name) => {
+    const securityClass = SecurityClass[name];
+    if (typeof securityClass !== "number" || securityClass < 0) {
+      throw new Error(`Invalid security class ${name} for mock lock ${nodeId}`);
+    }
+    return securityClass;
+  });
+
+  return {
+    nodeId,
+    name: lock.name || `Mock Lock ${nodeId}`,
+    included: lock.included !== false,
+    manufacturerId: lock.manufacturerId ?? 0x0000,
+    productType: lock.productType ?? 0x0004,
+    productId: lock.productId ?? 0x0004,
+    securityClasses,
+  };
+}
+
+/**
+ * Returns the DSK of a simulated lock. The driver takes the DSK from the
+ * first 16 bytes of the public key, `MockNode.dsk` is off by one byte.
+ * @param {MockNode} mockNode
+ * @returns {string}
+ */
+function getDSK(mockNode) {
+  return dskToString(mockNode.ecdhKeyPair.publicKey.subarray(0, 16));
+}
+
+/**
+ * Builds the MockNode capabilities for a simulated lock
+ * @param {Object} lock - Normalized lock definition
+ */
+function getLockCapabilities(lock) {
+  const commandClasses = [
+    CommandClasses["Z-Wave Plus Info"],
+    CommandClasses["Manufacturer Specific"],
+    CommandClasses.Version,
+    CommandClasses["Manufacturer Proprietary"],
+    // Version 1, because the mock behaviors of zwave-js cannot clear codes
+    // with the Extended User Code Set of version 2
+    { ccId: CommandClasses["User Code"], version: 1, numUsers: 10 },
+    {
+      ccId: CommandClasses["Schedule Entry Lock"],
+      version: 3,
+      numWeekDaySlots: 2,
+      numYearDaySlots: 2,
+      numDailyRepeatingSlots: 2,
+    },
+  ];
+  // SmartStart always bootstraps S2, so pending locks must speak it
+  if (!lock.included || lock.securityClasses.length > 0) {
+    commandClasses.push(CommandClasses["Security 2"]);
+  }
+
+  return {
+    // Routing End Node / Entry Control / Secure Keypad Door Lock
+    basicDeviceClass: 0x04,
+    genericDeviceClass: 0x40,
+    specificDeviceClass: 0x03,
+    manufacturerId: lock.manufacturerId,
+    productType: lock.productType,
+    productId: lock.productId,
+    commandClasses,
+    securityClasses: new Set(lock.securityClasses),
+  };
+}
+
+/**
+ * Simulated locks answer every Manufacturer Proprietary frame with a frame
+ * for the same manufacturer ID. The reply echoes the request payload with
+ * bit 7 of the first byte set, so clients can tell requests and replies apart.
+ */
+const respondToManufacturerProprietary = {
+  handleCC(controller, self, receivedCC) {
+    if (!(receivedCC instanceof ManufacturerProprietaryCC)) return;
+
+    const reply = Buffer.from(receivedCC.payload ?? []);
+    if (reply.length > 0) {
+      reply[0] |= 0x80;
+    }
+    console.log(
+      `[Mock] 🔒 Lock ${self.id} received MP frame (${reply.length} bytes), replying`
+    );
+
+    const cc = new ManufacturerProprietaryCC({
+      nodeId: controller.ownNodeId,
+      manufacturerId: receivedCC.manufacturerId,
+      payload: reply,
+    });
+    return { action: "sendCC", cc };
+  },
+};
+
+/**
+ * Creates the simulated Z-Wave network. The returned binding factory and
+ * testing hooks are passed to the zwave-js Driver in place of a serial port.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} [options.locks] - Simulated lock definitions (default: {@link loadMockLockConfig})
+ * @param {Object} [options.securityKeys] - Network keys (Buffers) shared with the driver
+ * @param {number} [options.announceIntervalMs] - How often pending locks send SmartStart inclusion requests (default: 5000)
+ */
+export function createMockNetwork({
+  locks = loadMockLockConfig(),
+  securityKeys = {},
+  announceIntervalMs = 5000,
+} = {}) {
+  const lockDefinitions = locks.map(normalizeLockDefinition);
+  const mockPort = new MockPort();
+
+  let mockController = null;
+  let announceTimer = null;
+  // Mock nodes by node ID, including the ones not yet part of the network
+  const mockNodes = new Map();
+
+  /** Sends a SmartStart inclusion request for a lock that is not included yet */
+  async function announceSmartStart(mockNode) {
+    const supportedCCs = [...mockNode.implementedCCs]
+      .filter(([, info]) => info.isSupported)
+      .map(([cc]) => cc);
+    const ccList = encodeCCList(supportedCCs, []);
+
+    const msg = new ApplicationUpdateRequestSmartStartHomeIDReceived({
+      remoteNodeId: 0,
+      nwiHomeId: nwiHomeIdFromDSK(dskFromString(getDSK(mockNode))),
+      basicDeviceClass: mockNode.capabilities.basicDeviceClass,
+      genericDeviceClass: mockNode.capabilities.genericDeviceClass,
+      specificDeviceClass: mockNode.capabilities.specificDeviceClass,
+      supportedCCs,
+    });
+    // This message is normally only received, so we have to encode it ourselves
+    msg.payload = Bytes.concat([
+      encodeNodeID(0),
+      Bytes.from([0x00]), // rxStatus
+      msg.nwiHomeId,
+      Bytes.from([
+        ccList.length,
+        msg.basicDeviceClass,
+        msg.genericDeviceClass,
+        msg.specificDeviceClass,
+      ]),
+      ccList,
+    ]);
+    await mockController.sendMessageToHost(msg);
+  }
+
+  async function announcePendingLocks() {
+    if (!mockController) return;
+    const inclusionState = mockController.state.get(
+      MockControllerStateKeys.InclusionState
+    );
+    if (
+      inclusionState !== undefined &&
+      inclusionState !== MockControllerInclusionState.Idle
+    ) {
+      return;
+    }
+    for (const mockNode of mockNodes.values()) {
+      if (mockController.nodes.has(mockNode.id)) continue;
+      try {
+        await announceSmartStart(mockNode);
+      } catch (error) {
+        console.warn(
+          `[Mock] Failed to announce SmartStart lock ${mockNode.id}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  /** Simulates the protocol part of a SmartStart inclusion for a pending lock */
+  async function includeSmartStartLock(mockNode, callbackId) {
+    const nodeInfo = {
+      nodeId: mockNode.id,
+      basicDeviceClass: mockNode.capabilities.basicDeviceClass,
+      genericDeviceClass: mockNode.capabilities.genericDeviceClass,
+      specificDeviceClass: mockNode.capabilities.specificDeviceClass,
+      supportedCCs: [...mockNode.implementedCCs]
+        .filter(([, info]) => info.isSupported && info.version > 0)
+        .map(([cc]) => cc),
+    };
+
+    await wait(10);
+    await mockController.sendMessageToHost(
+      new AddNodeToNetworkRequestStatusReport({
+        callbackId,
+        status: AddNodeStatus.NodeFound,
+      })
+    );
+    await wait(10);
+    await mockController.sendMessageToHost(
+      new AddNodeToNetworkRequestStatusReport({
+        callbackId,
+        status: AddNodeStatus.AddingSlave,
+        nodeInfo,
+      })
+    );
+    await wait(10);
+    mockController.addNode(mockNode);
+    await mockController.sendMessageToHost(
+      new AddNodeToNetworkRequestStatusReport({
+        callbackId,
+        status: AddNodeStatus.ProtocolDone,
+      })
+    );
+    console.log(`[Mock] ✅ Lock ${mockNode.id} joined via SmartStart`);
+  }
+
+  /**
+   * The default mock controller behaviors only know classic inclusion.
+   * This adds SmartStart listening mode and DSK-based inclusion on top.
+   */
+  const handleSmartStart = {
+    onHostData(controller, data) {
+      // Remember the NWI Home ID, it is not part of the parsed message
+      if (
+        data.length >= 10 &&
+        data[3] === FunctionType.AddNodeToNetwork &&
+        (data[4] & 0b1111) === AddNodeType.SmartStartDSK
+      ) {
+        controller.state.set(
+          SMART_START_NWI_HOME_ID,
+          Buffer.from(data.subarray(6, 10)).toString("hex")
+        );
+      }
+      return false;
+    },
+
+    async onHostMessage(controller, msg) {
+      if (!(msg instanceof AddNodeToNetworkRequest)) return;
+      const inclusionState =
+        controller.state.get(MockControllerStateKeys.InclusionState) ??
+        MockControllerInclusionState.Idle;
+
+      if (msg.addNodeType === AddNodeType.SmartStartListen) {
+        // Listening mode does not change the inclusion state and has no callback
+        return true;
+      }
+
+      if (
+        msg.addNodeType === AddNodeType.Stop &&
+        inclusionState === MockControllerInclusionState.Idle
+      ) {
+        // Leaving SmartStart listening mode
+        return true;
+      }
+
+      if (msg.addNodeType !== AddNodeType.SmartStartDSK) return;
+
+      const nwiHomeId = controller.state.get(SMART_START_NWI_HOME_ID);
+      const mockNode = [...mockNodes.values()].find(
+        (node) =>
+          !controller.nodes.has(node.id) &&
+          Buffer.from(nwiHomeIdFromDSK(dskFromString(getDSK(node)))).toString(
+            "hex"
+          ) === nwiHomeId
+      );
+
+      if (!mockNode || inclusionState !== MockControllerInclusionState.Idle) {
+        await controller.sendMessageToHost(
+          new AddNodeToNetworkRequestStatusReport({
+            callbackId: msg.callbackId,
+            status: AddNodeStatus.Failed,
+          })
+        );
+        return true;
+      }
+
+      controller.state.set(
+        MockControllerStateKeys.InclusionState,
+        MockControllerInclusionState.AddingNode
+      );
+      // The default behavior answers the final Stop with this node ID
+      controller.nodePendingInclusion = { id: mockNode.id };
+
+      await controller.sendMessageToHost(
+        new AddNodeToNetworkRequestStatusReport({
+          callbackId: msg.callbackId,
+          status: AddNodeStatus.Ready,
+        })
+      );
+      void includeSmartStartLock(mockNode, msg.callbackId).catch((error) => {
+        console.error(
+          `[Mock] ❌ SmartStart inclusion of lock ${mockNode.id} failed:`,
+          error
+        );
+      });
+      return true;
+    },
+  };
+
+  /** Creates the mock controller and locks once the driver opened the port */
+  async function onSerialPortOpen(serial) {
+    mockController = await MockController.create({
+      homeId: MOCK_HOME_ID,
+      ownNodeId: 1,
+      mockPort,
+      serial,
+      securityKeys,
+    });
+    // Behaviors defined later take precedence, so SmartStart must come last
+    mockController.defineBehavior(...createDefaultMockControllerBehaviors());
+    mockController.defineBehavior(handleSmartStart);
+
+    for (const lock of lockDefinitions) {
+      const mockNode = await MockNode.create({
+        id: lock.nodeId,
+        controller: mockController,
+        capabilities: getLockCapabilities(lock),
+      });
+      mockNode.defineBehavior(
+        ...createDefaultMockNodeBehaviors(),
+        respondToManufacturerProprietary
+      );
+      mockNodes.set(lock.nodeId, mockNode);
+
+      if (lock.included) {
+        mockController.addNode(mockNode);
+        console.log(`[Mock] 🔒 Lock ${lock.nodeId} is part of the network`);
+      } else {
+        console.log(
+          `[Mock] 🔒 Lock ${lock.nodeId} awaiting SmartStart inclusion, DSK: ${getDSK(mockNode)}`
+        );
+      }
+    }
+
+    announceTimer = setInterval(() => {
+      void announcePendingLocks();
+    }, announceIntervalMs);
+  }
+
+  return {
+    bindingFactory: mockPort.factory(),
+    testingHooks: {
+      onSerialPortOpen,
+      // The mock controller does not implement the bootloader checks
+      skipFirmwareIdentification: true,
+    },
+
+    /**
+     * Returns the simulated locks and whether they are part of the network
+     * @returns {Array<Object>}
+     */
+    getLocks() {
+      return lockDefinitions.map((lock) => {
+        const mockNode = mockNodes.get(lock.nodeId);
+        return {
+          nodeId: lock.nodeId,
+          name: lock.name,
+          dsk: mockNode ? getDSK(mockNode) : null,
+          included: !!mockController?.nodes.has(lock.nodeId),
+        };
+      });
+    },
+
+    /** Stops announcing and tears down the mock controller */
+    destroy() {
+      clearInterval(announceTimer);
+      announceTimer = null;
+      mockController?.destroy();
+      mockController = null;
+      mockPort.destroy?.();
+    },
+  };
+}
@@ -5,19 +5,17 @@ import { ensureCustomDeviceConfig } from "../device-config.js";
 import { ZWaveLock } from "./ZWaveLock.js";
 
 /**
- * ZWaveController - Singleton wrapper around z-wave-js Driver
- * Manages the Z-Wave network state and driver lifecycle
+ * ZWaveController - Wrapper around z-wave-js Driver
+ * Manages the Z-Wave network state and driver lifecycle.
+ * There is one instance per serial port, see {@link ZWaveController.getInstance}
  */
 export class ZWaveController extends EventEmitter {
-  static instance = null;
+  /** Instances by serial port */
+  static instances = new Map();
 
   constructor(port, options = {}) {
     super();
 
-    if (ZWaveController.instance) {
-      return ZWaveController.instance;
-    }
-
     this.port = port;
     this.driver = null;
     this.driverReady = false;
@@ -40,8 +38,6 @@ export class ZWaveController extends EventEmitter {
 
     this.securityKeys = securityKeysBuffers;
     this.securityKeysLongRange = securityKeysLongRangeBuffers;
-
-    ZWaveController.instance = this;
   }
 
   /**
@@ -290,6 +286,9 @@ export class ZWaveController extends EventEmitter {
         this.driverReady = false;
         this.controller = null;
         this.nodes.clear();
+        if (ZWaveController.instances.get(this.port) === this) {
+          ZWaveController.instances.delete(this.port);
+        }
         console.log("Driver stopped");
         this.emit("stopped");
       } catch (error) {
@@ -445,6 +444,7 @@ export class ZWaveController extends EventEmitter {
       console.log(
         `[ZWaveController] Node ${node.id} removed from network${reason ? ` (reason: ${reason})` : ""}`
       );
+      this.nodes.get(node.id)?.destroy();
       this.nodes.delete(node.id);
       this.emit("node removed", node, reason);
     });
@@ -489,23 +489,26 @@ export class ZWaveController extends EventEmitter {
       this.emit("node ready", node);
     });
 
-    node.on("value added", (args) => {
+    // zwave-js passes the node first, the changed value second
+    node.on("value added", (_node, args) => {
       this.emit("node value added", { nodeId: node.id, ...args });
     });
 
-    node.on("value updated", (args) => {
+    node.on("value updated", (_node, args) => {
       this.emit("node value updated", { nodeId: node.id, ...args });
     });
 
-    node.on("value removed", (args) => {
+    node.on("value removed", (_node, args) => {
       this.emit("node value removed", { nodeId: node.id, ...args });
     });
 
-    node.on("notification", (notificationLabel, parameters) => {
+    // Notification CC passes type, event, their labels and the parameters in args
+    node.on("notification", (endpoint, ccId, args) => {
       this.emit("node notification", {
         nodeId: node.id,
-        notificationLabel,
-        parameters,
+        commandClass: ccId,
+        notificationLabel: args.eventLabel ?? args.label,
+        parameters: args.parameters,
       });
     });
   }
@@ -572,6 +575,7 @@ export class ZWaveController extends EventEmitter {
     // Create ZWaveLock instance for this node
     const lock = new ZWaveLock(node, {
       deviceConfigDir: this.options.deviceConfigPriorityDir,
+      driver: this.driver,
       onSupervisionUpdate: (update) => {
         // Forward supervision updates to controller events
         this.emit("supervisionUpdate", {
@@ -590,6 +594,16 @@ export class ZWaveController extends EventEmitter {
       this.emit("commandClassCommand", data);
     });
 
+    lock.on("lockStateChanged", (state) => {
+      this.emit("lockStateChanged", { nodeId: node.id, state });
+    });
+    lock.on("batteryChanged", (battery) => {
+      this.emit("batteryChanged", { nodeId: node.id, battery });
+    });
+    lock.on("lockEvent", (lockEvent) => {
+      this.emit("lockEvent", { nodeId: node.id, ...lockEvent });
+    });
+
     // Store ZWaveLock instance in the nodes map
     this.nodes.set(node.id, lock);
     console.log(
@@ -861,6 +875,14 @@ export class ZWaveController extends EventEmitter {
       });
     });
 
+    this.on("lockEvent", (lockEvent) => {
+      broadcast({
+        type: "LOCK_EVENT",
+        ...lockEvent,
+        timestamp: new Date().toISOString(),
+      });
+    });
+
     this.on("inclusion started", (strategy) => {
       broadcast({
         type: "INCLUSION_STARTED",
@@ -965,12 +987,15 @@ export class ZWaveController extends EventEmitter {
   }
 
   /**
-   * Static method to get the singleton instance
+   * Returns the instance for a serial port, creating it on first use.
+   * Controllers on different ports are independent networks
    */
   static getInstance(port, options) {
-    if (!ZWaveController.instance) {
-      ZWaveController.instance = new ZWaveController(port, options);
+    let instance = ZWaveController.instances.get(port);
+    if (!instance) {
+      instance = new ZWaveController(port, options);
+      ZWaveController.instances.set(port, instance);
     }
-    return ZWaveController.instance;
+    return instance;
   }
 }
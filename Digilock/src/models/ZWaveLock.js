@@ -1,12 +1,329 @@
 import { EventEmitter } from "events";
-import { NodeStatus } from "../../../packages/core/src/definitions/index.js";
+import {
+  CommandClasses,
+  NodeStatus,
+  SupervisionStatus,
+  supervisedCommandFailed,
+} from "../../../packages/core/src/definitions/index.js";
 import { ManufacturerProprietaryCC } from "../../../packages/cc/src/cc/ManufacturerProprietaryCC.js";
+import { DoorLockCCValues } from "../../../packages/cc/src/cc/DoorLockCC.js";
+import { UserCodeCCValues } from "../../../packages/cc/src/cc/UserCodeCC.js";
+import { ScheduleEntryLockCCValues } from "../../../packages/cc/src/cc/ScheduleEntryLockCC.js";
+import { BatteryCCValues } from "../../../packages/cc/src/cc/BatteryCC.js";
+import { WakeUpCCValues } from "../../../packages/cc/src/cc/WakeUpCC.js";
+import {
+  BatteryChargingStatus,
+  BatteryReplacementStatus,
+  DoorLockMode,
+  DoorLockOperationType,
+  KeypadMode,
+  ScheduleEntryLockScheduleKind,
+  ScheduleEntryLockWeekday,
+  UserIDStatus,
+} from "../../../packages/cc/src/lib/_Types.js";
 import {
+  checkVendorPayloadLength,
+  createResponseMatcher,
   generateRandom32BytePayload,
-  hexTo32ByteBuffer,
-  getManufacturerProprietaryAPI,
+  getVendorPayloadLimits,
+  hexToBuffer,
+  sendSupervisedData,
 } from "../manufacturer-proprietary.js";
 import { createDeviceConfigForNode } from "../device-config.js";
+import { ErrorCode, ProtocolError, toProtocolError } from "../protocol.js";
+import { createTransmitScheduler } from "../transmit-scheduler.js";
+
+/** How long requestMP waits for a reply by default */
+const DEFAULT_RESPONSE_TIMEOUT_MS = 5000;
+
+/** Battery CC values that make up the battery state */
+const BATTERY_VALUES = {
+  level: BatteryCCValues.level,
+  chargingStatus: BatteryCCValues.chargingStatus,
+  rechargeOrReplace: BatteryCCValues.rechargeOrReplace,
+};
+
+/** Door Lock CC values that make up the lock state */
+const LOCK_STATE_VALUES = {
+  currentMode: DoorLockCCValues.currentMode,
+  targetMode: DoorLockCCValues.targetMode,
+  duration: DoorLockCCValues.duration,
+  outsideHandlesCanOpenDoor: DoorLockCCValues.outsideHandlesCanOpenDoor,
+  insideHandlesCanOpenDoor: DoorLockCCValues.insideHandlesCanOpenDoor,
+  latchStatus: DoorLockCCValues.latchStatus,
+  boltStatus: DoorLockCCValues.boltStatus,
+  doorStatus: DoorLockCCValues.doorStatus,
+  lockTimeout: DoorLockCCValues.lockTimeout,
+};
+
+/** Notification types that carry lock events, by their name in Notification CC values */
+const NOTIFICATION_TYPES = {
+  "Access Control": 0x06,
+  "Home Security": 0x07,
+};
+
+/**
+ * Notifications that are lock events, by notification type and event. Lock
+ * jammed and the removed cover are reported as states, everything else as
+ * events. `source` is what caused the event.
+ */
+const LOCK_EVENTS = {
+  [NOTIFICATION_TYPES["Access Control"]]: {
+    0x01: { event: "locked", source: "manual" },
+    0x02: { event: "unlocked", source: "manual" },
+    0x03: { event: "locked", source: "rf" },
+    0x04: { event: "unlocked", source: "rf" },
+    0x05: { event: "locked", source: "keypad" },
+    0x06: { event: "unlocked", source: "keypad" },
+    0x07: { event: "notFullyLocked", source: "manual" },
+    0x08: { event: "notFullyLocked", source: "rf" },
+    0x09: { event: "locked", source: "auto" },
+    0x0a: { event: "notFullyLocked", source: "auto" },
+    0x0b: { event: "jammed", source: null },
+    // Too many wrong codes entered on the keypad
+    0x13: { event: "tamper", source: "keypad" },
+    0x21: { event: "locked", source: "keypad" },
+    0x22: { event: "unlocked", source: "keypad" },
+  },
+  [NOTIFICATION_TYPES["Home Security"]]: {
+    0x03: { event: "tamper", source: "cover" },
+    0x04: { event: "tamper", source: "keypad" },
+  },
+};
+
+/** Handles that can open the door when the configuration does not say otherwise */
+const ALL_HANDLES = [true, true, true, true];
+
+/** User ID statuses a user code can be set to. Available means cleared. */
+export const USER_CODE_STATUSES = [
+  "Enabled",
+  "Disabled",
+  "Messaging",
+  "PassageMode",
+];
+
+/**
+ * Hides a user or admin code in logs, audit entries and broadcasts. The mask
+ * has a fixed length, so it does not reveal the length of the code either.
+ * @param {string|Uint8Array|undefined} code
+ * @returns {string|null} "****", or null if there is no code
+ */
+export function maskUserCode(code) {
+  return code ? "****" : null;
+}
+
+/**
+ * User codes are strings, except for codes with non-ASCII bytes, which
+ * zwave-js keeps as bytes. Those are returned as hex.
+ */
+function toUserCodeString(code) {
+  if (code === undefined || code === null) return null;
+  return typeof code === "string" ? code : Buffer.from(code).toString("hex");
+}
+
+/** Schedule kinds of the Schedule Entry Lock CC with their API methods */
+const SCHEDULE_KINDS = {
+  WeekDay: {
+    numSlots: ScheduleEntryLockCCValues.numWeekDaySlots,
+    get: "getWeekDaySchedule",
+    set: "setWeekDaySchedule",
+  },
+  YearDay: {
+    numSlots: ScheduleEntryLockCCValues.numYearDaySlots,
+    get: "getYearDaySchedule",
+    set: "setYearDaySchedule",
+  },
+  DailyRepeating: {
+    numSlots: ScheduleEntryLockCCValues.numDailyRepeatingSlots,
+    get: "getDailyRepeatingSchedule",
+    set: "setDailyRepeatingSchedule",
+  },
+};
+
+/** Date and time in the lock's local time, e.g. "2024-06-01T10:00" */
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/;
+
+function invalidSchedule(message, field) {
+  return new ProtocolError(ErrorCode.INVALID_PARAMETER, message, {
+    field: `schedule.${field}`,
+  });
+}
+
+function requireFields(schedule, fields) {
+  for (const field of fields) {
+    if (schedule[field] === undefined) {
+      throw invalidSchedule(`${field} is required`, field);
+    }
+  }
+}
+
+function toWeekday(name, field) {
+  const weekday = ScheduleEntryLockWeekday[name];
+  if (typeof weekday !== "number") {
+    throw invalidSchedule(`Unknown weekday ${name}`, field);
+  }
+  return weekday;
+}
+
+function toDateParts(value, field) {
+  const match = LOCAL_DATE_TIME.exec(value);
+  if (!match) {
+    throw invalidSchedule(`${field} must look like 2024-06-01T10:00`, field);
+  }
+  const [year, month, day, hour, minute] = match.slice(1).map(Number);
+  return { year, month, day, hour, minute };
+}
+
+function formatDateParts(year, month, day, hour, minute) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}`;
+}
+
+/**
+ * Converts a schedule of the WebSocket API to the format of zwave-js, which
+ * uses numbers for weekdays and separate fields for each part of a date
+ * @throws {ProtocolError} INVALID_PARAMETER if fields of the kind are missing
+ */
+function toZWaveSchedule(kind, schedule) {
+  switch (kind) {
+    case "WeekDay":
+      requireFields(schedule, [
+        "weekday",
+        "startHour",
+        "startMinute",
+        "stopHour",
+        "stopMinute",
+      ]);
+      return {
+        weekday: toWeekday(schedule.weekday, "weekday"),
+        startHour: schedule.startHour,
+        startMinute: schedule.startMinute,
+        stopHour: schedule.stopHour,
+        stopMinute: schedule.stopMinute,
+      };
+    case "YearDay": {
+      requireFields(schedule, ["start", "stop"]);
+      const start = toDateParts(schedule.start, "start");
+      const stop = toDateParts(schedule.stop, "stop");
+      return {
+        startYear: start.year,
+        startMonth: start.month,
+        startDay: start.day,
+        startHour: start.hour,
+        startMinute: start.minute,
+        stopYear: stop.year,
+        stopMonth: stop.month,
+        stopDay: stop.day,
+        stopHour: stop.hour,
+        stopMinute: stop.minute,
+      };
+    }
+    case "DailyRepeating":
+      requireFields(schedule, [
+        "weekdays",
+        "startHour",
+        "startMinute",
+        "durationHour",
+        "durationMinute",
+      ]);
+      return {
+        weekdays: schedule.weekdays.map((name) => toWeekday(name, "weekdays")),
+        startHour: schedule.startHour,
+        startMinute: schedule.startMinute,
+        durationHour: schedule.durationHour,
+        durationMinute: schedule.durationMinute,
+      };
+  }
+}
+
+/**
+ * Converts a schedule from zwave-js (or its cache) to the WebSocket API format
+ */
+function toSchedule(kind, schedule) {
+  switch (kind) {
+    case "WeekDay":
+      return {
+        weekday: ScheduleEntryLockWeekday[schedule.weekday],
+        startHour: schedule.startHour,
+        startMinute: schedule.startMinute,
+        stopHour: schedule.stopHour,
+        stopMinute: schedule.stopMinute,
+      };
+    case "YearDay":
+      return {
+        start: formatDateParts(
+          schedule.startYear,
+          schedule.startMonth,
+          schedule.startDay,
+          schedule.startHour,
+          schedule.startMinute
+        ),
+        stop: formatDateParts(
+          schedule.stopYear,
+          schedule.stopMonth,
+          schedule.stopDay,
+          schedule.stopHour,
+          schedule.stopMinute
+        ),
+      };
+    case "DailyRepeating":
+      return {
+        weekdays: schedule.weekdays.map(
+          (weekday) => ScheduleEntryLockWeekday[weekday]
+        ),
+        startHour: schedule.startHour,
+        startMinute: schedule.startMinute,
+        durationHour: schedule.durationHour,
+        durationMinute: schedule.durationMinute,
+      };
+  }
+}
+
+/**
+ * Converts a Door Lock Operation Report (or the cached values) to the lock
+ * state of the WebSocket API, with mode names instead of numbers
+ */
+function toLockState(report) {
+  return {
+    locked:
+      report.currentMode === undefined
+        ? null
+        : report.currentMode === DoorLockMode.Secured,
+    currentMode: DoorLockMode[report.currentMode] ?? null,
+    targetMode: DoorLockMode[report.targetMode] ?? null,
+    duration: report.duration ?? null,
+    outsideHandlesCanOpenDoor: report.outsideHandlesCanOpenDoor ?? null,
+    insideHandlesCanOpenDoor: report.insideHandlesCanOpenDoor ?? null,
+    latchStatus: report.latchStatus ?? null,
+    boltStatus: report.boltStatus ?? null,
+    doorStatus: report.doorStatus ?? null,
+    lockTimeout: report.lockTimeout ?? null,
+  };
+}
+
+/**
+ * Converts a Door Lock Configuration Report to the lock configuration of the
+ * WebSocket API. Settings the lock does not support are left out.
+ */
+function toLockConfiguration(report) {
+  const configuration = {
+    operationType: DoorLockOperationType[report.operationType],
+    outsideHandlesCanOpenDoor: report.outsideHandlesCanOpenDoorConfiguration,
+    insideHandlesCanOpenDoor: report.insideHandlesCanOpenDoorConfiguration,
+  };
+  if (report.lockTimeoutConfiguration !== undefined) {
+    configuration.lockTimeout = report.lockTimeoutConfiguration;
+  }
+  for (const key of [
+    "autoRelockTime",
+    "holdAndReleaseTime",
+    "twistAssist",
+    "blockToBlock",
+  ]) {
+    if (report[key] !== undefined) configuration[key] = report[key];
+  }
+  return configuration;
+}
 
 export class ZWaveLock extends EventEmitter {
   /**
@@ -14,7 +331,11 @@ export class ZWaveLock extends EventEmitter {
    * @param {import("../../../packages/zwave-js/src/Node.js").ZWaveNode} node - The Z-Wave node
    * @param {Object} options - Configuration options
    * @param {string} options.deviceConfigDir - Directory for device config files (default: "./store/device-configs")
-   * @param {Function} options.onSupervisionUpdate - Callback for supervision updates
+   * @param {Function} options.onSupervisionUpdate - Called with `{frameNumber, status, remainingDuration?}` when a Manufacturer Proprietary frame the lock was working on finishes
+   * @param {import("../../../packages/zwave-js/src/Driver.js").Driver} options.driver - The driver of the node, needed for the payload limits of sendCustom
+   * @param {Object[]} options.productProfiles - Product profiles from loadProductProfiles (default: none)
+   * @param {Function} options.payloadSecurity - Returns the payload security of the node, `{mode, overhead, protect(manufacturerId, payload)}`, or null if its payloads are sent in clear (default: always null)
+   * @param {Object} options.transmitScheduler - Paces and retries Manufacturer Proprietary frames, see createTransmitScheduler (default: one with the default settings)
    */
   constructor(node, options = {}) {
     super();
@@ -27,8 +348,19 @@ export class ZWaveLock extends EventEmitter {
     this.nodeId = node.id;
     this.deviceConfigDir = options.deviceConfigDir || "./store/device-configs";
     this.onSupervisionUpdate = options.onSupervisionUpdate;
+    this.driver = options.driver || null;
+    this.productProfiles = options.productProfiles || [];
+    this.payloadSecurity = options.payloadSecurity || (() => null);
+    this.transmitScheduler =
+      options.transmitScheduler || createTransmitScheduler();
     this._setupComplete = false;
-    this._mpAPI = null;
+    this._lastLockState = null;
+    this._lockStateChangePending = false;
+    this._pendingUserCodeChanges = new Set();
+    this._batteryChangePending = false;
+    this._removeValueListeners = null;
+    /** requestMP calls waiting for their reply, oldest first */
+    this._pendingResponses = [];
     this.initialize();
   }
 
@@ -50,13 +382,7 @@ export class ZWaveLock extends EventEmitter {
     this.forceManufacturerProprietarySupport();
     this.configureManufacturerProprietarySecurity();
     this.setupManufacturerProprietaryCommandHandler();
-    if (this.node.ready) {
-      this._initializeMPAPI();
-    } else {
-      this.node.once("ready", () => {
-        this._initializeMPAPI();
-      });
-    }
+    this.setupValueListeners();
 
     this._setupComplete = true;
     console.log(
@@ -77,7 +403,7 @@ export class ZWaveLock extends EventEmitter {
     }
 
     try {
-      const ccId = 0x
+      const ccId = 0x91;
       const alreadySupported =
         this.node.supportedCCs?.has?.(ccId) ||
         this.node.implementedCommandClasses?.has?.(ccId);
@@ -109,7 +435,7 @@ export class ZWaveLock extends EventEmitter {
     if (!this.node) return;
 
     try {
-      const ccId = 0x
+      const ccId = 0x91;
 
       if (
         this.node.status === NodeStatus.Dead ||
@@ -137,7 +463,7 @@ export class ZWaveLock extends EventEmitter {
    */
   _setManufacturerProprietarySecurityClass(ccId) {
     try {
-      const NO_SECURITY = undefin
+      const NO_SECURITY = undefined;
 
       if (typeof this.node.setCCSecurityClass === "function") {
         try {
@@ -287,14 +613,8 @@ export class ZWaveLock extends EventEmitter {
           }
         );
 
-
+        this.handleManufacturerProprietaryResponse(commandData);
         this.emit("manufacturerProprietaryCommand", commandData);
-        
-
-
-
-
-
         return;
       }
 
@@ -306,24 +626,6 @@ export class ZWaveLock extends EventEmitter {
     );
   }
 
-  /**
-   * Initialize the Manufacturer Proprietary API with supervision support
-   * @private
-   */
-  _initializeMPAPI() {
-    if (this._mpAPI) {
-      return this._mpAPI;
-    }
-
-    this._mpAPI = getManufacturerProprietaryAPI(
-      this.node,
-      this.nodeId,
-      this.onSupervisionUpdate
-    );
-
-    return this._mpAPI;
-  }
-
   /**
    * Get the Manufacturer Proprietary CC API
    * @returns {Object|null} The MP CC API or null if not available
@@ -336,17 +638,7 @@ export class ZWaveLock extends EventEmitter {
       return null;
     }
     this.forceManufacturerProprietarySupport();
-    if (!this._mpAPI) {
-      this._initializeMPAPI();
-    }
-    if (!this._mpAPI) {
-      const base = this.node.commandClasses["Manufacturer Proprietary"];
-      if (base) {
-        return base;
-      }
-    }
-
-    return this._mpAPI;
+    return this.node.commandClasses["Manufacturer Proprietary"] ?? null;
   }
 
   /**
@@ -356,11 +648,13 @@ export class ZWaveLock extends EventEmitter {
    * @param {Object} options - Send options
    * @param {number} options.manufacturerId - The 2-byte manufacturer ID (default: 0x0000 for Silicon Labs)
    * @param {number} options.count - Number of frames to send (default: 5)
+   * @param {Function} options.onProgress - Called when a frame the lock is working on finishes, see {@link _sendFrame} (optional)
    * @returns {Promise<Object>} Result object with details
    */
   async sendRandom({
     manufacturerId = 0x0000,
     count = 5,
+    onProgress,
   } = {}) {
     console.log(
       `[ZWaveLock ${this.nodeId}] Sending ${count} random Manufacturer Proprietary frame(s)...`
@@ -376,60 +670,79 @@ export class ZWaveLock extends EventEmitter {
       );
     }
 
-    const results = [];
-    for (let i = 0; i < count; i++) {
-      console.log(
-        `[ZWaveLock ${this.nodeId}] Sending frame #${i + 1} of ${count}...`
-      );
-
-      const vendorPayload = generateRandom32BytePayload();
-
-      const startTime = Date.now();
-      try {
-        const result = await ccMP.sendData(manufacturerId, vendorPayload);
-        const duration = Date.now() - startTime;
-
-        console.log(
-          `[ZWaveLock ${this.nodeId}] ✅ Frame #${i + 1} sent in ${duration}ms`
-        );
-
-        results.push({
-          frameNumber: i + 1,
+    // Random payloads are generated once per frame, so retries resend the
+    // same frame
+    const security = this.payloadSecurity();
+    const payloads = [];
+    const { results, sent, failed } = await this.transmitScheduler.sendFrames(
+      this.nodeId,
+      count,
+      async (frameNumber) => {
+        if (!payloads[frameNumber]) {
+          const vendorPayload = generateRandom32BytePayload();
+          payloads[frameNumber] = {
+            vendorPayload,
+            frame: security
+              ? await security.protect(manufacturerId, vendorPayload)
+              : vendorPayload,
+          };
+        }
+        const { vendorPayload, frame } = payloads[frameNumber];
+        return {
           payloadHex: vendorPayload.toString("hex"),
-          result,
-          duration,
-        });
-      } catch (error) {
-        const duration = Date.now() - startTime;
-        console.error(
-          `[ZWaveLock ${this.nodeId}] ❌ Frame #${i + 1} failed after ${duration}ms:`,
-          error.message
-        );
-        throw error;
+          ...(await this._sendFrame(
+            manufacturerId,
+            frame,
+            frameNumber,
+            count,
+            onProgress
+          )),
+        };
       }
-    }
+    );
 
     return {
       nodeId: this.nodeId,
       manufacturerId,
       count,
+      sent,
+      failed,
       results,
     };
   }
 
   /**
-   * Sends a Manufacturer Proprietary (CC 0x91) command with a custom 32-byte payload.
+   * Returns the vendor payload lengths this lock accepts, see
+   * getVendorPayloadLimits
+   * @returns {{profile: string|null, minPayloadLength: number, maxPayloadLength: number, maxFramePayloadLength: number}}
+   */
+  getPayloadLimits() {
+    if (!this.driver) {
+      throw new ProtocolError(ErrorCode.DRIVER_NOT_READY, "Driver not ready");
+    }
+    return getVendorPayloadLimits(
+      this.driver,
+      this.node,
+      this.productProfiles,
+      this.payloadSecurity()
+    );
+  }
+
+  /**
+   * Sends a Manufacturer Proprietary (CC 0x91) command with a custom payload.
    *
    * @param {Object} options - Send options
-   * @param {Buffer|string} options.payload - The 32-byte vendor payload (Buffer or hex string)
+   * @param {Buffer|string} options.payload - The vendor payload (Buffer or hex string), within {@link getPayloadLimits}
    * @param {number} options.manufacturerId - The 2-byte manufacturer ID (default: 0x0000 for Silicon Labs)
    * @param {number} options.count - Number of frames to send (default: 1, max: 100)
+   * @param {Function} options.onProgress - Called when a frame the lock is working on finishes, see {@link _sendFrame} (optional)
    * @returns {Promise<Object>} Result object with details
    */
   async sendCustom({
     payload,
     manufacturerId = 0x0000,
     count = 1,
+    onProgress,
   }) {
     if (!payload) {
       throw new Error("payload is required");
@@ -445,15 +758,11 @@ export class ZWaveLock extends EventEmitter {
     if (Buffer.isBuffer(payload)) {
       vendorPayload = payload;
     } else if (typeof payload === "string") {
-      vendorPayload = hexTo32ByteBuffer(payload);
+      vendorPayload = hexToBuffer(payload);
     } else {
       throw new Error("payload must be a Buffer or hex string");
     }
-    if (vendorPayload.length !== 32) {
-      throw new Error(
-        `vendorPayload must be exactly 32 bytes, got ${vendorPayload.length}`
-      );
-    }
+    checkVendorPayloadLength(vendorPayload, this.getPayloadLimits());
     if (count <= 0) {
       count = 1;
     }
@@ -468,47 +777,1186 @@ export class ZWaveLock extends EventEmitter {
       );
     }
 
+    // Secured once per frame, so retries resend the same frame. If the first
+    // attempt arrived after all, the lock drops the retry as a replay
     const payloadHex = vendorPayload.toString("hex");
-    const results = [];
+    const security = this.payloadSecurity();
+    const frames = [];
+    const { results, sent, failed } = await this.transmitScheduler.sendFrames(
+      this.nodeId,
+      count,
+      async (frameNumber) => {
+        frames[frameNumber] ??= security
+          ? await security.protect(manufacturerId, vendorPayload)
+          : vendorPayload;
+        return this._sendFrame(
+          manufacturerId,
+          frames[frameNumber],
+          frameNumber,
+          count,
+          onProgress
+        );
+      }
+    );
+
+    return {
+      nodeId: this.nodeId,
+      count,
+      vendorPayloadHex: payloadHex,
+      manufacturerId,
+      sent,
+      failed,
+      results,
+    };
+  }
 
-    for (let i = 0; i < count; i++) {
+  /**
+   * Sends one Manufacturer Proprietary frame, supervised if the lock supports
+   * it, see sendSupervisedData. Later statuses of a frame the lock is working
+   * on go to `onProgress` and the onSupervisionUpdate option.
+   * @param {number} manufacturerId
+   * @param {Buffer} payload - The payload as it goes on air
+   * @param {number} frameNumber - Number of the frame within its command
+   * @param {number} count - Number of frames of the command
+   * @param {Function} [onProgress] - Called with `{frameNumber, status, remainingDuration?}`
+   * @returns {Promise<{status: string, remainingDuration?: number|null, supervised: boolean, duration: number}>}
+   *   `duration` is the send time in ms
+   * @private
+   */
+  async _sendFrame(manufacturerId, payload, frameNumber, count, onProgress) {
+    if (!this.driver) {
+      throw new ProtocolError(ErrorCode.DRIVER_NOT_READY, "Driver not ready");
+    }
+    console.log(
+      `[ZWaveLock ${this.nodeId}] Sending frame #${frameNumber} of ${count}...`
+    );
+    const startTime = Date.now();
+    try {
+      const sent = await sendSupervisedData(
+        this.driver,
+        this.node,
+        manufacturerId,
+        payload,
+        (update) => {
+          console.log(
+            `[ZWaveLock ${this.nodeId}] 📡 Frame #${frameNumber}: ${update.status}`
+          );
+          onProgress?.({ frameNumber, ...update });
+          this.onSupervisionUpdate?.({ frameNumber, ...update });
+        }
+      );
+      const duration = Date.now() - startTime;
       console.log(
-        `[ZWaveLock ${this.nodeId}] Sending frame #${i + 1} of ${count}...`
+        `[ZWaveLock ${this.nodeId}] ✅ Frame #${frameNumber} sent in ${duration}ms (${sent.status})`
+      );
+      return { ...sent, duration };
+    } catch (error) {
+      console.error(
+        `[ZWaveLock ${this.nodeId}] ❌ Frame #${frameNumber} failed after ${Date.now() - startTime}ms:`,
+        error.message
       );
+      throw error;
+    }
+  }
 
-      const startTime = Date.now();
-      try {
-        const result = await ccMP.sendData(manufacturerId, vendorPayload);
-        const duration = Date.now() - startTime;
+  /**
+   * Sends a Manufacturer Proprietary (CC 0x91) frame and waits for the
+   * node's reply. The wait starts once the frame was sent, but a reply that
+   * arrives earlier still counts.
+   *
+   * @param {Object} options - Request options
+   * @param {Buffer|string} options.payload - The vendor payload (Buffer or hex string), within {@link getPayloadLimits}
+   * @param {number} options.manufacturerId - The 2-byte manufacturer ID (default: 0x0000 for Silicon Labs)
+   * @param {Function|Object} options.expect - Which frame is the reply, see createResponseMatcher (default: the next frame with the manufacturer ID)
+   * @param {number} options.timeoutMs - How long to wait for the reply (default: 5000)
+   * @param {Function} options.onProgress - See {@link sendCustom} (optional)
+   * @returns {Promise<Object>} The result of {@link sendCustom} with the
+   *   received frame as `response` and the time until it arrived as `duration`
+   * @throws {ProtocolError} RESPONSE_TIMEOUT if no reply arrived in time,
+   *   SEND_FAILED if the lock rejected the frame (Supervision Fail or NoSupport)
+   */
+  async requestMP({
+    payload,
+    manufacturerId = 0x0000,
+    expect,
+    timeoutMs = DEFAULT_RESPONSE_TIMEOUT_MS,
+    onProgress,
+  }) {
+    const vendorPayload =
+      typeof payload === "string" ? hexToBuffer(payload) : payload;
+    if (!Buffer.isBuffer(vendorPayload)) {
+      throw new Error("payload must be a Buffer or hex string");
+    }
+    const pending = {
+      matches: createResponseMatcher(expect, {
+        manufacturerId,
+        payload: vendorPayload,
+      }),
+      frame: null,
+      error: null,
+      settle: null,
+    };
+    this._pendingResponses.push(pending);
 
-        console.log(
-          `[ZWaveLock ${this.nodeId}] ✅ Frame #${i + 1} sent in ${duration}ms`
+    const startTime = Date.now();
+    let sent;
+    try {
+      sent = await this.sendCustom({
+        payload: vendorPayload,
+        manufacturerId,
+        onProgress,
+      });
+    } catch (error) {
+      this._removePendingResponse(pending);
+      throw error;
+    }
+    const { status } = sent.results[0];
+    if (status === "Fail" || status === "NoSupport") {
+      // A rejected frame gets no reply
+      this._removePendingResponse(pending);
+      throw new ProtocolError(
+        ErrorCode.SEND_FAILED,
+        `Node ${this.nodeId} rejected the frame`,
+        { supervisionStatus: status }
+      );
+    }
+
+    if (!pending.frame && !pending.error) {
+      await new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          this._removePendingResponse(pending);
+          pending.error = new ProtocolError(
+            ErrorCode.RESPONSE_TIMEOUT,
+            `Node ${this.nodeId} did not reply within ${timeoutMs} ms`,
+            { timeoutMs }
+          );
+          resolve();
+        }, timeoutMs);
+        pending.settle = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+    }
+    if (pending.error) {
+      throw pending.error;
+    }
+
+    const { frame } = pending;
+    console.log(
+      `[ZWaveLock ${this.nodeId}] ✅ Reply received after ${Date.now() - startTime}ms`
+    );
+    return {
+      ...sent,
+      response: {
+        manufacturerId: frame.manufacturerId,
+        payloadHex: Buffer.from(frame.payload ?? []).toString("hex"),
+        payloadLength: frame.payloadLength,
+        endpointIndex: frame.endpointIndex,
+      },
+      duration: Date.now() - startTime,
+    };
+  }
+
+  /**
+   * Hands a received Manufacturer Proprietary frame to the oldest
+   * {@link requestMP} call it answers. The ZWaveProvisioningClient calls this
+   * itself, because its handler replaces the one of this lock.
+   * @param {Object} frame - `{nodeId, manufacturerId, payload, payloadLength, endpointIndex}`
+   * @returns {boolean} Whether the frame was a reply
+   */
+  handleManufacturerProprietaryResponse(frame) {
+    const pending = this._pendingResponses.find((request) => {
+      try {
+        return request.matches(frame);
+      } catch (error) {
+        console.warn(
+          `[ZWaveLock ${this.nodeId}] Reply predicate failed: ${error.message}`
         );
+        return false;
+      }
+    });
+    if (!pending) return false;
+    this._removePendingResponse(pending);
+    pending.frame = frame;
+    pending.settle?.();
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _removePendingResponse(pending) {
+    const index = this._pendingResponses.indexOf(pending);
+    if (index !== -1) {
+      this._pendingResponses.splice(index, 1);
+    }
+  }
+
+  /**
+   * Emits `lockStateChanged` with the new state whenever a Door Lock CC
+   * report changes the lock, door, bolt or latch state, `userCodeChanged`
+   * whenever a User Code CC report changes a user code slot,
+   * `batteryChanged` whenever a Battery CC report changes the battery state,
+   * and `lockEvent` for Access Control and Home Security notifications, see
+   * {@link LOCK_EVENTS}
+   */
+  setupValueListeners() {
+    if (this._removeValueListeners) return;
+
+    const onValueChanged = (node, args) => {
+      if (
+        args.commandClass === CommandClasses["Door Lock"] &&
+        args.property in LOCK_STATE_VALUES
+      ) {
+        this._onLockStateValueChanged();
+      } else if (
+        args.commandClass === CommandClasses["User Code"] &&
+        (args.property === "userIdStatus" || args.property === "userCode") &&
+        typeof args.propertyKey === "number"
+      ) {
+        this._onUserCodeValueChanged(args.propertyKey);
+      } else if (
+        args.commandClass === CommandClasses.Battery &&
+        args.property in BATTERY_VALUES
+      ) {
+        this._onBatteryValueChanged();
+      } else if (
+        args.commandClass === CommandClasses.Notification &&
+        args.property in NOTIFICATION_TYPES &&
+        args.newValue !== args.prevValue
+      ) {
+        // Notification states, e.g. Lock jammed
+        this._onLockEvent(NOTIFICATION_TYPES[args.property], args.newValue);
+      }
+    };
+    const onNotification = (endpoint, ccId, args) => {
+      if (ccId === CommandClasses.Notification) {
+        this._onLockEvent(args.type, args.event, args.parameters);
+      }
+    };
+
+    this.node.on("value added", onValueChanged);
+    this.node.on("value updated", onValueChanged);
+    this.node.on("notification", onNotification);
+    this._removeValueListeners = () => {
+      this.node.off("value added", onValueChanged);
+      this.node.off("value updated", onValueChanged);
+      this.node.off("notification", onNotification);
+    };
+  }
+
+  /**
+   * @private
+   */
+  _onLockStateValueChanged() {
+    // One report updates several values, so emit once after all of them
+    if (this._lockStateChangePending) return;
+    this._lockStateChangePending = true;
+    setImmediate(() => {
+      this._lockStateChangePending = false;
+      const state = this.getCachedLockState();
+      const serialized = JSON.stringify(state);
+      if (serialized === this._lastLockState) return;
+      this._lastLockState = serialized;
+      console.log(
+        `[ZWaveLock ${this.nodeId}] 🔒 Lock state changed: ${state.currentMode}`
+      );
+      this.emit("lockStateChanged", state);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _onUserCodeValueChanged(userId) {
+    // Status and code of a slot are updated by the same report
+    if (this._pendingUserCodeChanges.has(userId)) return;
+    this._pendingUserCodeChanges.add(userId);
+    setImmediate(() => {
+      this._pendingUserCodeChanges.delete(userId);
+      const { userIdStatus, userCode } = this._getCachedUserCode(userId);
+      const change = {
+        userId,
+        userIdStatus,
+        userCode: maskUserCode(userCode),
+      };
+      console.log(
+        `[ZWaveLock ${this.nodeId}] 🔑 User code ${userId} changed: ${userIdStatus}`
+      );
+      this.emit("userCodeChanged", change);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _onBatteryValueChanged() {
+    // Level and status flags are updated by the same report
+    if (this._batteryChangePending) return;
+    this._batteryChangePending = true;
+    setImmediate(() => {
+      this._batteryChangePending = false;
+      this.emit("batteryChanged", this.getCachedBatteryState());
+    });
+  }
+
+  /**
+   * @private
+   */
+  _onLockEvent(notificationType, notificationEvent, parameters) {
+    const known = LOCK_EVENTS[notificationType]?.[notificationEvent];
+    if (!known) return;
+    // Keypad operations name the user code slot, either from a User Code
+    // report or as a plain value
+    const userId = parameters?.userId ?? parameters?.["user ID"] ?? null;
+    const lockEvent = { ...known, userId };
+    console.log(
+      `[ZWaveLock ${this.nodeId}] 🚪 Lock event: ${known.event}${
+        known.source ? ` (${known.source})` : ""
+      }${userId === null ? "" : ` by user ${userId}`}`
+    );
+    this.emit("lockEvent", lockEvent);
+  }
+
+  /**
+   * Returns the Door Lock CC API of this node
+   * @private
+   * @throws {ProtocolError} NODE_NOT_READY or CC_NOT_SUPPORTED
+   */
+  _getDoorLockAPI() {
+    if (!this.node.ready) {
+      throw new ProtocolError(
+        ErrorCode.NODE_NOT_READY,
+        `Node ${this.nodeId} is not ready yet`
+      );
+    }
+    if (!this.node.supportsCC(CommandClasses["Door Lock"])) {
+      throw new ProtocolError(
+        ErrorCode.CC_NOT_SUPPORTED,
+        `Node ${this.nodeId} does not support the Door Lock CC`,
+        { commandClass: "Door Lock" }
+      );
+    }
+    return this.node.commandClasses["Door Lock"];
+  }
+
+  /**
+   * Throws if the lock reported via Supervision that it did not execute a
+   * command, and returns the Supervision status otherwise
+   * @private
+   * @returns {string|null} Name of the Supervision status, or null if the command was not supervised
+   */
+  _checkSupervisionResult(result, action) {
+    if (supervisedCommandFailed(result)) {
+      throw new ProtocolError(
+        ErrorCode.SEND_FAILED,
+        `Node ${this.nodeId} could not ${action}`,
+        { supervisionStatus: SupervisionStatus[result.status] }
+      );
+    }
+    return result ? SupervisionStatus[result.status] : null;
+  }
+
+  /**
+   * Sets the Door Lock mode
+   * @param {number} mode - One of DoorLockMode
+   * @returns {Promise<{nodeId: number, targetMode: string, supervisionStatus: string|null}>}
+   */
+  async setLockMode(mode) {
+    const api = this._getDoorLockAPI();
+    console.log(
+      `[ZWaveLock ${this.nodeId}] Setting lock mode to ${DoorLockMode[mode]}...`
+    );
+    const result = await api.set(mode);
+    const supervisionStatus = this._checkSupervisionResult(
+      result,
+      `switch to ${DoorLockMode[mode]}`
+    );
+    console.log(
+      `[ZWaveLock ${this.nodeId}] ✅ Lock mode set to ${DoorLockMode[mode]}`
+    );
+    return {
+      nodeId: this.nodeId,
+      targetMode: DoorLockMode[mode],
+      supervisionStatus,
+    };
+  }
+
+  /**
+   * Secures the lock (Door Lock mode Secured)
+   */
+  async lock() {
+    return this.setLockMode(DoorLockMode.Secured);
+  }
+
+  /**
+   * Unsecures the lock (Door Lock mode Unsecured). With the Timed operation
+   * type, the lock secures itself again after the configured lock timeout.
+   */
+  async unlock() {
+    return this.setLockMode(DoorLockMode.Unsecured);
+  }
+
+  /**
+   * Queries the current lock, door, bolt and latch state from the lock
+   * @returns {Promise<Object>} See {@link getCachedLockState}
+   */
+  async getLockState() {
+    const report = await this._getDoorLockAPI().get();
+    if (!report) {
+      throw new ProtocolError(
+        ErrorCode.SEND_FAILED,
+        `Node ${this.nodeId} did not report its lock state`
+      );
+    }
+    return toLockState(report);
+  }
+
+  /**
+   * Returns the lock state last reported by the lock, without querying it
+   * @returns {{locked: boolean|null, currentMode: string|null, targetMode: string|null, duration: Object|string|null, outsideHandlesCanOpenDoor: boolean[]|null, insideHandlesCanOpenDoor: boolean[]|null, latchStatus: string|null, boltStatus: string|null, doorStatus: string|null, lockTimeout: number|null}}
+   */
+  getCachedLockState() {
+    const report = {};
+    for (const [key, value] of Object.entries(LOCK_STATE_VALUES)) {
+      report[key] = this.node.getValue(value.id);
+    }
+    return toLockState(report);
+  }
+
+  /**
+   * Returns the battery state last reported by the node, without querying it.
+   * `chargingStatus` and `rechargeOrReplace` require Battery CC v2.
+   * @returns {{level: number|null, chargingStatus: string|null, rechargeOrReplace: string|null}|null}
+   *   null if the node is not battery-powered
+   */
+  getCachedBatteryState() {
+    if (!this.node.supportsCC(CommandClasses.Battery)) return null;
+    const level = this.node.getValue(BATTERY_VALUES.level.id);
+    const chargingStatus = this.node.getValue(BATTERY_VALUES.chargingStatus.id);
+    const rechargeOrReplace = this.node.getValue(
+      BATTERY_VALUES.rechargeOrReplace.id
+    );
+    return {
+      level: level ?? null,
+      chargingStatus: BatteryChargingStatus[chargingStatus] ?? null,
+      rechargeOrReplace: BatteryReplacementStatus[rechargeOrReplace] ?? null,
+    };
+  }
+
+  /**
+   * Queries the Door Lock configuration from the lock
+   * @returns {Promise<Object>} `operationType` ("Constant" or "Timed"),
+   *   `lockTimeout` (seconds, Timed only), `outsideHandlesCanOpenDoor` and
+   *   `insideHandlesCanOpenDoor` (4 booleans, one per handle) and, on locks
+   *   that support them, `autoRelockTime`, `holdAndReleaseTime` (seconds),
+   *   `twistAssist` and `blockToBlock`
+   */
+  async getConfiguration() {
+    const report = await this._getDoorLockAPI().getConfiguration();
+    if (!report) {
+      throw new ProtocolError(
+        ErrorCode.SEND_FAILED,
+        `Node ${this.nodeId} did not report its lock configuration`
+      );
+    }
+    return toLockConfiguration(report);
+  }
+
+  /**
+   * Changes the Door Lock configuration. The lock only accepts complete
+   * configurations, so settings that are not given keep their current value.
+   * @param {Object} changes - The settings to change, see {@link getConfiguration}
+   * @returns {Promise<{nodeId: number, configuration: Object, supervisionStatus: string|null}>}
+   */
+  async setConfiguration(changes) {
+    const api = this._getDoorLockAPI();
+    const current = await api.getConfiguration();
+    if (!current) {
+      throw new ProtocolError(
+        ErrorCode.SEND_FAILED,
+        `Node ${this.nodeId} did not report its lock configuration`
+      );
+    }
+
+    const operationType =
+      changes.operationType !== undefined
+        ? DoorLockOperationType[changes.operationType]
+        : current.operationType;
+    if (operationType === undefined) {
+      throw new ProtocolError(
+        ErrorCode.INVALID_PARAMETER,
+        `Unknown operation type ${changes.operationType}`,
+        { field: "operationType" }
+      );
+    }
+    const lockTimeout =
+      operationType === DoorLockOperationType.Timed
+        ? changes.lockTimeout ?? current.lockTimeoutConfiguration
+        : undefined;
+    if (operationType === DoorLockOperationType.Timed && !lockTimeout) {
+      throw new ProtocolError(
+        ErrorCode.INVALID_PARAMETER,
+        "The Timed operation type requires a lockTimeout",
+        { field: "lockTimeout" }
+      );
+    }
+
+    const configuration = {
+      operationType,
+      lockTimeoutConfiguration: lockTimeout,
+      outsideHandlesCanOpenDoorConfiguration:
+        changes.outsideHandlesCanOpenDoor ??
+        current.outsideHandlesCanOpenDoorConfiguration ??
+        ALL_HANDLES,
+      insideHandlesCanOpenDoorConfiguration:
+        changes.insideHandlesCanOpenDoor ??
+        current.insideHandlesCanOpenDoorConfiguration ??
+        ALL_HANDLES,
+    };
+    for (const key of [
+      "autoRelockTime",
+      "holdAndReleaseTime",
+      "twistAssist",
+      "blockToBlock",
+    ]) {
+      const value = changes[key] ?? current[key];
+      if (value !== undefined) configuration[key] = value;
+    }
+
+    console.log(
+      `[ZWaveLock ${this.nodeId}] Setting lock configuration...`,
+      toLockConfiguration(configuration)
+    );
+    const result = await api.setConfiguration(configuration);
+    const supervisionStatus = this._checkSupervisionResult(
+      result,
+      "apply the lock configuration"
+    );
+    console.log(`[ZWaveLock ${this.nodeId}] ✅ Lock configuration set`);
+    return {
+      nodeId: this.nodeId,
+      configuration: toLockConfiguration(configuration),
+      supervisionStatus,
+    };
+  }
+
+  /**
+   * Returns the User Code CC API of this node
+   * @private
+   * @throws {ProtocolError} NODE_NOT_READY or CC_NOT_SUPPORTED
+   */
+  _getUserCodeAPI() {
+    if (!this.node.ready) {
+      throw new ProtocolError(
+        ErrorCode.NODE_NOT_READY,
+        `Node ${this.nodeId} is not ready yet`
+      );
+    }
+    if (!this.node.supportsCC(CommandClasses["User Code"])) {
+      throw new ProtocolError(
+        ErrorCode.CC_NOT_SUPPORTED,
+        `Node ${this.nodeId} does not support the User Code CC`,
+        { commandClass: "User Code" }
+      );
+    }
+    return this.node.commandClasses["User Code"];
+  }
+
+  /**
+   * @private
+   */
+  _getCachedUserCode(userId) {
+    const status = this.node.getValue(UserCodeCCValues.userIdStatus(userId).id);
+    return {
+      userId,
+      userIdStatus: UserIDStatus[status] ?? null,
+      userCode: toUserCodeString(
+        this.node.getValue(UserCodeCCValues.userCode(userId).id)
+      ),
+    };
+  }
+
+  /**
+   * @private
+   * @throws {ProtocolError} INVALID_PARAMETER for statuses a code cannot be set to
+   */
+  _toUserIDStatus(name, field = "userIdStatus") {
+    if (!USER_CODE_STATUSES.includes(name)) {
+      throw new ProtocolError(
+        ErrorCode.INVALID_PARAMETER,
+        `Unknown user ID status ${name}`,
+        { field }
+      );
+    }
+    return UserIDStatus[name];
+  }
+
+  /**
+   * zwave-js only caches user codes from the lock's reports, so a changed
+   * slot is queried once to keep the cache and USER_CODE_CHANGED in sync
+   * @private
+   */
+  async _readBackUserCode(api, userId) {
+    try {
+      await api.get(userId);
+    } catch (error) {
+      console.warn(
+        `[ZWaveLock ${this.nodeId}] ⚠️  Could not read back user code ${userId}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Returns the occupied user code slots. The codes are read from the cache,
+   * which zwave-js fills from the lock's reports.
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Query all slots from the lock first.
+   *   Locks that support the user code checksum only answer this with a
+   *   full query if their codes changed.
+   * @returns {Promise<{nodeId: number, supportedUsers: number, userCodes: Array<{userId: number, userIdStatus: string, userCode: string|null}>}>}
+   */
+  async getUserCodes({ refresh = false } = {}) {
+    const api = this._getUserCodeAPI();
+    if (refresh) {
+      console.log(`[ZWaveLock ${this.nodeId}] Querying all user codes...`);
+      await this.node.refreshCCValues(CommandClasses["User Code"]);
+    }
+
+    const supportedUsers =
+      this.node.getValue(UserCodeCCValues.supportedUsers.id) ??
+      (await api.getUsersCount()) ??
+      0;
+    const userCodes = [];
+    for (let userId = 1; userId <= supportedUsers; userId++) {
+      const slot = this._getCachedUserCode(userId);
+      if (slot.userIdStatus === null || slot.userIdStatus === "Available") {
+        continue;
+      }
+      userCodes.push(slot);
+    }
+    return { nodeId: this.nodeId, supportedUsers, userCodes };
+  }
+
+  /**
+   * Queries one user code slot from the lock
+   * @param {number} userId - The slot, starting at 1
+   * @returns {Promise<{userId: number, userIdStatus: string, userCode: string|null}>}
+   */
+  async getUserCode(userId) {
+    const report = await this._getUserCodeAPI().get(userId);
+    if (!report) {
+      throw new ProtocolError(
+        ErrorCode.SEND_FAILED,
+        `Node ${this.nodeId} did not report user code ${userId}`
+      );
+    }
+    return {
+      userId,
+      userIdStatus: UserIDStatus[report.userIdStatus] ?? null,
+      userCode:
+        report.userIdStatus === UserIDStatus.Available
+          ? null
+          : toUserCodeString(report.userCode),
+    };
+  }
+
+  /**
+   * Stores a user code in a slot
+   * @param {number} userId - The slot, starting at 1
+   * @param {string} userCode - 4 to 10 characters, usually digits
+   * @param {Object} [options]
+   * @param {string} [options.userIdStatus] - One of USER_CODE_STATUSES (default: "Enabled")
+   * @returns {Promise<{nodeId: number, userId: number, userIdStatus: string, supervisionStatus: string|null}>}
+   */
+  async setUserCode(userId, userCode, { userIdStatus = "Enabled" } = {}) {
+    const api = this._getUserCodeAPI();
+    const status = this._toUserIDStatus(userIdStatus);
+    console.log(
+      `[ZWaveLock ${this.nodeId}] Setting user code ${userId} to ${maskUserCode(
+        userCode
+      )} (${userIdStatus})...`
+    );
+    const result = await api.set(userId, status, userCode);
+    const supervisionStatus = this._checkSupervisionResult(
+      result,
+      `set user code ${userId}`
+    );
+    console.log(`[ZWaveLock ${this.nodeId}] ✅ User code ${userId} set`);
+    await this._readBackUserCode(api, userId);
+    return { nodeId: this.nodeId, userId, userIdStatus, supervisionStatus };
+  }
 
+  /**
+   * Clears a user code slot, which makes it Available again
+   * @param {number} userId - The slot, or 0 to clear all slots. After
+   *   clearing all slots, use getUserCodes with refresh to update the cache.
+   * @returns {Promise<{nodeId: number, userId: number, supervisionStatus: string|null}>}
+   */
+  async clearUserCode(userId) {
+    const api = this._getUserCodeAPI();
+    const slot = userId === 0 ? "all user codes" : `user code ${userId}`;
+    console.log(`[ZWaveLock ${this.nodeId}] Clearing ${slot}...`);
+    const result = await api.clear(userId);
+    const supervisionStatus = this._checkSupervisionResult(
+      result,
+      `clear ${slot}`
+    );
+    console.log(`[ZWaveLock ${this.nodeId}] ✅ Cleared ${slot}`);
+    if (userId !== 0) await this._readBackUserCode(api, userId);
+    return { nodeId: this.nodeId, userId, supervisionStatus };
+  }
+
+  /**
+   * Sets and clears several user codes, one slot after another. A failing
+   * slot does not stop the others.
+   * @param {Array<{userId: number, userCode?: string, userIdStatus?: string}>} codes -
+   *   Entries with userIdStatus "Available" clear their slot and need no code
+   * @returns {Promise<{nodeId: number, total: number, succeeded: number, failed: number, results: Object[]}>}
+   *   One result per entry, with `status` "set", "cleared" or "failed"
+   */
+  async setUserCodes(codes) {
+    this._getUserCodeAPI();
+    console.log(
+      `[ZWaveLock ${this.nodeId}] Setting ${codes.length} user code(s)...`
+    );
+
+    const results = [];
+    for (const { userId, userCode, userIdStatus = "Enabled" } of codes) {
+      try {
+        if (userIdStatus === "Available") {
+          const { supervisionStatus } = await this.clearUserCode(userId);
+          results.push({ userId, status: "cleared", supervisionStatus });
+        } else {
+          if (!userCode) {
+            throw new ProtocolError(
+              ErrorCode.INVALID_PARAMETER,
+              `User code ${userId} has no code`,
+              { field: "userCode" }
+            );
+          }
+          const { supervisionStatus } = await this.setUserCode(
+            userId,
+            userCode,
+            { userIdStatus }
+          );
+          results.push({
+            userId,
+            status: "set",
+            userIdStatus,
+            supervisionStatus,
+          });
+        }
+      } catch (error) {
+        const { code, message, details } = toProtocolError(error);
         results.push({
-          frameNumber: i + 1,
-          result,
-          duration,
+          userId,
+          status: "failed",
+          code,
+          message,
+          ...(details ? { details } : {}),
         });
-      } catch (error) {
-        const duration = Date.now() - startTime;
-        console.error(
-          `[ZWaveLock ${this.nodeId}] ❌ Frame #${i + 1} failed after ${duration}ms:`,
-          error.message
-        );
-        throw error;
       }
     }
 
+    const failed = results.filter((r) => r.status === "failed").length;
+    console.log(
+      `[ZWaveLock ${this.nodeId}] ${failed === 0 ? "✅" : "⚠️ "} ${
+        results.length - failed
+      } of ${results.length} user code(s) set`
+    );
     return {
       nodeId: this.nodeId,
-      count,
-      vendorPayloadHex: payloadHex,
-      manufacturerId,
+      total: results.length,
+      succeeded: results.length - failed,
+      failed,
       results,
     };
   }
 
+  /**
+   * Queries the admin (master) code, which some locks accept besides the
+   * user codes. Requires User Code CC version 2.
+   * @returns {Promise<string|null>} The admin code, or null if it is deactivated
+   */
+  async getAdminCode() {
+    const code = await this._getUserCodeAPI().getAdminCode();
+    if (code === undefined) {
+      throw new ProtocolError(
+        ErrorCode.SEND_FAILED,
+        `Node ${this.nodeId} did not report its admin code`
+      );
+    }
+    return code || null;
+  }
+
+  /**
+   * Changes the admin code
+   * @param {string} adminCode - The new code, or "" to deactivate it (if the lock supports that)
+   * @returns {Promise<{nodeId: number, active: boolean, supervisionStatus: string|null}>}
+   */
+  async setAdminCode(adminCode) {
+    const api = this._getUserCodeAPI();
+    console.log(
+      `[ZWaveLock ${this.nodeId}] Setting admin code to ${
+        maskUserCode(adminCode) ?? "(deactivated)"
+      }...`
+    );
+    const result = await api.setAdminCode(adminCode);
+    const supervisionStatus = this._checkSupervisionResult(
+      result,
+      "set the admin code"
+    );
+    console.log(`[ZWaveLock ${this.nodeId}] ✅ Admin code set`);
+    return { nodeId: this.nodeId, active: !!adminCode, supervisionStatus };
+  }
+
+  /**
+   * Queries the keypad mode. Requires User Code CC version 2.
+   * @returns {Promise<string>} One of "Normal", "Vacation", "Privacy" or "LockedOut"
+   */
+  async getKeypadMode() {
+    const mode = await this._getUserCodeAPI().getKeypadMode();
+    if (mode === undefined) {
+      throw new ProtocolError(
+        ErrorCode.SEND_FAILED,
+        `Node ${this.nodeId} did not report its keypad mode`
+      );
+    }
+    return KeypadMode[mode];
+  }
+
+  /**
+   * Changes the keypad mode, e.g. to LockedOut to reject every code
+   * @param {string} keypadMode - One of "Normal", "Vacation", "Privacy" or "LockedOut"
+   * @returns {Promise<{nodeId: number, keypadMode: string, supervisionStatus: string|null}>}
+   */
+  async setKeypadMode(keypadMode) {
+    const api = this._getUserCodeAPI();
+    const mode = KeypadMode[keypadMode];
+    if (typeof mode !== "number") {
+      throw new ProtocolError(
+        ErrorCode.INVALID_PARAMETER,
+        `Unknown keypad mode ${keypadMode}`,
+        { field: "keypadMode" }
+      );
+    }
+    console.log(
+      `[ZWaveLock ${this.nodeId}] Setting keypad mode to ${keypadMode}...`
+    );
+    const result = await api.setKeypadMode(mode);
+    const supervisionStatus = this._checkSupervisionResult(
+      result,
+      `switch the keypad to ${keypadMode}`
+    );
+    console.log(
+      `[ZWaveLock ${this.nodeId}] ✅ Keypad mode set to ${keypadMode}`
+    );
+    return { nodeId: this.nodeId, keypadMode, supervisionStatus };
+  }
+
+  /**
+   * Returns the Schedule Entry Lock CC API of this node
+   * @private
+   * @throws {ProtocolError} NODE_NOT_READY or CC_NOT_SUPPORTED
+   */
+  _getScheduleAPI() {
+    if (!this.node.ready) {
+      throw new ProtocolError(
+        ErrorCode.NODE_NOT_READY,
+        `Node ${this.nodeId} is not ready yet`
+      );
+    }
+    if (!this.node.supportsCC(CommandClasses["Schedule Entry Lock"])) {
+      throw new ProtocolError(
+        ErrorCode.CC_NOT_SUPPORTED,
+        `Node ${this.nodeId} does not support the Schedule Entry Lock CC`,
+        { commandClass: "Schedule Entry Lock" }
+      );
+    }
+    return this.node.commandClasses["Schedule Entry Lock"];
+  }
+
+  /**
+   * @private
+   * @throws {ProtocolError} INVALID_PARAMETER for unknown kinds
+   */
+  _getScheduleKind(kind) {
+    const scheduleKind = SCHEDULE_KINDS[kind];
+    if (!scheduleKind) {
+      throw new ProtocolError(
+        ErrorCode.INVALID_PARAMETER,
+        `Unknown schedule kind ${kind}`,
+        { field: "kind" }
+      );
+    }
+    return scheduleKind;
+  }
+
+  /**
+   * Returns how many schedule slots of each kind the lock has per user
+   * @returns {{WeekDay: number, YearDay: number, DailyRepeating: number}}
+   */
+  getScheduleSlots() {
+    this._getScheduleAPI();
+    const slots = {};
+    for (const [kind, { numSlots }] of Object.entries(SCHEDULE_KINDS)) {
+      slots[kind] = this.node.getValue(numSlots.id) ?? 0;
+    }
+    return slots;
+  }
+
+  /**
+   * Returns the schedules of one or all users. The schedules are read from
+   * the cache, which zwave-js fills when schedules are set or queried.
+   * @param {Object} [options]
+   * @param {number} [options.userId] - Only this user's schedules
+   * @param {boolean} [options.refresh] - Query every slot of the user from the
+   *   lock first. Requires userId
+   * @returns {Promise<{nodeId: number, slots: Object, schedules: Array<{userId: number, kind: string, slotId: number, schedule: Object}>}>}
+   */
+  async getSchedules({ userId, refresh = false } = {}) {
+    const api = this._getScheduleAPI();
+    const slots = this.getScheduleSlots();
+    if (refresh && userId === undefined) {
+      throw new ProtocolError(
+        ErrorCode.INVALID_PARAMETER,
+        "Refreshing schedules requires a userId",
+        { field: "userId" }
+      );
+    }
+
+    if (refresh) {
+      console.log(
+        `[ZWaveLock ${this.nodeId}] Querying schedules of user ${userId}...`
+      );
+      for (const [kind, { get }] of Object.entries(SCHEDULE_KINDS)) {
+        for (let slotId = 1; slotId <= slots[kind]; slotId++) {
+          await api[get]({ userId, slotId });
+        }
+      }
+    }
+
+    const userIds =
+      userId !== undefined
+        ? [userId]
+        : Array.from(
+            {
+              length:
+                this.node.getValue(UserCodeCCValues.supportedUsers.id) ?? 0,
+            },
+            (_, i) => i + 1
+          );
+    const schedules = [];
+    for (const id of userIds) {
+      for (const kind of Object.keys(SCHEDULE_KINDS)) {
+        for (let slotId = 1; slotId <= slots[kind]; slotId++) {
+          const schedule = this.node.getValue(
+            ScheduleEntryLockCCValues.schedule(
+              ScheduleEntryLockScheduleKind[kind],
+              id,
+              slotId
+            ).id
+          );
+          // false means the slot is known to be empty
+          if (!schedule) continue;
+          schedules.push({
+            userId: id,
+            kind,
+            slotId,
+            schedule: toSchedule(kind, schedule),
+          });
+        }
+      }
+    }
+    return { nodeId: this.nodeId, slots, schedules };
+  }
+
+  /**
+   * Stores a schedule in a slot. Setting a schedule enables scheduling for
+   * the user, so their code only works within their schedules from then on.
+   * @param {string} kind - "WeekDay", "YearDay" or "DailyRepeating"
+   * @param {{userId: number, slotId: number}} slot - The user code slot and the schedule slot of that kind
+   * @param {Object} schedule - WeekDay: `weekday`, `startHour`, `startMinute`,
+   *   `stopHour`, `stopMinute`. YearDay: `start` and `stop` in the lock's local
+   *   time, e.g. "2024-06-01T10:00". DailyRepeating: `weekdays`, `startHour`,
+   *   `startMinute`, `durationHour`, `durationMinute`
+   * @returns {Promise<{nodeId: number, userId: number, kind: string, slotId: number, schedule: Object, supervisionStatus: string|null}>}
+   */
+  async setSchedule(kind, { userId, slotId }, schedule) {
+    const api = this._getScheduleAPI();
+    const { set } = this._getScheduleKind(kind);
+    const zwaveSchedule = toZWaveSchedule(kind, schedule);
+    console.log(
+      `[ZWaveLock ${this.nodeId}] Setting ${kind} schedule ${slotId} of user ${userId}...`
+    );
+    const result = await api[set]({ userId, slotId }, zwaveSchedule);
+    const supervisionStatus = this._checkSupervisionResult(
+      result,
+      `set ${kind} schedule ${slotId} of user ${userId}`
+    );
+    console.log(
+      `[ZWaveLock ${this.nodeId}] ✅ ${kind} schedule ${slotId} of user ${userId} set`
+    );
+    return {
+      nodeId: this.nodeId,
+      userId,
+      kind,
+      slotId,
+      schedule: toSchedule(kind, zwaveSchedule),
+      supervisionStatus,
+    };
+  }
+
+  /**
+   * Erases a schedule slot
+   * @param {string} kind - "WeekDay", "YearDay" or "DailyRepeating"
+   * @param {{userId: number, slotId: number}} slot
+   * @returns {Promise<{nodeId: number, userId: number, kind: string, slotId: number, supervisionStatus: string|null}>}
+   */
+  async clearSchedule(kind, { userId, slotId }) {
+    const api = this._getScheduleAPI();
+    const { set } = this._getScheduleKind(kind);
+    console.log(
+      `[ZWaveLock ${this.nodeId}] Clearing ${kind} schedule ${slotId} of user ${userId}...`
+    );
+    const result = await api[set]({ userId, slotId });
+    const supervisionStatus = this._checkSupervisionResult(
+      result,
+      `clear ${kind} schedule ${slotId} of user ${userId}`
+    );
+    console.log(
+      `[ZWaveLock ${this.nodeId}] ✅ ${kind} schedule ${slotId} of user ${userId} cleared`
+    );
+    return { nodeId: this.nodeId, userId, kind, slotId, supervisionStatus };
+  }
+
+  /**
+   * Sets the lock's clock to the current time and its timezone to the
+   * server's, including the DST offset. zwave-js uses Time Parameters CC if
+   * the lock supports it, and sets the timezone via Time CC or Schedule
+   * Entry Lock CC. Schedules are evaluated by the lock's clock, so this
+   * decides when year-day schedules expire.
+   * @throws {ProtocolError} SEND_FAILED if the lock did not accept the time
+   */
+  async syncClock() {
+    this._getScheduleAPI();
+    console.log(`[ZWaveLock ${this.nodeId}] Setting date, time and timezone...`);
+    if (!(await this.node.setDateAndTime(new Date()))) {
+      throw new ProtocolError(
+        ErrorCode.SEND_FAILED,
+        `Node ${this.nodeId} did not accept the date and time`
+      );
+    }
+    console.log(`[ZWaveLock ${this.nodeId}] ✅ Clock synchronized`);
+  }
+
+  /**
+   * How the node can be reached: `listening` nodes are always on, `FLiRS`
+   * nodes wake up for a beam within a second, `sleeping` nodes only listen
+   * after they wake up on their own.
+   * @returns {"listening"|"FLiRS"|"sleeping"|null} null until the node info is known
+   */
+  getPowerMode() {
+    if (this.node.isListening) return "listening";
+    if (this.node.isFrequentListening) return "FLiRS";
+    if (this.node.canSleep) return "sleeping";
+    return null;
+  }
+
+  /**
+   * Returns the Wake Up CC API of this node
+   * @private
+   * @throws {ProtocolError} NODE_NOT_READY or CC_NOT_SUPPORTED
+   */
+  _getWakeUpAPI() {
+    if (!this.node.ready) {
+      throw new ProtocolError(
+        ErrorCode.NODE_NOT_READY,
+        `Node ${this.nodeId} is not ready yet`
+      );
+    }
+    if (!this.node.supportsCC(CommandClasses["Wake Up"])) {
+      throw new ProtocolError(
+        ErrorCode.CC_NOT_SUPPORTED,
+        `Node ${this.nodeId} does not support the Wake Up CC`,
+        { commandClass: "Wake Up" }
+      );
+    }
+    return this.node.commandClasses["Wake Up"];
+  }
+
+  /**
+   * Returns the wake-up interval last reported by the node and the range it
+   * accepts, without querying it. The node is usually asleep, so a query
+   * would only be answered at its next wake-up. The range requires Wake Up
+   * CC version 2.
+   * @returns {{nodeId: number, wakeUpInterval: number|null, controllerNodeId: number|null, minWakeUpInterval: number|null, maxWakeUpInterval: number|null, defaultWakeUpInterval: number|null, wakeUpIntervalSteps: number|null}}
+   *   Intervals in seconds
+   */
+  getWakeUpInterval() {
+    this._getWakeUpAPI();
+    const metadata = this.node.getValueMetadata(
+      WakeUpCCValues.wakeUpInterval.id
+    );
+    return {
+      nodeId: this.nodeId,
+      wakeUpInterval:
+        this.node.getValue(WakeUpCCValues.wakeUpInterval.id) ?? null,
+      controllerNodeId:
+        this.node.getValue(WakeUpCCValues.controllerNodeId.id) ?? null,
+      minWakeUpInterval: metadata?.min ?? null,
+      maxWakeUpInterval: metadata?.max ?? null,
+      defaultWakeUpInterval: metadata?.default ?? null,
+      wakeUpIntervalSteps: metadata?.steps ?? null,
+    };
+  }
+
+  /**
+   * Changes how often the node wakes up. Longer intervals save battery, but
+   * queued commands wait longer for delivery.
+   * @param {number} wakeUpInterval - Seconds between wake-ups, within the
+   *   range the node reported (see {@link getWakeUpInterval})
+   * @param {number} controllerNodeId - Node that is notified of the wake-ups,
+   *   usually our controller
+   * @returns {Promise<{nodeId: number, wakeUpInterval: number, supervisionStatus: string|null}>}
+   */
+  async setWakeUpInterval(wakeUpInterval, controllerNodeId) {
+    const api = this._getWakeUpAPI();
+    const {
+      minWakeUpInterval: min,
+      maxWakeUpInterval: max,
+      wakeUpIntervalSteps: steps,
+    } = this.getWakeUpInterval();
+    if (
+      (min !== null && wakeUpInterval < min) ||
+      (max !== null && wakeUpInterval > max) ||
+      (min !== null && steps && (wakeUpInterval - min) % steps !== 0)
+    ) {
+      throw new ProtocolError(
+        ErrorCode.INVALID_PARAMETER,
+        `Node ${this.nodeId} accepts wake-up intervals from ${min} to ${max} seconds in steps of ${steps}`,
+        { field: "wakeUpInterval", min, max, steps }
+      );
+    }
+    console.log(
+      `[ZWaveLock ${this.nodeId}] Setting wake-up interval to ${wakeUpInterval}s...`
+    );
+    const result = await api.setInterval(wakeUpInterval, controllerNodeId);
+    const supervisionStatus = this._checkSupervisionResult(
+      result,
+      `set the wake-up interval to ${wakeUpInterval}s`
+    );
+    // zwave-js only caches the interval from reports, and the node is awake now
+    await api.getInterval();
+    console.log(
+      `[ZWaveLock ${this.nodeId}] ✅ Wake-up interval set to ${wakeUpInterval}s`
+    );
+    return { nodeId: this.nodeId, wakeUpInterval, supervisionStatus };
+  }
+
   /**
    * Creates a device config file for this node that forces Manufacturer Proprietary (0x91) support.
    *
@@ -592,6 +2040,22 @@ export class ZWaveLock extends EventEmitter {
     return dsk;
   }
 
+  /**
+   * Stops listening to the node, e.g. after it was removed from the network
+   */
+  destroy() {
+    this._removeValueListeners?.();
+    this._removeValueListeners = null;
+    for (const pending of this._pendingResponses.splice(0)) {
+      pending.error = new ProtocolError(
+        ErrorCode.NODE_NOT_FOUND,
+        `Node ${this.nodeId} was removed before it replied`
+      );
+      pending.settle?.();
+    }
+    this.removeAllListeners();
+  }
+
   /**
    * Get the underlying Z-Wave node object
    * @returns {import("../../../packages/zwave-js/src/Node.js").ZWaveNode} The Z-Wave node
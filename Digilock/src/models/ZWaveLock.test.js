@@ -0,0 +1,168 @@
+import { EventEmitter } from "events";
+import { afterEach, beforeEach, test, vi } from "vitest";
+import { ErrorCode } from "../protocol.js";
+import { ZWaveLock } from "./ZWaveLock.js";
+
+const MANUFACTURER_ID = 0x0129;
+
+let lock;
+
+/**
+ * Returns a lock whose frames are sent with the given Supervision status,
+ * without a driver
+ */
+function createLock(status = "Success") {
+  const node = Object.assign(new EventEmitter(), { id: 5 });
+  const zwaveLock = new ZWaveLock(node);
+  zwaveLock.sendCustom = vi.fn(async () => ({
+    nodeId: 5,
+    results: [{ frameNumber: 1, status }],
+  }));
+  return zwaveLock;
+}
+
+/** Hands a received frame to the lock, like ZWaveProvisioningClient does */
+function receive(payload, manufacturerId = MANUFACTURER_ID) {
+  return lock.handleManufacturerProprietaryResponse({
+    nodeId: 5,
+    manufacturerId,
+    payload: Buffer.from(payload),
+    payloadLength: payload.length,
+    endpointIndex: 0,
+  });
+}
+
+beforeEach(() => {
+  vi.useFakeTimers({ now: 0 });
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+  lock = createLock();
+});
+
+afterEach(() => {
+  lock.destroy();
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+test("requestMP() resolves with the reply", async (t) => {
+  const request = lock.requestMP({
+    payload: "0107",
+    manufacturerId: MANUFACTURER_ID,
+    expect: { opcode: 0x81, sequenceOffset: 1 },
+  });
+  await vi.advanceTimersByTimeAsync(100);
+
+  t.expect(receive([0x81, 0x08])).toBe(false);
+  t.expect(receive([0x81, 0x07], 0x0000)).toBe(false);
+  t.expect(receive([0x81, 0x07, 0x01])).toBe(true);
+
+  t.expect(await request).toEqual({
+    nodeId: 5,
+    results: [{ frameNumber: 1, status: "Success" }],
+    response: {
+      manufacturerId: MANUFACTURER_ID,
+      payloadHex: "810701",
+      payloadLength: 3,
+      endpointIndex: 0,
+    },
+    duration: 100,
+  });
+  t.expect(lock.sendCustom).toHaveBeenCalledWith(
+    t.expect.objectContaining({
+      payload: Buffer.from([0x01, 0x07]),
+      manufacturerId: MANUFACTURER_ID,
+    })
+  );
+});
+
+test("requestMP() rejects with RESPONSE_TIMEOUT if no reply arrives in time", async (t) => {
+  const request = lock.requestMP({
+    payload: Buffer.from([0x01]),
+    manufacturerId: MANUFACTURER_ID,
+    timeoutMs: 2000,
+  });
+  const rejected = t
+    .expect(request)
+    .rejects.toThrow(
+      t.expect.objectContaining({
+        code: ErrorCode.RESPONSE_TIMEOUT,
+        message: "Node 5 did not reply within 2000 ms",
+        details: { timeoutMs: 2000 },
+      })
+    );
+
+  await vi.advanceTimersByTimeAsync(1999);
+  await vi.advanceTimersByTimeAsync(1);
+  await rejected;
+
+  // A late reply is no longer taken as the reply
+  t.expect(receive([0x81])).toBe(false);
+  t.expect(vi.getTimerCount()).toBe(0);
+});
+
+test("requestMP() waits 5 seconds by default", async (t) => {
+  const request = lock.requestMP({ payload: "01" });
+  let settled = false;
+  request.catch(() => {}).finally(() => (settled = true));
+
+  await vi.advanceTimersByTimeAsync(4999);
+  t.expect(settled).toBe(false);
+  await vi.advanceTimersByTimeAsync(1);
+  await t
+    .expect(request)
+    .rejects.toThrow(
+      t.expect.objectContaining({ code: ErrorCode.RESPONSE_TIMEOUT })
+    );
+});
+
+test("requestMP() counts a reply that arrives before the frame was sent", async (t) => {
+  let resolveSent;
+  lock.sendCustom.mockImplementation(
+    () => new Promise((resolve) => (resolveSent = resolve))
+  );
+
+  const request = lock.requestMP({
+    payload: "01",
+    manufacturerId: MANUFACTURER_ID,
+  });
+  await vi.advanceTimersByTimeAsync(0);
+  t.expect(receive([0x81])).toBe(true);
+  resolveSent({ nodeId: 5, results: [{ frameNumber: 1, status: "Success" }] });
+
+  t.expect((await request).response.payloadHex).toBe("81");
+  t.expect(vi.getTimerCount()).toBe(0);
+});
+
+test("requestMP() does not wait for replies to rejected frames", async (t) => {
+  lock.destroy();
+  lock = createLock("NoSupport");
+
+  await t
+    .expect(
+      lock.requestMP({ payload: "01", manufacturerId: MANUFACTURER_ID })
+    )
+    .rejects.toThrow(
+      t.expect.objectContaining({
+        code: ErrorCode.SEND_FAILED,
+        details: { supervisionStatus: "NoSupport" },
+      })
+    );
+  t.expect(receive([0x81])).toBe(false);
+});
+
+test("requestMP() fails with NODE_NOT_FOUND when the lock is removed", async (t) => {
+  const request = lock.requestMP({
+    payload: "01",
+    manufacturerId: MANUFACTURER_ID,
+  });
+  await vi.advanceTimersByTimeAsync(100);
+
+  lock.destroy();
+
+  await t
+    .expect(request)
+    .rejects.toThrow(
+      t.expect.objectContaining({ code: ErrorCode.NODE_NOT_FOUND })
+    );
+});
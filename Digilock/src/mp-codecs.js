@@ -0,0 +1,251 @@
+import { existsSync } from "fs";
+import { readdir } from "fs/promises";
+import { join, resolve } from "path";
+import { pathToFileURL } from "url";
+import { ErrorCode, ProtocolError } from "./protocol.js";
+
+/**
+ * Codecs translate between named Manufacturer Proprietary (CC 0x91) commands
+ * and vendor payloads. Each codec handles the payloads of one manufacturer ID
+ * and is an ES module in the codec directory whose default export looks like:
+ *
+ * ```js
+ * export default {
+ *   name: "digilock",
+ *   manufacturerId: 0x0000,
+ *   commands: {
+ *     OPEN_DOOR: {
+ *       opcode: [0x01],
+ *       encode: (args) => [args.slot],
+ *       decode: (body) => ({ slot: body[0] }),
+ *     },
+ *   },
+ *   // Optional, for payloads no opcode matches
+ *   decode: (payload) => ({ command: "STATUS", fields: {} }),
+ * };
+ * ```
+ *
+ * A payload is the command's `opcode` bytes (optional) followed by the bytes
+ * `encode` returns. Received payloads are decoded by the command with the
+ * longest matching opcode, which gets the bytes after the opcode.
+ */
+
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+function isByteArray(value) {
+  return (
+    Array.isArray(value) &&
+    value.every((byte) => Number.isInteger(byte) && byte >= 0 && byte <= 0xff)
+  );
+}
+
+/**
+ * Checks the default export of a codec module
+ * @throws {Error} If it is not a valid codec
+ */
+function toCodec(codec, source) {
+  if (!codec || typeof codec !== "object") {
+    throw new Error(`MP codec ${source} has no default export`);
+  }
+  if (typeof codec.name !== "string" || !codec.name) {
+    throw new Error(`MP codec ${source} has no name`);
+  }
+  const { manufacturerId } = codec;
+  if (
+    !Number.isInteger(manufacturerId) ||
+    manufacturerId < 0 ||
+    manufacturerId > 0xffff
+  ) {
+    throw new Error(
+      `MP codec "${codec.name}" has invalid manufacturerId, expected 0x0000-0xffff`
+    );
+  }
+  if (codec.decode !== undefined && typeof codec.decode !== "function") {
+    throw new Error(`MP codec "${codec.name}" has a decode that is no function`);
+  }
+
+  const commands = new Map();
+  for (const [name, command] of Object.entries(codec.commands || {})) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(
+        `MP codec "${codec.name}" has invalid command name "${name}"`
+      );
+    }
+    const opcode = command.opcode ?? [];
+    if (!isByteArray(opcode)) {
+      throw new Error(
+        `MP codec "${codec.name}" command ${name} has an invalid opcode, expected an array of bytes`
+      );
+    }
+    for (const fn of ["encode", "decode"]) {
+      if (command[fn] !== undefined && typeof command[fn] !== "function") {
+        throw new Error(
+          `MP codec "${codec.name}" command ${name} has a ${fn} that is no function`
+        );
+      }
+    }
+    commands.set(name, { ...command, name, opcode });
+  }
+  return { ...codec, commands };
+}
+
+function startsWith(payload, opcode) {
+  return (
+    opcode.length > 0 &&
+    payload.length >= opcode.length &&
+    opcode.every((byte, i) => payload[i] === byte)
+  );
+}
+
+/**
+ * Creates a codec registry
+ * @param {Object[]} [codecs] - Codecs as described at the top of this file
+ */
+export function createCodecRegistry(codecs = []) {
+  /** Codecs by manufacturer ID */
+  const registry = new Map();
+
+  function register(codec, source = codec?.name) {
+    const checked = toCodec(codec, source);
+    if (registry.has(checked.manufacturerId)) {
+      throw new Error(
+        `MP codec "${checked.name}" uses manufacturerId 0x${checked.manufacturerId.toString(16).padStart(4, "0")}, which codec "${registry.get(checked.manufacturerId).name}" already handles`
+      );
+    }
+    registry.set(checked.manufacturerId, checked);
+    console.log(
+      `[Codecs] 📦 ${checked.name} (0x${checked.manufacturerId.toString(16).padStart(4, "0")}): ${[...checked.commands.keys()].join(", ") || "decode only"}`
+    );
+  }
+
+  for (const codec of codecs) register(codec);
+
+  return {
+    register,
+
+    /**
+     * Lists the codecs and their commands
+     * @returns {{name: string, manufacturerId: number, commands: {name: string, opcode: number[], encodes: boolean, decodes: boolean}[]}[]}
+     */
+    list() {
+      return [...registry.values()].map((codec) => ({
+        name: codec.name,
+        manufacturerId: codec.manufacturerId,
+        commands: [...codec.commands.values()].map((command) => ({
+          name: command.name,
+          opcode: command.opcode,
+          encodes: !!command.encode,
+          decodes: !!command.decode,
+        })),
+      }));
+    },
+
+    /**
+     * Builds the vendor payload of a named command
+     * @param {number} manufacturerId - Manufacturer ID of the codec
+     * @param {string} name - Command name
+     * @param {Object} [args] - Arguments for the codec's encode function
+     * @returns {{codec: string, payload: Buffer}}
+     * @throws {ProtocolError} INVALID_PARAMETER if there is no such command
+     *   or the codec rejects the arguments
+     */
+    encode(manufacturerId, name, args = {}) {
+      const codec = registry.get(manufacturerId);
+      const command = codec?.commands.get(name);
+      if (!command?.encode) {
+        throw new ProtocolError(
+          ErrorCode.INVALID_PARAMETER,
+          codec
+            ? `MP codec "${codec.name}" cannot encode ${name}`
+            : `No MP codec for manufacturer ID 0x${manufacturerId.toString(16).padStart(4, "0")}`,
+          { field: "command" }
+        );
+      }
+      let body;
+      try {
+        body = command.encode(args);
+      } catch (error) {
+        throw new ProtocolError(
+          ErrorCode.INVALID_PARAMETER,
+          `Invalid args for ${name}: ${error.message}`,
+          { field: "args" }
+        );
+      }
+      if (!Buffer.isBuffer(body) && !isByteArray(body)) {
+        throw new Error(
+          `MP codec "${codec.name}" returned no bytes for ${name}`
+        );
+      }
+      return {
+        codec: codec.name,
+        payload: Buffer.concat([Buffer.from(command.opcode), Buffer.from(body)]),
+      };
+    },
+
+    /**
+     * Decodes a received vendor payload
+     * @param {number} manufacturerId - Manufacturer ID of the frame
+     * @param {Buffer|number[]} payload - The vendor payload
+     * @returns {{codec: string, command: string, fields: Object}|null} null
+     *   if no codec knows the payload
+     */
+    decode(manufacturerId, payload) {
+      const codec = registry.get(manufacturerId);
+      if (!codec || !payload) return null;
+      const bytes = [...payload];
+
+      let match = null;
+      for (const command of codec.commands.values()) {
+        if (!command.decode || !startsWith(bytes, command.opcode)) continue;
+        if (!match || command.opcode.length > match.opcode.length) {
+          match = command;
+        }
+      }
+      try {
+        if (match) {
+          return {
+            codec: codec.name,
+            command: match.name,
+            fields:
+              match.decode(Buffer.from(bytes.slice(match.opcode.length))) ??
+              {},
+          };
+        }
+        const decoded = codec.decode?.(Buffer.from(bytes));
+        if (!decoded) return null;
+        return {
+          codec: codec.name,
+          command: decoded.command,
+          fields: decoded.fields ?? {},
+        };
+      } catch (error) {
+        console.warn(
+          `[Codecs] ⚠️  ${codec.name} could not decode ${Buffer.from(bytes).toString("hex")}: ${error.message}`
+        );
+        return null;
+      }
+    },
+  };
+}
+
+/**
+ * Loads all codec modules (`.js` and `.mjs`) from a directory
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Codec directory (default: ./store/mp-codecs)
+ * @returns {Promise<Object>} A codec registry, see {@link createCodecRegistry}
+ */
+export async function loadCodecs(options = {}) {
+  const dir = options.dir || "./store/mp-codecs";
+  const registry = createCodecRegistry();
+  if (!existsSync(dir)) return registry;
+
+  const files = (await readdir(dir))
+    .filter((file) => /\.m?js$/.test(file))
+    .sort();
+  for (const file of files) {
+    const path = join(dir, file);
+    const module = await import(pathToFileURL(resolve(path)).href);
+    registry.register(module.default, path);
+  }
+  return registry;
+}
@@ -0,0 +1,199 @@
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { afterEach, beforeEach, test, vi } from "vitest";
+import { createCodecRegistry, loadCodecs } from "./mp-codecs.js";
+import { ErrorCode } from "./protocol.js";
+
+const MANUFACTURER_ID = 0x0129;
+
+/** A codec like the example at the top of mp-codecs.js */
+function createCodec() {
+  return {
+    name: "digilock",
+    manufacturerId: MANUFACTURER_ID,
+    commands: {
+      OPEN_DOOR: {
+        opcode: [0x01],
+        encode: (args) => {
+          if (!Number.isInteger(args.slot)) throw new Error("slot is missing");
+          return [args.slot];
+        },
+        decode: (body) => ({ slot: body[0] }),
+      },
+      DOOR_STATUS: {
+        opcode: [0x02],
+        decode: (body) => ({ open: body[0] === 1 }),
+      },
+      DOOR_STATUS_EXTENDED: {
+        opcode: [0x02, 0xff],
+        decode: (body) => ({ open: body[0] === 1, battery: body[1] }),
+      },
+      PING: {
+        encode: () => Buffer.from([0x00]),
+      },
+      BROKEN: {
+        opcode: [0x03],
+        encode: () => "not bytes",
+        decode: () => {
+          throw new Error("unexpected length");
+        },
+      },
+    },
+    decode: (payload) =>
+      payload[0] === 0x7f
+        ? { command: "VENDOR_EVENT", fields: { code: payload[1] } }
+        : null,
+  };
+}
+
+beforeEach(() => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+test("encode() prefixes the codec's bytes with the opcode", (t) => {
+  const registry = createCodecRegistry([createCodec()]);
+
+  t.expect(registry.encode(MANUFACTURER_ID, "OPEN_DOOR", { slot: 3 })).toEqual(
+    { codec: "digilock", payload: Buffer.from([0x01, 0x03]) }
+  );
+  t.expect(registry.encode(MANUFACTURER_ID, "PING")).toEqual({
+    codec: "digilock",
+    payload: Buffer.from([0x00]),
+  });
+});
+
+test("encode() rejects unknown commands and invalid args", (t) => {
+  const registry = createCodecRegistry([createCodec()]);
+
+  for (const [manufacturerId, name, message, field] of [
+    [0x0001, "OPEN_DOOR", "No MP codec for manufacturer ID 0x0001", "command"],
+    [MANUFACTURER_ID, "CLOSE_DOOR", "cannot encode CLOSE_DOOR", "command"],
+    [MANUFACTURER_ID, "DOOR_STATUS", "cannot encode DOOR_STATUS", "command"],
+    [MANUFACTURER_ID, "OPEN_DOOR", "slot is missing", "args"],
+  ]) {
+    t.expect(() => registry.encode(manufacturerId, name)).toThrow(
+      t.expect.objectContaining({
+        code: ErrorCode.INVALID_PARAMETER,
+        message: t.expect.stringContaining(message),
+        details: { field },
+      })
+    );
+  }
+  // A codec that returns no bytes is broken, not the request
+  t.expect(() => registry.encode(MANUFACTURER_ID, "BROKEN")).toThrow(
+    'MP codec "digilock" returned no bytes for BROKEN'
+  );
+});
+
+test("decode() uses the command with the longest matching opcode", (t) => {
+  const registry = createCodecRegistry([createCodec()]);
+
+  t.expect(registry.decode(MANUFACTURER_ID, Buffer.from([0x01, 0x03]))).toEqual(
+    { codec: "digilock", command: "OPEN_DOOR", fields: { slot: 3 } }
+  );
+  t.expect(registry.decode(MANUFACTURER_ID, [0x02, 0x01])).toEqual({
+    codec: "digilock",
+    command: "DOOR_STATUS",
+    fields: { open: true },
+  });
+  t.expect(registry.decode(MANUFACTURER_ID, [0x02, 0xff, 0x01, 80])).toEqual({
+    codec: "digilock",
+    command: "DOOR_STATUS_EXTENDED",
+    fields: { open: true, battery: 80 },
+  });
+});
+
+test("decode() falls back to the codec's decode and returns null otherwise", (t) => {
+  const registry = createCodecRegistry([createCodec()]);
+
+  t.expect(registry.decode(MANUFACTURER_ID, [0x7f, 0x21])).toEqual({
+    codec: "digilock",
+    command: "VENDOR_EVENT",
+    fields: { code: 0x21 },
+  });
+  t.expect(registry.decode(MANUFACTURER_ID, [0x55])).toBeNull();
+  t.expect(registry.decode(0x0001, [0x01, 0x03])).toBeNull();
+  // Codec errors are logged, received frames never throw
+  t.expect(registry.decode(MANUFACTURER_ID, [0x03])).toBeNull();
+  t.expect(console.warn).toHaveBeenCalledWith(
+    t.expect.stringContaining("could not decode 03: unexpected length")
+  );
+});
+
+test("list() describes the codecs and their commands", (t) => {
+  const registry = createCodecRegistry([createCodec()]);
+
+  const [codec] = registry.list();
+  t.expect(codec).toMatchObject({
+    name: "digilock",
+    manufacturerId: MANUFACTURER_ID,
+  });
+  t.expect(codec.commands.slice(0, 2)).toEqual([
+    { name: "OPEN_DOOR", opcode: [0x01], encodes: true, decodes: true },
+    { name: "DOOR_STATUS", opcode: [0x02], encodes: false, decodes: true },
+  ]);
+});
+
+test("rejects invalid codecs", (t) => {
+  const codec = createCodec();
+
+  for (const [invalid, message] of [
+    [undefined, "has no default export"],
+    [{ ...codec, name: "" }, "has no name"],
+    [{ ...codec, manufacturerId: 0x10000 }, "has invalid manufacturerId"],
+    [{ ...codec, decode: "yes" }, "has a decode that is no function"],
+    [
+      { ...codec, commands: { "open-door": {} } },
+      'invalid command name "open-door"',
+    ],
+    [
+      { ...codec, commands: { OPEN: { opcode: [0x100] } } },
+      "command OPEN has an invalid opcode",
+    ],
+    [
+      { ...codec, commands: { OPEN: { encode: [0x01] } } },
+      "command OPEN has a encode that is no function",
+    ],
+  ]) {
+    t.expect(() => createCodecRegistry([invalid])).toThrow(message);
+  }
+  t.expect(() =>
+    createCodecRegistry([codec, { ...codec, name: "other" }])
+  ).toThrow(
+    'MP codec "other" uses manufacturerId 0x0129, which codec "digilock" already handles'
+  );
+});
+
+test("loadCodecs() loads the modules of the codec directory", async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), "digilock-codecs-"));
+  try {
+    await writeFile(
+      join(dir, "b-vendor.mjs"),
+      `export default { name: "vendor", manufacturerId: 2, commands: { PING: { opcode: [9], encode: () => [] } } };`
+    );
+    await writeFile(
+      join(dir, "a-digilock.js"),
+      `export default { name: "digilock", manufacturerId: 1 };`
+    );
+    await writeFile(join(dir, "README.md"), "Not a codec");
+
+    const registry = await loadCodecs({ dir });
+
+    t.expect(registry.list().map((codec) => codec.name)).toEqual([
+      "digilock",
+      "vendor",
+    ]);
+    t.expect(registry.encode(2, "PING").payload).toEqual(Buffer.from([9]));
+    t.expect((await loadCodecs({ dir: join(dir, "none") })).list()).toEqual(
+      []
+    );
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,347 @@
+import crypto from "crypto";
+import { existsSync } from "fs";
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import { dirname } from "path";
+import { ErrorCode, ProtocolError } from "./protocol.js";
+
+/**
+ * Application-layer security for Manufacturer Proprietary (CC 0x91) payloads.
+ * CC 0x91 frames are sent without S0/S2 encapsulation, so locks with a
+ * payload key get their vendor payloads wrapped like this:
+ *
+ *   counter (4 bytes, big endian) | body | tag (8 bytes)
+ *
+ * - `aes-ccm`: the body is the payload encrypted with AES-128-CCM, the tag is
+ *   the CCM tag. The 13-byte nonce is the direction byte, 8 zero bytes and
+ *   the counter. The additional data is the manufacturer ID (2 bytes).
+ * - `hmac-sha256`: the body is the payload in clear, the tag is the first 8
+ *   bytes of HMAC-SHA256 over the nonce, the manufacturer ID and the body.
+ *
+ * The direction byte is 0x00 for frames to the lock and 0x01 for frames from
+ * it. Each side counts its frames starting at 1 and accepts only frames with
+ * a higher counter than the last one, so recorded frames cannot be replayed.
+ */
+
+export const MP_SECURITY_MODES = ["aes-ccm", "hmac-sha256"];
+
+const COUNTER_LENGTH = 4;
+const TAG_LENGTH = 8;
+const MAX_COUNTER = 0xffffffff;
+
+/** Bytes the security wrapper adds to a payload */
+export const MP_SECURITY_OVERHEAD = COUNTER_LENGTH + TAG_LENGTH;
+
+const TO_LOCK = 0x00;
+const FROM_LOCK = 0x01;
+
+function isValidKey(key) {
+  return typeof key === "string" && /^[0-9a-fA-F]{32}$/.test(key);
+}
+
+/**
+ * Identifies a key in the counter file without revealing it: the first 16
+ * bytes of its SHA-256 hash. Keys have 16 bytes, far too many to find one
+ * from its hash
+ */
+function getKeyId(keyHex) {
+  return crypto
+    .createHash("sha256")
+    .update(Buffer.from(keyHex, "hex"))
+    .digest("hex")
+    .slice(0, 32);
+}
+
+function createNonce(direction, counter) {
+  const nonce = Buffer.alloc(13);
+  nonce[0] = direction;
+  nonce.writeUInt32BE(counter, 9);
+  return nonce;
+}
+
+function manufacturerIdBytes(manufacturerId) {
+  const bytes = Buffer.alloc(2);
+  bytes.writeUInt16BE(manufacturerId);
+  return bytes;
+}
+
+function hmacTag(key, nonce, manufacturerId, body) {
+  return crypto
+    .createHmac("sha256", key)
+    .update(Buffer.concat([nonce, manufacturerIdBytes(manufacturerId), body]))
+    .digest()
+    .subarray(0, TAG_LENGTH);
+}
+
+/**
+ * Wraps a payload, see the top of this file
+ * @returns {Buffer}
+ */
+function seal({ key, mode }, direction, counter, manufacturerId, payload) {
+  const nonce = createNonce(direction, counter);
+  let body;
+  let tag;
+  if (mode === "aes-ccm") {
+    const cipher = crypto.createCipheriv("aes-128-ccm", key, nonce, {
+      authTagLength: TAG_LENGTH,
+    });
+    cipher.setAAD(manufacturerIdBytes(manufacturerId), {
+      plaintextLength: payload.length,
+    });
+    body = Buffer.concat([cipher.update(payload), cipher.final()]);
+    tag = cipher.getAuthTag();
+  } else {
+    body = payload;
+    tag = hmacTag(key, nonce, manufacturerId, body);
+  }
+  return Buffer.concat([nonce.subarray(9), body, tag]);
+}
+
+/**
+ * Unwraps a payload, see the top of this file
+ * @returns {Buffer|null} The payload, or null if the tag is wrong
+ */
+function open({ key, mode }, direction, manufacturerId, frame) {
+  const nonce = createNonce(direction, frame.readUInt32BE(0));
+  const body = frame.subarray(COUNTER_LENGTH, frame.length - TAG_LENGTH);
+  const tag = frame.subarray(frame.length - TAG_LENGTH);
+  if (mode === "aes-ccm") {
+    try {
+      const decipher = crypto.createDecipheriv("aes-128-ccm", key, nonce, {
+        authTagLength: TAG_LENGTH,
+      });
+      decipher.setAuthTag(tag);
+      decipher.setAAD(manufacturerIdBytes(manufacturerId), {
+        plaintextLength: body.length,
+      });
+      return Buffer.concat([decipher.update(body), decipher.final()]);
+    } catch {
+      return null;
+    }
+  }
+  const expected = hmacTag(key, nonce, manufacturerId, body);
+  return crypto.timingSafeEqual(expected, tag) ? Buffer.from(body) : null;
+}
+
+/**
+ * Creates the payload security of the locks. Keys belong to the provisioning
+ * entry of a lock and are identified by its DSK. They are kept in the
+ * encrypted key store, the frame counters in a separate file, so a restart
+ * cannot reuse a counter.
+ *
+ * @param {Object} options
+ * @param {Object} options.keyStore - Key store from createKeyStore
+ * @param {string} [options.file] - Path of the counter file (default: ./store/mp-counters.json)
+ */
+export async function createMPSecurity(options) {
+  const { keyStore } = options;
+  const file = options.file || "./store/mp-counters.json";
+
+  /** Last used counters by DSK: `tx` for sent frames, `rx` for received ones */
+  let counters = {};
+  /**
+   * Last counters of keys that were removed or replaced, by key ID. A lock
+   * may get the same key again, e.g. from its label, and must not see a
+   * counter twice under it
+   */
+  let retired = {};
+  if (existsSync(file)) {
+    const data = JSON.parse(await readFile(file, "utf8"));
+    counters = data.counters ?? {};
+    retired = data.retired ?? {};
+  }
+
+  // Writes are chained so an older state never overwrites a newer one
+  let writes = Promise.resolve();
+
+  function persist() {
+    const data = JSON.stringify({ counters, retired }, null, 2);
+    writes = writes
+      .catch(() => {})
+      .then(async () => {
+        await mkdir(dirname(file), { recursive: true });
+        const tmpFile = `${file}.tmp`;
+        await writeFile(tmpFile, data, { mode: 0o600 });
+        await rename(tmpFile, file);
+      });
+    return writes;
+  }
+
+  /** Keeps the counters of a key that is no longer used by a lock */
+  function retire(keyHex, state) {
+    if (!state) return;
+    const id = getKeyId(keyHex);
+    retired[id] = {
+      tx: Math.max(state.tx, retired[id]?.tx ?? 0),
+      rx: Math.max(state.rx, retired[id]?.rx ?? 0),
+    };
+  }
+
+  function getKey(dsk) {
+    const entry = keyStore.getMPKey(dsk);
+    return entry && { mode: entry.mode, key: Buffer.from(entry.key, "hex") };
+  }
+
+  return {
+    /**
+     * Whether the lock with this DSK has a payload key
+     * @param {string} dsk
+     */
+    has(dsk) {
+      return !!keyStore.getMPKey(dsk);
+    },
+
+    /**
+     * Returns the payload security of a lock without key material
+     * @param {string} dsk
+     * @returns {{mode: string, createdAt: string, txCounter: number, rxCounter: number}|null}
+     */
+    getInfo(dsk) {
+      const entry = keyStore.getMPKey(dsk);
+      if (!entry) return null;
+      return {
+        mode: entry.mode,
+        createdAt: entry.createdAt,
+        txCounter: counters[dsk]?.tx ?? 0,
+        rxCounter: counters[dsk]?.rx ?? 0,
+      };
+    },
+
+    /**
+     * Gives a lock a payload key. From now on, all payloads to and from the
+     * lock are secured. A new key starts with fresh counters, a key that was
+     * used before continues with its last counters, so no nonce is ever used twice with
+     * the same key and earlier frames cannot be replayed.
+     * @param {string} dsk - DSK of the lock's provisioning entry
+     * @param {Object} [options]
+     * @param {string} [options.mode] - One of {@link MP_SECURITY_MODES} (default: aes-ccm)
+     * @param {string} [options.key] - 16-byte key as hex string, e.g. from the
+     *   lock's label (default: a random key)
+     * @returns {Promise<{mode: string, createdAt: string, key?: string}>} `key`
+     *   only if it was generated. It cannot be read again later
+     * @throws {ProtocolError} INVALID_PARAMETER if the mode or key is invalid
+     */
+    async provision(dsk, { mode = "aes-ccm", key } = {}) {
+      if (!MP_SECURITY_MODES.includes(mode)) {
+        throw new ProtocolError(
+          ErrorCode.INVALID_PARAMETER,
+          `mode must be one of ${MP_SECURITY_MODES.join(", ")}`,
+          { field: "mode" }
+        );
+      }
+      if (key !== undefined && !isValidKey(key)) {
+        throw new ProtocolError(
+          ErrorCode.INVALID_PARAMETER,
+          "The key must be 32 hex characters (16 bytes)",
+          { field: "keyHex" }
+        );
+      }
+      const generated = key === undefined;
+      const entry = {
+        key: (generated ? crypto.randomBytes(16).toString("hex") : key)
+          .toUpperCase(),
+        mode,
+        createdAt: new Date().toISOString(),
+      };
+      const previous = keyStore.getMPKey(dsk);
+      await keyStore.setMPKey(dsk, entry);
+      if (previous?.key !== entry.key) {
+        if (previous) retire(previous.key, counters[dsk]);
+        // A key that was used before continues with its counters
+        const id = getKeyId(entry.key);
+        counters[dsk] = retired[id] ?? { tx: 0, rx: 0 };
+        delete retired[id];
+      }
+      await persist();
+      console.log(`[MP Security] 🔑 New ${mode} payload key for ${dsk}`);
+      return {
+        mode,
+        createdAt: entry.createdAt,
+        ...(generated && { key: entry.key }),
+      };
+    },
+
+    /**
+     * Deletes the payload key of a lock, so its payloads are sent in clear
+     * @param {string} dsk
+     * @returns {Promise<boolean>} Whether the lock had a key
+     */
+    async remove(dsk) {
+      const previous = keyStore.getMPKey(dsk);
+      const removed = await keyStore.deleteMPKey(dsk);
+      if (counters[dsk]) {
+        if (previous) retire(previous.key, counters[dsk]);
+        delete counters[dsk];
+        await persist();
+      }
+      if (removed) {
+        console.log(`[MP Security] 🗑️  Removed the payload key of ${dsk}`);
+      }
+      return removed;
+    },
+
+    /**
+     * Secures a payload to a lock with the lock's next counter
+     * @param {string} dsk - DSK of the lock
+     * @param {number} manufacturerId - Manufacturer ID of the frame
+     * @param {Buffer} payload - The vendor payload
+     * @returns {Promise<Buffer>} The secured payload, {@link MP_SECURITY_OVERHEAD} bytes longer
+     * @throws {ProtocolError} SEND_FAILED if the counter is used up
+     */
+    async protect(dsk, manufacturerId, payload) {
+      const key = getKey(dsk);
+      const state = (counters[dsk] ??= { tx: 0, rx: 0 });
+      if (state.tx >= MAX_COUNTER) {
+        throw new ProtocolError(
+          ErrorCode.SEND_FAILED,
+          `The payload counter of ${dsk} is used up, provision a new key`
+        );
+      }
+      state.tx++;
+      // The counter must be stored before the frame leaves, or a restart
+      // would send another frame with it
+      await persist();
+      return seal(key, TO_LOCK, state.tx, manufacturerId, payload);
+    },
+
+    /**
+     * Checks and unwraps a payload received from a lock
+     * @param {string} dsk - DSK of the lock
+     * @param {number} manufacturerId - Manufacturer ID of the frame
+     * @param {Buffer} frame - The received vendor payload
+     * @returns {Promise<Buffer>} The payload
+     * @throws {ProtocolError} MP_AUTH_FAILED with `details.reason`
+     *   TOO_SHORT, INVALID_TAG or REPLAY
+     */
+    async unprotect(dsk, manufacturerId, frame) {
+      const key = getKey(dsk);
+      if (frame.length < MP_SECURITY_OVERHEAD) {
+        throw new ProtocolError(
+          ErrorCode.MP_AUTH_FAILED,
+          `The payload has ${frame.length} bytes, a secured payload has at least ${MP_SECURITY_OVERHEAD}`,
+          { reason: "TOO_SHORT" }
+        );
+      }
+      const payload = open(key, FROM_LOCK, manufacturerId, frame);
+      if (!payload) {
+        throw new ProtocolError(
+          ErrorCode.MP_AUTH_FAILED,
+          "The payload tag is invalid",
+          { reason: "INVALID_TAG" }
+        );
+      }
+      // Only authentic counters are trusted
+      const counter = frame.readUInt32BE(0);
+      const state = (counters[dsk] ??= { tx: 0, rx: 0 });
+      if (counter <= state.rx) {
+        throw new ProtocolError(
+          ErrorCode.MP_AUTH_FAILED,
+          `The payload counter ${counter} was already used, the last one was ${state.rx}`,
+          { reason: "REPLAY", counter, lastCounter: state.rx }
+        );
+      }
+      state.rx = counter;
+      await persist();
+      return payload;
+    },
+  };
+}
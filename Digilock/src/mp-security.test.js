@@ -0,0 +1,344 @@
+import crypto from "crypto";
+import { mkdtemp, readFile, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { afterEach, beforeEach, test, vi } from "vitest";
+import { MP_SECURITY_MODES, createMPSecurity } from "./mp-security.js";
+import { ErrorCode } from "./protocol.js";
+
+const DSK = "11111-22222-33333-44444-55555-66666-77777-88888";
+const KEY = "000102030405060708090a0b0c0d0e0f";
+const MANUFACTURER_ID = 0x0000;
+const PAYLOAD = Buffer.from("0107000000000000000000000000ff", "hex");
+
+const TO_LOCK = 0x00;
+const FROM_LOCK = 0x01;
+
+let dir;
+let file;
+
+/** Returns a key store that keeps the payload keys in memory */
+function createKeyStore() {
+  const mpKeys = {};
+  return {
+    getMPKey: (dsk) => (mpKeys[dsk] ? { ...mpKeys[dsk] } : null),
+    setMPKey: async (dsk, entry) => {
+      mpKeys[dsk] = { ...entry };
+    },
+    deleteMPKey: async (dsk) => {
+      if (!mpKeys[dsk]) return false;
+      delete mpKeys[dsk];
+      return true;
+    },
+  };
+}
+
+function createNonce(direction, counter) {
+  const nonce = Buffer.alloc(13);
+  nonce[0] = direction;
+  nonce.writeUInt32BE(counter, 9);
+  return nonce;
+}
+
+function hmacTag(key, nonce, body) {
+  return crypto
+    .createHmac("sha256", key)
+    .update(Buffer.concat([nonce, Buffer.from([0, MANUFACTURER_ID]), body]))
+    .digest()
+    .subarray(0, 8);
+}
+
+/**
+ * Wraps a payload like the lock does, written against the format described
+ * in mp-security.js rather than its code
+ */
+function sealLike(mode, direction, counter, payload) {
+  const key = Buffer.from(KEY, "hex");
+  const nonce = createNonce(direction, counter);
+  const counterBytes = nonce.subarray(9);
+  if (mode === "hmac-sha256") {
+    return Buffer.concat([counterBytes, payload, hmacTag(key, nonce, payload)]);
+  }
+  const cipher = crypto.createCipheriv("aes-128-ccm", key, nonce, {
+    authTagLength: 8,
+  });
+  cipher.setAAD(Buffer.from([0, MANUFACTURER_ID]), {
+    plaintextLength: payload.length,
+  });
+  const body = Buffer.concat([cipher.update(payload), cipher.final()]);
+  return Buffer.concat([counterBytes, body, cipher.getAuthTag()]);
+}
+
+/** Unwraps a payload like the lock does */
+function openLike(mode, direction, frame) {
+  const key = Buffer.from(KEY, "hex");
+  const nonce = createNonce(direction, frame.readUInt32BE(0));
+  const body = frame.subarray(4, frame.length - 8);
+  const tag = frame.subarray(frame.length - 8);
+  if (mode === "hmac-sha256") {
+    return hmacTag(key, nonce, body).equals(tag) ? body : null;
+  }
+  const decipher = crypto.createDecipheriv("aes-128-ccm", key, nonce, {
+    authTagLength: 8,
+  });
+  decipher.setAuthTag(tag);
+  decipher.setAAD(Buffer.from([0, MANUFACTURER_ID]), {
+    plaintextLength: body.length,
+  });
+  return Buffer.concat([decipher.update(body), decipher.final()]);
+}
+
+/** Creates the payload security with a key for DSK */
+async function createProvisioned(mode = "aes-ccm") {
+  const security = await createMPSecurity({ keyStore: createKeyStore(), file });
+  await security.provision(DSK, { mode, key: KEY });
+  return security;
+}
+
+async function readCounters() {
+  return JSON.parse(await readFile(file, "utf8")).counters;
+}
+
+beforeEach(async () => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  dir = await mkdtemp(join(tmpdir(), "digilock-mp-"));
+  file = join(dir, "store", "mp-counters.json");
+});
+
+afterEach(async () => {
+  vi.restoreAllMocks();
+  await rm(dir, { recursive: true, force: true });
+});
+
+for (const mode of MP_SECURITY_MODES) {
+  test(`${mode}: payloads to and from the lock survive the round trip`, async (t) => {
+    const security = await createProvisioned(mode);
+
+    const first = await security.protect(DSK, MANUFACTURER_ID, PAYLOAD);
+    const second = await security.protect(DSK, MANUFACTURER_ID, PAYLOAD);
+    t.expect(first).toHaveLength(PAYLOAD.length + 12);
+    t.expect(first.subarray(0, 4).toString("hex")).toBe("00000001");
+    t.expect(second.subarray(0, 4).toString("hex")).toBe("00000002");
+    t.expect(openLike(mode, TO_LOCK, first)).toEqual(PAYLOAD);
+    t.expect(openLike(mode, TO_LOCK, second)).toEqual(PAYLOAD);
+    // Only aes-ccm hides the payload
+    t.expect(first.subarray(4, -8).equals(PAYLOAD)).toBe(
+      mode === "hmac-sha256"
+    );
+
+    const response = Buffer.from("8107000000000000000000000000ff", "hex");
+    t.expect(
+      await security.unprotect(
+        DSK,
+        MANUFACTURER_ID,
+        sealLike(mode, FROM_LOCK, 1, response)
+      )
+    ).toEqual(response);
+    t.expect(security.getInfo(DSK)).toMatchObject({
+      mode,
+      txCounter: 2,
+      rxCounter: 1,
+    });
+  });
+
+  test(`${mode}: frames with a wrong tag are rejected with INVALID_TAG`, async (t) => {
+    const security = await createProvisioned(mode);
+    const tampered = sealLike(mode, FROM_LOCK, 1, PAYLOAD);
+    tampered[tampered.length - 1] ^= 0x01;
+    // A frame to the lock sent back as if it came from the lock
+    const reflected = sealLike(mode, TO_LOCK, 1, PAYLOAD);
+    const wrongManufacturer = sealLike(mode, FROM_LOCK, 1, PAYLOAD);
+
+    for (const [frame, manufacturerId] of [
+      [tampered, MANUFACTURER_ID],
+      [reflected, MANUFACTURER_ID],
+      [wrongManufacturer, 0x0086],
+    ]) {
+      await t
+        .expect(security.unprotect(DSK, manufacturerId, frame))
+        .rejects.toThrow(
+          t.expect.objectContaining({
+            code: ErrorCode.MP_AUTH_FAILED,
+            details: { reason: "INVALID_TAG" },
+          })
+        );
+    }
+    // Rejected frames do not move the counter
+    t.expect(security.getInfo(DSK).rxCounter).toBe(0);
+  });
+}
+
+test("rejects frames that are too short to be secured", async (t) => {
+  const security = await createProvisioned();
+
+  await t
+    .expect(security.unprotect(DSK, MANUFACTURER_ID, Buffer.alloc(11)))
+    .rejects.toThrow(
+      t.expect.objectContaining({
+        code: ErrorCode.MP_AUTH_FAILED,
+        details: { reason: "TOO_SHORT" },
+      })
+    );
+});
+
+test("rejects replayed counters with REPLAY", async (t) => {
+  const security = await createProvisioned();
+  const frame = sealLike("aes-ccm", FROM_LOCK, 5, PAYLOAD);
+  await security.unprotect(DSK, MANUFACTURER_ID, frame);
+
+  for (const counter of [5, 4]) {
+    await t
+      .expect(
+        security.unprotect(
+          DSK,
+          MANUFACTURER_ID,
+          sealLike("aes-ccm", FROM_LOCK, counter, PAYLOAD)
+        )
+      )
+      .rejects.toThrow(
+        t.expect.objectContaining({
+          code: ErrorCode.MP_AUTH_FAILED,
+          message: `The payload counter ${counter} was already used, the last one was 5`,
+          details: { reason: "REPLAY", counter, lastCounter: 5 },
+        })
+      );
+  }
+  // Counters may skip values, e.g. for frames that got lost
+  await t
+    .expect(
+      security.unprotect(
+        DSK,
+        MANUFACTURER_ID,
+        sealLike("aes-ccm", FROM_LOCK, 9, PAYLOAD)
+      )
+    )
+    .resolves.toEqual(PAYLOAD);
+});
+
+test("the counter is stored before protect() resolves", async (t) => {
+  const security = await createProvisioned();
+
+  await security.protect(DSK, MANUFACTURER_ID, PAYLOAD);
+  t.expect(await readCounters()).toEqual({ [DSK]: { tx: 1, rx: 0 } });
+  await security.protect(DSK, MANUFACTURER_ID, PAYLOAD);
+  t.expect(await readCounters()).toEqual({ [DSK]: { tx: 2, rx: 0 } });
+});
+
+test("the counters continue after a restart", async (t) => {
+  const keyStore = createKeyStore();
+  const security = await createMPSecurity({ keyStore, file });
+  await security.provision(DSK, { key: KEY });
+  await security.protect(DSK, MANUFACTURER_ID, PAYLOAD);
+  const frame = sealLike("aes-ccm", FROM_LOCK, 3, PAYLOAD);
+  await security.unprotect(DSK, MANUFACTURER_ID, frame);
+
+  const restarted = await createMPSecurity({ keyStore, file });
+  const next = await restarted.protect(DSK, MANUFACTURER_ID, PAYLOAD);
+  t.expect(next.readUInt32BE(0)).toBe(2);
+  await t
+    .expect(restarted.unprotect(DSK, MANUFACTURER_ID, frame))
+    .rejects.toThrow(
+      t.expect.objectContaining({
+        details: t.expect.objectContaining({ reason: "REPLAY" }),
+      })
+    );
+});
+
+test("protect() fails with SEND_FAILED once the counter is used up", async (t) => {
+  const keyStore = createKeyStore();
+  await (
+    await createMPSecurity({ keyStore, file })
+  ).provision(DSK, {
+    key: KEY,
+  });
+  await writeFile(
+    file,
+    JSON.stringify({ counters: { [DSK]: { tx: 0xffffffff, rx: 0 } } })
+  );
+  const security = await createMPSecurity({ keyStore, file });
+
+  await t
+    .expect(security.protect(DSK, MANUFACTURER_ID, PAYLOAD))
+    .rejects.toThrow(
+      t.expect.objectContaining({ code: ErrorCode.SEND_FAILED })
+    );
+  t.expect(await readCounters()).toEqual({ [DSK]: { tx: 0xffffffff, rx: 0 } });
+});
+
+test("provision() checks the mode and key", async (t) => {
+  const security = await createProvisioned();
+  await security.protect(DSK, MANUFACTURER_ID, PAYLOAD);
+
+  await t.expect(security.provision(DSK, { mode: "rot13" })).rejects.toThrow(
+    t.expect.objectContaining({
+      code: ErrorCode.INVALID_PARAMETER,
+      details: { field: "mode" },
+    })
+  );
+  await t.expect(security.provision(DSK, { key: "0011" })).rejects.toThrow(
+    t.expect.objectContaining({
+      code: ErrorCode.INVALID_PARAMETER,
+      details: { field: "keyHex" },
+    })
+  );
+
+  // A generated key is returned once, a given one never
+  const generated = await security.provision(DSK, { mode: "hmac-sha256" });
+  t.expect(generated.key).toMatch(/^[0-9A-F]{32}$/);
+  t.expect(security.getInfo(DSK)).toMatchObject({
+    mode: "hmac-sha256",
+    txCounter: 0,
+    rxCounter: 0,
+  });
+  t.expect(await security.provision(DSK, { key: KEY })).not.toHaveProperty(
+    "key"
+  );
+});
+
+test("provisioning the same key again keeps its counters", async (t) => {
+  const security = await createProvisioned();
+  await security.protect(DSK, MANUFACTURER_ID, PAYLOAD);
+  const frame = sealLike("aes-ccm", FROM_LOCK, 3, PAYLOAD);
+  await security.unprotect(DSK, MANUFACTURER_ID, frame);
+
+  await security.provision(DSK, { key: KEY, mode: "hmac-sha256" });
+  t.expect(security.getInfo(DSK)).toMatchObject({
+    txCounter: 1,
+    rxCounter: 3,
+  });
+
+  // Also after the key was removed and set again, e.g. from the lock's label
+  await security.remove(DSK);
+  await security.provision(DSK, { key: KEY });
+  const next = await security.protect(DSK, MANUFACTURER_ID, PAYLOAD);
+  t.expect(next.readUInt32BE(0)).toBe(2);
+  await t
+    .expect(security.unprotect(DSK, MANUFACTURER_ID, frame))
+    .rejects.toThrow(
+      t.expect.objectContaining({
+        details: t.expect.objectContaining({ reason: "REPLAY" }),
+      })
+    );
+});
+
+test("a key that was replaced continues with its counters, also after a restart", async (t) => {
+  const keyStore = createKeyStore();
+  const security = await createMPSecurity({ keyStore, file });
+  await security.provision(DSK, { key: KEY });
+  await security.protect(DSK, MANUFACTURER_ID, PAYLOAD);
+  await security.protect(DSK, MANUFACTURER_ID, PAYLOAD);
+
+  // Other keys start from scratch
+  await security.provision(DSK);
+  t.expect(security.getInfo(DSK).txCounter).toBe(0);
+  await security.protect(DSK, MANUFACTURER_ID, PAYLOAD);
+
+  const restarted = await createMPSecurity({ keyStore, file });
+  await restarted.provision(DSK, { key: KEY.toUpperCase() });
+  t.expect(restarted.getInfo(DSK)).toMatchObject({
+    txCounter: 2,
+    rxCounter: 0,
+  });
+  // The counter file does not reveal the keys
+  t.expect(await readFile(file, "utf8")).not.toMatch(new RegExp(KEY, "i"));
+});
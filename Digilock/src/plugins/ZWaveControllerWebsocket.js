@@ -1,6 +1,37 @@
 import { Plugin } from "../models/Plugin.js";
 import { WebSocketServer } from "ws";
-import { ZWaveProvisioningClient } from "../zwave-client.js";
+import {
+  ErrorCode,
+  PROTOCOL_VERSION,
+  ProtocolError,
+  toProtocolError,
+} from "../protocol.js";
+import {
+  getCommandSchema,
+  getCommandSchemas,
+  toInteger,
+  validateCommand,
+} from "../command-schemas.js";
+import {
+  importProvisioningEntries,
+  toProvisioningEntry,
+} from "../provisioning-import.js";
+import {
+  exportProvisioningEntries,
+  restoreProvisioningEntries,
+} from "../provisioning-export.js";
+import { checkGrant } from "../grant-policy.js";
+import { hasRole } from "../auth.js";
+import { maskUserCode } from "../models/ZWaveLock.js";
+
+/** Commands that are not for a particular controller */
+const PLUGIN_COMMANDS = new Set([
+  "LIST_CONTROLLERS",
+  "ADD_CONTROLLER",
+  "REMOVE_CONTROLLER",
+  "GET_SCHEMA",
+  "PING",
+]);
 
 /**
  * WebSocket Server Plugin for ZWaveController
@@ -14,12 +45,10 @@ export class ZWaveControllerWebsocket extends Plugin {
     );
     this.wss = null;
     this.clients = new Set();
-    this.zwaveClient = null;
-    this.currentPort = null;
-    this.initializeDriver = null;
-    this.securityKeys = null;
-    this.securityKeysLongRange = null;
-    this.eventHandlersSetup = false;
+    this.controllers = null;
+    // Handler contexts by controller ID, see addControllerContext
+    this.contexts = new Map();
+    this.auth = null;
   }
 
   /**
@@ -27,56 +56,140 @@ export class ZWaveControllerWebsocket extends Plugin {
    * @param {Object} target - The ZWaveController instance
    * @param {Object} options - Plugin options
    * @param {Object} options.server - HTTP server instance to attach WebSocket server to
-   * @param {Object} options.zwaveClient - ZWaveProvisioningClient instance (optional, can be null initially)
-   * @param {string} options.currentPort - Current Z-Wave port
-   * @param {Function} options.initializeDriver - Function to initialize the driver (optional)
-   * @param {Object} options.securityKeys - Security keys for Z-Wave (optional)
-   * @param {Object} options.securityKeysLongRange - Security keys for Z-Wave Long Range (optional)
+   * @param {Object} options.controllers - Controller registry from createControllerRegistry. The key store,
+   *   grant policy, audit log, lock event history, battery monitor and payload security of each controller
+   *   are used for its commands. The interactive prompt of its grant policy asks all installers
+   * @param {Object} options.auth - Authenticator from createAuthenticator (optional). Without it, every client is admin
+   * @param {Object[]} options.productProfiles - Product profiles from loadProductProfiles (optional). Without them, SEND_COMMAND payloads must be 32 bytes
+   * @param {Object} options.mpCodecs - Codec registry from loadCodecs (optional). Needed for SEND_MP and MP_MESSAGE
    */
   apply(target, options = {}) {
     if (!options.server) {
       throw new Error("HTTP server is required for WebSocket plugin");
     }
+    if (!options.controllers) {
+      throw new Error("Controller registry is required for WebSocket plugin");
+    }
 
-    this.zwaveClient = options.zwaveClient || null;
-    this.currentPort = options.currentPort || null;
-    this.initializeDriver = options.initializeDriver || null;
-    this.securityKeys = options.securityKeys || null;
-    this.securityKeysLongRange = options.securityKeysLongRange || null;
-
-    this.wss = new WebSocketServer({ server: options.server });
+    this.controllers = options.controllers;
+    this.auth = options.auth || null;
+    this.productProfiles = options.productProfiles || [];
+    this.mpCodecs = options.mpCodecs || null;
+    for (const controller of this.controllers.list()) {
+      this.addControllerContext(controller);
+    }
 
-    this.setupZWaveEventHandlers();
+    this.wss = new WebSocketServer({
+      server: options.server,
+      // Reject unauthenticated clients during the upgrade handshake
+      ...(this.auth && {
+        verifyClient: (info, callback) =>
+          this.auth.verifyWebSocketClient(info, callback),
+      }),
+    });
 
     this.setupWebSocketConnectionHandler();
 
     return {
       close: () => this.close(),
-      setZWaveClient: (client, port) => this.setZWaveClient(client, port),
     };
   }
 
   /**
-   * Set or update the Z-Wave client after initialization
-   * @param {Object} client - ZWaveProvisioningClient instance
-   * @param {string} port - Current Z-Wave port
+   * Creates the handler context of a controller. A context is an object that
+   * inherits from the plugin, but has the client, port, key store, logs and
+   * pending S2 request of its controller as own properties. Handlers called
+   * on it therefore serve that controller, and everything it sends carries
+   * the `controllerId`.
+   * @param {Object} controller - Controller from the registry
    */
-  setZWaveClient(client, port) {
-    this.zwaveClient = client;
-    this.currentPort = port;
-    this.eventHandlersSetup = false;
-    if (client) {
-      this.setupZWaveEventHandlers();
-    }
+  addControllerContext(controller) {
+    const plugin = this;
+    const { controllerId } = controller;
+    const context = Object.create(
+      this,
+      Object.getOwnPropertyDescriptors({
+        controllerId,
+        get zwaveClient() {
+          return controller.client;
+        },
+        get currentPort() {
+          return controller.port;
+        },
+        keyStore: controller.keyStore || null,
+        grantPolicy: controller.grantPolicy || null,
+        auditLog: controller.auditLog || null,
+        lockEventLog: controller.lockEventLog || null,
+        batteryMonitor: controller.batteryMonitor || null,
+        mpSecurity: controller.mpSecurity || null,
+        eventHandlersSetup: false,
+        // S2 request of a running inclusion that waits for an answer:
+        // { clients, type, data, resolve }. Any of the clients may answer
+        pendingS2Request: null,
+        sendToClient(client, message) {
+          plugin.sendToClient(client, { ...message, controllerId });
+        },
+        broadcast(message, minimumRole) {
+          plugin.broadcast({ ...message, controllerId }, minimumRole);
+        },
+      })
+    );
+    context.grantPolicy?.setInteractivePrompt(context.createS2Prompt());
+    this.contexts.set(controllerId, context);
+    return context;
+  }
+
+  /**
+   * Returns the handler context of a controller
+   * @param {string} [controllerId] - Default: the default controller
+   * @throws {ProtocolError} CONTROLLER_NOT_FOUND
+   */
+  getControllerContext(controllerId) {
+    const { controllerId: id } = this.controllers.get(controllerId);
+    return this.contexts.get(id);
+  }
+
+  /**
+   * Starts the driver of the context's controller and forwards the events of
+   * the new client. When the driver fails, the supervisor restarts it and
+   * the events of each restarted client are forwarded the same way
+   * @param {string} port
+   * @param {Object[]} [mockLocks] - Only used with mock:// ports
+   */
+  async startDriver(port, mockLocks) {
+    await this.controllers.start(this.controllerId, {
+      port,
+      mockLocks,
+      setup: () => this.setupZWaveEventHandlers(),
+      onReconnecting: (info) => {
+        this.broadcast({
+          type: "DRIVER_RECONNECTING",
+          ...info,
+          timestamp: new Date().toISOString(),
+        });
+      },
+      onGaveUp: (info) => {
+        this.broadcast({
+          type: "DRIVER_RECOVERY_FAILED",
+          ...info,
+          timestamp: new Date().toISOString(),
+        });
+      },
+    });
   }
 
   /**
    * Broadcast message to all connected clients
+   * @param {Object} message
+   * @param {string} [minimumRole] - Only send it to clients with at least this role (default: all)
    */
-  broadcast(message) {
+  broadcast(message, minimumRole = "viewer") {
     const data = JSON.stringify(message);
     this.clients.forEach((client) => {
-      if (client.readyState === 1) {
+      if (
+        client.readyState === 1 &&
+        hasRole(client.identity.role, minimumRole)
+      ) {
         client.send(data);
       }
     });
@@ -92,12 +205,68 @@ export class ZWaveControllerWebsocket extends Plugin {
   }
 
   /**
-   * Helper to send response with requestId
+   * Helper to send response with requestId.
+   * Every reply carries the protocol version, the requestId of the request
+   * (null if the request had none) and a success flag.
    */
   sendResponse(client, requestId, message) {
     this.sendToClient(client, {
       ...message,
-      requestId,
+      requestId: requestId ?? null,
+      success: message.type !== "ERROR",
+      version: PROTOCOL_VERSION,
+    });
+  }
+
+  /**
+   * Replies with the result of a command to a node, or with COMMAND_QUEUED if
+   * the node is asleep and the command waits for its wake-up
+   */
+  sendCommandResponse(client, requestId, type, result) {
+    this.sendResponse(client, requestId, {
+      type: result?.queued ? "COMMAND_QUEUED" : type,
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Returns a callback that tells the client which sent the command when a
+   * frame the node was working on finishes. The messages carry the requestId
+   * of the command and may arrive before or after its response.
+   * @param {Object} client - WebSocket client
+   * @param {string} requestId - ID of the command
+   * @param {number} nodeId - Node the command was sent to
+   * @returns {(progress: {frameNumber: number, status: string, remainingDuration?: number|null}) => void}
+   */
+  commandProgressSender(client, requestId, nodeId) {
+    return (progress) => {
+      this.sendResponse(client, requestId, {
+        type: "COMMAND_PROGRESS",
+        data: { nodeId, ...progress },
+        timestamp: new Date().toISOString(),
+      });
+    };
+  }
+
+  /**
+   * Helper to send an ERROR reply with a machine-readable code
+   * @param {Object} client - WebSocket client
+   * @param {string} requestId - ID of the request that failed
+   * @param {string|Error} codeOrError - One of ErrorCode, or the error thrown while handling the request
+   * @param {string} [message] - Human-readable description (only when passing a code)
+   * @param {Object} [details] - Additional machine-readable context (only when passing a code)
+   */
+  sendError(client, requestId, codeOrError, message, details) {
+    const error =
+      typeof codeOrError === "string"
+        ? new ProtocolError(codeOrError, message, details)
+        : toProtocolError(codeOrError);
+    this.sendResponse(client, requestId, {
+      type: "ERROR",
+      code: error.code,
+      message: error.message,
+      ...(error.details && { details: error.details }),
     });
   }
 
@@ -116,14 +285,46 @@ export class ZWaveControllerWebsocket extends Plugin {
       });
     });
 
-    this.zwaveClient.on("nodeAdded", (node) => {
+    this.zwaveClient.on("nodeAdded", (node, result) => {
       this.broadcast({
         type: "NODE_ADDED",
         nodeId: node.id,
+        lowSecurity: result.lowSecurity,
+        ...(result.lowSecurity && {
+          lowSecurityReason: result.lowSecurityReason,
+        }),
         timestamp: new Date().toISOString(),
       });
     });
 
+    this.zwaveClient.on("nodeFound", (foundNode) => {
+      this.broadcast({
+        type: "NODE_FOUND",
+        nodeId: foundNode.id,
+        timestamp: new Date().toISOString(),
+      });
+    });
+
+    this.zwaveClient.on("inclusionStarted", (strategy) => {
+      this.broadcast({
+        type: "INCLUSION_STARTED",
+        strategy,
+        timestamp: new Date().toISOString(),
+      });
+    });
+
+    for (const [event, type] of [
+      ["inclusionStopped", "INCLUSION_STOPPED"],
+      ["inclusionFailed", "INCLUSION_FAILED"],
+      ["exclusionStarted", "EXCLUSION_STARTED"],
+      ["exclusionStopped", "EXCLUSION_STOPPED"],
+      ["exclusionFailed", "EXCLUSION_FAILED"],
+    ]) {
+      this.zwaveClient.on(event, () => {
+        this.broadcast({ type, timestamp: new Date().toISOString() });
+      });
+    }
+
     this.zwaveClient.on("nodeRemoved", (nodeId) => {
       this.broadcast({
         type: "NODE_REMOVED",
@@ -141,18 +342,93 @@ export class ZWaveControllerWebsocket extends Plugin {
       });
     });
 
+    this.zwaveClient.on("lockStateChanged", (nodeId, state) => {
+      this.broadcast({
+        type: "LOCK_STATE_CHANGED",
+        nodeId,
+        state,
+        timestamp: new Date().toISOString(),
+      });
+    });
+
+    this.zwaveClient.on("lockEvent", (entry) => {
+      this.broadcast({ type: "LOCK_EVENT", ...entry });
+    });
+
+    this.zwaveClient.on("userCodeChanged", (nodeId, change) => {
+      this.broadcast({
+        type: "USER_CODE_CHANGED",
+        nodeId,
+        ...change,
+        timestamp: new Date().toISOString(),
+      });
+    });
+
+    this.zwaveClient.on("batteryLow", (alert) => {
+      // The alert is already shaped like the event, see createBatteryMonitor
+      this.broadcast(alert);
+    });
+
+    this.zwaveClient.on("commandDelivered", (queued, result) => {
+      // Manufacturer Proprietary payloads may contain secrets and only go to
+      // the client that sent them, like COMMAND_RESULT
+      const { vendorPayloadHex, ...data } = result || {};
+      this.broadcast({
+        type: "COMMAND_DELIVERED",
+        ...queued,
+        result: data,
+        timestamp: new Date().toISOString(),
+      });
+    });
+
+    this.zwaveClient.on("commandFailed", (queued, error) => {
+      const { code, message } = toProtocolError(error, ErrorCode.SEND_FAILED);
+      this.broadcast({
+        type: "COMMAND_FAILED",
+        ...queued,
+        code,
+        message,
+        timestamp: new Date().toISOString(),
+      });
+    });
+
     this.zwaveClient.on("error", (error) => {
       this.broadcast({
         type: "ERROR",
+        code: toProtocolError(error, ErrorCode.ZWAVE_ERROR).code,
         message: error.message,
         timestamp: new Date().toISOString(),
       });
     });
 
+    // Payloads that were secured with a payload key are unwrapped here and
+    // only go to admins, who may send them as well
     this.zwaveClient.on("manufacturerProprietaryCommand", (commandData) => {
+      this.broadcast(
+        {
+          type: "MANUFACTURER_PROPRIETARY_COMMAND",
+          data: commandData,
+          timestamp: new Date().toISOString(),
+        },
+        commandData.secured ? "admin" : undefined
+      );
+    });
+
+    this.zwaveClient.on("mpMessage", (message) => {
+      this.broadcast(
+        {
+          type: "MP_MESSAGE",
+          ...message,
+          timestamp: new Date().toISOString(),
+        },
+        message.secured ? "admin" : undefined
+      );
+    });
+
+    this.zwaveClient.on("mpAuthFailed", (failure) => {
       this.broadcast({
-        type: "MANUFACTURER_PROPRIETARY_COMMAND",
-        data: commandData,
+        type: "MP_AUTH_FAILED",
+        ...failure,
         timestamp: new Date().toISOString(),
       });
     });
@@ -170,21 +446,28 @@ export class ZWaveControllerWebsocket extends Plugin {
    * Set up WebSocket connection handler
    */
   setupWebSocketConnectionHandler() {
-    this.wss.on("connection", (ws) => {
-      console.log("New WebSocket client connected");
+    this.wss.on("connection", (ws, req) => {
+      ws.identity = req.identity || { name: "anonymous", role: "admin" };
+      console.log(
+        `New WebSocket client connected: ${ws.identity.name} (${ws.identity.role})`
+      );
       this.clients.add(ws);
 
       this.sendToClient(ws, {
         type: "CONNECTED",
         message: "Connected to Z-Wave middleware",
+        version: PROTOCOL_VERSION,
+        role: ws.identity.role,
         timestamp: new Date().toISOString(),
-      }); 
+      });
 
-      if (this.zwaveClient && this.zwaveClient.driverReady) {
-        this.sendToClient(ws, {
-          type: "DRIVER_READY",
-          timestamp: new Date().toISOString(),
-        });
+      for (const context of this.contexts.values()) {
+        if (context.zwaveClient && context.zwaveClient.driverReady) {
+          context.sendToClient(ws, {
+            type: "DRIVER_READY",
+            timestamp: new Date().toISOString(),
+          });
+        }
       }
 
       ws.on("message", (message) => {
@@ -194,11 +477,17 @@ export class ZWaveControllerWebsocket extends Plugin {
       ws.on("close", () => {
         console.log("WebSocket client disconnected");
         this.clients.delete(ws);
+        for (const context of this.contexts.values()) {
+          context.rejectS2RequestOf(ws);
+        }
       });
 
       ws.on("error", (error) => {
         console.error("WebSocket error:", error);
         this.clients.delete(ws);
+        for (const context of this.contexts.values()) {
+          context.rejectS2RequestOf(ws);
+        }
       });
     });
   }
@@ -207,63 +496,69 @@ export class ZWaveControllerWebsocket extends Plugin {
    * Handle incoming WebSocket messages
    */
   async handleMessage(client, message) {
+    let data;
     try {
-      const data = JSON.parse(message);
-
-      if (!data.type) {
-        this.sendToClient(client, {
-          type: "ERROR",
-          message: "Message must have a 'type' field",
-          requestId: data.requestId,
-        });
-        return;
-      }
-
-      const requestId = data.requestId;
-
-      switch (data.type) {
-        case "GET_PROVISIONING_ENTRIES":
-          await this.handleGetProvisioningEntries(client, requestId);
-          break;
+      data = JSON.parse(message);
+    } catch (error) {
+      this.sendError(
+        client,
+        null,
+        ErrorCode.INVALID_JSON,
+        `Message is not valid JSON: ${error.message}`
+      );
+      return;
+    }
 
-        case "GET_PROVISIONING_ENTRY":
-          await this.handleGetProvisioningEntry(client, data, requestId);
-          break;
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      this.sendError(
+        client,
+        null,
+        ErrorCode.INVALID_MESSAGE,
+        "Message must be a JSON object"
+      );
+      return;
+    }
 
-        case "ADD_PROVISIONING_ENTRY":
-          await this.handleAddProvisioningEntry(client, data, requestId);
-          break;
+    const requestId = data.requestId;
 
-        case "UPDATE_PROVISIONING_ENTRY_STATUS":
-          await this.handleUpdateProvisioningEntryStatus(
-            client,
-            data,
-            requestId
-          );
-          break;
+    if (!data.type) {
+      this.sendError(
+        client,
+        requestId,
+        ErrorCode.INVALID_MESSAGE,
+        "Message must have a 'type' field"
+      );
+      return;
+    }
 
-        case "DELETE_PROVISIONING_ENTRY":
-          await this.handleDeleteProvisioningEntry(client, data, requestId);
-          break;
+    let context = this;
+    try {
+      // Reject malformed commands before they reach a handler
+      validateCommand(data);
+      if (this.auth) {
+        this.auth.authorizeCommand(client.identity, data.type);
+      }
 
-        case "GET_NODES":
-          await this.handleGetNodes(client, requestId);
-          break;
+      // Commands for a controller run in its context
+      if (!PLUGIN_COMMANDS.has(data.type)) {
+        context = this.getControllerContext(data.controllerId);
+      }
 
-        case "GET_NODE":
-          await this.handleGetNode(client, data, requestId);
+      switch (data.type) {
+        case "LIST_CONTROLLERS":
+          this.handleListControllers(client, requestId);
           break;
 
-        case "GET_STATUS":
-          await this.handleGetStatus(client, requestId);
+        case "ADD_CONTROLLER":
+          await this.handleAddController(client, data, requestId);
           break;
 
-        case "START":
-          await this.handleStart(client, data, requestId);
+        case "REMOVE_CONTROLLER":
+          await this.handleRemoveController(client, data, requestId);
           break;
 
-        case "SEND_COMMAND":
-          await this.handleSendCommand(client, data, requestId);
+        case "GET_SCHEMA":
+          this.handleGetSchema(client, data, requestId);
           break;
 
         case "PING":
@@ -274,28 +569,255 @@ export class ZWaveControllerWebsocket extends Plugin {
           break;
 
         default:
-          this.sendResponse(client, requestId, {
-            type: "ERROR",
-            message: `Unknown message type: ${data.type}`,
-          });
+          await context.handleCommand(client, data, requestId);
       }
     } catch (error) {
       console.error("Error handling message:", error);
-      const requestId = JSON.parse(message).requestId;
-      this.sendResponse(client, requestId, {
-        type: "ERROR",
-        message: error.message,
-      });
+      context.sendError(client, requestId, error);
+    }
+  }
+
+  /**
+   * Runs a command for a controller. Called on the context of the controller,
+   * see {@link getControllerContext}
+   */
+  async handleCommand(client, data, requestId) {
+    switch (data.type) {
+      case "GET_PROVISIONING_ENTRIES":
+        await this.handleGetProvisioningEntries(client, requestId);
+        break;
+
+      case "GET_PROVISIONING_ENTRY":
+        await this.handleGetProvisioningEntry(client, data, requestId);
+        break;
+
+      case "ADD_PROVISIONING_ENTRY":
+        await this.handleAddProvisioningEntry(client, data, requestId);
+        break;
+
+      case "UPDATE_PROVISIONING_ENTRY_STATUS":
+        await this.handleUpdateProvisioningEntryStatus(
+          client,
+          data,
+          requestId
+        );
+        break;
+
+      case "DELETE_PROVISIONING_ENTRY":
+        await this.handleDeleteProvisioningEntry(client, data, requestId);
+        break;
+
+      case "IMPORT_PROVISIONING_ENTRIES":
+        await this.handleImportProvisioningEntries(client, data, requestId);
+        break;
+
+      case "EXPORT_PROVISIONING_ENTRIES":
+        await this.handleExportProvisioningEntries(client, data, requestId);
+        break;
+
+      case "RESTORE_PROVISIONING_ENTRIES":
+        await this.handleRestoreProvisioningEntries(client, data, requestId);
+        break;
+
+      case "GET_NODES":
+        await this.handleGetNodes(client, requestId);
+        break;
+
+      case "GET_NODE":
+        await this.handleGetNode(client, data, requestId);
+        break;
+
+      case "GET_STATUS":
+        await this.handleGetStatus(client, requestId);
+        break;
+
+      case "START":
+        await this.handleStart(client, data, requestId);
+        break;
+
+      case "SEND_COMMAND":
+        await this.handleSendCommand(client, data, requestId);
+        break;
+
+      case "SEND_COMMAND_AND_WAIT":
+        await this.handleSendCommandAndWait(client, data, requestId);
+        break;
+
+      case "LOCK":
+        await this.handleLock(client, data, requestId, true);
+        break;
+
+      case "UNLOCK":
+        await this.handleLock(client, data, requestId, false);
+        break;
+
+      case "GET_LOCK_STATE":
+        await this.handleGetLockState(client, data, requestId);
+        break;
+
+      case "GET_LOCK_CONFIGURATION":
+        await this.handleGetLockConfiguration(client, data, requestId);
+        break;
+
+      case "SET_LOCK_CONFIGURATION":
+        await this.handleSetLockConfiguration(client, data, requestId);
+        break;
+
+      case "GET_USER_CODES":
+        await this.handleGetUserCodes(client, data, requestId);
+        break;
+
+      case "GET_USER_CODE":
+        await this.handleGetUserCode(client, data, requestId);
+        break;
+
+      case "SET_USER_CODE":
+        await this.handleSetUserCode(client, data, requestId);
+        break;
+
+      case "CLEAR_USER_CODE":
+        await this.handleClearUserCode(client, data, requestId);
+        break;
+
+      case "SET_USER_CODES":
+        await this.handleSetUserCodes(client, data, requestId);
+        break;
+
+      case "GET_ADMIN_CODE":
+        await this.handleGetAdminCode(client, data, requestId);
+        break;
+
+      case "SET_ADMIN_CODE":
+        await this.handleSetAdminCode(client, data, requestId);
+        break;
+
+      case "GET_KEYPAD_MODE":
+        await this.handleGetKeypadMode(client, data, requestId);
+        break;
+
+      case "SET_KEYPAD_MODE":
+        await this.handleSetKeypadMode(client, data, requestId);
+        break;
+
+      case "SET_SCHEDULE":
+        await this.handleSetSchedule(client, data, requestId);
+        break;
+
+      case "GET_SCHEDULES":
+        await this.handleGetSchedules(client, data, requestId);
+        break;
+
+      case "CLEAR_SCHEDULE":
+        await this.handleClearSchedule(client, data, requestId);
+        break;
+
+      case "GET_BATTERY_REPORT":
+        this.handleGetBatteryReport(client, requestId);
+        break;
+
+      case "GET_BATTERY_HISTORY":
+        await this.handleGetBatteryHistory(client, data, requestId);
+        break;
+
+      case "SEND_MP":
+        await this.handleSendMP(client, data, requestId);
+        break;
+
+      case "GET_MP_CODECS":
+        this.handleGetMPCodecs(client, requestId);
+        break;
+
+      case "SET_MP_SECURITY":
+        await this.handleSetMPSecurity(client, data, requestId);
+        break;
+
+      case "REMOVE_MP_SECURITY":
+        await this.handleRemoveMPSecurity(client, data, requestId);
+        break;
+
+      case "GET_PAYLOAD_LIMITS":
+        this.handleGetPayloadLimits(client, data, requestId);
+        break;
+
+      case "GET_QUEUE":
+        this.handleGetQueue(client, data, requestId);
+        break;
+
+      case "CANCEL_QUEUED":
+        this.handleCancelQueued(client, data, requestId);
+        break;
+
+      case "GET_WAKE_UP_INTERVAL":
+        this.handleGetWakeUpInterval(client, data, requestId);
+        break;
+
+      case "SET_WAKE_UP_INTERVAL":
+        await this.handleSetWakeUpInterval(client, data, requestId);
+        break;
+
+      case "ROTATE_SECURITY_KEYS":
+        await this.handleRotateSecurityKeys(client, data, requestId);
+        break;
+
+      case "EXPORT_SECURITY_KEYS":
+        this.handleExportSecurityKeys(client, data, requestId);
+        break;
+
+      case "BEGIN_INCLUSION":
+        await this.handleBeginInclusion(client, data, requestId);
+        break;
+
+      case "STOP_INCLUSION":
+        await this.handleStopInclusion(client, requestId);
+        break;
+
+      case "BEGIN_EXCLUSION":
+        await this.handleBeginExclusion(client, data, requestId);
+        break;
+
+      case "STOP_EXCLUSION":
+        await this.handleStopExclusion(client, requestId);
+        break;
+
+      case "GRANT_SECURITY_CLASSES":
+        this.handleGrantSecurityClasses(client, data, requestId);
+        break;
+
+      case "VALIDATE_DSK":
+        this.handleValidateDSK(client, data, requestId);
+        break;
+
+      case "REJECT_S2_REQUEST":
+        this.handleRejectS2Request(client, requestId);
+        break;
+
+      case "QUERY_AUDIT_LOG":
+        await this.handleQueryAuditLog(client, data, requestId);
+        break;
+
+      case "QUERY_LOCK_EVENTS":
+        await this.handleQueryLockEvents(client, data, requestId);
+        break;
+
+      default:
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.UNKNOWN_COMMAND,
+          `Unknown message type: ${data.type}`
+        );
     }
   }
 
   async handleGetProvisioningEntries(client, requestId) {
     try {
       if (!this.zwaveClient || !this.zwaveClient.driverReady) {
-        this.sendResponse(client, requestId, {
-          type: "ERROR",
-          message: "Driver not ready",
-        });
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
         return;
       }
       const entries = await this.zwaveClient.getProvisioningEntries();
@@ -305,24 +827,24 @@ export class ZWaveControllerWebsocket extends Plugin {
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
-      this.sendResponse(client, requestId, {
-        type: "ERROR",
-        message: error.message,
-      });
+      this.sendError(client, requestId, error);
     }
   }
 
   async handleGetProvisioningEntry(client, data, requestId) {
     try {
       if (!this.zwaveClient || !this.zwaveClient.driverReady) {
-        this.sendResponse(client, requestId, {
-          type: "ERROR",
-          message: "Driver not ready",
-        });
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
         return;
       }
       const entries = await this.zwaveClient.getProvisioningEntries();
-      const entry = entries.find((e) => e.dsk === data.dsk);
+      const dsk = this.zwaveClient.normalizeDSK(data.dsk);
+      const entry = entries.find((e) => e.dsk === dsk);
       if (entry) {
         this.sendResponse(client, requestId, {
           type: "PROVISIONING_ENTRY",
@@ -330,171 +852,159 @@ export class ZWaveControllerWebsocket extends Plugin {
           timestamp: new Date().toISOString(),
         });
       } else {
-        this.sendResponse(client, requestId, {
-          type: "ERROR",
-          message: "Entry not found",
-        });
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.ENTRY_NOT_FOUND,
+          "Entry not found"
+        );
       }
     } catch (error) {
-      this.sendResponse(client, requestId, {
-        type: "ERROR",
-        message: error.message,
-      });
+      this.sendError(client, requestId, error);
     }
   }
 
   async handleAddProvisioningEntry(client, data, requestId) {
     try {
-      const entry = data.entry || data;
-
-      if (!entry.dsk) {
-        this.sendResponse(client, requestId, {
-          type: "ERROR",
-          message: "DSK is required",
-        });
-        return;
-      }
+      const { entry } = data;
 
       if (!this.zwaveClient || !this.zwaveClient.driverReady) {
-        this.sendResponse(client, requestId, {
-          type: "ERROR",
-          message: "Driver not ready",
-        });
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
         return;
       }
 
-      const protocol = entry.protocol || "ZWave";
-      const isLongRange =
-        protocol === "ZWaveLongRange" || protocol === "Z-Wave Long Range";
-
-      let securityClassesObj = {};
-      if (
-        entry.securityClasses &&
-        typeof entry.securityClasses === "object" &&
-        !Array.isArray(entry.securityClasses)
-      ) {
-        securityClassesObj = entry.securityClasses;
-      } else {
-        securityClassesObj = {
-          s2AccessControl:
-            entry.s2AccessControl === true || entry.s2AccessControl === "true",
-          s2Authenticated:
-            entry.s2Authenticated === true || entry.s2Authenticated === "true",
-          s2Unauthenticated:
-            entry.s2Unauthenticated === true ||
-            entry.s2Unauthenticated === "true",
-          s0Legacy: entry.s0Legacy === true || entry.s0Legacy === "true",
-        };
-      }
-
-      const provisioningEntry = {
-        dsk: entry.dsk,
-        name: entry.name || "",
-        location: entry.location || "",
-        protocol: protocol,
-        status: entry.status !== undefined ? entry.status : false,
-        securityClasses: securityClassesObj,
-        s2AccessControl:
-          entry.s2AccessControl === true || entry.s2AccessControl === "true",
-        s2Authenticated:
-          entry.s2Authenticated === true || entry.s2Authenticated === "true",
-        s2Unauthenticated:
-          entry.s2Unauthenticated === true ||
-          entry.s2Unauthenticated === "true",
-        s0Legacy: entry.s0Legacy === true || entry.s0Legacy === "true",
-        supportedProtocols: entry.supportedProtocols || [],
-        manufacturerId: entry.manufacturerId,
-        productType: entry.productType,
-        productId: entry.productId,
-        applicationVersion: entry.applicationVersion,
-      };
+      const provisioningEntry = toProvisioningEntry(entry);
 
-      await this.zwaveClient.provisionSmartStartNode(provisioningEntry);
+      await this.zwaveClient.provisionSmartStartNode(provisioningEntry, {
+        actor: client.identity.name,
+      });
       this.sendResponse(client, requestId, {
         type: "PROVISIONING_ENTRY_ADDED",
         data: provisioningEntry,
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
-      this.sendResponse(client, requestId, {
-        type: "ERROR",
-        message: error.message,
-      });
+      this.sendError(client, requestId, error);
     }
   }
 
   async handleUpdateProvisioningEntryStatus(client, data, requestId) {
     try {
       if (!this.zwaveClient || !this.zwaveClient.driverReady) {
-        this.sendResponse(client, requestId, {
-          type: "ERROR",
-          message: "Driver not ready",
-        });
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
         return;
       }
 
       const { dsk, active } = data;
-
-      if (!dsk) {
-        this.sendResponse(client, requestId, {
-          type: "ERROR",
-          message: "dsk is required",
-        });
-        return;
-      }
-
-      if (typeof active !== "boolean") {
-        this.sendResponse(client, requestId, {
-          type: "ERROR",
-          message: "active must be a boolean",
-        });
-        return;
-      }
-
-      await this.zwaveClient.updateProvisioningEntryStatus(dsk, active);
+      await this.zwaveClient.updateProvisioningEntryStatus(dsk, active, {
+        actor: client.identity.name,
+      });
       this.sendResponse(client, requestId, {
         type: "PROVISIONING_ENTRY_STATUS_UPDATED",
         data: { dsk, active },
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
-      this.sendResponse(client, requestId, {
-        type: "ERROR",
-        message: error.message,
-      });
+      this.sendError(client, requestId, error);
     }
   }
 
   async handleDeleteProvisioningEntry(client, data, requestId) {
     try {
       if (!this.zwaveClient || !this.zwaveClient.driverReady) {
-        this.sendResponse(client, requestId, {
-          type: "ERROR",
-          message: "Driver not ready",
-        });
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
         return;
       }
 
       const { dsk } = data;
-      if (!dsk) {
-        this.sendResponse(client, requestId, {
-          type: "ERROR",
-          message: "dsk is required",
-        });
-        return;
-      }
-
-      await this.zwaveClient.unprovisionSmartStartNode(dsk);
+      await this.zwaveClient.unprovisionSmartStartNode(dsk, {
+        actor: client.identity.name,
+      });
       this.sendResponse(client, requestId, {
         type: "PROVISIONING_ENTRY_DELETED",
         data: { dsk },
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  /**
+   * Provision many entries at once from QR code strings, CSV or JSON
+   */
+  async handleImportProvisioningEntries(client, data, requestId) {
+    try {
+      const report = await importProvisioningEntries(
+        this.zwaveClient,
+        data.content,
+        {
+          format: data.format,
+          active: data.active,
+          actor: client.identity.name,
+        }
+      );
       this.sendResponse(client, requestId, {
-        type: "ERROR",
-        message: error.message,
+        type: "PROVISIONING_ENTRIES_IMPORTED",
+        data: report,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  /**
+   * Export the provisioning list as JSON backup, CSV or QR code strings
+   */
+  async handleExportProvisioningEntries(client, data, requestId) {
+    try {
+      const result = await exportProvisioningEntries(
+        this.zwaveClient,
+        data.format
+      );
+      this.sendResponse(client, requestId, {
+        type: "PROVISIONING_ENTRIES_EXPORTED",
+        data: result,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  /**
+   * Re-provision all entries of a JSON backup
+   */
+  async handleRestoreProvisioningEntries(client, data, requestId) {
+    try {
+      const report = await restoreProvisioningEntries(
+        this.zwaveClient,
+        data.backup,
+        { actor: client.identity.name }
+      );
+      this.sendResponse(client, requestId, {
+        type: "PROVISIONING_ENTRIES_RESTORED",
+        data: report,
+        timestamp: new Date().toISOString(),
       });
+    } catch (error) {
+      this.sendError(client, requestId, error);
     }
   }
 
@@ -515,32 +1025,23 @@ export class ZWaveControllerWebsocket extends Plugin {
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
-      this.sendResponse(client, requestId, {
-        type: "ERROR",
-        message: error.message,
-      });
+      this.sendError(client, requestId, error);
     }
   }
 
   async handleGetNode(client, data, requestId) {
     try {
       if (!this.zwaveClient || !this.zwaveClient.driverReady) {
-        this.sendResponse(client, requestId, {
-          type: "ERROR",
-          message: "Driver not ready",
-        });
-        return;
-      }
-
-      const nodeId = parseInt(data.nodeId);
-      if (isNaN(nodeId)) {
-        this.sendResponse(client, requestId, {
-          type: "ERROR",
-          message: "Invalid nodeId",
-        });
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
         return;
       }
 
+      const nodeId = toInteger(data.nodeId);
       const node = this.zwaveClient.getNode(nodeId);
       if (node) {
         this.sendResponse(client, requestId, {
@@ -549,16 +1050,15 @@ export class ZWaveControllerWebsocket extends Plugin {
           timestamp: new Date().toISOString(),
         });
       } else {
-        this.sendResponse(client, requestId, {
-          type: "ERROR",
-          message: "Node not found",
-        });
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.NODE_NOT_FOUND,
+          "Node not found"
+        );
       }
     } catch (error) {
-      this.sendResponse(client, requestId, {
-        type: "ERROR",
-        message: error.message,
-      });
+      this.sendError(client, requestId, error);
     }
   }
 
@@ -566,9 +1066,20 @@ export class ZWaveControllerWebsocket extends Plugin {
     this.sendResponse(client, requestId, {
       type: "STATUS",
       data: {
+        controllerId: this.controllerId,
         driverReady: this.zwaveClient?.driverReady || false,
         port: this.currentPort,
         connected: !!this.zwaveClient,
+        mock: this.zwaveClient?.getMockLocks()
+          ? { locks: this.zwaveClient.getMockLocks() }
+          : null,
+        // Connection to a real controller, local or over TCP
+        link: this.zwaveClient?.getLinkHealth() ?? null,
+        // Restart in progress after the driver failed
+        recovery: this.controllers.getRecovery(this.controllerId),
+        // Only metadata, never the keys themselves
+        securityKeys: this.keyStore ? this.keyStore.getInfo() : null,
+        grantPolicy: this.grantPolicy ? this.grantPolicy.getPolicy() : null,
       },
       timestamp: new Date().toISOString(),
     });
@@ -577,57 +1088,17 @@ export class ZWaveControllerWebsocket extends Plugin {
   async handleStart(client, data, requestId) {
     try {
       if (this.zwaveClient && this.zwaveClient.driverReady) {
-        this.sendResponse(client, requestId, {
-          type: "ERROR",
-          message: "Driver is already started",
-        });
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_ALREADY_STARTED,
+          "Driver is already started"
+        );
         return;
       }
 
-      const port = data.port || this.currentPort || "/dev/tty.usbserial-DK0E7J3D";
-
-      if (this.initializeDriver) {
-        await this.initializeDriver(port);
-        this.sendResponse(client, requestId, {
-          type: "START_SUCCESS",
-          data: {
-            port: port,
-            message: "Driver started successfully",
-          },
-          timestamp: new Date().toISOString(),
-        });
-        return;
-      }
-
-      if (!this.securityKeys || !this.securityKeysLongRange) {
-        this.sendResponse(client, requestId, {
-          type: "ERROR",
-          message: "Security keys not configured",
-        });
-        return;
-      }
-
-      if (this.zwaveClient) {
-        try {
-          await this.zwaveClient.close();
-        } catch (error) {
-          console.error("Error closing existing driver:", error);
-        }
-      }
-
-      this.zwaveClient = new ZWaveProvisioningClient(port, {
-        cacheDir: "./store/cache",
-        logLevel: "silly",
-        securityKeys: this.securityKeys,
-        securityKeysLongRange: this.securityKeysLongRange,
-        deviceConfigPriorityDir: "./store/device-configs",
-      });
-
-      this.eventHandlersSetup = false;
-      this.setupZWaveEventHandlers();
-
-      await this.zwaveClient.connect();
-      this.currentPort = port;
+      const port = data.port || this.currentPort;
+      await this.startDriver(port, data.mockLocks);
 
       this.sendResponse(client, requestId, {
         type: "START_SUCCESS",
@@ -638,64 +1109,119 @@ export class ZWaveControllerWebsocket extends Plugin {
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
+      // An unsupported port is the request's fault, not the driver's
+      if (error instanceof ProtocolError) {
+        this.sendError(client, requestId, error);
+        return;
+      }
       console.error("Error starting driver:", error);
+      this.sendError(
+        client,
+        requestId,
+        ErrorCode.DRIVER_START_FAILED,
+        error.message || "Failed to start driver"
+      );
+    }
+  }
+
+  handleListControllers(client, requestId) {
+    this.sendResponse(client, requestId, {
+      type: "CONTROLLERS",
+      data: this.controllers
+        .list()
+        .map((controller) => this.controllers.getInfo(controller)),
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Register another controller. Its driver is started with START
+   */
+  async handleAddController(client, data, requestId) {
+    try {
+      const controller = await this.controllers.add({
+        controllerId: data.controllerId,
+        port: data.port,
+        name: data.name,
+      });
+      this.addControllerContext(controller);
       this.sendResponse(client, requestId, {
-        type: "ERROR",
-        message: error.message || "Failed to start driver",
+        type: "CONTROLLER_ADDED",
+        data: this.controllers.getInfo(controller),
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  /**
+   * Stop the driver of a controller and forget it. Its files stay in ./store
+   */
+  async handleRemoveController(client, data, requestId) {
+    try {
+      const controller = await this.controllers.remove(data.controllerId);
+      const context = this.contexts.get(controller.controllerId);
+      if (context.pendingS2Request) {
+        context.cancelS2Request("controller removed");
+      }
+      this.contexts.delete(controller.controllerId);
+      this.sendResponse(client, requestId, {
+        type: "CONTROLLER_REMOVED",
+        data: { controllerId: controller.controllerId },
+        timestamp: new Date().toISOString(),
       });
+    } catch (error) {
+      this.sendError(client, requestId, error);
     }
   }
 
   async handleSendCommand(client, data, requestId) {
     try {
       if (!this.zwaveClient || !this.zwaveClient.driverReady) {
-        this.sendResponse(client, requestId, {
-          type: "ERROR",
-          message: "Driver not ready",
-        });
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
         return;
       }
 
       const { payloadHex, count, nodeId, manufacturerId } = data;
 
-      if (!payloadHex) {
-        this.sendResponse(client, requestId, {
-          type: "ERROR",
-          message: "payloadHex is required",
-        });
-        return;
-      }
-
       let vendorPayload;
       try {
-        vendorPayload = this.zwaveClient.hexTo32ByteBuffer(payloadHex);
+        vendorPayload = this.zwaveClient.hexToBuffer(payloadHex);
       } catch (error) {
-        this.sendResponse(client, requestId, {
-          type: "ERROR",
-          message: error.message || "Invalid payloadHex format",
-        });
+        this.sendError(
+          client,
+          requestId,
+          toProtocolError(error, ErrorCode.INVALID_PAYLOAD)
+        );
         return;
       }
 
-      const numericNodeId = Number.isInteger(nodeId)
-        ? nodeId
-        : Number(nodeId) || 2;
-      const numericManufacturerId = Number.isInteger(manufacturerId)
-        ? manufacturerId
-        : manufacturerId !== undefined
-        ? typeof manufacturerId === "string" && manufacturerId.startsWith("0x")
-          ? parseInt(manufacturerId, 16)
-          : parseInt(manufacturerId, 16)
-        : 0x0000;
-      const numericCount = Number.isInteger(count) ? count : Number(count) || 1;
-
+      // The schema guarantees these are numbers or decimal/0x-hex strings
       const result = await this.zwaveClient.sendManufacturerProprietaryCustom({
-        nodeId: numericNodeId,
+        nodeId: toInteger(nodeId),
         vendorPayload: vendorPayload,
-        manufacturerId: numericManufacturerId,
-        count: numericCount,
+        manufacturerId: toInteger(manufacturerId, 0x0000),
+        count: toInteger(count, 1),
+        actor: client.identity.name,
+        queueTtl: data.queueTtl,
+        onProgress: this.commandProgressSender(
+          client,
+          requestId,
+          toInteger(nodeId)
+        ),
       });
 
+      if (result.queued) {
+        this.sendCommandResponse(client, requestId, "COMMAND_RESULT", result);
+        return;
+      }
+
       this.sendResponse(client, requestId, {
         type: "COMMAND_RESULT",
         data: {
@@ -703,19 +1229,1303 @@ export class ZWaveControllerWebsocket extends Plugin {
           count: result.count,
           vendorPayloadHex: result.vendorPayloadHex,
           manufacturerId: result.manufacturerId,
+          sent: result.sent,
+          failed: result.failed,
+          results: result.results,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(
+        client,
+        requestId,
+        toProtocolError(error, ErrorCode.SEND_FAILED)
+      );
+    }
+  }
+
+  /**
+   * Send a custom Manufacturer Proprietary payload and wait for the reply
+   */
+  async handleSendCommandAndWait(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      let vendorPayload;
+      try {
+        vendorPayload = this.zwaveClient.hexToBuffer(data.payloadHex);
+      } catch (error) {
+        this.sendError(
+          client,
+          requestId,
+          toProtocolError(error, ErrorCode.INVALID_PAYLOAD)
+        );
+        return;
+      }
+
+      const result = await this.zwaveClient.requestMP({
+        nodeId: toInteger(data.nodeId),
+        payload: vendorPayload,
+        manufacturerId: toInteger(data.manufacturerId, 0x0000),
+        expect: data.expect,
+        timeoutMs: data.timeoutMs,
+        actor: client.identity.name,
+        onProgress: this.commandProgressSender(
+          client,
+          requestId,
+          toInteger(data.nodeId)
+        ),
+      });
+
+      this.sendResponse(client, requestId, {
+        type: "COMMAND_RESPONSE",
+        data: {
+          nodeId: result.nodeId,
+          vendorPayloadHex: result.vendorPayloadHex,
+          manufacturerId: result.manufacturerId,
           results: result.results,
+          response: result.response,
+          duration: result.duration,
         },
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
+      this.sendError(
+        client,
+        requestId,
+        toProtocolError(error, ErrorCode.SEND_FAILED)
+      );
+    }
+  }
+
+  /**
+   * Send a named Manufacturer Proprietary command, encoded by a codec
+   */
+  async handleSendMP(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const result = await this.zwaveClient.sendMP(
+        toInteger(data.nodeId),
+        data.command,
+        data.args,
+        {
+          manufacturerId: toInteger(data.manufacturerId),
+          actor: client.identity.name,
+          queueTtl: data.queueTtl,
+          onProgress: this.commandProgressSender(
+            client,
+            requestId,
+            toInteger(data.nodeId)
+          ),
+        }
+      );
+      this.sendCommandResponse(client, requestId, "MP_SENT", result);
+    } catch (error) {
+      this.sendError(
+        client,
+        requestId,
+        toProtocolError(error, ErrorCode.SEND_FAILED)
+      );
+    }
+  }
+
+  /**
+   * List the loaded codecs and their commands
+   */
+  handleGetMPCodecs(client, requestId) {
+    this.sendResponse(client, requestId, {
+      type: "MP_CODECS",
+      data: { codecs: this.mpCodecs?.list() ?? [] },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Tell which SEND_COMMAND payload lengths a node accepts
+   */
+  handleGetPayloadLimits(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const result = this.zwaveClient.getPayloadLimits(toInteger(data.nodeId));
+      this.sendResponse(client, requestId, {
+        type: "PAYLOAD_LIMITS",
+        data: result,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  /**
+   * Give the lock of a provisioning entry a payload key
+   */
+  async handleSetMPSecurity(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const { key, ...result } = await this.zwaveClient.setMPSecurity(
+        data.dsk,
+        {
+          mode: data.mode,
+          key: data.keyHex?.replace(/\s+/g, ""),
+          actor: client.identity.name,
+        }
+      );
       this.sendResponse(client, requestId, {
-        type: "ERROR",
-        message:
-          error.message || "Failed to send custom Manufacturer Proprietary",
+        type: "MP_SECURITY_SET",
+        // A generated key is only shown once, to program it into the lock
+        data: { ...result, ...(key && { keyHex: key }) },
+        timestamp: new Date().toISOString(),
       });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  /**
+   * Delete the payload key of a provisioning entry
+   */
+  async handleRemoveMPSecurity(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const result = await this.zwaveClient.removeMPSecurity(data.dsk, {
+        actor: client.identity.name,
+      });
+      this.sendResponse(client, requestId, {
+        type: "MP_SECURITY_REMOVED",
+        data: result,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  /**
+   * Secure or unsecure a lock via Door Lock CC
+   */
+  async handleLock(client, data, requestId, secure) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const nodeId = toInteger(data.nodeId);
+      const options = {
+        actor: client.identity.name,
+        queueTtl: data.queueTtl,
+      };
+      const result = secure
+        ? await this.zwaveClient.lock(nodeId, options)
+        : await this.zwaveClient.unlock(nodeId, options);
+      this.sendCommandResponse(
+        client,
+        requestId,
+        secure ? "LOCK_RESULT" : "UNLOCK_RESULT",
+        result
+      );
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  async handleGetLockState(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const nodeId = toInteger(data.nodeId);
+      const lock = this.zwaveClient.getLock(nodeId);
+      const state = data.cached
+        ? lock.getCachedLockState()
+        : await lock.getLockState();
+      this.sendResponse(client, requestId, {
+        type: "LOCK_STATE",
+        data: { nodeId, ...state },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  async handleGetLockConfiguration(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const nodeId = toInteger(data.nodeId);
+      const configuration = await this.zwaveClient
+        .getLock(nodeId)
+        .getConfiguration();
+      this.sendResponse(client, requestId, {
+        type: "LOCK_CONFIGURATION",
+        data: { nodeId, configuration },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  async handleSetLockConfiguration(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const result = await this.zwaveClient.setLockConfiguration(
+        toInteger(data.nodeId),
+        data.configuration,
+        { actor: client.identity.name, queueTtl: data.queueTtl }
+      );
+      this.sendCommandResponse(
+        client,
+        requestId,
+        "LOCK_CONFIGURATION_UPDATED",
+        result
+      );
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  /**
+   * List the occupied user code slots of a lock. Only admins see the codes.
+   */
+  async handleGetUserCodes(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const result = await this.zwaveClient
+        .getLock(toInteger(data.nodeId))
+        .getUserCodes({ refresh: !!data.refresh });
+      const userCodes = result.userCodes.map((slot) =>
+        this.maskUserCodeFor(client, slot)
+      );
+      this.sendResponse(client, requestId, {
+        type: "USER_CODES",
+        data: { ...result, userCodes },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  async handleGetUserCode(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const nodeId = toInteger(data.nodeId);
+      const slot = await this.zwaveClient
+        .getLock(nodeId)
+        .getUserCode(toInteger(data.userId));
+      this.sendResponse(client, requestId, {
+        type: "USER_CODE",
+        data: { nodeId, ...this.maskUserCodeFor(client, slot) },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  async handleSetUserCode(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const result = await this.zwaveClient.setUserCode(
+        toInteger(data.nodeId),
+        toInteger(data.userId),
+        data.userCode,
+        {
+          userIdStatus: data.userIdStatus,
+          actor: client.identity.name,
+          queueTtl: data.queueTtl,
+        }
+      );
+      this.sendCommandResponse(client, requestId, "USER_CODE_SET", result);
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  async handleClearUserCode(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const result = await this.zwaveClient.clearUserCode(
+        toInteger(data.nodeId),
+        toInteger(data.userId),
+        { actor: client.identity.name, queueTtl: data.queueTtl }
+      );
+      this.sendCommandResponse(client, requestId, "USER_CODE_CLEARED", result);
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  async handleSetUserCodes(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const codes = data.codes.map((code) => ({
+        ...code,
+        userId: toInteger(code.userId),
+      }));
+      const report = await this.zwaveClient.setUserCodes(
+        toInteger(data.nodeId),
+        codes,
+        { actor: client.identity.name, queueTtl: data.queueTtl }
+      );
+      this.sendCommandResponse(client, requestId, "USER_CODES_SET", report);
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  async handleGetAdminCode(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const nodeId = toInteger(data.nodeId);
+      const adminCode = await this.zwaveClient
+        .getLock(nodeId)
+        .getAdminCode();
+      this.sendResponse(client, requestId, {
+        type: "ADMIN_CODE",
+        data: { nodeId, adminCode },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
     }
   }
 
+  async handleSetAdminCode(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const result = await this.zwaveClient.setAdminCode(
+        toInteger(data.nodeId),
+        data.adminCode,
+        { actor: client.identity.name, queueTtl: data.queueTtl }
+      );
+      this.sendCommandResponse(client, requestId, "ADMIN_CODE_SET", result);
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  async handleGetKeypadMode(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const nodeId = toInteger(data.nodeId);
+      const keypadMode = await this.zwaveClient
+        .getLock(nodeId)
+        .getKeypadMode();
+      this.sendResponse(client, requestId, {
+        type: "KEYPAD_MODE",
+        data: { nodeId, keypadMode },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  async handleSetKeypadMode(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const result = await this.zwaveClient.setKeypadMode(
+        toInteger(data.nodeId),
+        data.keypadMode,
+        { actor: client.identity.name, queueTtl: data.queueTtl }
+      );
+      this.sendCommandResponse(client, requestId, "KEYPAD_MODE_SET", result);
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  async handleSetSchedule(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const result = await this.zwaveClient.setSchedule(
+        toInteger(data.nodeId),
+        data.kind,
+        { userId: toInteger(data.userId), slotId: toInteger(data.slotId) },
+        data.schedule,
+        { actor: client.identity.name, queueTtl: data.queueTtl }
+      );
+      this.sendCommandResponse(client, requestId, "SCHEDULE_SET", result);
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  async handleGetSchedules(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const result = await this.zwaveClient
+        .getLock(toInteger(data.nodeId))
+        .getSchedules({
+          userId:
+            data.userId === undefined ? undefined : toInteger(data.userId),
+          refresh: !!data.refresh,
+        });
+      this.sendResponse(client, requestId, {
+        type: "SCHEDULES",
+        data: result,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  async handleClearSchedule(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const result = await this.zwaveClient.clearSchedule(
+        toInteger(data.nodeId),
+        data.kind,
+        { userId: toInteger(data.userId), slotId: toInteger(data.slotId) },
+        { actor: client.identity.name, queueTtl: data.queueTtl }
+      );
+      this.sendCommandResponse(client, requestId, "SCHEDULE_CLEARED", result);
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  handleGetBatteryReport(client, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const result = this.zwaveClient.getBatteryReport();
+      this.sendResponse(client, requestId, {
+        type: "BATTERY_REPORT",
+        data: result,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  async handleGetBatteryHistory(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const nodeId = toInteger(data.nodeId);
+      const history = await this.zwaveClient.getBatteryHistory(nodeId, {
+        limit: data.limit,
+      });
+      this.sendResponse(client, requestId, {
+        type: "BATTERY_HISTORY",
+        data: { nodeId, history },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  /**
+   * List the commands waiting for sleeping nodes to wake up
+   */
+  handleGetQueue(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const nodeId =
+        data.nodeId === undefined ? undefined : toInteger(data.nodeId);
+      const commands = this.zwaveClient.getQueue(nodeId);
+      this.sendResponse(client, requestId, {
+        type: "QUEUE",
+        data: { commands },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  handleCancelQueued(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const result = this.zwaveClient.cancelQueued(data.queueId, {
+        actor: client.identity.name,
+      });
+      this.sendResponse(client, requestId, {
+        type: "QUEUED_COMMAND_CANCELLED",
+        data: result,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  handleGetWakeUpInterval(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const result = this.zwaveClient.getWakeUpInterval(toInteger(data.nodeId));
+      this.sendResponse(client, requestId, {
+        type: "WAKE_UP_INTERVAL",
+        data: result,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  async handleSetWakeUpInterval(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+
+      const result = await this.zwaveClient.setWakeUpInterval(
+        toInteger(data.nodeId),
+        toInteger(data.wakeUpInterval),
+        { actor: client.identity.name, queueTtl: data.queueTtl }
+      );
+      this.sendCommandResponse(
+        client,
+        requestId,
+        "WAKE_UP_INTERVAL_SET",
+        result
+      );
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  /**
+   * User codes open the lock, so only admins get to see them
+   */
+  maskUserCodeFor(client, slot) {
+    return hasRole(client.identity.role, "admin")
+      ? slot
+      : { ...slot, userCode: maskUserCode(slot.userCode) };
+  }
+
+  /**
+   * Replace network keys with new ones and restart the driver to use them
+   */
+  async handleRotateSecurityKeys(client, data, requestId) {
+    try {
+      if (!this.keyStore) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.INTERNAL_ERROR,
+          "No key store configured"
+        );
+        return;
+      }
+
+      const result = await this.keyStore.rotate({
+        securityClasses: data.securityClasses,
+        longRangeSecurityClasses: data.longRangeSecurityClasses,
+      });
+
+      // The driver only reads the keys on startup. It is restarted with the
+      // options of its last start, e.g. the simulated locks
+      let driverRestarted = false;
+      if (this.zwaveClient) {
+        await this.controllers.restart(this.controllerId);
+        driverRestarted = true;
+      }
+
+      this.sendResponse(client, requestId, {
+        type: "SECURITY_KEYS_ROTATED",
+        data: { ...result, driverRestarted },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  /**
+   * Creates a prompt for the grant policy that forwards S2 requests to
+   * WebSocket clients and waits for their GRANT_SECURITY_CLASSES,
+   * VALIDATE_DSK or REJECT_S2_REQUEST.
+   * @param {Object} [client] - The client that started the inclusion. Without
+   *   it, all connected installers and admins are asked and the first answer counts
+   */
+  createS2Prompt(client) {
+    const getClients = () =>
+      client
+        ? [client]
+        : [...this.clients].filter((c) => hasRole(c.identity.role, "installer"));
+
+    return {
+      grantSecurityClasses: (request, signal) =>
+        this.requestS2Answer(
+          getClients(),
+          "GRANT_SECURITY_CLASSES_REQUESTED",
+          request,
+          signal
+        ),
+      validateDSKAndEnterPIN: (dsk, signal) =>
+        this.requestS2Answer(
+          getClients(),
+          "VALIDATE_DSK_REQUESTED",
+          { dsk },
+          signal
+        ),
+      abort: () => {
+        const clients = this.pendingS2Request?.clients ?? new Set(getClients());
+        if (this.pendingS2Request) {
+          this.settleS2Request({ answer: false, actor: "zwave-js", reason: "aborted" });
+        }
+        for (const c of clients) {
+          this.sendToClient(c, {
+            type: "INCLUSION_ABORTED",
+            timestamp: new Date().toISOString(),
+          });
+        }
+      },
+    };
+  }
+
+  /**
+   * Sends an S2 request to clients and waits for the first answer
+   * @param {Object[]} clients - The clients that may answer
+   * @param {string} type - GRANT_SECURITY_CLASSES_REQUESTED or VALIDATE_DSK_REQUESTED
+   * @param {Object} data - Sent to the clients as `data`
+   * @param {AbortSignal} [signal] - Cancels the request, e.g. on timeout
+   * @returns {Promise<{answer: Object|string|false, actor: string, reason?: string}>}
+   */
+  requestS2Answer(clients, type, data, signal) {
+    return new Promise((resolve) => {
+      if (clients.length === 0) {
+        console.warn(`[Security] ⚠️  Nobody is connected to answer ${type}`);
+        resolve({ answer: false, actor: "policy", reason: "nobody connected" });
+        return;
+      }
+
+      // Only one inclusion runs at a time, so an older request is stale
+      if (this.pendingS2Request) {
+        this.cancelS2Request("superseded");
+      }
+      this.pendingS2Request = { clients: new Set(clients), type, data, resolve };
+      console.log(
+        `[Security] 🔐 Waiting for ${clients
+          .map((c) => c.identity.name)
+          .join(", ")} to answer ${type}`
+      );
+      for (const client of clients) {
+        this.sendToClient(client, {
+          type,
+          data,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      signal?.addEventListener("abort", () => {
+        if (this.pendingS2Request?.resolve === resolve) {
+          console.warn(`[Security] ⚠️  ${type} timed out`);
+          this.cancelS2Request("timeout");
+        }
+      });
+    });
+  }
+
+  /**
+   * Returns the pending S2 request if a client may answer it
+   * @param {string} [type] - Type of the request the answer belongs to (default: any)
+   * @throws {ProtocolError} NO_PENDING_S2_REQUEST if the client has no such request
+   */
+  getS2Request(client, type) {
+    const pending = this.pendingS2Request;
+    if (
+      !pending ||
+      !pending.clients.has(client) ||
+      (type && pending.type !== type)
+    ) {
+      throw new ProtocolError(
+        ErrorCode.NO_PENDING_S2_REQUEST,
+        `No ${type || "S2 request"} is waiting for an answer from this client`
+      );
+    }
+    return pending;
+  }
+
+  /**
+   * Resolves the pending S2 request. If a client answered, the other clients
+   * that were asked are told that the request is gone
+   * @param {{answer: Object|string|false, actor: string, reason?: string}} result
+   * @param {Object} [client] - The client that answered
+   */
+  settleS2Request(result, client) {
+    const { clients, type, resolve } = this.pendingS2Request;
+    this.pendingS2Request = null;
+    resolve(result);
+    if (!client) return;
+    for (const other of clients) {
+      if (other === client) continue;
+      this.sendToClient(other, {
+        type: "S2_REQUEST_CANCELED",
+        data: { request: type, reason: "answered", actor: result.actor },
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * Rejects the pending S2 request without an answer from a client
+   * @param {string} reason - e.g. "timeout"
+   */
+  cancelS2Request(reason) {
+    const { clients, type } = this.pendingS2Request;
+    this.settleS2Request({ answer: false, actor: "policy", reason });
+    for (const client of clients) {
+      this.sendToClient(client, {
+        type: "S2_REQUEST_CANCELED",
+        data: { request: type, reason },
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * Removes a client that disconnected from the pending S2 request. The
+   * request is rejected if nobody else may answer it, so the inclusion does
+   * not wait for the timeout
+   */
+  rejectS2RequestOf(client) {
+    const pending = this.pendingS2Request;
+    if (!pending?.clients.has(client)) return;
+    pending.clients.delete(client);
+    if (pending.clients.size === 0) {
+      console.warn(
+        `[Security] ⚠️  ${client.identity.name} disconnected, rejecting ${pending.type}`
+      );
+      this.settleS2Request({
+        answer: false,
+        actor: client.identity.name,
+        reason: "disconnected",
+      });
+    }
+  }
+
+  /**
+   * Start an inclusion. For the default and s2 strategies, S2 requests are
+   * bridged to this client
+   */
+  async handleBeginInclusion(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+      const strategy = data.strategy || "default";
+      const result = await this.zwaveClient.beginInclusion({
+        strategy,
+        forceSecurity: data.forceSecurity,
+        dsk: data.dsk,
+        prompt:
+          strategy === "default" || strategy === "s2"
+            ? this.createS2Prompt(client)
+            : undefined,
+        actor: client.identity.name,
+      });
+      this.sendResponse(client, requestId, {
+        type: "BEGIN_INCLUSION_RESULT",
+        data: result,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  async handleStopInclusion(client, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+      const stopped = await this.zwaveClient.stopInclusion();
+      this.sendResponse(client, requestId, {
+        type: "STOP_INCLUSION_RESULT",
+        data: { stopped },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  async handleBeginExclusion(client, data, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+      const result = await this.zwaveClient.beginExclusion({
+        strategy: data.strategy,
+        actor: client.identity.name,
+      });
+      this.sendResponse(client, requestId, {
+        type: "BEGIN_EXCLUSION_RESULT",
+        data: result,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  async handleStopExclusion(client, requestId) {
+    try {
+      if (!this.zwaveClient || !this.zwaveClient.driverReady) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.DRIVER_NOT_READY,
+          "Driver not ready"
+        );
+        return;
+      }
+      const stopped = await this.zwaveClient.stopExclusion();
+      this.sendResponse(client, requestId, {
+        type: "STOP_EXCLUSION_RESULT",
+        data: { stopped },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  /**
+   * Answer to GRANT_SECURITY_CLASSES_REQUESTED. The granted classes must be a
+   * subset of the requested ones.
+   */
+  handleGrantSecurityClasses(client, data, requestId) {
+    const { data: request } = this.getS2Request(
+      client,
+      "GRANT_SECURITY_CLASSES_REQUESTED"
+    );
+    checkGrant(
+      {
+        allowed: request.allowedSecurityClasses,
+        minimumSecurityClass: request.minimumSecurityClass,
+      },
+      data.securityClasses
+    );
+
+    const grant = {
+      securityClasses: data.securityClasses,
+      clientSideAuth: !!data.clientSideAuth && request.clientSideAuth,
+    };
+    console.log(
+      `[Security] ✅ ${client.identity.name} granted ${grant.securityClasses.join(", ") || "no security classes"}`
+    );
+    this.settleS2Request({ answer: grant, actor: client.identity.name }, client);
+    this.sendResponse(client, requestId, {
+      type: "SECURITY_CLASSES_GRANTED",
+      data: grant,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Answer to VALIDATE_DSK_REQUESTED with the 5-digit PIN, the part of the
+   * DSK the controller cannot know
+   */
+  handleValidateDSK(client, data, requestId) {
+    this.getS2Request(client, "VALIDATE_DSK_REQUESTED");
+    console.log(`[Security] ✅ ${client.identity.name} entered the DSK PIN`);
+    this.settleS2Request({ answer: data.pin, actor: client.identity.name }, client);
+    this.sendResponse(client, requestId, {
+      type: "DSK_PIN_ENTERED",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Rejects the pending S2 request. zwave-js then aborts the bootstrapping and
+   * the node stays included without S2.
+   */
+  handleRejectS2Request(client, requestId) {
+    const { type } = this.getS2Request(client);
+    console.warn(`[Security] ⚠️  ${client.identity.name} rejected ${type}`);
+    this.settleS2Request(
+      { answer: false, actor: client.identity.name, reason: "rejected" },
+      client
+    );
+    this.sendResponse(client, requestId, {
+      type: "S2_REQUEST_REJECTED",
+      data: { request: type },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Export all network keys, encrypted with a passphrase chosen by the client
+   */
+  handleExportSecurityKeys(client, data, requestId) {
+    if (!this.keyStore) {
+      this.sendError(
+        client,
+        requestId,
+        ErrorCode.INTERNAL_ERROR,
+        "No key store configured"
+      );
+      return;
+    }
+
+    const backup = this.keyStore.exportBackup(data.passphrase);
+    this.sendResponse(client, requestId, {
+      type: "SECURITY_KEYS_BACKUP",
+      data: backup,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Search the audit log, newest entries first
+   */
+  async handleQueryAuditLog(client, data, requestId) {
+    try {
+      if (!this.auditLog) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.INTERNAL_ERROR,
+          "No audit log configured"
+        );
+        return;
+      }
+
+      const result = await this.auditLog.query({
+        actor: data.actor,
+        action: data.action,
+        nodeId: data.nodeId === undefined ? undefined : toInteger(data.nodeId),
+        result: data.result,
+        from: data.from,
+        to: data.to,
+        offset: data.offset,
+        limit: data.limit,
+      });
+      this.sendResponse(client, requestId, {
+        type: "AUDIT_LOG",
+        data: result,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  async handleQueryLockEvents(client, data, requestId) {
+    try {
+      if (!this.lockEventLog) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.INTERNAL_ERROR,
+          "No lock event log configured"
+        );
+        return;
+      }
+
+      const result = await this.lockEventLog.query({
+        nodeId: data.nodeId === undefined ? undefined : toInteger(data.nodeId),
+        event: data.event,
+        source: data.source,
+        userId: data.userId === undefined ? undefined : toInteger(data.userId),
+        from: data.from,
+        to: data.to,
+        offset: data.offset,
+        limit: data.limit,
+      });
+      this.sendResponse(client, requestId, {
+        type: "LOCK_EVENTS",
+        data: result,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  /**
+   * Describe one or all commands with their JSON Schema
+   */
+  handleGetSchema(client, data, requestId) {
+    if (data.command) {
+      const schema = getCommandSchema(data.command);
+      if (!schema) {
+        this.sendError(
+          client,
+          requestId,
+          ErrorCode.UNKNOWN_COMMAND,
+          `Unknown message type: ${data.command}`
+        );
+        return;
+      }
+      this.sendResponse(client, requestId, {
+        type: "SCHEMA",
+        data: {
+          version: PROTOCOL_VERSION,
+          commands: { [data.command]: schema },
+        },
+        timestamp: new Date().toISOString(),
+      });
+      return;
+    }
+
+    this.sendResponse(client, requestId, {
+      type: "SCHEMA",
+      data: { version: PROTOCOL_VERSION, commands: getCommandSchemas() },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
   /**
    * Close the WebSocket server and clean up
    */
@@ -0,0 +1,131 @@
+import { existsSync } from "fs";
+import { readFile } from "fs/promises";
+
+/**
+ * Product profiles describe the Manufacturer Proprietary (CC 0x91) payloads a
+ * product accepts. A profile applies to all nodes with its manufacturer ID,
+ * and with its product type and product ID if the profile has them.
+ */
+
+/** Payload length of products without a profile */
+export const DEFAULT_PAYLOAD_LENGTH = 32;
+
+/** No Z-Wave frame can carry more, whatever the controller reports */
+const MAX_PAYLOAD_LENGTH = 255;
+
+const ID_FIELDS = ["manufacturerId", "productType", "productId"];
+
+/**
+ * Converts a 16-bit ID given as number or hex string ("0x0004", like in
+ * device config files)
+ */
+function toId(value) {
+  if (typeof value === "string" && /^0x[0-9a-f]{1,4}$/i.test(value.trim())) {
+    return parseInt(value, 16);
+  }
+  if (Number.isInteger(value) && value >= 0 && value <= 0xffff) {
+    return value;
+  }
+  return NaN;
+}
+
+/**
+ * Checks a profile and fills in defaults
+ * @throws {Error} If a setting is invalid
+ */
+function toProductProfile(config, source) {
+  const name = config?.name;
+  if (typeof name !== "string" || !name.trim()) {
+    throw new Error(`Product profile from ${source} has no name`);
+  }
+
+  const profile = {
+    name,
+    manufacturerId: null,
+    productType: null,
+    productId: null,
+  };
+  for (const field of ID_FIELDS) {
+    if (config[field] === undefined && field !== "manufacturerId") continue;
+    profile[field] = toId(config[field]);
+    if (Number.isNaN(profile[field])) {
+      throw new Error(
+        `Product profile "${name}" from ${source} has invalid ${field}, expected 0x0000-0xffff`
+      );
+    }
+  }
+
+  profile.minPayloadLength = config.minPayloadLength ?? 1;
+  // Without a maximum, the payload may be as long as the node can receive
+  profile.maxPayloadLength = config.maxPayloadLength ?? null;
+  const max = profile.maxPayloadLength ?? MAX_PAYLOAD_LENGTH;
+  if (
+    !Number.isInteger(profile.minPayloadLength) ||
+    !Number.isInteger(max) ||
+    profile.minPayloadLength < 1 ||
+    profile.minPayloadLength > max ||
+    max > MAX_PAYLOAD_LENGTH
+  ) {
+    throw new Error(
+      `Product profile "${name}" from ${source} has an invalid payload length range, expected 1 <= minPayloadLength <= maxPayloadLength <= ${MAX_PAYLOAD_LENGTH}`
+    );
+  }
+  return Object.freeze(profile);
+}
+
+/**
+ * Loads the product profiles from the `DIGILOCK_PRODUCT_PROFILES` environment
+ * variable (JSON array) or the `profiles` array of the profile file
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path of the profile file (default: ./store/product-profiles.json)
+ * @returns {Promise<Object[]>} Profiles with `name`, `manufacturerId`,
+ *   `productType`, `productId` (null matches any), `minPayloadLength` and
+ *   `maxPayloadLength` (null for the node's maximum)
+ */
+export async function loadProductProfiles(options = {}) {
+  const file = options.file || "./store/product-profiles.json";
+  let configs = [];
+  let source = "defaults";
+  if (process.env.DIGILOCK_PRODUCT_PROFILES) {
+    configs = JSON.parse(process.env.DIGILOCK_PRODUCT_PROFILES);
+    source = "DIGILOCK_PRODUCT_PROFILES";
+  } else if (existsSync(file)) {
+    configs = JSON.parse(await readFile(file, "utf8")).profiles;
+    source = file;
+  }
+  if (!Array.isArray(configs)) {
+    throw new Error(`Product profiles from ${source} must be an array`);
+  }
+
+  const profiles = configs.map((config) => toProductProfile(config, source));
+  for (const profile of profiles) {
+    console.log(
+      `[Profiles] 📦 ${profile.name}: payloads of ${profile.minPayloadLength}-${profile.maxPayloadLength ?? "max"} bytes`
+    );
+  }
+  return profiles;
+}
+
+/**
+ * Returns the profile for a node. If several profiles match, the one that
+ * names the product most precisely wins.
+ * @param {Object[]} profiles - See {@link loadProductProfiles}
+ * @param {{manufacturerId?: number, productType?: number, productId?: number}} node
+ * @returns {Object|null}
+ */
+export function findProductProfile(profiles, node) {
+  let best = null;
+  let bestScore = -1;
+  for (const profile of profiles) {
+    const matches = ID_FIELDS.every(
+      (field) => profile[field] === null || profile[field] === node[field]
+    );
+    if (!matches) continue;
+    const score = ID_FIELDS.filter((field) => profile[field] !== null).length;
+    if (score > bestScore) {
+      best = profile;
+      bestScore = score;
+    }
+  }
+  return best;
+}
@@ -0,0 +1,110 @@
+import { isZWaveError } from "../../packages/core/src/index.js";
+
+/**
+ * Version of the WebSocket message envelope.
+ * Bump this whenever the shape of requests or replies changes incompatibly.
+ */
+export const PROTOCOL_VERSION = 1;
+
+/**
+ * Machine-readable error codes sent in the `code` field of `ERROR` replies.
+ * Clients should branch on these instead of the human-readable `message`.
+ */
+export const ErrorCode = Object.freeze({
+  /** The message is not valid JSON */
+  INVALID_JSON: "INVALID_JSON",
+  /** The message is valid JSON, but not a command object (e.g. missing `type`) */
+  INVALID_MESSAGE: "INVALID_MESSAGE",
+  /** The client did not provide a valid API key */
+  UNAUTHORIZED: "UNAUTHORIZED",
+  /** The client's role may not execute this command */
+  FORBIDDEN: "FORBIDDEN",
+  /** The command `type` is not known */
+  UNKNOWN_COMMAND: "UNKNOWN_COMMAND",
+  /** A required parameter is missing or has the wrong type */
+  INVALID_PARAMETER: "INVALID_PARAMETER",
+  /** The Z-Wave driver has not been started or is not ready yet */
+  DRIVER_NOT_READY: "DRIVER_NOT_READY",
+  /** START was sent while the driver is already running */
+  DRIVER_ALREADY_STARTED: "DRIVER_ALREADY_STARTED",
+  /** The Z-Wave driver could not be started */
+  DRIVER_START_FAILED: "DRIVER_START_FAILED",
+  /** No controller with the given `controllerId` is registered */
+  CONTROLLER_NOT_FOUND: "CONTROLLER_NOT_FOUND",
+  /** No node with the given ID exists */
+  NODE_NOT_FOUND: "NODE_NOT_FOUND",
+  /** The node exists, but its interview is not complete */
+  NODE_NOT_READY: "NODE_NOT_READY",
+  /** The node does not support the required command class */
+  CC_NOT_SUPPORTED: "CC_NOT_SUPPORTED",
+  /** The controller is already including or excluding a node */
+  INCLUSION_ACTIVE: "INCLUSION_ACTIVE",
+  /** An S2 answer was sent, but no matching request of a running inclusion is waiting for it */
+  NO_PENDING_S2_REQUEST: "NO_PENDING_S2_REQUEST",
+  /** No provisioning entry exists for the given DSK */
+  ENTRY_NOT_FOUND: "ENTRY_NOT_FOUND",
+  /** The DSK is not in a format zwave-js understands */
+  INVALID_DSK: "INVALID_DSK",
+  /** A SmartStart QR code string could not be parsed */
+  INVALID_QR_CODE: "INVALID_QR_CODE",
+  /** The payload is not a valid hex string */
+  INVALID_PAYLOAD: "INVALID_PAYLOAD",
+  /** The payload length is outside the range of the node's product profile */
+  PAYLOAD_LENGTH: "PAYLOAD_LENGTH",
+  /** The payload does not fit into a single frame to the node */
+  PAYLOAD_TOO_LARGE: "PAYLOAD_TOO_LARGE",
+  /** Sending a command to a node failed */
+  SEND_FAILED: "SEND_FAILED",
+  /** The node did not send the expected reply to a command in time */
+  RESPONSE_TIMEOUT: "RESPONSE_TIMEOUT",
+  /** A Manufacturer Proprietary payload from a lock failed the payload security check */
+  MP_AUTH_FAILED: "MP_AUTH_FAILED",
+  /** A command queued for a sleeping node was not delivered before its TTL ran out */
+  COMMAND_EXPIRED: "COMMAND_EXPIRED",
+  /** No queued command with the given ID exists, e.g. because it was already delivered */
+  QUEUED_COMMAND_NOT_FOUND: "QUEUED_COMMAND_NOT_FOUND",
+  /** An error reported by zwave-js that has no more specific code */
+  ZWAVE_ERROR: "ZWAVE_ERROR",
+  /** Anything else */
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+});
+
+/**
+ * Error with a machine-readable {@link ErrorCode}.
+ * Throw this from anywhere below the WebSocket plugin to control the `code`
+ * the client receives.
+ */
+export class ProtocolError extends Error {
+  /**
+   * @param {string} code - One of {@link ErrorCode}
+   * @param {string} message - Human-readable description
+   * @param {Object} [details] - Additional machine-readable context
+   */
+  constructor(code, message, details) {
+    super(message);
+    this.name = "ProtocolError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Converts any thrown value into a {@link ProtocolError}
+ * @param {unknown} error - The thrown value
+ * @param {string} [fallbackCode] - Code to use when the error carries none (default: INTERNAL_ERROR)
+ * @returns {ProtocolError}
+ */
+export function toProtocolError(error, fallbackCode = ErrorCode.INTERNAL_ERROR) {
+  if (error instanceof ProtocolError) {
+    return error;
+  }
+  if (isZWaveError(error)) {
+    return new ProtocolError(ErrorCode.ZWAVE_ERROR, error.message, {
+      zwaveErrorCode: error.code,
+    });
+  }
+  return new ProtocolError(
+    fallbackCode,
+    error?.message || String(error || "Unknown error")
+  );
+}
@@ -0,0 +1,271 @@
+import crypto from "crypto";
+import {
+  importProvisioningEntries,
+  PROVISIONING_BACKUP_TYPE,
+} from "./provisioning-import.js";
+import { ErrorCode, ProtocolError } from "./protocol.js";
+
+export const EXPORT_FORMATS = ["json", "csv", "qr"];
+
+const BACKUP_VERSION = 1;
+
+/** Content type and file extension per export format, for HTTP downloads */
+export const EXPORT_FILE_TYPES = {
+  json: { contentType: "application/json", extension: "json" },
+  csv: { contentType: "text/csv", extension: "csv" },
+  qr: { contentType: "text/plain", extension: "txt" },
+};
+
+/** Columns of the CSV export, in the order the CSV import expects them */
+const CSV_COLUMNS = [
+  "dsk",
+  "name",
+  "location",
+  "protocol",
+  "securityClasses",
+  "status",
+];
+
+/** Security class names as used in CSV files, by flag of the entry's securityClasses object */
+const SECURITY_CLASS_NAMES = {
+  s2AccessControl: "S2_AccessControl",
+  s2Authenticated: "S2_Authenticated",
+  s2Unauthenticated: "S2_Unauthenticated",
+  s0Legacy: "S0_Legacy",
+};
+
+/** Bit of each security class in the requested keys field of a QR code */
+const SECURITY_CLASS_BITS = {
+  s2Unauthenticated: 0,
+  s2Authenticated: 1,
+  s2AccessControl: 2,
+  s0Legacy: 7,
+};
+
+/**
+ * Reduces an entry from ZWaveProvisioningClient.getProvisioningEntries to the
+ * fields that ADD_PROVISIONING_ENTRY accepts. Node IDs and device info belong to
+ * the current network and are not exported.
+ */
+function toBackupEntry(entry) {
+  const backupEntry = {
+    dsk: entry.dsk,
+    name: entry.name,
+    location: entry.location,
+    protocol: entry.protocol,
+    status: entry.status,
+    securityClasses: {
+      s2AccessControl: !!entry.securityClasses.s2AccessControl,
+      s2Authenticated: !!entry.securityClasses.s2Authenticated,
+      s2Unauthenticated: !!entry.securityClasses.s2Unauthenticated,
+      s0Legacy: !!entry.securityClasses.s0Legacy,
+    },
+    supportedProtocols: entry.supportedProtocols,
+  };
+  for (const field of [
+    "manufacturerId",
+    "productType",
+    "productId",
+    "applicationVersion",
+    "genericDeviceClass",
+    "specificDeviceClass",
+    "installerIconType",
+    "qrCode",
+  ]) {
+    if (entry[field] !== undefined) backupEntry[field] = entry[field];
+  }
+  return backupEntry;
+}
+
+function toCSVCell(value) {
+  const text = String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(entries) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const entry of entries) {
+    const securityClasses = Object.entries(SECURITY_CLASS_NAMES)
+      .filter(([flag]) => entry.securityClasses[flag])
+      .map(([, name]) => name)
+      .join(";");
+    lines.push(
+      [
+        entry.dsk,
+        entry.name,
+        entry.location,
+        entry.protocol,
+        securityClasses,
+        entry.status ? "active" : "inactive",
+      ]
+        .map(toCSVCell)
+        .join(",")
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+function pad(value, digits) {
+  return String(value).padStart(digits, "0");
+}
+
+/**
+ * Encodes a provisioning entry as SmartStart QR code string, the inverse of
+ * zwave-js's parseQRCodeString. Entries that were imported from a QR code
+ * keep their original string. For all others, the code is built from the
+ * entry; product information that is not known is encoded as 0.
+ * @param {Object} entry - Entry in the format of {@link toBackupEntry}
+ * @returns {string}
+ */
+export function toQRCodeString(entry) {
+  if (entry.qrCode) return entry.qrCode;
+
+  let requestedKeys = 0;
+  for (const [flag, bit] of Object.entries(SECURITY_CLASS_BITS)) {
+    if (entry.securityClasses[flag]) requestedKeys |= 1 << bit;
+  }
+
+  const dskBlocks = entry.dsk.split("-").map((block) => pad(block, 5));
+
+  const deviceClasses =
+    ((entry.genericDeviceClass ?? 0) << 8) | (entry.specificDeviceClass ?? 0);
+  const [major = 0, minor = 0] = String(entry.applicationVersion ?? "0.0")
+    .split(".")
+    .map((part) => parseInt(part, 10) || 0);
+
+  // TLV blocks: 2 digits type (shifted left by 1, lowest bit = critical),
+  // 2 digits length, then the value
+  const productType =
+    "00" + "10" + pad(deviceClasses, 5) + pad(entry.installerIconType ?? 0, 5);
+  const productId =
+    "02" +
+    "20" +
+    pad(entry.manufacturerId ?? 0, 5) +
+    pad(entry.productType ?? 0, 5) +
+    pad(entry.productId ?? 0, 5) +
+    pad(((major & 0xff) << 8) | (minor & 0xff), 5);
+  let supportedProtocols = "";
+  if (entry.supportedProtocols?.length > 0) {
+    const mask = entry.supportedProtocols.reduce((m, p) => m | (1 << p), 0);
+    supportedProtocols = "08" + "03" + pad(mask, 3);
+  }
+
+  const data =
+    pad(requestedKeys, 3) +
+    dskBlocks.join("") +
+    productType +
+    productId +
+    supportedProtocols;
+  // The checksum is the first 2 bytes of the SHA-1 hash of everything after it
+  const checksum = crypto
+    .createHash("sha1")
+    .update(data, "utf8")
+    .digest()
+    .readUInt16BE(0);
+
+  // 90 = Z-Wave, 01 = SmartStart
+  return "90" + "01" + pad(checksum, 5) + data;
+}
+
+/**
+ * Exports the provisioning list of the controller
+ * @param {import("./zwave-client.js").ZWaveProvisioningClient} zwaveClient - A client with a ready driver
+ * @param {string} [format] - One of {@link EXPORT_FORMATS} (default: json)
+ * @returns {Promise<{format: string, count: number, content: string|Object}>}
+ *   `content` is a backup document for JSON, text for CSV and QR codes
+ */
+export async function exportProvisioningEntries(zwaveClient, format = "json") {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ProtocolError(
+      ErrorCode.INVALID_PARAMETER,
+      `Unknown export format "${format}", expected one of ${EXPORT_FORMATS.join(", ")}`,
+      { field: "format" }
+    );
+  }
+  if (!zwaveClient || !zwaveClient.driverReady) {
+    throw new ProtocolError(ErrorCode.DRIVER_NOT_READY, "Driver not ready");
+  }
+
+  const entries = (await zwaveClient.getProvisioningEntries()).map(
+    toBackupEntry
+  );
+  console.log(
+    `[Provisioning] Exporting ${entries.length} entries (${format})`
+  );
+
+  let content;
+  if (format === "csv") {
+    content = toCSV(entries);
+  } else if (format === "qr") {
+    content = entries.map(toQRCodeString).join("\n") + "\n";
+  } else {
+    const homeId = zwaveClient.driver.controller.homeId;
+    content = {
+      type: PROVISIONING_BACKUP_TYPE,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      homeId:
+        homeId !== undefined ? `0x${homeId.toString(16).padStart(8, "0")}` : null,
+      entries,
+    };
+  }
+
+  return { format, count: entries.length, content };
+}
+
+/**
+ * Re-provisions all entries of a JSON backup, e.g. onto a replacement
+ * controller. Entries keep the status they had when they were exported.
+ * @param {import("./zwave-client.js").ZWaveProvisioningClient} zwaveClient - A client with a ready driver
+ * @param {Object|string} backup - The backup document created by {@link exportProvisioningEntries}
+ * @param {Object} [options]
+ * @param {string} [options.actor] - Who restores the backup, for the audit log
+ * @returns {Promise<Object>} Import report, see importProvisioningEntries
+ */
+export async function restoreProvisioningEntries(
+  zwaveClient,
+  backup,
+  { actor } = {}
+) {
+  if (typeof backup === "string") {
+    try {
+      backup = JSON.parse(backup);
+    } catch (error) {
+      throw new ProtocolError(
+        ErrorCode.INVALID_PARAMETER,
+        `Invalid JSON: ${error.message}`,
+        { field: "backup" }
+      );
+    }
+  }
+  if (
+    backup?.type !== PROVISIONING_BACKUP_TYPE ||
+    !Array.isArray(backup.entries)
+  ) {
+    throw new ProtocolError(
+      ErrorCode.INVALID_PARAMETER,
+      "Not a provisioning backup: expected the JSON output of EXPORT_PROVISIONING_ENTRIES",
+      { field: "backup" }
+    );
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new ProtocolError(
+      ErrorCode.INVALID_PARAMETER,
+      `Unsupported provisioning backup version ${backup.version}`,
+      { field: "backup" }
+    );
+  }
+
+  console.log(
+    `[Provisioning] Restoring backup from ${backup.exportedAt} (home ID ${backup.homeId})`
+  );
+  const report = await importProvisioningEntries(zwaveClient, backup, {
+    format: "json",
+    active: false,
+    actor,
+  });
+  return {
+    ...report,
+    restoredFrom: { exportedAt: backup.exportedAt, homeId: backup.homeId },
+  };
+}
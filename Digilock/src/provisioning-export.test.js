@@ -0,0 +1,222 @@
+import { afterEach, beforeEach, test, vi } from "vitest";
+import { parseQRCodeString } from "../../packages/core/src/qr/index.js";
+import { SecurityClass } from "../../packages/core/src/definitions/index.js";
+import { ErrorCode } from "./protocol.js";
+import {
+  exportProvisioningEntries,
+  restoreProvisioningEntries,
+  toQRCodeString,
+} from "./provisioning-export.js";
+import { PROVISIONING_BACKUP_TYPE } from "./provisioning-import.js";
+
+/** Example SmartStart QR code of a door lock from the Z-Wave specification */
+const LOCK_QR =
+  "9001346230075152535455414243444531323334352122232425001016387007680220655210100000017002880642002122232425414243444511121314153132333435";
+const LOCK_DSK = "51525-35455-41424-34445-31323-33435-21222-32425";
+
+const DSK_1 = "11111-22222-33333-44444-55555-12345-23456-34567";
+
+/** An entry like ZWaveProvisioningClient.getProvisioningEntries returns it */
+const ENTRY = {
+  dsk: DSK_1,
+  name: "Front door, main",
+  location: "Hall",
+  protocol: "ZWave",
+  status: true,
+  securityClasses: {
+    s2AccessControl: true,
+    s2Authenticated: false,
+    s2Unauthenticated: false,
+    s0Legacy: true,
+  },
+  supportedProtocols: [0, 1],
+  manufacturerId: 0x0129,
+  productType: 0x0007,
+  productId: 0x0001,
+  applicationVersion: "2.5",
+  genericDeviceClass: 0x40,
+  specificDeviceClass: 0x03,
+  installerIconType: 0x0300,
+  nodeId: 5,
+  deviceInfo: { label: "Front door lock" },
+};
+
+/** Returns a client like ZWaveProvisioningClient with the given entries */
+function createClient(entries = []) {
+  const provisioned = new Set();
+  return {
+    driverReady: true,
+    normalizeDSK: (dsk) => dsk,
+    driver: {
+      controller: {
+        homeId: 0xe2f88b83,
+        getProvisioningEntry: (dsk) => provisioned.has(dsk),
+      },
+    },
+    getProvisioningEntries: vi.fn(async () => entries),
+    provisionSmartStartNode: vi.fn(async (entry) => {
+      provisioned.add(entry.dsk);
+      return { dsk: entry.dsk, name: entry.name, status: entry.status };
+    }),
+  };
+}
+
+beforeEach(() => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+test("toQRCodeString() keeps the QR code an entry was imported from", (t) => {
+  t.expect(toQRCodeString({ ...ENTRY, dsk: LOCK_DSK, qrCode: LOCK_QR })).toBe(
+    LOCK_QR
+  );
+});
+
+test("toQRCodeString() builds QR codes that zwave-js can parse", async (t) => {
+  const qr = toQRCodeString(ENTRY);
+
+  t.expect(qr).toMatch(/^9001\d+$/);
+  t.expect(await parseQRCodeString(qr)).toMatchObject({
+    dsk: DSK_1,
+    requestedSecurityClasses: [
+      SecurityClass.S2_AccessControl,
+      SecurityClass.S0_Legacy,
+    ],
+    manufacturerId: 0x0129,
+    productType: 0x0007,
+    productId: 0x0001,
+    applicationVersion: "2.5",
+    genericDeviceClass: 0x40,
+    specificDeviceClass: 0x03,
+    installerIconType: 0x0300,
+    supportedProtocols: [0, 1],
+  });
+});
+
+test("toQRCodeString() encodes unknown product information as 0", async (t) => {
+  const qr = toQRCodeString({
+    dsk: "1-2-3-4-5-6-7-8",
+    securityClasses: { s2Unauthenticated: true },
+  });
+
+  t.expect(await parseQRCodeString(qr)).toMatchObject({
+    dsk: "00001-00002-00003-00004-00005-00006-00007-00008",
+    requestedSecurityClasses: [SecurityClass.S2_Unauthenticated],
+    manufacturerId: 0,
+    productType: 0,
+    productId: 0,
+    applicationVersion: "0.0",
+  });
+});
+
+test("exports the entries without the data of the current network", async (t) => {
+  const client = createClient([ENTRY]);
+
+  const { format, count, content } = await exportProvisioningEntries(client);
+
+  t.expect({ format, count }).toEqual({ format: "json", count: 1 });
+  t.expect(content).toEqual({
+    type: PROVISIONING_BACKUP_TYPE,
+    version: 1,
+    exportedAt: t.expect.any(String),
+    homeId: "0xe2f88b83",
+    entries: [t.expect.any(Object)],
+  });
+  t.expect(content.entries[0]).not.toHaveProperty("nodeId");
+  t.expect(content.entries[0]).not.toHaveProperty("deviceInfo");
+  t.expect(content.entries[0]).toMatchObject({
+    dsk: DSK_1,
+    status: true,
+    manufacturerId: 0x0129,
+  });
+});
+
+test("exports the entries as CSV and QR codes", async (t) => {
+  const client = createClient([
+    ENTRY,
+    {
+      ...ENTRY,
+      dsk: LOCK_DSK,
+      name: "Back door",
+      status: false,
+      qrCode: LOCK_QR,
+    },
+  ]);
+
+  const csv = await exportProvisioningEntries(client, "csv");
+  t.expect(csv.content).toBe(
+    [
+      "dsk,name,location,protocol,securityClasses,status",
+      `${DSK_1},"Front door, main",Hall,ZWave,S2_AccessControl;S0_Legacy,active`,
+      `${LOCK_DSK},Back door,Hall,ZWave,S2_AccessControl;S0_Legacy,inactive`,
+      "",
+    ].join("\n")
+  );
+
+  const qr = await exportProvisioningEntries(client, "qr");
+  t.expect(qr.content).toBe(`${toQRCodeString(ENTRY)}\n${LOCK_QR}\n`);
+});
+
+test("rejects unknown formats and clients without a ready driver", async (t) => {
+  await t
+    .expect(exportProvisioningEntries(createClient(), "xml"))
+    .rejects.toThrow(
+      t.expect.objectContaining({
+        code: ErrorCode.INVALID_PARAMETER,
+        details: { field: "format" },
+      })
+    );
+  await t
+    .expect(exportProvisioningEntries({ driverReady: false }))
+    .rejects.toThrow(
+      t.expect.objectContaining({ code: ErrorCode.DRIVER_NOT_READY })
+    );
+});
+
+test("restores an exported backup with the status of every entry", async (t) => {
+  const inactive = { ...ENTRY, dsk: LOCK_DSK, status: false };
+  const { content } = await exportProvisioningEntries(
+    createClient([ENTRY, inactive])
+  );
+  const client = createClient();
+
+  const report = await restoreProvisioningEntries(
+    client,
+    JSON.stringify(content),
+    { actor: "installer-1" }
+  );
+
+  t.expect(report.restoredFrom).toEqual({
+    exportedAt: content.exportedAt,
+    homeId: "0xe2f88b83",
+  });
+  t.expect(client.provisionSmartStartNode).toHaveBeenCalledTimes(2);
+  t.expect(client.provisionSmartStartNode.mock.calls.map(([e]) => e)).toEqual([
+    t.expect.objectContaining({ dsk: DSK_1, status: true }),
+    t.expect.objectContaining({ dsk: LOCK_DSK, status: false }),
+  ]);
+});
+
+test("restore rejects documents that are no provisioning backup", async (t) => {
+  const client = createClient();
+  const backup = { type: PROVISIONING_BACKUP_TYPE, version: 1, entries: [] };
+
+  for (const [document, message] of [
+    ["{", "Invalid JSON"],
+    [[ENTRY], "Not a provisioning backup"],
+    [{ ...backup, entries: undefined }, "Not a provisioning backup"],
+    [{ ...backup, version: 2 }, "Unsupported provisioning backup version 2"],
+  ]) {
+    await t.expect(restoreProvisioningEntries(client, document)).rejects.toThrow(
+      t.expect.objectContaining({
+        code: ErrorCode.INVALID_PARAMETER,
+        message: t.expect.stringContaining(message),
+        details: { field: "backup" },
+      })
+    );
+  }
+  t.expect(client.provisionSmartStartNode).not.toHaveBeenCalled();
+});
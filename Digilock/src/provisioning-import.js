@@ -0,0 +1,521 @@
+import { parseQRCodeString } from "../../packages/core/src/qr/index.js";
+import { QRCodeVersion } from "../../packages/core/src/qr/definitions.js";
+import { SecurityClass } from "../../packages/core/src/definitions/index.js";
+import { ProvisioningEntryStatus } from "../../packages/zwave-js/src/Controller.js";
+import { getCommandSchema } from "./command-schemas.js";
+import { validateSchema } from "./schema-validator.js";
+import { ErrorCode, ProtocolError, toProtocolError } from "./protocol.js";
+
+export const IMPORT_FORMATS = ["auto", "qr", "csv", "json"];
+
+/** `type` of the JSON document written by the provisioning export */
+export const PROVISIONING_BACKUP_TYPE = "digilock-provisioning-backup";
+
+/** Upper limit for rows per import, so a single upload can't block the driver for long */
+export const MAX_IMPORT_ROWS = 1000;
+
+/** Column order of CSV files without a header row */
+const CSV_COLUMNS = [
+  "dsk",
+  "name",
+  "location",
+  "protocol",
+  "securityClasses",
+  "status",
+];
+
+/** Alternative spellings of CSV header names, compared lowercase without separators */
+const CSV_HEADER_ALIASES = {
+  dsk: "dsk",
+  qr: "dsk",
+  qrcode: "dsk",
+  name: "name",
+  location: "location",
+  protocol: "protocol",
+  securityclasses: "securityClasses",
+  security: "securityClasses",
+  status: "status",
+  active: "status",
+};
+
+/** Security class names in CSV cells, compared lowercase without separators */
+const SECURITY_CLASS_ALIASES = {
+  s2accesscontrol: "s2AccessControl",
+  s2authenticated: "s2Authenticated",
+  s2unauthenticated: "s2Unauthenticated",
+  s0legacy: "s0Legacy",
+  s0: "s0Legacy",
+};
+
+const STATUS_ALIASES = {
+  active: true,
+  true: true,
+  yes: true,
+  1: true,
+  inactive: false,
+  false: false,
+  no: false,
+  0: false,
+};
+
+const PROTOCOL_ALIASES = {
+  zwave: "ZWave",
+  zwavelongrange: "ZWaveLongRange",
+  longrange: "ZWaveLongRange",
+  lr: "ZWaveLongRange",
+};
+
+/** SmartStart QR codes are long numeric strings starting with 90 */
+const QR_CODE_PATTERN = /^90\d{50,}$/;
+
+function simplify(value) {
+  return value.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Converts an entry as accepted by ADD_PROVISIONING_ENTRY into the format
+ * expected by ZWaveProvisioningClient.provisionSmartStartNode
+ * @param {Object} entry - The entry from the request
+ * @param {boolean} [defaultStatus] - Status to use if the entry has none (default: inactive)
+ */
+export function toProvisioningEntry(entry, defaultStatus = false) {
+  let securityClasses;
+  if (
+    entry.securityClasses &&
+    typeof entry.securityClasses === "object" &&
+    !Array.isArray(entry.securityClasses)
+  ) {
+    securityClasses = entry.securityClasses;
+  } else {
+    securityClasses = {
+      s2AccessControl: entry.s2AccessControl === true,
+      s2Authenticated: entry.s2Authenticated === true,
+      s2Unauthenticated: entry.s2Unauthenticated === true,
+      s0Legacy: entry.s0Legacy === true,
+    };
+  }
+
+  return {
+    dsk: entry.dsk,
+    name: entry.name || "",
+    location: entry.location || "",
+    protocol: entry.protocol || "ZWave",
+    status: entry.status !== undefined ? entry.status : defaultStatus,
+    securityClasses,
+    s2AccessControl: entry.s2AccessControl === true,
+    s2Authenticated: entry.s2Authenticated === true,
+    s2Unauthenticated: entry.s2Unauthenticated === true,
+    s0Legacy: entry.s0Legacy === true,
+    supportedProtocols: entry.supportedProtocols || [],
+    manufacturerId: entry.manufacturerId,
+    productType: entry.productType,
+    productId: entry.productId,
+    applicationVersion: entry.applicationVersion,
+    // Only known for entries from QR codes. Kept so the entry can be exported as QR code again
+    genericDeviceClass: entry.genericDeviceClass,
+    specificDeviceClass: entry.specificDeviceClass,
+    installerIconType: entry.installerIconType,
+    qrCode: entry.qrCode,
+  };
+}
+
+/**
+ * Parses a SmartStart QR code string into a provisioning entry
+ * @throws {ProtocolError} INVALID_QR_CODE
+ */
+async function entryFromQRCode(qr) {
+  let info;
+  try {
+    info = await parseQRCodeString(qr);
+  } catch (error) {
+    throw new ProtocolError(
+      ErrorCode.INVALID_QR_CODE,
+      `Invalid QR code: ${error.message}`
+    );
+  }
+  if (info.version !== QRCodeVersion.SmartStart) {
+    throw new ProtocolError(
+      ErrorCode.INVALID_QR_CODE,
+      "This is an S2 QR code, not a SmartStart QR code"
+    );
+  }
+
+  const classes = info.securityClasses;
+  return {
+    dsk: info.dsk,
+    securityClasses: {
+      s2AccessControl: classes.includes(SecurityClass.S2_AccessControl),
+      s2Authenticated: classes.includes(SecurityClass.S2_Authenticated),
+      s2Unauthenticated: classes.includes(SecurityClass.S2_Unauthenticated),
+      s0Legacy: classes.includes(SecurityClass.S0_Legacy),
+    },
+    supportedProtocols: info.supportedProtocols || [],
+    manufacturerId: info.manufacturerId,
+    productType: info.productType,
+    productId: info.productId,
+    applicationVersion: info.applicationVersion,
+    genericDeviceClass: info.genericDeviceClass,
+    specificDeviceClass: info.specificDeviceClass,
+    installerIconType: info.installerIconType,
+    qrCode: qr.trim(),
+  };
+}
+
+/**
+ * Splits one CSV line into cells. Supports quoted cells with `""` escapes,
+ * but no line breaks inside cells.
+ */
+function splitCSVLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Builds a provisioning entry from a CSV row
+ * @param {Object<string, string>} record - Cells by column name
+ */
+async function entryFromCSVRecord(record) {
+  const dsk = record.dsk || "";
+  // The DSK column may also hold a whole QR code, e.g. from a barcode scanner
+  const entry = QR_CODE_PATTERN.test(dsk)
+    ? await entryFromQRCode(dsk)
+    : { dsk };
+
+  if (record.name) entry.name = record.name;
+  if (record.location) entry.location = record.location;
+
+  if (record.protocol) {
+    const protocol = PROTOCOL_ALIASES[simplify(record.protocol)];
+    if (!protocol) {
+      throw new ProtocolError(
+        ErrorCode.INVALID_PARAMETER,
+        `Unknown protocol "${record.protocol}", expected ZWave or ZWaveLongRange`,
+        { field: "protocol" }
+      );
+    }
+    entry.protocol = protocol;
+  }
+
+  if (record.status) {
+    const status = STATUS_ALIASES[simplify(record.status)];
+    if (status === undefined) {
+      throw new ProtocolError(
+        ErrorCode.INVALID_PARAMETER,
+        `Unknown status "${record.status}", expected active or inactive`,
+        { field: "status" }
+      );
+    }
+    entry.status = status;
+  }
+
+  if (record.securityClasses) {
+    entry.securityClasses = {
+      s2AccessControl: false,
+      s2Authenticated: false,
+      s2Unauthenticated: false,
+      s0Legacy: false,
+    };
+    for (const name of record.securityClasses.split(/[\s,;|]+/)) {
+      if (!name) continue;
+      const securityClass = SECURITY_CLASS_ALIASES[simplify(name)];
+      if (!securityClass) {
+        throw new ProtocolError(
+          ErrorCode.INVALID_PARAMETER,
+          `Unknown security class "${name}"`,
+          { field: "securityClasses" }
+        );
+      }
+      entry.securityClasses[securityClass] = true;
+    }
+  }
+
+  return entry;
+}
+
+/**
+ * Runs a row parser and turns a thrown error into a failed row
+ */
+async function toRow(row, parse) {
+  try {
+    return { row, entry: await parse() };
+  } catch (error) {
+    return { row, error: toProtocolError(error, ErrorCode.INVALID_PARAMETER) };
+  }
+}
+
+/**
+ * Returns the lines of a text with their 1-based line numbers, without empty
+ * lines and `#` comments
+ */
+function getLines(content) {
+  return content
+    .split(/\r?\n/)
+    .map((text, index) => ({ line: index + 1, text: text.trim() }))
+    .filter(({ text }) => text && !text.startsWith("#"));
+}
+
+function detectFormat(content) {
+  if (typeof content === "object") return "json";
+  const trimmed = content.trim();
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) return "json";
+  const lines = getLines(trimmed);
+  if (lines.length > 0 && lines.every(({ text }) => QR_CODE_PATTERN.test(text))) {
+    return "qr";
+  }
+  return "csv";
+}
+
+async function parseQRLines(content) {
+  return Promise.all(
+    getLines(content).map(({ line, text }) =>
+      toRow(line, () => entryFromQRCode(text))
+    )
+  );
+}
+
+async function parseCSV(content) {
+  const lines = getLines(content);
+  let columns = CSV_COLUMNS;
+
+  // A header row is recognized by its first cell
+  if (lines.length > 0) {
+    const header = splitCSVLine(lines[0].text);
+    if (CSV_HEADER_ALIASES[simplify(header[0])] === "dsk") {
+      columns = header.map((name) => CSV_HEADER_ALIASES[simplify(name)]);
+      lines.shift();
+    }
+  }
+
+  return Promise.all(
+    lines.map(({ line, text }) =>
+      toRow(line, () => {
+        const cells = splitCSVLine(text);
+        const record = {};
+        columns.forEach((column, index) => {
+          // Unknown columns are ignored
+          if (column) record[column] = cells[index] || "";
+        });
+        return entryFromCSVRecord(record);
+      })
+    )
+  );
+}
+
+async function parseJSON(content) {
+  let items = content;
+  if (typeof items === "string") {
+    try {
+      items = JSON.parse(content);
+    } catch (error) {
+      throw new ProtocolError(
+        ErrorCode.INVALID_PARAMETER,
+        `Invalid JSON: ${error.message}`,
+        { field: "content" }
+      );
+    }
+  }
+  // Backups from EXPORT_PROVISIONING_ENTRIES wrap the entries
+  if (items?.type === PROVISIONING_BACKUP_TYPE && Array.isArray(items.entries)) {
+    items = items.entries;
+  }
+  if (!Array.isArray(items)) {
+    throw new ProtocolError(
+      ErrorCode.INVALID_PARAMETER,
+      "JSON imports must be an array of entries or QR code strings, or a provisioning backup",
+      { field: "content" }
+    );
+  }
+
+  const entrySchema = getCommandSchema("ADD_PROVISIONING_ENTRY").properties
+    .entry;
+  return Promise.all(
+    items.map((item, index) =>
+      toRow(index + 1, async () => {
+        if (typeof item === "string") {
+          return entryFromQRCode(item);
+        }
+        const errors = validateSchema(item, entrySchema);
+        if (errors.length > 0) {
+          throw new ProtocolError(
+            ErrorCode.INVALID_PARAMETER,
+            errors.map((e) => `${e.field} ${e.message}`).join("; "),
+            { field: errors[0].field, errors }
+          );
+        }
+        return item;
+      })
+    )
+  );
+}
+
+/**
+ * Parses an import file into rows. Rows that can't be parsed carry an error
+ * instead of an entry, so one bad row does not fail the whole import.
+ * @param {string|Array|Object} content - QR code strings (one per line), CSV or JSON text, or an already parsed JSON array or provisioning backup
+ * @param {string} [format] - One of {@link IMPORT_FORMATS} (default: auto)
+ * @returns {Promise<{format: string, rows: Array<{row: number, entry?: Object, error?: ProtocolError}>}>}
+ *   `row` is the line number for QR and CSV, the 1-based array position for JSON
+ * @throws {ProtocolError} INVALID_PARAMETER if the content as a whole is unusable
+ */
+export async function parseProvisioningImport(content, format = "auto") {
+  if (format === "auto") {
+    format = detectFormat(content);
+  } else if (typeof content === "object" && format !== "json") {
+    throw new ProtocolError(
+      ErrorCode.INVALID_PARAMETER,
+      `Arrays and objects can only be imported with format "json"`,
+      { field: "format" }
+    );
+  }
+
+  let rows;
+  if (format === "qr") {
+    rows = await parseQRLines(content);
+  } else if (format === "csv") {
+    rows = await parseCSV(content);
+  } else if (format === "json") {
+    rows = await parseJSON(content);
+  } else {
+    throw new ProtocolError(
+      ErrorCode.INVALID_PARAMETER,
+      `Unknown import format "${format}", expected one of ${IMPORT_FORMATS.join(", ")}`,
+      { field: "format" }
+    );
+  }
+
+  if (rows.length === 0) {
+    throw new ProtocolError(
+      ErrorCode.INVALID_PARAMETER,
+      "The import contains no entries",
+      { field: "content" }
+    );
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ProtocolError(
+      ErrorCode.INVALID_PARAMETER,
+      `The import contains ${rows.length} entries, at most ${MAX_IMPORT_ROWS} are allowed per import`,
+      { field: "content" }
+    );
+  }
+  return { format, rows };
+}
+
+/**
+ * Imports provisioning entries in bulk. Every row goes through
+ * provisionSmartStartNode, exactly like a single ADD_PROVISIONING_ENTRY.
+ *
+ * @param {import("./zwave-client.js").ZWaveProvisioningClient} zwaveClient - A client with a ready driver
+ * @param {string|Array|Object} content - See {@link parseProvisioningImport}
+ * @param {Object} [options]
+ * @param {string} [options.format] - One of {@link IMPORT_FORMATS} (default: auto)
+ * @param {boolean} [options.active] - Status of entries that don't specify one (default: true)
+ * @param {string} [options.actor] - Who imports the entries, for the audit log
+ * @returns {Promise<Object>} Report with one result per row
+ */
+export async function importProvisioningEntries(
+  zwaveClient,
+  content,
+  { format = "auto", active = true, actor } = {}
+) {
+  if (!zwaveClient || !zwaveClient.driverReady) {
+    throw new ProtocolError(ErrorCode.DRIVER_NOT_READY, "Driver not ready");
+  }
+
+  const parsed = await parseProvisioningImport(content, format);
+  console.log(
+    `[Provisioning] Importing ${parsed.rows.length} entries (${parsed.format})`
+  );
+
+  const seen = new Map();
+  const results = [];
+  for (const { row, entry, error } of parsed.rows) {
+    if (error) {
+      results.push(toFailedResult(row, entry?.dsk, error));
+      continue;
+    }
+
+    const dsk = zwaveClient.normalizeDSK(entry.dsk);
+    if (seen.has(dsk)) {
+      results.push(
+        toFailedResult(
+          row,
+          dsk,
+          new ProtocolError(
+            ErrorCode.INVALID_PARAMETER,
+            `Duplicate DSK, already imported in row ${seen.get(dsk)}`,
+            { field: "dsk" }
+          )
+        )
+      );
+      continue;
+    }
+    seen.set(dsk, row);
+
+    try {
+      const existed = !!zwaveClient.driver.controller.getProvisioningEntry(dsk);
+      const provisioned = await zwaveClient.provisionSmartStartNode(
+        toProvisioningEntry(entry, active),
+        { actor }
+      );
+      results.push({
+        row,
+        dsk: provisioned.dsk,
+        name: provisioned.name,
+        status: existed ? "updated" : "added",
+        active: provisioned.status === ProvisioningEntryStatus.Active,
+      });
+    } catch (provisionError) {
+      results.push(toFailedResult(row, dsk, provisionError));
+    }
+  }
+
+  const failed = results.filter((r) => r.status === "failed").length;
+  console.log(
+    `[Provisioning] ${failed === 0 ? "✅" : "⚠️ "} Import finished: ${
+      results.length - failed
+    } of ${results.length} entries provisioned`
+  );
+
+  return {
+    format: parsed.format,
+    total: results.length,
+    succeeded: results.length - failed,
+    failed,
+    results,
+  };
+}
+
+function toFailedResult(row, dsk, error) {
+  const { code, message, details } = toProtocolError(error);
+  return {
+    row,
+    dsk: dsk || null,
+    status: "failed",
+    code,
+    message,
+    ...(details ? { details } : {}),
+  };
+}
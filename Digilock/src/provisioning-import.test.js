@@ -0,0 +1,349 @@
+import { afterEach, beforeEach, test, vi } from "vitest";
+import { ProvisioningEntryStatus } from "../../packages/zwave-js/src/Controller.js";
+import { ErrorCode, ProtocolError } from "./protocol.js";
+import {
+  MAX_IMPORT_ROWS,
+  PROVISIONING_BACKUP_TYPE,
+  importProvisioningEntries,
+  parseProvisioningImport,
+} from "./provisioning-import.js";
+
+/** Example SmartStart QR code of a door lock from the Z-Wave specification */
+const LOCK_QR =
+  "9001346230075152535455414243444531323334352122232425001016387007680220655210100000017002880642002122232425414243444511121314153132333435";
+const LOCK_DSK = "51525-35455-41424-34445-31323-33435-21222-32425";
+/** The same kind of QR code, but without SmartStart */
+const S2_ONLY_QR =
+  "900032782003515253545541424344453132333435212223242500100435301537022065520001000000300578";
+
+const DSK_1 = "11111-22222-33333-44444-55555-66666-77777-88888";
+const DSK_2 = "22222-33333-44444-55555-66666-77777-88888-99999";
+
+/** Returns the DSKs of n entries that differ from each other */
+function getDSKs(n) {
+  return Array.from(
+    { length: n },
+    (_, i) =>
+      `${String(i).padStart(5, "0")}-22222-33333-44444-55555-66666-77777-88888`
+  );
+}
+
+/**
+ * Returns a client like ZWaveProvisioningClient that knows the given DSKs
+ * and fails to provision the ones in `rejected`
+ */
+function createClient({ existing = [], rejected = [] } = {}) {
+  const entries = new Set(existing);
+  return {
+    driverReady: true,
+    normalizeDSK: (dsk) => dsk,
+    driver: {
+      controller: { getProvisioningEntry: (dsk) => entries.has(dsk) },
+    },
+    provisionSmartStartNode: vi.fn(async (entry) => {
+      if (rejected.includes(entry.dsk)) {
+        throw new ProtocolError(
+          ErrorCode.INVALID_DSK,
+          "The DSK is already used by node 5"
+        );
+      }
+      entries.add(entry.dsk);
+      return {
+        dsk: entry.dsk,
+        name: entry.name,
+        status: entry.status
+          ? ProvisioningEntryStatus.Active
+          : ProvisioningEntryStatus.Inactive,
+      };
+    }),
+  };
+}
+
+beforeEach(() => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+test("parses QR codes, one per line", async (t) => {
+  const { format, rows } = await parseProvisioningImport(
+    `# Door locks, 2nd floor\n${LOCK_QR}\n\n${S2_ONLY_QR}\n`
+  );
+
+  t.expect(format).toBe("qr");
+  t.expect(rows).toHaveLength(2);
+  t.expect(rows[0]).toEqual({
+    row: 2,
+    entry: t.expect.objectContaining({
+      dsk: LOCK_DSK,
+      securityClasses: {
+        s2AccessControl: true,
+        s2Authenticated: true,
+        s2Unauthenticated: true,
+        s0Legacy: false,
+      },
+      manufacturerId: 0xfff1,
+      productType: 0x03e8,
+      productId: 0x0011,
+      qrCode: LOCK_QR,
+    }),
+  });
+  t.expect(rows[1]).toEqual({
+    row: 4,
+    error: t.expect.objectContaining({
+      code: ErrorCode.INVALID_QR_CODE,
+      message: "This is an S2 QR code, not a SmartStart QR code",
+    }),
+  });
+});
+
+test("parses CSV files with a header row", async (t) => {
+  const { format, rows } = await parseProvisioningImport(
+    [
+      "DSK,Name,Location,Protocol,Security,Active,Comment",
+      `${DSK_1},"Front door, main",Hall,LR,S2_AccessControl S0,yes,ignored`,
+      `${LOCK_QR},Back door,,,,no`,
+    ].join("\r\n")
+  );
+
+  t.expect(format).toBe("csv");
+  t.expect(rows).toEqual([
+    {
+      row: 2,
+      entry: {
+        dsk: DSK_1,
+        name: "Front door, main",
+        location: "Hall",
+        protocol: "ZWaveLongRange",
+        status: true,
+        securityClasses: {
+          s2AccessControl: true,
+          s2Authenticated: false,
+          s2Unauthenticated: false,
+          s0Legacy: true,
+        },
+      },
+    },
+    {
+      row: 3,
+      // The DSK column may hold a whole QR code
+      entry: t.expect.objectContaining({
+        dsk: LOCK_DSK,
+        name: "Back door",
+        status: false,
+        qrCode: LOCK_QR,
+      }),
+    },
+  ]);
+});
+
+test("parses CSV files without a header row in the default column order", async (t) => {
+  const { rows } = await parseProvisioningImport(
+    `${DSK_1},Front door,Hall,ZWave,,inactive`,
+    "csv"
+  );
+
+  t.expect(rows).toEqual([
+    {
+      row: 1,
+      entry: {
+        dsk: DSK_1,
+        name: "Front door",
+        location: "Hall",
+        protocol: "ZWave",
+        status: false,
+      },
+    },
+  ]);
+});
+
+test("reports the CSV rows that cannot be parsed and keeps the others", async (t) => {
+  const { rows } = await parseProvisioningImport(
+    [
+      "dsk,name,protocol,status,securityClasses",
+      `${DSK_1},Zigbee lock,Zigbee`,
+      `${DSK_2},Door,ZWave,maybe`,
+      `${DSK_1},Door,ZWave,active,S3`,
+      `${DSK_2},Door`,
+    ].join("\n")
+  );
+
+  t.expect(rows.map(({ row, error }) => [row, error?.details])).toEqual([
+    [2, { field: "protocol" }],
+    [3, { field: "status" }],
+    [4, { field: "securityClasses" }],
+    [5, undefined],
+  ]);
+  t.expect(rows[0].error).toMatchObject({
+    code: ErrorCode.INVALID_PARAMETER,
+    message: 'Unknown protocol "Zigbee", expected ZWave or ZWaveLongRange',
+  });
+});
+
+test("parses JSON arrays of entries and QR code strings", async (t) => {
+  const content = [
+    { dsk: DSK_1, name: "Front door", status: true },
+    LOCK_QR,
+    { dsk: DSK_2, status: "yes", color: "red" },
+  ];
+
+  // Already parsed and as text
+  for (const input of [content, JSON.stringify(content)]) {
+    const { format, rows } = await parseProvisioningImport(input);
+    t.expect(format).toBe("json");
+    t.expect(rows[0]).toEqual({ row: 1, entry: content[0] });
+    t.expect(rows[1].entry.dsk).toBe(LOCK_DSK);
+    t.expect(rows[2]).toEqual({
+      row: 3,
+      error: t.expect.objectContaining({
+        code: ErrorCode.INVALID_PARAMETER,
+        message: "status must be boolean, got string; color is not allowed",
+        details: {
+          field: "status",
+          errors: [
+            { field: "status", message: "must be boolean, got string" },
+            { field: "color", message: "is not allowed" },
+          ],
+        },
+      }),
+    });
+  }
+});
+
+test("parses provisioning backups", async (t) => {
+  const { rows } = await parseProvisioningImport({
+    type: PROVISIONING_BACKUP_TYPE,
+    entries: [{ dsk: DSK_1 }, { dsk: DSK_2 }],
+  });
+
+  t.expect(rows.map(({ entry }) => entry.dsk)).toEqual([DSK_1, DSK_2]);
+});
+
+test("rejects imports that are unusable as a whole", async (t) => {
+  for (const [content, format, message] of [
+    ["", "auto", "The import contains no entries"],
+    ["# Nothing here", "csv", "The import contains no entries"],
+    ["[{", "json", "Invalid JSON"],
+    ['{"dsk": "x"}', "json", "must be an array of entries"],
+    [[{ dsk: DSK_1 }], "csv", 'can only be imported with format "json"'],
+    [DSK_1, "xml", 'Unknown import format "xml"'],
+  ]) {
+    await t
+      .expect(parseProvisioningImport(content, format), format)
+      .rejects.toThrow(
+        t.expect.objectContaining({
+          code: ErrorCode.INVALID_PARAMETER,
+          message: t.expect.stringContaining(message),
+        })
+      );
+  }
+});
+
+test(`accepts at most ${MAX_IMPORT_ROWS} rows per import`, async (t) => {
+  const entries = getDSKs(MAX_IMPORT_ROWS + 1).map((dsk) => ({ dsk }));
+
+  const { rows } = await parseProvisioningImport(
+    entries.slice(0, MAX_IMPORT_ROWS)
+  );
+  t.expect(rows).toHaveLength(MAX_IMPORT_ROWS);
+
+  await t.expect(parseProvisioningImport(entries)).rejects.toThrow(
+    t.expect.objectContaining({
+      code: ErrorCode.INVALID_PARAMETER,
+      message: `The import contains ${MAX_IMPORT_ROWS + 1} entries, at most ${MAX_IMPORT_ROWS} are allowed per import`,
+      details: { field: "content" },
+    })
+  );
+});
+
+test("importProvisioningEntries() reports the result of every row", async (t) => {
+  const client = createClient({ existing: [DSK_2], rejected: [LOCK_DSK] });
+
+  const report = await importProvisioningEntries(
+    client,
+    [
+      "dsk,name,status",
+      `${DSK_1},Front door`,
+      `${DSK_2},Back door,inactive`,
+      `${DSK_1},Front door again`,
+      `${DSK_2},Garage,sometimes`,
+      `${LOCK_QR},Side door`,
+    ].join("\n"),
+    { actor: "admin" }
+  );
+
+  t.expect(report).toEqual({
+    format: "csv",
+    total: 5,
+    succeeded: 2,
+    failed: 3,
+    results: [
+      {
+        row: 2,
+        dsk: DSK_1,
+        name: "Front door",
+        status: "added",
+        // Entries without a status are imported as active by default
+        active: true,
+      },
+      {
+        row: 3,
+        dsk: DSK_2,
+        name: "Back door",
+        status: "updated",
+        active: false,
+      },
+      {
+        row: 4,
+        dsk: DSK_1,
+        status: "failed",
+        code: ErrorCode.INVALID_PARAMETER,
+        message: "Duplicate DSK, already imported in row 2",
+        details: { field: "dsk" },
+      },
+      {
+        row: 5,
+        dsk: null,
+        status: "failed",
+        code: ErrorCode.INVALID_PARAMETER,
+        message: 'Unknown status "sometimes", expected active or inactive',
+        details: { field: "status" },
+      },
+      {
+        row: 6,
+        dsk: LOCK_DSK,
+        status: "failed",
+        code: ErrorCode.INVALID_DSK,
+        message: "The DSK is already used by node 5",
+      },
+    ],
+  });
+  t.expect(client.provisionSmartStartNode).toHaveBeenCalledTimes(3);
+  t.expect(client.provisionSmartStartNode).toHaveBeenCalledWith(
+    t.expect.objectContaining({ dsk: DSK_1, status: true }),
+    { actor: "admin" }
+  );
+});
+
+test("importProvisioningEntries() uses the given status for entries without one", async (t) => {
+  const client = createClient();
+
+  const report = await importProvisioningEntries(client, [{ dsk: DSK_1 }], {
+    active: false,
+  });
+
+  t.expect(report.results[0]).toMatchObject({ status: "added", active: false });
+});
+
+test("importProvisioningEntries() requires a ready driver", async (t) => {
+  const client = { ...createClient(), driverReady: false };
+
+  await t
+    .expect(importProvisioningEntries(client, [{ dsk: DSK_1 }]))
+    .rejects.toThrow(
+      t.expect.objectContaining({ code: ErrorCode.DRIVER_NOT_READY })
+    );
+  t.expect(client.provisionSmartStartNode).not.toHaveBeenCalled();
+});
@@ -0,0 +1,196 @@
+/**
+ * Minimal JSON Schema validator for the WebSocket command schemas.
+ *
+ * Supports the subset of JSON Schema (draft 2020-12) the command registry uses:
+ * `type` (single or array), `const`, `enum`, `properties`, `required`,
+ * `additionalProperties`, `items`, `minItems`, `maxItems`, `minLength`,
+ * `maxLength`, `pattern`, `minimum` and `maximum`.
+ * Keywords only apply to values of the matching type, like in JSON Schema:
+ * `pattern` is ignored for numbers and `minimum` is ignored for strings.
+ *
+ * One extension: schemas that allow both `integer` and `string` accept numbers
+ * sent as strings. Once such a string matched the `pattern`, `minimum` and
+ * `maximum` are checked against its numeric value (see {@link parseIntegerString}).
+ */
+
+/**
+ * Returns the JSON Schema type name of a value
+ * @param {unknown} value
+ * @returns {string}
+ */
+function getJSONType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "integer" : "number";
+  }
+  return typeof value;
+}
+
+/**
+ * Checks whether a value matches one of the allowed JSON Schema types
+ * @param {string} actualType - Result of {@link getJSONType}
+ * @param {string|string[]} allowed - The schema's `type` keyword
+ */
+function matchesType(actualType, allowed) {
+  const types = Array.isArray(allowed) ? allowed : [allowed];
+  return types.some(
+    (type) =>
+      type === actualType || (type === "number" && actualType === "integer")
+  );
+}
+
+/**
+ * Parses a decimal or 0x-prefixed hex string
+ * @param {string} value
+ * @returns {number} The parsed number, NaN if the string is not a number
+ */
+export function parseIntegerString(value) {
+  const trimmed = value.trim();
+  if (/^0x[0-9a-f]+$/i.test(trimmed)) return parseInt(trimmed, 16);
+  if (/^[0-9]+$/.test(trimmed)) return parseInt(trimmed, 10);
+  return NaN;
+}
+
+/**
+ * Joins a parent path and a property name/array index into a field path
+ * like `entry.securityClasses.s0Legacy` or `mockLocks[1].nodeId`
+ */
+function joinPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validates a value against a schema and collects all violations
+ * @param {unknown} value - The value to validate
+ * @param {Object} schema - The JSON Schema
+ * @param {string} [path] - Field path of the value, used in error messages
+ * @returns {Array<{field: string, message: string}>} Violations, empty if the value is valid
+ */
+export function validateSchema(value, schema, path = "") {
+  const errors = [];
+  const field = path || "(root)";
+  const actualType = getJSONType(value);
+
+  if (schema.type && !matchesType(actualType, schema.type)) {
+    const expected = Array.isArray(schema.type)
+      ? schema.type.join(" or ")
+      : schema.type;
+    errors.push({ field, message: `must be ${expected}, got ${actualType}` });
+    // The remaining keywords make no sense for the wrong type
+    return errors;
+  }
+
+  if ("const" in schema && value !== schema.const) {
+    errors.push({ field, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({
+      field,
+      message: `must be one of ${schema.enum
+        .map((v) => JSON.stringify(v))
+        .join(", ")}`,
+    });
+  }
+
+  if (actualType === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({
+        field,
+        message:
+          schema.minLength === 1
+            ? "must not be empty"
+            : `must be at least ${schema.minLength} characters long`,
+      });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({
+        field,
+        message: `must be at most ${schema.maxLength} characters long`,
+      });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({
+        field,
+        message: schema.patternDescription
+          ? `must be ${schema.patternDescription}`
+          : `must match ${schema.pattern}`,
+      });
+    }
+  }
+
+  let numericValue;
+  if (actualType === "integer" || actualType === "number") {
+    numericValue = value;
+  } else if (
+    actualType === "string" &&
+    matchesType("integer", schema.type) &&
+    errors.length === 0
+  ) {
+    numericValue = parseIntegerString(value);
+  }
+  if (numericValue !== undefined && !Number.isNaN(numericValue)) {
+    if (schema.minimum !== undefined && numericValue < schema.minimum) {
+      errors.push({ field, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && numericValue > schema.maximum) {
+      errors.push({ field, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (actualType === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({
+        field,
+        message: `must contain at least ${schema.minItems} item(s)`,
+      });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({
+        field,
+        message: `must contain at most ${schema.maxItems} item(s)`,
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(
+          ...validateSchema(item, schema.items, joinPath(path, index))
+        );
+      });
+    }
+  }
+
+  if (actualType === "object") {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ field: joinPath(path, name), message: "is required" });
+      }
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) continue;
+      if (properties[name]) {
+        errors.push(
+          ...validateSchema(propertyValue, properties[name], joinPath(path, name))
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push({
+          field: joinPath(path, name),
+          message: "is not allowed",
+        });
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...validateSchema(
+            propertyValue,
+            schema.additionalProperties,
+            joinPath(path, name)
+          )
+        );
+      }
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,143 @@
+import { test } from "vitest";
+import { toInteger, validateCommand } from "./command-schemas.js";
+import { ErrorCode } from "./protocol.js";
+import { parseIntegerString, validateSchema } from "./schema-validator.js";
+
+const DSK = "11111-22222-33333-44444-55555-66666-77777-88888";
+
+const entrySchema = {
+  type: "object",
+  properties: {
+    name: { type: "string", minLength: 1, maxLength: 5 },
+    protocol: { enum: ["ZWave", "ZWaveLongRange"] },
+    nodeId: {
+      type: ["integer", "string"],
+      minimum: 1,
+      maximum: 232,
+      pattern: "^(0x[0-9a-f]+|[0-9]+)$",
+    },
+    tags: { type: "array", items: { type: "string" }, maxItems: 2 },
+  },
+  required: ["name"],
+  additionalProperties: false,
+};
+
+test("validateSchema() accepts a valid value", (t) => {
+  t.expect(
+    validateSchema(
+      { name: "Door", protocol: "ZWave", nodeId: 2, tags: ["a"] },
+      entrySchema
+    )
+  ).toEqual([]);
+});
+
+test("validateSchema() rejects missing required properties", (t) => {
+  t.expect(validateSchema({}, entrySchema)).toEqual([
+    { field: "name", message: "is required" },
+  ]);
+});
+
+test("validateSchema() rejects values of the wrong type", (t) => {
+  t.expect(validateSchema("Door", entrySchema)).toEqual([
+    { field: "(root)", message: "must be object, got string" },
+  ]);
+  t.expect(validateSchema({ name: 5 }, entrySchema)).toEqual([
+    { field: "name", message: "must be string, got integer" },
+  ]);
+  t.expect(validateSchema({ name: "Door", nodeId: null }, entrySchema)).toEqual(
+    [{ field: "nodeId", message: "must be integer or string, got null" }]
+  );
+  t.expect(validateSchema({ name: "Door", nodeId: 2.5 }, entrySchema)).toEqual([
+    { field: "nodeId", message: "must be integer or string, got number" },
+  ]);
+});
+
+test("validateSchema() rejects values that are not in the enum", (t) => {
+  t.expect(
+    validateSchema({ name: "Door", protocol: "Zigbee" }, entrySchema)
+  ).toEqual([
+    { field: "protocol", message: 'must be one of "ZWave", "ZWaveLongRange"' },
+  ]);
+});
+
+test("validateSchema() reports all violations with the path of the field", (t) => {
+  t.expect(
+    validateSchema(
+      { name: "", tags: ["a", 2, "c"], color: "red", nodeId: 300 },
+      entrySchema
+    )
+  ).toEqual([
+    { field: "name", message: "must not be empty" },
+    { field: "tags", message: "must contain at most 2 item(s)" },
+    { field: "tags[1]", message: "must be string, got integer" },
+    { field: "color", message: "is not allowed" },
+    { field: "nodeId", message: "must be <= 232" },
+  ]);
+});
+
+test("validateSchema() checks the range of integers sent as strings", (t) => {
+  t.expect(
+    validateSchema({ name: "Door", nodeId: "0x02" }, entrySchema)
+  ).toEqual([]);
+  t.expect(validateSchema({ name: "Door", nodeId: "0" }, entrySchema)).toEqual([
+    { field: "nodeId", message: "must be >= 1" },
+  ]);
+  t.expect(
+    validateSchema({ name: "Door", nodeId: "two" }, entrySchema)
+  ).toEqual([
+    { field: "nodeId", message: "must match ^(0x[0-9a-f]+|[0-9]+)$" },
+  ]);
+});
+
+test("parseIntegerString() parses decimal and hex strings", (t) => {
+  t.expect(parseIntegerString(" 42 ")).toBe(42);
+  t.expect(parseIntegerString("0x0004")).toBe(4);
+  t.expect(parseIntegerString("-1")).toBeNaN();
+  t.expect(toInteger("0x10")).toBe(16);
+  t.expect(toInteger(undefined, 7)).toBe(7);
+});
+
+test("validateCommand() rejects unknown commands", (t) => {
+  t.expect(() => validateCommand({ type: "SELF_DESTRUCT" })).toThrow(
+    t.expect.objectContaining({ code: ErrorCode.UNKNOWN_COMMAND })
+  );
+});
+
+test("validateCommand() rejects commands that do not match their schema", (t) => {
+  t.expect(() => validateCommand({ type: "LOCK", nodeId: 2 })).not.toThrow();
+
+  t.expect(() => validateCommand({ type: "LOCK" })).toThrow(
+    t.expect.objectContaining({
+      code: ErrorCode.INVALID_PARAMETER,
+      message: "Invalid LOCK command: nodeId is required",
+      details: {
+        field: "nodeId",
+        errors: [{ field: "nodeId", message: "is required" }],
+      },
+    })
+  );
+
+  t.expect(() =>
+    validateCommand({
+      type: "ADD_PROVISIONING_ENTRY",
+      entry: { dsk: DSK, protocol: "Zigbee", status: "yes" },
+      force: true,
+    })
+  ).toThrow(
+    t.expect.objectContaining({
+      code: ErrorCode.INVALID_PARAMETER,
+      details: {
+        field: "entry.protocol",
+        errors: [
+          {
+            field: "entry.protocol",
+            message:
+              'must be one of "ZWave", "ZWaveLongRange", "Z-Wave Long Range"',
+          },
+          { field: "entry.status", message: "must be boolean, got string" },
+          { field: "force", message: "is not allowed" },
+        ],
+      },
+    })
+  );
+});
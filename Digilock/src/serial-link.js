@@ -0,0 +1,283 @@
+import { existsSync } from "fs";
+import { readFile } from "fs/promises";
+import { serial } from "../../packages/serial/src/bindings/node.js";
+import { isMockPort } from "./mock-network.js";
+import { ErrorCode, ProtocolError } from "./protocol.js";
+
+/**
+ * The serial link connects the driver to the controller. Besides a local
+ * serial port, the controller may sit behind a serial-over-TCP server like
+ * ser2net (`tcp://host:port`) or an ESPHome Z-Wave proxy
+ * (`esphome://host[:port]`). When the connection fails or drops, the link
+ * tries again with exponential backoff and keeps track of its health.
+ */
+
+/** Port types other than local serial ports, by URL scheme */
+export const REMOTE_PORT_TYPES = ["tcp", "esphome"];
+
+export const DEFAULT_LINK_SETTINGS = Object.freeze({
+  /** Delay before the first reconnect attempt, doubled for each further attempt */
+  reconnectDelayMs: 1000,
+  /** Longest delay before a reconnect attempt */
+  maxReconnectDelayMs: 30000,
+  /** Attempts to (re)connect before giving up, 0 to never give up */
+  maxReconnectAttempts: 10,
+});
+
+function invalidPort(port, reason) {
+  return new ProtocolError(
+    ErrorCode.INVALID_PARAMETER,
+    `Invalid port ${port}: ${reason}`,
+    { field: "port" }
+  );
+}
+
+/**
+ * Returns what kind of port a port string is
+ * @param {string} port - Serial port path, tcp://host:port, esphome://host[:port] or mock://
+ * @returns {{type: "serial"|"tcp"|"esphome"|"mock", host?: string, port?: number}}
+ * @throws {ProtocolError} INVALID_PARAMETER if the port is a URL that is not
+ *   supported, has no host or an uppercase scheme
+ */
+export function parsePort(port) {
+  if (isMockPort(port)) return { type: "mock" };
+  const scheme = /^([a-z][a-z0-9+.-]*):\/\//i.exec(port)?.[1];
+  if (!scheme) return { type: "serial" };
+  // The serial bindings only recognize lowercase schemes
+  const lowercase = scheme.toLowerCase();
+  if (scheme !== lowercase && REMOTE_PORT_TYPES.includes(lowercase)) {
+    throw invalidPort(port, `the scheme must be lowercase, ${lowercase}://`);
+  }
+  if (!REMOTE_PORT_TYPES.includes(scheme)) {
+    throw invalidPort(
+      port,
+      `expected a serial port, ${REMOTE_PORT_TYPES.map((type) => `${type}://`).join(", ")} or mock://`
+    );
+  }
+  let url;
+  try {
+    url = new URL(port);
+  } catch {
+    throw invalidPort(port, "not a valid URL");
+  }
+  if (!url.hostname) throw invalidPort(port, "missing host");
+  if (scheme === "tcp" && !url.port) {
+    throw invalidPort(port, "missing TCP port");
+  }
+  return {
+    type: scheme,
+    host: url.hostname,
+    ...(url.port && { port: Number(url.port) }),
+  };
+}
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Checks the link settings and fills in defaults
+ * @throws {Error} If a setting is invalid
+ */
+function toLinkSettings(config, source) {
+  if (typeof config !== "object" || config === null || Array.isArray(config)) {
+    throw new Error(`Link settings from ${source} must be an object`);
+  }
+  const settings = { ...DEFAULT_LINK_SETTINGS };
+  for (const field of Object.keys(DEFAULT_LINK_SETTINGS)) {
+    settings[field] = config[field] ?? settings[field];
+    if (!isNonNegativeInteger(settings[field])) {
+      throw new Error(
+        `Link settings from ${source} have invalid ${field}, expected an integer >= 0`
+      );
+    }
+  }
+  return Object.freeze(settings);
+}
+
+/**
+ * Loads the link settings from the `DIGILOCK_LINK` environment variable
+ * (JSON object) or the link file. Missing settings keep their
+ * {@link DEFAULT_LINK_SETTINGS}.
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path of the link file (default: ./store/link.json)
+ * @returns {Promise<Object>} The settings
+ */
+export async function loadLinkSettings(options = {}) {
+  const file = options.file || "./store/link.json";
+  let config = {};
+  let source = "defaults";
+  if (process.env.DIGILOCK_LINK) {
+    config = JSON.parse(process.env.DIGILOCK_LINK);
+    source = "DIGILOCK_LINK";
+  } else if (existsSync(file)) {
+    config = JSON.parse(await readFile(file, "utf8"));
+    source = file;
+  }
+  const settings = toLinkSettings(config, source);
+  console.log(
+    `[Link] 🔌 Reconnect after ${settings.reconnectDelayMs}ms up to ${settings.maxReconnectDelayMs}ms, ${settings.maxReconnectAttempts || "unlimited"} attempts`
+  );
+  return settings;
+}
+
+/**
+ * Creates the link to a controller that is not simulated
+ * @param {string} port - Serial port path, tcp://host:port or esphome://host[:port]
+ * @param {Object} [settings] - See {@link loadLinkSettings} (default: {@link DEFAULT_LINK_SETTINGS})
+ * @throws {ProtocolError} INVALID_PARAMETER if the port is not supported
+ */
+export function createSerialLink(port, settings = DEFAULT_LINK_SETTINGS) {
+  settings = toLinkSettings(settings, "options");
+  const { type, host, port: remotePort } = parsePort(port);
+  if (type === "mock") {
+    throw invalidPort(port, "simulated controllers have no link");
+  }
+
+  /** Creates the streams of the underlying binding, once known */
+  let connect = null;
+  let closed = false;
+  let cancelWait = null;
+  let connectedOnce = false;
+
+  const health = {
+    type,
+    ...(host && { host }),
+    ...(remotePort && { port: remotePort }),
+    state: "disconnected",
+    connectedSince: null,
+    lastDisconnectedAt: null,
+    lastError: null,
+    reconnects: 0,
+    failedAttempts: 0,
+    nextAttemptAt: null,
+  };
+
+  function wait(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms);
+      cancelWait = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    }).finally(() => (cancelWait = null));
+  }
+
+  function onDisconnect(error) {
+    if (health.state !== "connected") return;
+    health.state = closed ? "closed" : "disconnected";
+    health.connectedSince = null;
+    health.lastDisconnectedAt = new Date().toISOString();
+    if (error) health.lastError = error.message ?? String(error);
+    if (!closed) {
+      console.warn(
+        `[Link] ⚠️  Lost connection to ${port}${error ? `: ${health.lastError}` : ""}`
+      );
+    }
+  }
+
+  /** Records when the streams of a binding end, without changing what they do */
+  function watch({ sink, source }) {
+    return {
+      sink: {
+        ...sink,
+        close() {
+          onDisconnect();
+          return sink.close?.();
+        },
+        abort(reason) {
+          onDisconnect(reason);
+          return sink.abort?.(reason);
+        },
+      },
+      source: {
+        ...source,
+        start(controller) {
+          return source.start?.({
+            get desiredSize() {
+              return controller.desiredSize;
+            },
+            enqueue: (chunk) => controller.enqueue(chunk),
+            close() {
+              onDisconnect();
+              controller.close();
+            },
+            error(reason) {
+              onDisconnect(reason);
+              controller.error(reason);
+            },
+          });
+        },
+      },
+    };
+  }
+
+  /**
+   * The binding factory for the driver. The driver calls it again when the
+   * connection drops, so each call retries until it is connected or out of
+   * attempts
+   */
+  async function factory() {
+    for (let attempt = 1; ; attempt++) {
+      if (closed) throw new Error(`The link to ${port} is closed`);
+      health.state = connectedOnce ? "reconnecting" : "connecting";
+      health.nextAttemptAt = null;
+      try {
+        connect ??= await serial.createFactoryByPath(port);
+        const binding = watch(await connect());
+        if (connectedOnce) health.reconnects++;
+        connectedOnce = true;
+        Object.assign(health, {
+          state: "connected",
+          connectedSince: new Date().toISOString(),
+          failedAttempts: 0,
+        });
+        if (attempt > 1 || health.reconnects > 0) {
+          console.log(`[Link] ✅ Connected to ${port}`);
+        }
+        return binding;
+      } catch (error) {
+        health.lastError = error.message;
+        health.failedAttempts = attempt;
+        if (closed) throw error;
+        if (
+          settings.maxReconnectAttempts &&
+          attempt >= settings.maxReconnectAttempts
+        ) {
+          health.state = "failed";
+          console.error(
+            `[Link] ❌ Giving up on ${port} after ${attempt} attempts: ${error.message}`
+          );
+          throw error;
+        }
+        const delay = Math.min(
+          settings.reconnectDelayMs * 2 ** (attempt - 1),
+          settings.maxReconnectDelayMs
+        );
+        health.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        console.warn(
+          `[Link] 🔁 Cannot connect to ${port} (${error.message}), attempt ${attempt + 1} in ${delay}ms`
+        );
+        await wait(delay);
+      }
+    }
+  }
+
+  return {
+    /** Binding factory to pass to the driver instead of the port */
+    factory,
+
+    /** Returns the state of the link, for GET_STATUS */
+    getHealth() {
+      return { ...health };
+    },
+
+    /** Stops reconnecting. The driver closes the streams itself */
+    close() {
+      closed = true;
+      cancelWait?.();
+      if (health.state !== "connected") health.state = "closed";
+      health.nextAttemptAt = null;
+    },
+  };
+}
@@ -0,0 +1,219 @@
+import { createServer } from "net";
+import { afterEach, beforeEach, test, vi } from "vitest";
+import { ErrorCode } from "./protocol.js";
+import { createSerialLink, parsePort } from "./serial-link.js";
+
+/** Short delays, so reconnecting does not slow the tests down */
+const SETTINGS = {
+  reconnectDelayMs: 20,
+  maxReconnectDelayMs: 100,
+  maxReconnectAttempts: 5,
+};
+
+let server;
+/** Sockets the server accepted, to drop them like a ser2net restart would */
+const sockets = new Set();
+
+/** Starts a serial-over-TCP server, on the given port or a free one */
+function listen(port = 0) {
+  server = createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+  });
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => resolve(server.address().port));
+  });
+}
+
+/** Stops the server and drops its connections */
+function stopServer() {
+  for (const socket of sockets) socket.destroy();
+  return new Promise((resolve) => server.close(() => resolve()));
+}
+
+/** Opens the binding like the driver does, so its events reach the link */
+async function open(link) {
+  const { source, sink } = await link.factory();
+  const reader = new ReadableStream(source).getReader();
+  // The driver reads until the stream errors
+  void reader.read().catch(() => {});
+  return { reader, sink };
+}
+
+/** Returns a port nothing listens on */
+async function getClosedPort() {
+  const port = await listen();
+  await stopServer();
+  return port;
+}
+
+beforeEach(() => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  vi.restoreAllMocks();
+  if (server?.listening) await stopServer();
+  server = undefined;
+});
+
+test("parsePort() tells serial ports, remote ports and mock:// apart", (t) => {
+  t.expect(parsePort("/dev/ttyUSB0")).toEqual({ type: "serial" });
+  t.expect(parsePort("COM3")).toEqual({ type: "serial" });
+  t.expect(parsePort("mock://")).toEqual({ type: "mock" });
+  t.expect(parsePort("tcp://192.168.1.10:3333")).toEqual({
+    type: "tcp",
+    host: "192.168.1.10",
+    port: 3333,
+  });
+  t.expect(parsePort("esphome://zwave-proxy.local")).toEqual({
+    type: "esphome",
+    host: "zwave-proxy.local",
+  });
+});
+
+test("parsePort() rejects remote ports the serial bindings cannot open", (t) => {
+  for (const port of [
+    "udp://192.168.1.10:3333",
+    "tcp://192.168.1.10",
+    // The bindings only match lowercase schemes
+    "TCP://192.168.1.10:3333",
+    "ESPHome://zwave-proxy.local",
+  ]) {
+    t.expect(() => parsePort(port), port).toThrow(
+      t.expect.objectContaining({ code: ErrorCode.INVALID_PARAMETER })
+    );
+  }
+  t.expect(() => parsePort("Tcp://192.168.1.10:3333")).toThrow(
+    "the scheme must be lowercase, tcp://"
+  );
+});
+
+test("connects to a serial-over-TCP server", async (t) => {
+  const port = await listen();
+  const link = createSerialLink(`tcp://127.0.0.1:${port}`, SETTINGS);
+  t.expect(link.getHealth()).toMatchObject({
+    type: "tcp",
+    host: "127.0.0.1",
+    port,
+    state: "disconnected",
+  });
+
+  const connecting = link.factory();
+  t.expect(link.getHealth().state).toBe("connecting");
+  await connecting;
+
+  t.expect(link.getHealth()).toEqual({
+    type: "tcp",
+    host: "127.0.0.1",
+    port,
+    state: "connected",
+    connectedSince: t.expect.any(String),
+    lastDisconnectedAt: null,
+    lastError: null,
+    reconnects: 0,
+    failedAttempts: 0,
+    nextAttemptAt: null,
+  });
+  link.close();
+});
+
+test("reconnects with backoff when the server goes away", async (t) => {
+  const port = await listen();
+  const link = createSerialLink(`tcp://127.0.0.1:${port}`, SETTINGS);
+  await open(link);
+
+  await stopServer();
+  await vi.waitFor(() => {
+    t.expect(link.getHealth().state).toBe("disconnected");
+  });
+  t.expect(link.getHealth()).toMatchObject({
+    connectedSince: null,
+    lastDisconnectedAt: t.expect.any(String),
+    lastError: t.expect.any(String),
+  });
+
+  // The driver opens the port again, which fails until the server is back
+  const reconnected = link.factory();
+  await vi.waitFor(() => {
+    t.expect(link.getHealth().failedAttempts).toBeGreaterThanOrEqual(2);
+  });
+  t.expect(link.getHealth()).toMatchObject({
+    state: "reconnecting",
+    lastError: t.expect.stringContaining("ECONNREFUSED"),
+  });
+  await listen(port);
+  await reconnected;
+
+  t.expect(link.getHealth()).toMatchObject({
+    state: "connected",
+    connectedSince: t.expect.any(String),
+    reconnects: 1,
+    failedAttempts: 0,
+    nextAttemptAt: null,
+  });
+  // The delay doubles with each failed attempt
+  const delays = console.warn.mock.calls
+    .map(([message]) => /attempt \d+ in (\d+)ms/.exec(message)?.[1])
+    .filter(Boolean)
+    .map(Number);
+  t.expect(delays.slice(0, 2)).toEqual([20, 40]);
+  link.close();
+});
+
+test("caps the delay between attempts at maxReconnectDelayMs", async (t) => {
+  const port = await getClosedPort();
+  const link = createSerialLink(`tcp://127.0.0.1:${port}`, {
+    ...SETTINGS,
+    maxReconnectDelayMs: 50,
+  });
+
+  await t.expect(link.factory()).rejects.toThrow();
+
+  const delays = console.warn.mock.calls.map(
+    ([message]) => /attempt \d+ in (\d+)ms/.exec(message)[1]
+  );
+  t.expect(delays.map(Number)).toEqual([20, 40, 50, 50]);
+});
+
+test("gives up after maxReconnectAttempts", async (t) => {
+  const port = await getClosedPort();
+  const link = createSerialLink(`tcp://127.0.0.1:${port}`, {
+    ...SETTINGS,
+    maxReconnectAttempts: 3,
+  });
+
+  await t.expect(link.factory()).rejects.toThrow("ECONNREFUSED");
+
+  t.expect(link.getHealth()).toMatchObject({
+    state: "failed",
+    connectedSince: null,
+    failedAttempts: 3,
+    lastError: t.expect.stringContaining("ECONNREFUSED"),
+    nextAttemptAt: null,
+  });
+});
+
+test("close() stops reconnecting", async (t) => {
+  const port = await getClosedPort();
+  const link = createSerialLink(`tcp://127.0.0.1:${port}`, {
+    ...SETTINGS,
+    reconnectDelayMs: 60000,
+  });
+
+  const connecting = link.factory();
+  await vi.waitFor(() => {
+    t.expect(link.getHealth().nextAttemptAt).not.toBeNull();
+  });
+  link.close();
+
+  await t.expect(connecting).rejects.toThrow("is closed");
+  t.expect(link.getHealth()).toMatchObject({
+    state: "closed",
+    failedAttempts: 1,
+    nextAttemptAt: null,
+  });
+});
@@ -2,6 +2,29 @@ import express from "express";
 import cors from "cors";
 import { ZWaveProvisioningClient } from "./zwave-client.js";
 import { ZWaveControllerWebsocket } from "./plugins/ZWaveControllerWebsocket.js";
+import { createAuthenticator } from "./auth.js";
+import { createKeyStore } from "./key-store.js";
+import { createAuditLog } from "./audit-log.js";
+import { createBatteryMonitor } from "./battery-monitor.js";
+import { createLockEventLog } from "./lock-event-log.js";
+import { createGrantPolicy, loadGrantPolicy } from "./grant-policy.js";
+import { loadProductProfiles } from "./product-profiles.js";
+import { loadCodecs } from "./mp-codecs.js";
+import { createMPSecurity } from "./mp-security.js";
+import { loadTransmitSettings } from "./transmit-scheduler.js";
+import { loadLinkSettings } from "./serial-link.js";
+import { loadSupervisorSettings } from "./driver-supervisor.js";
+import {
+  DEFAULT_CONTROLLER_ID,
+  createControllerRegistry,
+} from "./controller-registry.js";
+import { importProvisioningEntries } from "./provisioning-import.js";
+import {
+  EXPORT_FILE_TYPES,
+  exportProvisioningEntries,
+  restoreProvisioningEntries,
+} from "./provisioning-export.js";
+import { ErrorCode, ProtocolError, toProtocolError } from "./protocol.js";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 
@@ -12,68 +35,233 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 const ZWAVE_PORT = process.env.ZWAVE_PORT || "/dev/tty.usbserial-DK0E7J3D";
 
+// API keys and the browser origins allowed besides our own
+const auth = await createAuthenticator({
+  keysFile: "./store/api-keys.json",
+  allowedOrigins: (process.env.DIGILOCK_ALLOWED_ORIGINS || "")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean),
+});
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors(auth.corsOptions));
+// Provisioning backups of a few hundred entries exceed the default limit
+app.use(express.json({ limit: "2mb" }));
 app.use(express.static(join(__dirname, "public")));
 
-let zwaveClient = null;
-let currentPort = ZWAVE_PORT;
-let websocketPlugin = null;
-
-const securityKeys = {
-  S2_Unauthenticated: "A0ADEA1A03E4ED41C1EB5AA6D477BF80",
-  S2_Authenticated: "7AD358BD306A785992C5F1F7044B7A2D",
-  S2_AccessControl: "4D7E6B134365DB71380955FDE55035E6",
-  S0_Legacy: "72132737DD98E1FC4474E08F1DEC7FCD",
-};
-
-const securityKeysLongRange = {
-  S2_Authenticated: "09C5ECF58262835ACBBF8075F70640A2",
-  S2_AccessControl: "D96F0EAFCA380BE25C87078B93EEE12E",
-};
-
-async function initializeDriver(port) {
-  // Close existing driver if it exists
-  if (zwaveClient) {
+// Everything under /api requires an API key
+app.use("/api", auth.requireRole("viewer"));
+
+app.get("/api/whoami", (req, res) => {
+  res.json(req.identity);
+});
+
+/**
+ * Sends an error as `{ code, message, details }` with a matching HTTP status
+ */
+function sendHttpError(res, error) {
+  const { code, message, details } = toProtocolError(error);
+  const status =
+    code === ErrorCode.DRIVER_NOT_READY
+      ? 503
+      : code === ErrorCode.INVALID_PARAMETER
+      ? 400
+      : code === ErrorCode.CONTROLLER_NOT_FOUND
+      ? 404
+      : 500;
+  res.status(status).json({ code, message, details });
+}
+
+/**
+ * Returns the client of the controller named in the `controllerId` query
+ * parameter, or of the default controller
+ */
+function getZWaveClient(req) {
+  return controllers.get(req.query.controllerId || undefined).client;
+}
+
+// Bulk import of provisioning entries. The body is the file content: QR code
+// strings or CSV as text/plain or text/csv, or JSON as application/json
+app.post(
+  "/api/provisioning/import",
+  auth.requireRole("installer"),
+  express.text({ type: "text/*", limit: "2mb" }),
+  async (req, res) => {
     try {
-      await zwaveClient.close();
+      // Without a matching Content-Type, express leaves an empty object
+      if (typeof req.body !== "string" && !req.is("application/json")) {
+        throw new ProtocolError(
+          ErrorCode.INVALID_PARAMETER,
+          "Send the file as text/plain, text/csv or application/json",
+          { field: "content" }
+        );
+      }
+      const report = await importProvisioningEntries(
+        getZWaveClient(req),
+        req.body,
+        {
+          format: req.query.format || "auto",
+          active: req.query.active !== "false",
+          actor: req.identity.name,
+        }
+      );
+      res.json(report);
     } catch (error) {
-      console.error("Error closing existing driver:", error);
+      sendHttpError(res, error);
     }
   }
+);
 
-  // Create new client with security keys
-  zwaveClient = new ZWaveProvisioningClient(port, {
-    cacheDir: "./store/cache",
-    logLevel: "silly",
-    securityKeys: securityKeys,
-    securityKeysLongRange: securityKeysLongRange,
-    deviceConfigPriorityDir: "./store/device-configs", // For forcing CC 0x91 support
-  });
+// Download of the provisioning list as JSON backup, CSV or QR code strings
+app.get(
+  "/api/provisioning/export",
+  auth.requireRole("installer"),
+  async (req, res) => {
+    try {
+      const { format, content } = await exportProvisioningEntries(
+        getZWaveClient(req),
+        req.query.format || "json"
+      );
+      const { contentType, extension } = EXPORT_FILE_TYPES[format];
+      const date = new Date().toISOString().slice(0, 10);
+      res.type(contentType);
+      res.attachment(`provisioning-entries-${date}.${extension}`);
+      res.send(
+        typeof content === "string" ? content : JSON.stringify(content, null, 2)
+      );
+    } catch (error) {
+      sendHttpError(res, error);
+    }
+  }
+);
 
-  try {
-    await zwaveClient.connect();
-    currentPort = port;
-    console.log(`Successfully connected to Z-Wave controller on ${port}`);
-    
-    // Update WebSocket plugin with the connected client
-    if (websocketPlugin) {
-      websocketPlugin.setZWaveClient(zwaveClient, currentPort);
+// Re-provisioning from a JSON backup, e.g. onto a replacement controller
+app.post(
+  "/api/provisioning/restore",
+  auth.requireRole("installer"),
+  async (req, res) => {
+    try {
+      res.json(
+        await restoreProvisioningEntries(getZWaveClient(req), req.body, {
+          actor: req.identity.name,
+        })
+      );
+    } catch (error) {
+      sendHttpError(res, error);
     }
-  } catch (error) {
-    console.error("Failed to connect to Z-Wave controller:", error);
-    throw error;
   }
+);
+
+// S2 grant policy settings, the same for all controllers
+const grantPolicySettings = await loadGrantPolicy({
+  file: "./store/grant-policy.json",
+});
+
+// Manufacturer Proprietary payload lengths of the products in the network
+const productProfiles = await loadProductProfiles({
+  file: "./store/product-profiles.json",
+});
+
+// Named Manufacturer Proprietary commands, see src/mp-codecs.js
+const mpCodecs = await loadCodecs({ dir: "./store/mp-codecs" });
+
+// Retries, spacing and rate limits of Manufacturer Proprietary frames
+const transmit = await loadTransmitSettings({ file: "./store/transmit.json" });
+const link = await loadLinkSettings({ file: "./store/link.json" });
+const supervisor = await loadSupervisorSettings({
+  file: "./store/supervisor.json",
+});
+
+/**
+ * Creates what a controller keeps for itself, see createControllerRegistry
+ */
+async function createControllerServices(controllerId, files) {
+  // S0/S2 network keys, stored encrypted
+  const keyStore = await createKeyStore({
+    file: files.keysFile,
+    masterKeyFile: "./store/keystore.key",
+    importFromEnv: controllerId === DEFAULT_CONTROLLER_ID,
+    cacheDir: files.cacheDir,
+  });
+
+  // Payload keys of locks whose Manufacturer Proprietary payloads are secured
+  const mpSecurity = await createMPSecurity({
+    keyStore,
+    file: files.mpCountersFile,
+  });
+
+  // Who did what to which node: lock commands, provisioning and S2 decisions
+  const auditLog = await createAuditLog({ file: files.auditLogFile });
+
+  // Which S2 security classes nodes get during classic inclusion
+  const grantPolicy = createGrantPolicy(grantPolicySettings, { auditLog });
+
+  // What happened at the locks: keypad and manual operations, jams, tampering
+  const lockEventLog = await createLockEventLog({
+    file: files.lockEventsFile,
+  });
+
+  // Battery levels of all nodes, with an alert when one drops below the threshold
+  const batteryMonitor = await createBatteryMonitor({
+    file: files.batteryHistoryFile,
+    lowThreshold: process.env.DIGILOCK_BATTERY_LOW_THRESHOLD,
+    webhookUrl: process.env.DIGILOCK_BATTERY_WEBHOOK_URL,
+    controllerId,
+  });
+
+  return {
+    keyStore,
+    mpSecurity,
+    auditLog,
+    grantPolicy,
+    lockEventLog,
+    batteryMonitor,
+  };
 }
 
+/**
+ * Creates the client of a controller with its current security keys
+ */
+function createControllerClient(controller, port, { mockLocks } = {}) {
+  const { securityKeys, securityKeysLongRange } =
+    controller.keyStore.getSecurityKeys();
+  return new ZWaveProvisioningClient(port, {
+    cacheDir: controller.files.cacheDir,
+    logLevel: "silly",
+    securityKeys,
+    securityKeysLongRange,
+    deviceConfigPriorityDir: "./store/device-configs", // For forcing CC 0x91 support
+    mockLocks, // Only used with ZWAVE_PORT=mock://
+    grantPolicy: controller.grantPolicy,
+    auditLog: controller.auditLog,
+    batteryMonitor: controller.batteryMonitor,
+    lockEventLog: controller.lockEventLog,
+    productProfiles,
+    mpCodecs,
+    mpSecurity: controller.mpSecurity,
+    transmit,
+    link,
+  });
+}
+
+// The Z-Wave controllers: the default one on ZWAVE_PORT and those added via
+// ADD_CONTROLLER, each with its own files
+const controllers = await createControllerRegistry({
+  file: "./store/controllers.json",
+  defaultPort: ZWAVE_PORT,
+  createServices: createControllerServices,
+  createClient: createControllerClient,
+  supervisor,
+});
+
 const server = app.listen(PORT, () => {
   console.log(
     `Smart Start Provisioner server running on http://localhost:${PORT}`
   );
   console.log(`Z-Wave controller port: ${ZWAVE_PORT}`);
   console.log(
-    `Set ZWAVE_PORT environment variable to change the controller port`
+    `Set ZWAVE_PORT environment variable to change the controller port (use mock:// for a simulated controller)`
   );
   console.log(
     `WebSocket is ready. Use the START command to initialize the Z-Wave driver.`
@@ -82,35 +270,26 @@ const server = app.listen(PORT, () => {
 
 // Initialize WebSocket plugin immediately (before driver starts)
 const plugin = new ZWaveControllerWebsocket();
-websocketPlugin = plugin.apply(null, {
+const websocketPlugin = plugin.apply(null, {
   server,
-  zwaveClient: null, // Start with null, will be set when driver starts
-  currentPort: ZWAVE_PORT,
-  initializeDriver, // Pass the function to start the driver
-  securityKeys,
-  securityKeysLongRange,
+  controllers, // Drivers are started with START
+  auth,
+  productProfiles,
+  mpCodecs,
 });
 
 process.on("SIGINT", async () => {
   console.log("\nShutting down...");
-  if (zwaveClient) {
-    await zwaveClient.close();
-  }
-  if (websocketPlugin) {
-    websocketPlugin.close();
-  }
+  await controllers.close();
+  websocketPlugin.close();
   server.close();
   process.exit(0);
 });
 
 process.on("SIGTERM", async () => {
   console.log("\nShutting down...");
-  if (zwaveClient) {
-    await zwaveClient.close();
-  }
-  if (websocketPlugin) {
-    websocketPlugin.close();
-  }
+  await controllers.close();
+  websocketPlugin.close();
   server.close();
   process.exit(0);
 });
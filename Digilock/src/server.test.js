@@ -0,0 +1,184 @@
+import { spawn } from "child_process";
+import { mkdtemp, rm } from "fs/promises";
+import { createRequire } from "module";
+import { createServer } from "net";
+import { tmpdir } from "os";
+import { join } from "path";
+import { fileURLToPath } from "url";
+import { afterAll, beforeAll, expect, test, vi } from "vitest";
+import WebSocket from "ws";
+
+/**
+ * Integration tests against the simulated controller: the server runs as
+ * its own process on mock://, in a temporary directory so its ./store does
+ * not touch the real one, and is driven through the WebSocket API.
+ */
+
+const require = createRequire(import.meta.url);
+const SERVER = fileURLToPath(new URL("./server.js", import.meta.url));
+const API_KEY = "integration-test-key";
+
+let dir;
+let server;
+let ws;
+let nextRequestId = 1;
+
+/** Returns a TCP port nothing listens on */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.once("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/** Resolves with the first message from the server that matches */
+function waitForMessage(predicate, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      ws.off("message", onMessage);
+      reject(new Error(`No matching message within ${timeoutMs}ms`));
+    }, timeoutMs);
+    function onMessage(raw) {
+      const message = JSON.parse(raw.toString());
+      if (!predicate(message)) return;
+      clearTimeout(timer);
+      ws.off("message", onMessage);
+      resolve(message);
+    }
+    ws.on("message", onMessage);
+  });
+}
+
+/** Sends a command and resolves with its response */
+function send(type, params = {}, timeoutMs = 30000) {
+  const requestId = `it-${nextRequestId++}`;
+  const response = waitForMessage((m) => m.requestId === requestId, timeoutMs);
+  ws.send(JSON.stringify({ type, requestId, ...params }));
+  return response;
+}
+
+beforeAll(async () => {
+  dir = await mkdtemp(join(tmpdir(), "digilock-it-"));
+  const port = await getFreePort();
+  server = spawn(
+    process.execPath,
+    [require.resolve("tsx/cli"), "--conditions=@@dev", SERVER],
+    {
+      cwd: dir,
+      env: {
+        ...process.env,
+        // Not a unit test: zwave-js would skip waits and silence its logs
+        NODE_ENV: "production",
+        PORT: String(port),
+        ZWAVE_PORT: "mock://",
+        DIGILOCK_API_KEYS: JSON.stringify([
+          { name: "ci", role: "admin", key: API_KEY },
+        ]),
+        DIGILOCK_KEYSTORE_PASSPHRASE: "integration-test-passphrase",
+        // Without a profile, payloads are 32 bytes, too long for an S2 frame
+        DIGILOCK_PRODUCT_PROFILES: JSON.stringify([
+          { name: "Mock Lock", manufacturerId: "0x0000", minPayloadLength: 1 },
+        ]),
+      },
+      stdio: ["ignore", "pipe", "pipe"],
+    }
+  );
+  // The driver logs a lot, keep only what helps when the server fails
+  let output = "";
+  const collect = (chunk) => {
+    output = (output + chunk).slice(-20000);
+  };
+  server.stderr.on("data", collect);
+  await new Promise((resolve, reject) => {
+    server.stdout.on("data", (chunk) => {
+      collect(chunk);
+      if (output.includes("WebSocket is ready")) resolve();
+    });
+    server.once("exit", (code) =>
+      reject(new Error(`Server exited with ${code}:\n${output}`))
+    );
+  });
+
+  ws = new WebSocket(`ws://127.0.0.1:${port}`, {
+    headers: { "X-API-Key": API_KEY },
+  });
+  await waitForMessage((m) => m.type === "CONNECTED", 10000);
+}, 120000);
+
+afterAll(async () => {
+  ws?.close();
+  if (server && server.exitCode === null) {
+    const exited = new Promise((resolve) => server.once("exit", resolve));
+    server.kill("SIGTERM");
+    await exited;
+  }
+  if (dir) await rm(dir, { recursive: true, force: true });
+}, 30000);
+
+test("starts the simulated controller", async () => {
+  const ready = waitForMessage((m) => m.type === "DRIVER_READY", 60000);
+  const response = await send("START", {}, 60000);
+  expect(response.type).toBe("START_SUCCESS");
+  await ready;
+
+  const status = await send("GET_STATUS");
+  expect(status.data.driverReady).toBe(true);
+  expect(status.data.link).toBeNull();
+  expect(status.data.mock.locks).toEqual(
+    expect.arrayContaining([
+      expect.objectContaining({ nodeId: 3, included: false }),
+    ])
+  );
+}, 90000);
+
+test("includes a simulated lock via SmartStart", async () => {
+  const status = await send("GET_STATUS");
+  const pending = status.data.mock.locks.find((lock) => !lock.included);
+
+  const added = waitForMessage(
+    (m) => m.type === "NODE_ADDED" && m.nodeId === pending.nodeId,
+    90000
+  );
+  const response = await send("ADD_PROVISIONING_ENTRY", {
+    entry: {
+      dsk: pending.dsk,
+      name: "Integration Lock",
+      status: true,
+      s2AccessControl: true,
+    },
+  });
+  expect(response.type).not.toBe("ERROR");
+
+  const event = await added;
+  expect(event.lowSecurity).toBe(false);
+  const node = await send("GET_NODE", { nodeId: pending.nodeId });
+  expect(node.type).not.toBe("ERROR");
+}, 120000);
+
+test("exchanges Manufacturer Proprietary frames with the lock", async () => {
+  const payloadHex = "0107" + "00".repeat(13) + "ff";
+  // The interview of the new lock may still be running
+  const response = await vi.waitFor(
+    async () => {
+      const response = await send("SEND_COMMAND_AND_WAIT", {
+        nodeId: 3,
+        payloadHex,
+        expect: { opcode: "81", sequenceOffset: 1 },
+        timeoutMs: 10000,
+      });
+      if (response.type === "ERROR" && /not ready/.test(response.message)) {
+        throw new Error(response.message);
+      }
+      return response;
+    },
+    { timeout: 60000, interval: 1000 }
+  );
+  expect(response.type).toBe("COMMAND_RESPONSE");
+  expect(response.data.results[0].status).toBe("Success");
+  // The simulated lock echoes the payload with bit 7 of the first byte set
+  expect(response.data.response.payloadHex).toBe("8107" + payloadHex.slice(4));
+}, 90000);
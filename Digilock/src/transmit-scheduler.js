@@ -0,0 +1,273 @@
+import { existsSync } from "fs";
+import { readFile } from "fs/promises";
+import {
+  TransmitStatus,
+  ZWaveErrorCodes,
+  isZWaveError,
+} from "../../packages/core/src/index.js";
+import { ErrorCode, ProtocolError, toProtocolError } from "./protocol.js";
+
+/**
+ * The transmit scheduler paces the Manufacturer Proprietary frames sent to
+ * nodes. Frames that fail are retried with exponential backoff, depending on
+ * why they failed. This comes on top of the attempts zwave-js makes itself.
+ * Spacing and rate limits keep large batches from flooding the mesh.
+ */
+
+/** Transmit failures the scheduler retries */
+export const FAILURE_TYPES = ["NoAck", "RoutingFailure", "Jammed"];
+
+export const DEFAULT_TRANSMIT_SETTINGS = Object.freeze({
+  /** Retries of a frame per failure type */
+  retries: Object.freeze({ NoAck: 2, RoutingFailure: 2, Jammed: 3 }),
+  /** Delay before the first retry per failure type, doubled for each further retry */
+  backoffMs: Object.freeze({ NoAck: 500, RoutingFailure: 2000, Jammed: 1000 }),
+  /** Longest delay before a retry */
+  maxBackoffMs: 30000,
+  /** Pause between the frames of a command */
+  frameSpacingMs: 50,
+  /** Most frames per second to a single node, including retries */
+  nodeFramesPerSecond: 10,
+  /** Most frames per second to all nodes together, including retries */
+  globalFramesPerSecond: 30,
+  /** After this many frames of a command failed in a row, the rest is skipped */
+  maxConsecutiveFailures: 3,
+});
+
+const PER_FAILURE_TYPE = ["retries", "backoffMs"];
+
+/**
+ * Returns the failure type of an error thrown while sending a frame, or null
+ * if retrying would not help. The type comes from the transmit status of the
+ * controller's callback, which zwave-js puts into the error context:
+ * - `NoAck`: the node did not acknowledge the frame
+ * - `RoutingFailure`: the controller found no route to the node
+ * - `Jammed`: zwave-js retried sending on a jammed channel and gave up. This
+ *   reaches callers as `Controller_MessageDropped`, `Controller_Jammed` is
+ *   only used inside zwave-js
+ *
+ * Other dropped frames, e.g. because the transmit queue of the controller
+ * was full, the node is asleep or dead, or the frame was removed from the
+ * queue, as well as aborted transactions are not retried.
+ * @param {unknown} error
+ * @returns {string|null} One of {@link FAILURE_TYPES}
+ */
+export function classifySendError(error) {
+  if (
+    !isZWaveError(error) ||
+    (error.code !== ZWaveErrorCodes.Controller_CallbackNOK &&
+      error.code !== ZWaveErrorCodes.Controller_MessageDropped)
+  ) {
+    return null;
+  }
+  switch (error.context?.transmitStatus) {
+    case TransmitStatus.NoAck:
+      return "NoAck";
+    case TransmitStatus.NoRoute:
+      return "RoutingFailure";
+    case TransmitStatus.Fail:
+      return "Jammed";
+    default:
+      return null;
+  }
+}
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Checks the transmit settings and fills in defaults
+ * @throws {Error} If a setting is invalid
+ */
+function toTransmitSettings(config, source) {
+  if (typeof config !== "object" || config === null || Array.isArray(config)) {
+    throw new Error(`Transmit settings from ${source} must be an object`);
+  }
+  const settings = { ...DEFAULT_TRANSMIT_SETTINGS };
+  for (const field of PER_FAILURE_TYPE) {
+    settings[field] = { ...DEFAULT_TRANSMIT_SETTINGS[field], ...config[field] };
+    for (const type of Object.keys(settings[field])) {
+      if (!FAILURE_TYPES.includes(type)) {
+        throw new Error(
+          `Transmit settings from ${source} have unknown failure type ${field}.${type}, expected one of ${FAILURE_TYPES.join(", ")}`
+        );
+      }
+      if (!isNonNegativeInteger(settings[field][type])) {
+        throw new Error(
+          `Transmit settings from ${source} have invalid ${field}.${type}, expected an integer >= 0`
+        );
+      }
+    }
+    Object.freeze(settings[field]);
+  }
+  for (const field of ["maxBackoffMs", "frameSpacingMs"]) {
+    settings[field] = config[field] ?? settings[field];
+    if (!isNonNegativeInteger(settings[field])) {
+      throw new Error(
+        `Transmit settings from ${source} have invalid ${field}, expected an integer >= 0`
+      );
+    }
+  }
+  for (const field of [
+    "nodeFramesPerSecond",
+    "globalFramesPerSecond",
+    "maxConsecutiveFailures",
+  ]) {
+    settings[field] = config[field] ?? settings[field];
+    if (typeof settings[field] !== "number" || !(settings[field] > 0)) {
+      throw new Error(
+        `Transmit settings from ${source} have invalid ${field}, expected a number > 0`
+      );
+    }
+  }
+  return Object.freeze(settings);
+}
+
+/**
+ * Loads the transmit settings from the `DIGILOCK_TRANSMIT` environment
+ * variable (JSON object) or the transmit file. Missing settings keep their
+ * {@link DEFAULT_TRANSMIT_SETTINGS}.
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path of the transmit file (default: ./store/transmit.json)
+ * @returns {Promise<Object>} The settings
+ */
+export async function loadTransmitSettings(options = {}) {
+  const file = options.file || "./store/transmit.json";
+  let config = {};
+  let source = "defaults";
+  if (process.env.DIGILOCK_TRANSMIT) {
+    config = JSON.parse(process.env.DIGILOCK_TRANSMIT);
+    source = "DIGILOCK_TRANSMIT";
+  } else if (existsSync(file)) {
+    config = JSON.parse(await readFile(file, "utf8"));
+    source = file;
+  }
+  const settings = toTransmitSettings(config, source);
+  console.log(
+    `[Transmit] 📶 ${settings.nodeFramesPerSecond} frames/s per node, ${settings.globalFramesPerSecond} frames/s in total, retries ${FAILURE_TYPES.map((type) => `${type} ${settings.retries[type]}`).join(", ")}`
+  );
+  return settings;
+}
+
+function sleep(ms) {
+  return ms > 0 ? new Promise((resolve) => setTimeout(resolve, ms)) : null;
+}
+
+/**
+ * Creates the transmit scheduler
+ * @param {Object} [settings] - See {@link loadTransmitSettings} (default: {@link DEFAULT_TRANSMIT_SETTINGS})
+ */
+export function createTransmitScheduler(settings = DEFAULT_TRANSMIT_SETTINGS) {
+  settings = toTransmitSettings(settings, "options");
+
+  /** When the next frame may go out, in total and by node ID */
+  let nextGlobalSlot = 0;
+  const nextNodeSlots = new Map();
+
+  /** Waits until the rate limits allow another frame to the node */
+  async function reserveSlot(nodeId) {
+    const now = Date.now();
+    const slot = Math.max(now, nextGlobalSlot, nextNodeSlots.get(nodeId) ?? 0);
+    // Reserve the slot before waiting, so concurrent commands queue up
+    nextGlobalSlot = slot + 1000 / settings.globalFramesPerSecond;
+    nextNodeSlots.set(nodeId, slot + 1000 / settings.nodeFramesPerSecond);
+    await sleep(slot - now);
+  }
+
+  /**
+   * Sends a frame and retries it while it fails with a retryable failure
+   * @returns {Promise<{value: any, attempts: number}>}
+   * @throws The last error, with `attempts` and `failureType`
+   */
+  async function transmit(nodeId, send) {
+    for (let attempt = 1; ; attempt++) {
+      await reserveSlot(nodeId);
+      try {
+        return { value: await send(), attempts: attempt };
+      } catch (error) {
+        const failureType = classifySendError(error);
+        if (!failureType || attempt > settings.retries[failureType]) {
+          throw Object.assign(error, { attempts: attempt, failureType });
+        }
+        const delay = Math.min(
+          settings.backoffMs[failureType] * 2 ** (attempt - 1),
+          settings.maxBackoffMs
+        );
+        console.warn(
+          `[Transmit] 🔁 ${failureType} from node ${nodeId}, retry ${attempt} of ${settings.retries[failureType]} in ${delay}ms`
+        );
+        await sleep(delay);
+      }
+    }
+  }
+
+  return {
+    settings,
+
+    /**
+     * Sends the frames of a command to a node one after the other. A frame
+     * that still fails after its retries does not stop the command, but after
+     * `maxConsecutiveFailures` failed frames in a row the rest is skipped.
+     *
+     * @param {number} nodeId - The target node
+     * @param {number} count - Number of frames
+     * @param {(frameNumber: number) => Promise<Object>} sendFrame - Sends a
+     *   frame and returns its result. Called again for each retry
+     * @returns {Promise<{results: Object[], sent: number, failed: number}>}
+     *   `results` has an entry per frame: the result of sendFrame with
+     *   `frameNumber` and `attempts`, `{frameNumber, status: "TransmitFailed",
+     *   failureType, error, attempts}` or `{frameNumber, status: "Skipped"}`
+     * @throws {ProtocolError} SEND_FAILED with `details.results` if no frame
+     *   was sent
+     */
+    async sendFrames(nodeId, count, sendFrame) {
+      const results = [];
+      let sent = 0;
+      let consecutiveFailures = 0;
+      let firstError = null;
+      for (let frameNumber = 1; frameNumber <= count; frameNumber++) {
+        if (consecutiveFailures >= settings.maxConsecutiveFailures) {
+          results.push({ frameNumber, status: "Skipped" });
+          continue;
+        }
+        if (frameNumber > 1) await sleep(settings.frameSpacingMs);
+        try {
+          const { value, attempts } = await transmit(nodeId, () =>
+            sendFrame(frameNumber)
+          );
+          results.push({ frameNumber, ...value, attempts });
+          sent++;
+          consecutiveFailures = 0;
+        } catch (error) {
+          const { code, message } = toProtocolError(
+            error,
+            ErrorCode.SEND_FAILED
+          );
+          console.error(
+            `[Transmit] ❌ Frame #${frameNumber} of ${count} to node ${nodeId} failed after ${error.attempts} attempt(s): ${message}`
+          );
+          firstError ??= error;
+          results.push({
+            frameNumber,
+            status: "TransmitFailed",
+            failureType: error.failureType,
+            error: { code, message },
+            attempts: error.attempts,
+          });
+          consecutiveFailures++;
+        }
+      }
+      if (sent === 0) {
+        throw new ProtocolError(
+          ErrorCode.SEND_FAILED,
+          count === 1
+            ? `Sending to node ${nodeId} failed: ${firstError.message}`
+            : `None of the ${count} frames to node ${nodeId} could be sent: ${firstError.message}`,
+          { failureType: firstError.failureType, results }
+        );
+      }
+      return { results, sent, failed: results.length - sent };
+    },
+  };
+}
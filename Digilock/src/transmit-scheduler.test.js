@@ -0,0 +1,272 @@
+import {
+  TransmitStatus,
+  ZWaveError,
+  ZWaveErrorCodes,
+} from "../../packages/core/src/index.js";
+import { afterEach, beforeEach, test, vi } from "vitest";
+import { ErrorCode } from "./protocol.js";
+import {
+  classifySendError,
+  createTransmitScheduler,
+} from "./transmit-scheduler.js";
+
+/** High enough that the rate limits never delay a frame */
+const UNLIMITED = { nodeFramesPerSecond: 1e6, globalFramesPerSecond: 1e6 };
+
+/** An error like the one zwave-js throws when the callback reports a failure */
+function transmitError(code, transmitStatus) {
+  return new ZWaveError("Failed to send the command", code, {
+    transmitStatus,
+  });
+}
+
+const noAck = () =>
+  transmitError(ZWaveErrorCodes.Controller_CallbackNOK, TransmitStatus.NoAck);
+const noRoute = () =>
+  transmitError(
+    ZWaveErrorCodes.Controller_MessageDropped,
+    TransmitStatus.NoRoute
+  );
+const jammed = () =>
+  transmitError(ZWaveErrorCodes.Controller_MessageDropped, TransmitStatus.Fail);
+const removedFromQueue = () =>
+  new ZWaveError(
+    "The message has been removed from the queue",
+    ZWaveErrorCodes.Controller_MessageDropped
+  );
+
+/**
+ * Returns a sendFrame stub that throws the errors in order, then succeeds,
+ * and remembers when it was called
+ */
+function createSendFrame(...errors) {
+  const calls = [];
+  const sendFrame = vi.fn(async (frameNumber) => {
+    calls.push({ frameNumber, at: Date.now() });
+    const error = errors.shift();
+    if (error) throw error;
+    return { status: "Success" };
+  });
+  return { sendFrame, calls };
+}
+
+/** Runs sendFrames to the end, advancing the fake timers */
+async function run(scheduler, count, sendFrame) {
+  const result = scheduler.sendFrames(2, count, sendFrame);
+  // Keep the rejection handled while the timers run
+  result.catch(() => {});
+  await vi.runAllTimersAsync();
+  return result;
+}
+
+beforeEach(() => {
+  vi.useFakeTimers({ now: 0 });
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+test("classifySendError() uses the transmit status of the callback", (t) => {
+  t.expect(classifySendError(noAck())).toBe("NoAck");
+  t.expect(classifySendError(noRoute())).toBe("RoutingFailure");
+  t.expect(classifySendError(jammed())).toBe("Jammed");
+});
+
+test("classifySendError() does not retry frames the driver dropped or aborted", (t) => {
+  t.expect(classifySendError(removedFromQueue())).toBeNull();
+  // Transmission queue of the controller full
+  t.expect(
+    classifySendError(
+      new ZWaveError(
+        "Failed to send the command: Transmission queue full",
+        ZWaveErrorCodes.Controller_MessageDropped,
+        { wasSent: false }
+      )
+    )
+  ).toBeNull();
+  // SendData aborted because the callback did not come in time
+  t.expect(
+    classifySendError(
+      new ZWaveError(
+        "Timeout while waiting for a callback from the controller",
+        ZWaveErrorCodes.Controller_Timeout,
+        "callback"
+      )
+    )
+  ).toBeNull();
+  t.expect(classifySendError(new Error("Node 2 is not ready yet"))).toBeNull();
+});
+
+test("retries NoAck frames with exponential backoff", async (t) => {
+  const scheduler = createTransmitScheduler({
+    ...UNLIMITED,
+    retries: { NoAck: 2 },
+    backoffMs: { NoAck: 500 },
+  });
+  const { sendFrame, calls } = createSendFrame(noAck(), noAck());
+
+  const { results, sent, failed } = await run(scheduler, 1, sendFrame);
+
+  t.expect(calls.map(({ at }) => at)).toEqual([0, 500, 1500]);
+  t.expect(results).toEqual([
+    { frameNumber: 1, status: "Success", attempts: 3 },
+  ]);
+  t.expect({ sent, failed }).toEqual({ sent: 1, failed: 0 });
+});
+
+test("caps the backoff at maxBackoffMs", async (t) => {
+  const scheduler = createTransmitScheduler({
+    ...UNLIMITED,
+    retries: { RoutingFailure: 3 },
+    backoffMs: { RoutingFailure: 2000 },
+    maxBackoffMs: 3000,
+  });
+  const { sendFrame, calls } = createSendFrame(
+    noRoute(),
+    noRoute(),
+    noRoute()
+  );
+
+  await run(scheduler, 1, sendFrame);
+
+  t.expect(calls.map(({ at }) => at)).toEqual([0, 2000, 5000, 8000]);
+});
+
+test("gives up on a frame after the retries of its failure type", async (t) => {
+  const scheduler = createTransmitScheduler({
+    ...UNLIMITED,
+    retries: { NoAck: 0, RoutingFailure: 1, Jammed: 2 },
+    backoffMs: { NoAck: 10, RoutingFailure: 10, Jammed: 10 },
+    maxConsecutiveFailures: 4,
+  });
+  const { sendFrame } = createSendFrame(
+    noAck(),
+    noRoute(),
+    noRoute(),
+    jammed(),
+    jammed(),
+    jammed()
+  );
+
+  const { results, sent, failed } = await run(scheduler, 4, sendFrame);
+
+  t.expect(results).toMatchObject([
+    {
+      frameNumber: 1,
+      status: "TransmitFailed",
+      failureType: "NoAck",
+      error: { code: ErrorCode.ZWAVE_ERROR },
+      attempts: 1,
+    },
+    {
+      frameNumber: 2,
+      status: "TransmitFailed",
+      failureType: "RoutingFailure",
+      attempts: 2,
+    },
+    {
+      frameNumber: 3,
+      status: "TransmitFailed",
+      failureType: "Jammed",
+      attempts: 3,
+    },
+    { frameNumber: 4, status: "Success", attempts: 1 },
+  ]);
+  t.expect({ sent, failed }).toEqual({ sent: 1, failed: 3 });
+});
+
+test("does not retry frames that failed for other reasons", async (t) => {
+  const scheduler = createTransmitScheduler(UNLIMITED);
+  const { sendFrame } = createSendFrame(removedFromQueue());
+
+  const { results } = await run(scheduler, 2, sendFrame);
+
+  t.expect(sendFrame).toHaveBeenCalledTimes(2);
+  t.expect(results[0]).toMatchObject({
+    frameNumber: 1,
+    status: "TransmitFailed",
+    failureType: null,
+    attempts: 1,
+  });
+});
+
+test("skips the remaining frames after maxConsecutiveFailures failed frames", async (t) => {
+  const scheduler = createTransmitScheduler({
+    ...UNLIMITED,
+    retries: { NoAck: 0 },
+    maxConsecutiveFailures: 2,
+  });
+  const { sendFrame } = createSendFrame(null, noAck(), noAck());
+
+  const { results, sent, failed } = await run(scheduler, 5, sendFrame);
+
+  t.expect(sendFrame).toHaveBeenCalledTimes(3);
+  t.expect(results.map(({ status }) => status)).toEqual([
+    "Success",
+    "TransmitFailed",
+    "TransmitFailed",
+    "Skipped",
+    "Skipped",
+  ]);
+  t.expect(results[3]).toEqual({ frameNumber: 4, status: "Skipped" });
+  t.expect({ sent, failed }).toEqual({ sent: 1, failed: 4 });
+});
+
+test("a frame that gets through resets the consecutive failures", async (t) => {
+  const scheduler = createTransmitScheduler({
+    ...UNLIMITED,
+    retries: { NoAck: 0 },
+    maxConsecutiveFailures: 2,
+  });
+  const { sendFrame } = createSendFrame(noAck(), null, noAck(), null);
+
+  const { results } = await run(scheduler, 4, sendFrame);
+
+  t.expect(results.map(({ status }) => status)).toEqual([
+    "TransmitFailed",
+    "Success",
+    "TransmitFailed",
+    "Success",
+  ]);
+});
+
+test("throws SEND_FAILED with the results when no frame was sent", async (t) => {
+  const scheduler = createTransmitScheduler({
+    ...UNLIMITED,
+    retries: { RoutingFailure: 0 },
+    maxConsecutiveFailures: 2,
+  });
+  const { sendFrame } = createSendFrame(noRoute(), noRoute());
+
+  const error = await run(scheduler, 3, sendFrame).catch((e) => e);
+
+  t.expect(error).toMatchObject({
+    code: ErrorCode.SEND_FAILED,
+    message: t.expect.stringMatching(
+      /^None of the 3 frames to node 2 could be sent: Failed to send the command/
+    ),
+    details: { failureType: "RoutingFailure" },
+  });
+  t.expect(error.details.results.map(({ status }) => status)).toEqual([
+    "TransmitFailed",
+    "TransmitFailed",
+    "Skipped",
+  ]);
+});
+
+test("spaces the frames of a command and keeps to the rate limit of a node", async (t) => {
+  const scheduler = createTransmitScheduler({
+    frameSpacingMs: 50,
+    nodeFramesPerSecond: 5,
+    globalFramesPerSecond: 1e6,
+  });
+  const { sendFrame, calls } = createSendFrame();
+
+  await run(scheduler, 3, sendFrame);
+
+  t.expect(calls.map(({ at }) => at)).toEqual([0, 200, 400]);
+});
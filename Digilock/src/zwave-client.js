@@ -1,14 +1,81 @@
 import { Driver } from "../../packages/zwave-js/src/Driver.js";
-import { ProvisioningEntryStatus } from "../../packages/zwave-js/src/Controller.js";
-import { Protocols, NodeStatus } from "../../packages/core/src/definitions/index.js";
+import {
+  ExclusionStrategy,
+  InclusionState,
+  InclusionStrategy,
+  ProvisioningEntryStatus,
+  RemoveNodeReason,
+  SecurityBootstrapFailure,
+} from "../../packages/zwave-js/src/Controller.js";
+import {
+  CommandClasses,
+  Protocols,
+  NodeStatus,
+  SecurityClass,
+} from "../../packages/core/src/definitions/index.js";
+import {
+  dskFromString,
+  dskToString,
+} from "../../packages/core/src/dsk/index.js";
+import { getDSTInfo } from "../../packages/core/src/util/date.js";
+import {
+  ZWaveErrorCodes,
+  isZWaveError,
+} from "../../packages/core/src/index.js";
 import { EventEmitter } from "events";
 import {
+  checkVendorPayloadLength,
   createManufacturerProprietarySender,
   hexTo32ByteBuffer,
+  hexToBuffer,
 } from "./manufacturer-proprietary.js";
 import { ensureCustomDeviceConfig } from "./device-config.js";
+import { ErrorCode, ProtocolError, toProtocolError } from "./protocol.js";
+import { createGrantPolicy, isLock } from "./grant-policy.js";
+import { hashPayload } from "./audit-log.js";
+import { createMockNetwork, isMockPort } from "./mock-network.js";
+import { createSerialLink } from "./serial-link.js";
+import { createCommandQueue } from "./command-queue.js";
+import { createCodecRegistry } from "./mp-codecs.js";
+import { MP_SECURITY_OVERHEAD } from "./mp-security.js";
+import { createTransmitScheduler } from "./transmit-scheduler.js";
+import { ZWaveLock, maskUserCode } from "./models/ZWaveLock.js";
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
 import { ManufacturerProprietaryCC } from "../../packages/cc/src/cc/ManufacturerProprietaryCC.js";
 
+/** How often the clocks of locks with schedules are set, besides DST switches */
+const CLOCK_SYNC_INTERVAL = 24 * 60 * 60 * 1000;
+
+/** Strategies accepted by beginExclusion */
+const EXCLUSION_STRATEGIES = {
+  excludeOnly: ExclusionStrategy.ExcludeOnly,
+  disableProvisioningEntry: ExclusionStrategy.DisableProvisioningEntry,
+  unprovision: ExclusionStrategy.Unprovision,
+};
+
+/**
+ * Converts the names of the WebSocket API (e.g. "S2_Authenticated") to
+ * SecurityClass values and back
+ */
+function toSecurityClassNames(securityClasses) {
+  return securityClasses.map((securityClass) => SecurityClass[securityClass]);
+}
+
+function fromSecurityClassNames(names) {
+  return names.map((name) => SecurityClass[name]);
+}
+
+/**
+ * Whether the driver destroys itself after an error, e.g. because the serial
+ * port could not be reopened
+ */
+function isFatalDriverError(error) {
+  if (isZWaveError(error)) return error.code === ZWaveErrorCodes.Driver_Failed;
+  return /serial port is not open/.test(error?.message);
+}
+
 /**
  * Helper function to convert hex string security keys to buffers
  */
@@ -32,6 +99,46 @@ export class ZWaveProvisioningClient extends EventEmitter {
     this.driver = null;
     this.driverReady = false;
     this._mpSender = null; // Will be initialized after driver is ready
+    this.mockLocks = options.mockLocks; // Lock definitions for the simulated controller
+    this.mockNetwork = null;
+    this._mockCacheDir = null; // Temporary cache of the simulated controller
+    // Connects to real controllers, also over TCP, and reconnects with backoff
+    this.linkSettings = options.link;
+    this.serialLink = null;
+    // Decides which security classes nodes get during S2 bootstrapping
+    this.grantPolicy = options.grantPolicy || createGrantPolicy();
+    // Records lock commands and provisioning changes (optional)
+    this.auditLog = options.auditLog || null;
+    // Tracks battery levels and raises low-battery alerts (optional)
+    this.batteryMonitor = options.batteryMonitor || null;
+    // Keeps the history of lock events (optional)
+    this.lockEventLog = options.lockEventLog || null;
+    // Manufacturer Proprietary payload lengths per product
+    this.productProfiles = options.productProfiles || [];
+    // Encodes and decodes named Manufacturer Proprietary commands
+    this.mpCodecs = options.mpCodecs || createCodecRegistry();
+    // Secures Manufacturer Proprietary payloads of locks with a key (optional)
+    this.mpSecurity = options.mpSecurity || null;
+    // Paces and retries Manufacturer Proprietary frames
+    this.transmitScheduler = createTransmitScheduler(options.transmit);
+    // Holds commands for sleeping nodes until they wake up
+    this.commandQueue = createCommandQueue({
+      onDelivered: (queued, result) =>
+        this.emit("commandDelivered", queued, result),
+      onFailed: (queued, error) => {
+        this._recordDropped(queued, error);
+        this.emit("commandFailed", queued, error);
+      },
+    });
+    // Audit entries of queued commands by queue ID, until they are sent
+    this._queuedAudits = new Map();
+    this._foundNode = null; // The node currently being included
+    this.locks = new Map(); // ZWaveLock instances by node ID
+    // Removes the wake-up listener of a lock's node, by node ID
+    this._removeWakeUpListeners = new Map();
+    this._clockSyncTimer = null;
+    // Sleeping locks whose clock is synced when they wake up next
+    this._clockSyncPending = new Set();
 
     // Convert security keys to buffers
     const securityKeysBuffers = convertSecurityKeys(
@@ -95,9 +202,7 @@ export class ZWaveProvisioningClient extends EventEmitter {
         for (const [key, buffer] of Object.entries(this.options.securityKeys)) {
           if (Buffer.isBuffer(buffer) && buffer.length === 16) {
             validKeys[key] = buffer;
-            console.log(
-              `✅ Security key ${key} configured: ${buffer.toString("hex")}`
-            );
+            console.log(`✅ Security key ${key} configured`);
           } else {
             console.warn(
               `❌ Security key ${key} is invalid: expected Buffer with 16 bytes, got ${
@@ -132,11 +237,7 @@ export class ZWaveProvisioningClient extends EventEmitter {
         )) {
           if (Buffer.isBuffer(buffer) && buffer.length === 16) {
             validKeys[key] = buffer;
-            console.log(
-              `✅ Long Range security key ${key} configured: ${buffer.toString(
-                "hex"
-              )}`
-            );
+            console.log(`✅ Long Range security key ${key} configured`);
           } else {
             console.warn(
               `❌ Long Range security key ${key} is invalid: expected Buffer with 16 bytes, got ${
@@ -159,75 +260,44 @@ export class ZWaveProvisioningClient extends EventEmitter {
         console.warn(`⚠️  No security keys provided for Long Range`);
       }
 
-      // Add grantSecurityClasses callback for S2 bootstrapping
-      // This is required to grant security classes when nodes request them during inclusion
-      driverOptions.grantSecurityClasses = (requested) => {
-        console.log(
-          `[Security] 🔐 Security classes requested during bootstrapping:`,
-          requested
-        );
+      // S2 bootstrapping of inclusions that were not started with user
+      // callbacks, e.g. by an inclusion controller
+      driverOptions.inclusionUserCallbacks = this._createUserCallbacks();
+
+      let port = this.port;
+      if (isMockPort(this.port)) {
+        // Simulated controller: swap the serial port for a mock port and keep
+        // the simulated network's cache away from the real one
+        this.mockNetwork = createMockNetwork({
+          locks: this.mockLocks,
+          securityKeys: driverOptions.securityKeys,
+        });
+        port = this.mockNetwork.bindingFactory;
+        driverOptions.testingHooks = this.mockNetwork.testingHooks;
+        this._mockCacheDir = await mkdtemp(join(tmpdir(), "digilock-mock-"));
+        driverOptions.storage.cacheDir = this._mockCacheDir;
         console.log(
-          `[Security]   Requested security classes:`,
-          requested.securityClasses
+          `[Mock] 🧪 Using simulated Z-Wave controller (cache: ${driverOptions.storage.cacheDir})`
         );
+      } else {
+        // The driver reopens the port through the link, which retries with
+        // backoff until the controller is reachable again
+        this.serialLink = createSerialLink(this.port, this.linkSettings);
+        port = this.serialLink.factory;
+      }
 
-        const granted = {
-          clientSideAuth: false,
-          securityClasses: [],
-        };
-
-        // Map of security class numbers to key names
-        const securityClassToKey = {
-          0: "S2_Unauthenticated", // SecurityClass.S2_Unauthenticated
-          1: "S2_Authenticated", // SecurityClass.S2_Authenticated
-          2: "S2_AccessControl", // SecurityClass.S2_AccessControl
-          7: "S0_Legacy", // SecurityClass.S0_Legacy
-        };
-
-        // Grant only the requested security classes that we have keys for
-        if (
-          requested.securityClasses &&
-          Array.isArray(requested.securityClasses)
-        ) {
-          for (const securityClass of requested.securityClasses) {
-            const keyName = securityClassToKey[securityClass];
-            if (keyName && this.options.securityKeys?.[keyName]) {
-              granted.securityClasses.push(securityClass);
-              console.log(
-                `[Security] ✅ Granting ${keyName} (class ${securityClass}) - key available`
-              );
-            } else {
-              console.log(
-                `[Security] ❌ Not granting security class ${securityClass} - no key available`
-              );
-            }
-          }
-        }
-
-        // If no security classes were granted, log a warning
-        if (granted.securityClasses.length === 0) {
-          console.warn(
-            `[Security] ⚠️  No security classes granted! Requested:`,
-            requested.securityClasses,
-            `Available keys:`,
-            Object.keys(this.options.securityKeys || {})
-          );
-        } else {
-          console.log(
-            `[Security] ✅ Granting ${granted.securityClasses.length} security class(es):`,
-            granted.securityClasses
-          );
-        }
-
-        return granted;
-      };
-
-      this.driver = new Driver(this.port, driverOptions);
+      this.driver = new Driver(port, driverOptions);
 
       // Set up event handlers
       this.driver.on("error", (error) => {
         console.error("Driver error:", error);
         this.emit("error", error);
+        if (isFatalDriverError(error)) {
+          // zwave-js destroys the driver after these, so it will not be
+          // ready again. The driver supervisor starts a new one
+          this.driverReady = false;
+          this.emit("driverFailed", error);
+        }
       });
 
       this.driver.on("driver ready", () => {
@@ -236,11 +306,14 @@ export class ZWaveProvisioningClient extends EventEmitter {
         // Initialize Manufacturer Proprietary sender
         this._initializeMPSender();
         this.setupControllerHandlers();
+        this._scheduleClockSync();
         this.emit("ready");
       });
 
       this.driver.on("all nodes ready", () => {
         console.log("All nodes are ready");
+        // The clocks may have drifted while the server was not running
+        this.syncLockClocks();
         this.emit("allNodesReady");
       });
 
@@ -287,6 +360,7 @@ export class ZWaveProvisioningClient extends EventEmitter {
           console.warn(`[Smart Start]   Could not get provisioning entries: ${err.message}`);
         }
       }
+      this.emit("inclusionStarted", InclusionStrategy[strategy] ?? strategy);
     });
 
     controller.on("inclusion failed", () => {
@@ -317,22 +391,71 @@ export class ZWaveProvisioningClient extends EventEmitter {
       } catch (err) {
         console.error(`[Smart Start]   Error getting provisioning entries: ${err.message}`);
       }
+      this.emit("inclusionFailed");
     });
 
     controller.on("exclusion started", () => {
       console.log(`[Smart Start] Exclusion started`);
+      this.emit("exclusionStarted");
+    });
+
+    // Forward the remaining inclusion and exclusion events, so clients can
+    // follow an inclusion they started
+    controller.on("inclusion stopped", () => {
+      console.log(`[Smart Start] Inclusion stopped`);
+      this.emit("inclusionStopped");
+    });
+    controller.on("exclusion stopped", () => {
+      console.log(`[Smart Start] Exclusion stopped`);
+      this.emit("exclusionStopped");
+    });
+    controller.on("exclusion failed", () => {
+      console.error(`[Smart Start] ❌ Exclusion failed`);
+      this.emit("exclusionFailed");
+    });
+    controller.on("node found", (foundNode) => {
+      this._foundNode = foundNode;
+      console.log(`[Smart Start] Node ${foundNode.id} found, interviewing...`);
+      this.emit("nodeFound", foundNode);
     });
 
     // Set up handlers for node events
-    controller.on("node added", (node) => {
+    controller.on("node added", (node, result) => {
       console.log(`Node ${node.id} added`);
+      const lowSecurityReason = result?.lowSecurity
+        ? SecurityBootstrapFailure[result.lowSecurityReason]
+        : undefined;
+      if (lowSecurityReason) {
+        console.warn(
+          `[Security] ⚠️  Node ${node.id} was included with lower security than requested: ${lowSecurityReason}`
+        );
+      }
+      this.auditLog?.record({
+        actor: "controller",
+        action: "NODE_ADDED",
+        nodeId: node.id,
+        result: lowSecurityReason ? "low security" : "success",
+        ...(lowSecurityReason && { details: { lowSecurityReason } }),
+      });
       this._forceManufacturerProprietarySupport(node);
       this.setupManufacturerProprietaryCommandHandler(node);
-      this.emit("nodeAdded", node);
+      this._addLock(node);
+      this.emit("nodeAdded", node, {
+        lowSecurity: !!result?.lowSecurity,
+        lowSecurityReason,
+      });
     });
 
-    controller.on("node removed", (node) => {
+    controller.on("node removed", (node, reason) => {
       console.log(`Node ${node.id} removed`);
+      this.auditLog?.record({
+        actor: "controller",
+        action: "NODE_REMOVED",
+        nodeId: node.id,
+        result: "success",
+        details: { reason: RemoveNodeReason[reason] },
+      });
+      this._removeLock(node.id);
       this.emit("nodeRemoved", node.id);
     });
 
@@ -340,13 +463,16 @@ export class ZWaveProvisioningClient extends EventEmitter {
     for (const node of controller.nodes.values()) {
       this._forceManufacturerProprietarySupport(node);
       this.setupManufacturerProprietaryCommandHandler(node);
+      this._addLock(node);
     }
 
-    // Set up node status change handlers
+    // Set up node status change handlers. zwave-js has one event per status
     for (const node of controller.nodes.values()) {
-      node.on("status changed", () => {
-        this.emit("nodeStatusChanged", node);
-      });
+      for (const event of ["wake up", "sleep", "dead", "alive"]) {
+        node.on(event, () => {
+          this.emit("nodeStatusChanged", node);
+        });
+      }
     }
 
     // Log all provisioning entries when driver is ready for debugging
@@ -435,7 +561,7 @@ export class ZWaveProvisioningClient extends EventEmitter {
 
   async getProvisioningEntries() {
     if (!this.driverReady) {
-      throw new Error("Driver not ready");
+      throw new ProtocolError(ErrorCode.DRIVER_NOT_READY, "Driver not ready");
     }
 
     const entries = this.driver.controller.getProvisioningEntries();
@@ -491,6 +617,11 @@ export class ZWaveProvisioningClient extends EventEmitter {
         productType: entry.productType,
         productId: entry.productId,
         applicationVersion: entry.applicationVersion,
+        genericDeviceClass: entry.genericDeviceClass,
+        specificDeviceClass: entry.specificDeviceClass,
+        installerIconType: entry.installerIconType,
+        qrCode: entry.qrCode,
+        mpSecurity: this.mpSecurity?.getInfo(entry.dsk) ?? null,
         deviceInfo: node
           ? {
               id: node.id,
@@ -509,13 +640,38 @@ export class ZWaveProvisioningClient extends EventEmitter {
     });
   }
 
-  async provisionSmartStartNode(entry) {
+  /**
+   * Adds or updates a SmartStart provisioning entry
+   * @param {Object} entry - The entry, see toProvisioningEntry
+   * @param {Object} [options]
+   * @param {string} [options.actor] - Who made the change, for the audit log
+   * @returns {Promise<Object>} The entry as passed to zwave-js
+   */
+  async provisionSmartStartNode(entry, { actor } = {}) {
+    return this._audited(
+      {
+        actor,
+        action: "PROVISION",
+        details: {
+          dsk: entry.dsk,
+          name: entry.name,
+          location: entry.location,
+          status: entry.status,
+        },
+      },
+      () => this._provisionSmartStartNode(entry)
+    );
+  }
+
+  async _provisionSmartStartNode(entry) {
     if (!this.driverReady) {
-      throw new Error("Driver not ready");
+      throw new ProtocolError(ErrorCode.DRIVER_NOT_READY, "Driver not ready");
     }
 
     if (!entry.dsk) {
-      throw new Error("DSK is required");
+      throw new ProtocolError(ErrorCode.INVALID_PARAMETER, "DSK is required", {
+        field: "dsk",
+      });
     }
 
     // Normalize DSK format to ensure consistent matching
@@ -528,6 +684,16 @@ export class ZWaveProvisioningClient extends EventEmitter {
       );
     }
 
+    // Reject DSKs the driver would not be able to match during SmartStart
+    try {
+      dskFromString(entry.dsk);
+    } catch {
+      throw new ProtocolError(
+        ErrorCode.INVALID_DSK,
+        `Invalid DSK "${originalDSK}": expected 8 groups of 5 decimal digits`
+      );
+    }
+
     console.log(
       `[Provisioning] Provisioning Smart Start node with DSK: ${entry.dsk}`
     );
@@ -691,9 +857,23 @@ export class ZWaveProvisioningClient extends EventEmitter {
     return entry;
   }
 
-  async updateProvisioningEntryStatus(dsk, active) {
+  /**
+   * Activates or deactivates a provisioning entry
+   * @param {string} dsk - DSK of the entry
+   * @param {boolean} active - The new status
+   * @param {Object} [options]
+   * @param {string} [options.actor] - Who made the change, for the audit log
+   */
+  async updateProvisioningEntryStatus(dsk, active, { actor } = {}) {
+    return this._audited(
+      { actor, action: "UPDATE_PROVISIONING_STATUS", details: { dsk, active } },
+      () => this._updateProvisioningEntryStatus(dsk, active)
+    );
+  }
+
+  async _updateProvisioningEntryStatus(dsk, active) {
     if (!this.driverReady) {
-      throw new Error("Driver not ready");
+      throw new ProtocolError(ErrorCode.DRIVER_NOT_READY, "Driver not ready");
     }
 
     // Normalize DSK format
@@ -704,7 +884,10 @@ export class ZWaveProvisioningClient extends EventEmitter {
 
     const entry = this.driver.controller.getProvisioningEntry(normalizedDSK);
     if (!entry) {
-      throw new Error(`Provisioning entry not found for DSK: ${normalizedDSK}`);
+      throw new ProtocolError(
+        ErrorCode.ENTRY_NOT_FOUND,
+        `Provisioning entry not found for DSK: ${normalizedDSK}`
+      );
     }
 
     entry.status = active
@@ -715,9 +898,28 @@ export class ZWaveProvisioningClient extends EventEmitter {
     return entry;
   }
 
-  async unprovisionSmartStartNode(dskOrNodeId) {
+  /**
+   * Removes a provisioning entry
+   * @param {string|number} dskOrNodeId - DSK of the entry or ID of its node
+   * @param {Object} [options]
+   * @param {string} [options.actor] - Who made the change, for the audit log
+   */
+  async unprovisionSmartStartNode(dskOrNodeId, { actor } = {}) {
+    return this._audited(
+      {
+        actor,
+        action: "UNPROVISION",
+        ...(typeof dskOrNodeId === "number"
+          ? { nodeId: dskOrNodeId }
+          : { details: { dsk: dskOrNodeId } }),
+      },
+      () => this._unprovisionSmartStartNode(dskOrNodeId)
+    );
+  }
+
+  async _unprovisionSmartStartNode(dskOrNodeId) {
     if (!this.driverReady) {
-      throw new Error("Driver not ready");
+      throw new ProtocolError(ErrorCode.DRIVER_NOT_READY, "Driver not ready");
     }
 
     // If it's a string (DSK), normalize it. If it's a number, it's a nodeId.
@@ -734,7 +936,318 @@ export class ZWaveProvisioningClient extends EventEmitter {
     console.log(
       `[Provisioning] Unprovisioning Smart Start node: ${normalized}`
     );
+    const dsk =
+      typeof normalized === "number"
+        ? this.driver.controller
+            .getProvisioningEntries()
+            .find((entry) => entry.nodeId === normalized)?.dsk
+        : normalized;
     this.driver.controller.unprovisionSmartStartNode(normalized);
+    // The payload key belongs to the entry
+    if (dsk) {
+      await this.mpSecurity?.remove(dsk);
+    }
+  }
+
+  /**
+   * Gives the lock of a provisioning entry a payload key, so its
+   * Manufacturer Proprietary payloads are encrypted or authenticated, see
+   * mp-security.js. A previous key is replaced.
+   * @param {string} dsk - DSK of the provisioning entry
+   * @param {Object} [options]
+   * @param {string} [options.mode] - "aes-ccm" (default) or "hmac-sha256"
+   * @param {string} [options.key] - 16-byte key as hex string (default: a random key)
+   * @param {string} [options.actor] - Who made the change, for the audit log
+   * @returns {Promise<Object>} `{dsk, nodeId, mode, createdAt}`, and `key` if
+   *   it was generated
+   * @throws {ProtocolError} ENTRY_NOT_FOUND if there is no entry for the DSK
+   */
+  async setMPSecurity(dsk, { mode, key, actor } = {}) {
+    return this._audited(
+      {
+        actor,
+        action: "SET_MP_SECURITY",
+        // Never the key itself
+        details: {
+          dsk,
+          mode: mode ?? "aes-ccm",
+          generated: key === undefined,
+        },
+      },
+      async () => {
+        const entry = this._getMPSecurityEntry(dsk);
+        const result = await this.mpSecurity.provision(entry.dsk, {
+          mode,
+          key,
+        });
+        return { dsk: entry.dsk, nodeId: entry.nodeId ?? null, ...result };
+      }
+    );
+  }
+
+  /**
+   * Deletes the payload key of a provisioning entry, so the lock's payloads
+   * are sent in clear again
+   * @param {string} dsk - DSK of the provisioning entry
+   * @param {Object} [options]
+   * @param {string} [options.actor] - Who made the change, for the audit log
+   * @returns {Promise<{dsk: string, removed: boolean}>}
+   * @throws {ProtocolError} ENTRY_NOT_FOUND if there is no entry for the DSK
+   */
+  async removeMPSecurity(dsk, { actor } = {}) {
+    return this._audited(
+      { actor, action: "REMOVE_MP_SECURITY", details: { dsk } },
+      async () => {
+        const entry = this._getMPSecurityEntry(dsk);
+        const removed = await this.mpSecurity.remove(entry.dsk);
+        return { dsk: entry.dsk, removed };
+      }
+    );
+  }
+
+  /**
+   * Returns the provisioning entry whose lock gets a payload key
+   * @private
+   */
+  _getMPSecurityEntry(dsk) {
+    if (!this.driverReady) {
+      throw new ProtocolError(ErrorCode.DRIVER_NOT_READY, "Driver not ready");
+    }
+    if (!this.mpSecurity) {
+      throw new ProtocolError(
+        ErrorCode.INTERNAL_ERROR,
+        "Payload security is not configured"
+      );
+    }
+    const normalizedDSK = this.normalizeDSK(dsk);
+    const entry = this.driver.controller.getProvisioningEntry(normalizedDSK);
+    if (!entry) {
+      throw new ProtocolError(
+        ErrorCode.ENTRY_NOT_FOUND,
+        `Provisioning entry not found for DSK: ${normalizedDSK}`
+      );
+    }
+    return entry;
+  }
+
+  /**
+   * Returns the current inclusion state of the controller, e.g. "Idle" or "SmartStart"
+   * @returns {string|null} null if the driver is not ready
+   */
+  getInclusionState() {
+    if (!this.driverReady || !this.driver) {
+      return null;
+    }
+    return InclusionState[this.driver.controller.inclusionState];
+  }
+
+  /**
+   * Starts including a node.
+   *
+   * "smartStart" does not start a classic inclusion. SmartStart nodes are
+   * included automatically while the controller listens for them, which it
+   * does whenever there are active provisioning entries. This only makes sure
+   * the controller is listening.
+   *
+   * @param {Object} options
+   * @param {string} [options.strategy] - "default", "smartStart", "s2" or "insecure" (default: "default")
+   * @param {boolean} [options.forceSecurity] - With "default": use S0 for nodes that don't need it
+   * @param {string} [options.dsk] - With "s2": the DSK of the node, if known. No PIN is requested then
+   * @param {Object} [options.prompt] - With "default" and "s2": asks the user who started the
+   *   inclusion to grant security classes and validate the DSK, see createGrantPolicy
+   * @param {string} [options.actor] - Who started the inclusion, for the audit log
+   * @returns {Promise<{strategy: string, started: boolean, inclusionState: string}>}
+   * @throws {ProtocolError} INCLUSION_ACTIVE if the controller is already including or excluding a node
+   */
+  async beginInclusion(options = {}) {
+    return this._audited(
+      {
+        actor: options.actor,
+        action: "BEGIN_INCLUSION",
+        details: { strategy: options.strategy || "default" },
+      },
+      () => this._beginInclusion(options)
+    );
+  }
+
+  async _beginInclusion(options) {
+    if (!this.driverReady) {
+      throw new ProtocolError(ErrorCode.DRIVER_NOT_READY, "Driver not ready");
+    }
+    const { strategy = "default", forceSecurity, prompt } = options;
+    const dsk = options.dsk && this.normalizeDSK(options.dsk);
+    const controller = this.driver.controller;
+
+    if (strategy === "smartStart") {
+      const pending = controller
+        .getProvisioningEntries()
+        .filter(
+          (entry) =>
+            entry.status !== ProvisioningEntryStatus.Inactive && !entry.nodeId
+        ).length;
+      console.log(
+        `[Smart Start] SmartStart-only inclusion requested, ${pending} active provisioning entry/entries pending`
+      );
+      if (controller.inclusionState === InclusionState.Idle) {
+        // Enables SmartStart listening if there are active entries
+        controller.autoProvisionSmartStart();
+      }
+      return {
+        strategy,
+        started: pending > 0,
+        pendingEntries: pending,
+        inclusionState: InclusionState[controller.inclusionState],
+      };
+    }
+
+    const inclusionOptions =
+      strategy === "insecure"
+        ? { strategy: InclusionStrategy.Insecure }
+        : strategy === "s2"
+        ? {
+            strategy: InclusionStrategy.Security_S2,
+            dsk,
+            userCallbacks: this._createUserCallbacks({ prompt, dsk }),
+          }
+        : {
+            strategy: InclusionStrategy.Default,
+            forceSecurity,
+            userCallbacks: this._createUserCallbacks({ prompt }),
+          };
+
+    console.log(`[Smart Start] Beginning inclusion (strategy: ${strategy})`);
+    const started = await controller.beginInclusion(inclusionOptions);
+    if (!started) {
+      throw new ProtocolError(
+        ErrorCode.INCLUSION_ACTIVE,
+        `The controller is busy (${InclusionState[controller.inclusionState]})`,
+        { inclusionState: InclusionState[controller.inclusionState] }
+      );
+    }
+    return {
+      strategy,
+      started,
+      inclusionState: InclusionState[controller.inclusionState],
+    };
+  }
+
+  /**
+   * Creates the zwave-js user callbacks for S2 bootstrapping. The grant
+   * policy decides, asking the prompt where there is one.
+   * @param {Object} [options]
+   * @param {Object} [options.prompt] - Prompt of the client that started the inclusion
+   * @param {string} [options.dsk] - DSK given when the inclusion was started
+   */
+  _createUserCallbacks({ prompt: inclusionPrompt, dsk } = {}) {
+    const policy = this.grantPolicy;
+    return {
+      grantSecurityClasses: async (requested) => {
+        const node = this._foundNode;
+        const entry = dsk && this.driver.controller.getProvisioningEntry(dsk);
+        const keys =
+          node?.id > 255
+            ? this.options.securityKeysLongRange
+            : this.options.securityKeys;
+        const grant = await policy.decideGrant(
+          {
+            nodeId: node?.id,
+            securityClasses: toSecurityClassNames(requested.securityClasses),
+            clientSideAuth: requested.clientSideAuth,
+            availableKeys: Object.keys(keys || {}),
+            provisioningEntryClasses: entry
+              ? toSecurityClassNames(entry.securityClasses)
+              : undefined,
+            isLock: isLock(node),
+            dskKnown: !!dsk,
+          },
+          policy.getPrompt(inclusionPrompt)
+        );
+        if (!grant) return false;
+        return {
+          securityClasses: fromSecurityClassNames(grant.securityClasses),
+          clientSideAuth: grant.clientSideAuth,
+        };
+      },
+      validateDSKAndEnterPIN: (nodeDSK) =>
+        policy.validateDSK(
+          nodeDSK,
+          this._foundNode?.id,
+          policy.getPrompt(inclusionPrompt)
+        ),
+      abort: () => {
+        console.warn(`[Security] ⚠️  S2 bootstrapping aborted`);
+        policy.getPrompt(inclusionPrompt)?.abort?.();
+      },
+    };
+  }
+
+  /**
+   * Stops a running inclusion
+   * @returns {Promise<boolean>} false if no inclusion was running
+   */
+  async stopInclusion() {
+    if (!this.driverReady) {
+      throw new ProtocolError(ErrorCode.DRIVER_NOT_READY, "Driver not ready");
+    }
+    console.log(`[Smart Start] Stopping inclusion`);
+    return this.driver.controller.stopInclusion();
+  }
+
+  /**
+   * Starts excluding a node
+   * @param {Object} [options]
+   * @param {string} [options.strategy] - "excludeOnly", "disableProvisioningEntry" (default) or "unprovision":
+   *   what happens to the provisioning entry of the excluded node
+   * @param {string} [options.actor] - Who started the exclusion, for the audit log
+   * @returns {Promise<{strategy: string, started: boolean, inclusionState: string}>}
+   * @throws {ProtocolError} INCLUSION_ACTIVE if the controller is already including or excluding a node
+   */
+  async beginExclusion(options = {}) {
+    return this._audited(
+      {
+        actor: options.actor,
+        action: "BEGIN_EXCLUSION",
+        details: { strategy: options.strategy || "disableProvisioningEntry" },
+      },
+      () => this._beginExclusion(options)
+    );
+  }
+
+  async _beginExclusion(options) {
+    if (!this.driverReady) {
+      throw new ProtocolError(ErrorCode.DRIVER_NOT_READY, "Driver not ready");
+    }
+    const { strategy = "disableProvisioningEntry" } = options;
+    const controller = this.driver.controller;
+
+    console.log(`[Smart Start] Beginning exclusion (strategy: ${strategy})`);
+    const started = await controller.beginExclusion({
+      strategy: EXCLUSION_STRATEGIES[strategy],
+    });
+    if (!started) {
+      throw new ProtocolError(
+        ErrorCode.INCLUSION_ACTIVE,
+        `The controller is busy (${InclusionState[controller.inclusionState]})`,
+        { inclusionState: InclusionState[controller.inclusionState] }
+      );
+    }
+    return {
+      strategy,
+      started,
+      inclusionState: InclusionState[controller.inclusionState],
+    };
+  }
+
+  /**
+   * Stops a running exclusion
+   * @returns {Promise<boolean>} false if no exclusion was running
+   */
+  async stopExclusion() {
+    if (!this.driverReady) {
+      throw new ProtocolError(ErrorCode.DRIVER_NOT_READY, "Driver not ready");
+    }
+    console.log(`[Smart Start] Stopping exclusion`);
+    return this.driver.controller.stopExclusion();
   }
 
   /**
@@ -752,6 +1265,7 @@ export class ZWaveProvisioningClient extends EventEmitter {
         id: node.id,
         name: node.name || `Node ${node.id}`,
         status: NodeStatus[node.status] || "Unknown",
+        powerMode: this.locks.get(node.id)?.getPowerMode() ?? null,
         deviceConfig: node.deviceConfig
           ? {
               manufacturer: node.deviceConfig.manufacturer,
@@ -783,6 +1297,7 @@ export class ZWaveProvisioningClient extends EventEmitter {
       id: node.id,
       name: node.name || `Node ${node.id}`,
       status: NodeStatus[node.status] || "Unknown",
+      powerMode: this.locks.get(node.id)?.getPowerMode() ?? null,
       deviceConfig: node.deviceConfig
         ? {
             manufacturer: node.deviceConfig.manufacturer,
@@ -805,6 +1320,9 @@ export class ZWaveProvisioningClient extends EventEmitter {
       waitForDriverReady: () => this.waitForDriverReady(),
       forceManufacturerProprietarySupport: (node) =>
         this._forceManufacturerProprietarySupport(node),
+      productProfiles: this.productProfiles,
+      payloadSecurity: (nodeId) => this._getPayloadSecurity(nodeId),
+      transmitScheduler: this.transmitScheduler,
     });
   }
 
@@ -877,14 +1395,26 @@ export class ZWaveProvisioningClient extends EventEmitter {
         command.constructor?.name === "ManufacturerProprietaryCC";
 
       if (isManufacturerProprietary) {
+        let payload = command.payload ? Buffer.from(command.payload) : null;
+        const security = this._getPayloadSecurity(node.id);
+        if (security) {
+          try {
+            payload = await security.unprotect(
+              command.manufacturerId,
+              payload ?? Buffer.alloc(0)
+            );
+          } catch (error) {
+            this._onPayloadAuthFailed(node.id, command, error);
+            return;
+          }
+        }
         const commandData = {
           nodeId: node.id,
           manufacturerId: command.manufacturerId,
-          payload: command.payload
-            ? Array.from(Buffer.from(command.payload))
-            : null,
-          payloadLength: command.payload?.length || 0,
+          payload: payload ? Array.from(payload) : null,
+          payloadLength: payload?.length || 0,
           endpointIndex: command.endpointIndex || 0,
+          ...(security && { secured: true }),
         };
 
         console.log(
@@ -893,10 +1423,14 @@ export class ZWaveProvisioningClient extends EventEmitter {
             manufacturerId: commandData.manufacturerId
               ? `0x${commandData.manufacturerId.toString(16).padStart(4, "0")}`
               : "unknown",
-            payload: commandData.payload,
-            payloadHex: commandData.payload
-              ? Buffer.from(commandData.payload).toString("hex")
-              : null,
+            // Unwrapped payloads are not logged, like the keys they were secured with
+            ...(!security && {
+              payload: commandData.payload,
+              payloadHex: commandData.payload
+                ? Buffer.from(commandData.payload).toString("hex")
+                : null,
+            }),
+            secured: !!security,
             payloadLength: commandData.payloadLength,
             endpointIndex: commandData.endpointIndex,
             commandType: command.constructor?.name,
@@ -904,8 +1438,25 @@ export class ZWaveProvisioningClient extends EventEmitter {
           }
         );
 
+        this.locks.get(node.id)?.handleManufacturerProprietaryResponse(
+          commandData
+        );
         this.emit("manufacturerProprietaryCommand", commandData);
 
+        const message = this.mpCodecs.decode(
+          commandData.manufacturerId,
+          commandData.payload
+        );
+        if (message) {
+          this.emit("mpMessage", {
+            nodeId: node.id,
+            manufacturerId: commandData.manufacturerId,
+            endpointIndex: commandData.endpointIndex,
+            ...(security && { secured: true }),
+            ...message,
+          });
+        }
+
         // Note: We don't emit commandClassCommand for Manufacturer Proprietary
         // to avoid duplicate messages. The manufacturerProprietaryCommand event
         // is sufficient and more specific.
@@ -927,6 +1478,592 @@ export class ZWaveProvisioningClient extends EventEmitter {
     );
   }
 
+  /**
+   * Returns the DSK of a node: the one of its provisioning entry, or the one
+   * it reported during S2 bootstrapping
+   * @param {number} nodeId - The node ID
+   * @returns {string|null}
+   * @private
+   */
+  _getNodeDSK(nodeId) {
+    const entry = this.driver?.controller
+      .getProvisioningEntries()
+      .find((provisioned) => provisioned.nodeId === nodeId);
+    if (entry) return entry.dsk;
+    const dsk = this.driver?.controller.nodes.get(nodeId)?.dsk;
+    return dsk ? dskToString(dsk) : null;
+  }
+
+  /**
+   * Returns the payload security of a node, see mp-security.js
+   * @param {number} nodeId - The node ID
+   * @returns {{mode: string, overhead: number, protect: Function, unprotect: Function}|null}
+   *   null if its Manufacturer Proprietary payloads are sent in clear
+   * @private
+   */
+  _getPayloadSecurity(nodeId) {
+    if (!this.mpSecurity) return null;
+    const dsk = this._getNodeDSK(nodeId);
+    const info = dsk && this.mpSecurity.getInfo(dsk);
+    if (!info) return null;
+    return {
+      mode: info.mode,
+      overhead: MP_SECURITY_OVERHEAD,
+      protect: (manufacturerId, payload) =>
+        this.mpSecurity.protect(dsk, manufacturerId, payload),
+      unprotect: (manufacturerId, payload) =>
+        this.mpSecurity.unprotect(dsk, manufacturerId, payload),
+    };
+  }
+
+  /**
+   * Drops a Manufacturer Proprietary frame that failed the payload security
+   * check, records it and emits `mpAuthFailed`
+   * @private
+   */
+  _onPayloadAuthFailed(nodeId, command, error) {
+    const { code, message, details } = toProtocolError(error);
+    console.warn(
+      `[MP Security] ⚠️  Dropped a frame from node ${nodeId}: ${message}`
+    );
+    const failure = {
+      nodeId,
+      manufacturerId: command.manufacturerId,
+      payloadLength: command.payload?.length || 0,
+      code,
+      message,
+      ...details,
+    };
+    this.auditLog?.record({
+      actor: "controller",
+      action: "MP_AUTH_FAILED",
+      nodeId,
+      result: "failed",
+      details: { code, message, ...details },
+    });
+    this.emit("mpAuthFailed", failure);
+  }
+
+  /**
+   * Creates the ZWaveLock for a node and forwards its lock state changes.
+   * Must run after setupManufacturerProprietaryCommandHandler, so CC 0x91
+   * frames keep being emitted by this client.
+   * @param {import("../../packages/zwave-js/src/Node.js").ZWaveNode} node
+   * @private
+   */
+  _addLock(node) {
+    if (node.isControllerNode || this.locks.has(node.id)) return;
+    const lock = new ZWaveLock(node, {
+      deviceConfigDir: this.options.storage.deviceConfigPriorityDir,
+      driver: this.driver,
+      productProfiles: this.productProfiles,
+      payloadSecurity: () => this._getPayloadSecurity(node.id),
+      transmitScheduler: this.transmitScheduler,
+    });
+    lock.on("lockStateChanged", (state) => {
+      this.emit("lockStateChanged", node.id, state);
+    });
+    lock.on("userCodeChanged", (change) => {
+      this.emit("userCodeChanged", node.id, change);
+    });
+    lock.on("batteryChanged", (battery) => {
+      this._onBatteryChanged(node.id, battery);
+    });
+    // A sleeping node only listens for a moment after it wakes up
+    const onWakeUp = async () => {
+      await this.commandQueue.flush(node.id);
+      if (this._clockSyncPending.delete(node.id)) {
+        await this._syncLockClock(lock);
+      }
+    };
+    node.on("wake up", onWakeUp);
+    this._removeWakeUpListeners.set(node.id, () =>
+      node.off("wake up", onWakeUp)
+    );
+    lock.on("lockEvent", (lockEvent) => {
+      const entry = { nodeId: node.id, ...lockEvent };
+      this.emit(
+        "lockEvent",
+        this.lockEventLog?.record(entry) ?? {
+          timestamp: new Date().toISOString(),
+          ...entry,
+        }
+      );
+    });
+    this.locks.set(node.id, lock);
+    // Levels from the network cache, reported before the server was started
+    this._onBatteryChanged(node.id, lock.getCachedBatteryState());
+  }
+
+  /**
+   * Passes a battery state to the battery monitor and emits `batteryLow`
+   * when the battery just became low
+   * @private
+   */
+  _onBatteryChanged(nodeId, battery) {
+    if (!this.batteryMonitor || !battery) return;
+    const { alert } = this.batteryMonitor.update(nodeId, battery);
+    if (alert) {
+      this.emit("batteryLow", alert);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _removeLock(nodeId) {
+    this.locks.get(nodeId)?.destroy();
+    this.locks.delete(nodeId);
+    this._removeWakeUpListeners.get(nodeId)?.();
+    this._removeWakeUpListeners.delete(nodeId);
+    this._clockSyncPending.delete(nodeId);
+    this.commandQueue.clear(
+      nodeId,
+      new ProtocolError(
+        ErrorCode.NODE_NOT_FOUND,
+        `Node ${nodeId} was removed from the network`
+      )
+    );
+  }
+
+  /**
+   * Returns the ZWaveLock of a node
+   * @param {number} nodeId - The node ID
+   * @returns {ZWaveLock}
+   * @throws {ProtocolError} DRIVER_NOT_READY or NODE_NOT_FOUND
+   */
+  getLock(nodeId) {
+    if (!this.driverReady || !this.driver) {
+      throw new ProtocolError(ErrorCode.DRIVER_NOT_READY, "Driver not ready");
+    }
+    const lock = this.locks.get(nodeId);
+    if (!lock) {
+      throw new ProtocolError(
+        ErrorCode.NODE_NOT_FOUND,
+        `Node ${nodeId} not found`
+      );
+    }
+    return lock;
+  }
+
+  /**
+   * Secures a lock via Door Lock CC
+   * @param {number} nodeId - The node ID
+   * @param {Object} [options]
+   * @param {string} [options.actor] - Who locked it, for the audit log
+   * @param {number} [options.queueTtl] - Seconds the command waits if the lock is asleep (default: 24 hours)
+   */
+  async lock(nodeId, { actor, queueTtl } = {}) {
+    return this._sendOrQueue(
+      { actor, action: "LOCK", nodeId },
+      () => this.getLock(nodeId).lock(),
+      { ttl: queueTtl }
+    );
+  }
+
+  /**
+   * Unsecures a lock via Door Lock CC
+   * @param {number} nodeId - The node ID
+   * @param {Object} [options]
+   * @param {string} [options.actor] - Who unlocked it, for the audit log
+   * @param {number} [options.queueTtl] - Seconds the command waits if the lock is asleep (default: 24 hours)
+   */
+  async unlock(nodeId, { actor, queueTtl } = {}) {
+    return this._sendOrQueue(
+      { actor, action: "UNLOCK", nodeId },
+      () => this.getLock(nodeId).unlock(),
+      { ttl: queueTtl }
+    );
+  }
+
+  /**
+   * Changes the Door Lock configuration of a lock, see ZWaveLock.setConfiguration
+   * @param {number} nodeId - The node ID
+   * @param {Object} changes - The settings to change
+   * @param {Object} [options]
+   * @param {string} [options.actor] - Who changed it, for the audit log
+   * @param {number} [options.queueTtl] - Seconds the command waits if the lock is asleep (default: 24 hours)
+   */
+  async setLockConfiguration(nodeId, changes, { actor, queueTtl } = {}) {
+    return this._sendOrQueue(
+      {
+        actor,
+        action: "SET_LOCK_CONFIGURATION",
+        nodeId,
+        details: { changes },
+      },
+      () => this.getLock(nodeId).setConfiguration(changes),
+      { ttl: queueTtl }
+    );
+  }
+
+  /**
+   * Stores a user code on a lock, see ZWaveLock.setUserCode. The audit log
+   * only records a masked code.
+   * @param {number} nodeId - The node ID
+   * @param {number} userId - The slot, starting at 1
+   * @param {string} userCode - The code
+   * @param {Object} [options]
+   * @param {string} [options.userIdStatus] - Status of the slot (default: "Enabled")
+   * @param {string} [options.actor] - Who set it, for the audit log
+   * @param {number} [options.queueTtl] - Seconds the command waits if the lock is asleep (default: 24 hours)
+   */
+  async setUserCode(
+    nodeId,
+    userId,
+    userCode,
+    { userIdStatus, actor, queueTtl } = {}
+  ) {
+    return this._sendOrQueue(
+      {
+        actor,
+        action: "SET_USER_CODE",
+        nodeId,
+        details: {
+          userId,
+          userIdStatus: userIdStatus ?? "Enabled",
+          userCode: maskUserCode(userCode),
+        },
+      },
+      () =>
+        this.getLock(nodeId).setUserCode(userId, userCode, { userIdStatus }),
+      { ttl: queueTtl }
+    );
+  }
+
+  /**
+   * Clears a user code slot of a lock, or all of them with userId 0
+   * @param {number} nodeId - The node ID
+   * @param {number} userId - The slot
+   * @param {Object} [options]
+   * @param {string} [options.actor] - Who cleared it, for the audit log
+   * @param {number} [options.queueTtl] - Seconds the command waits if the lock is asleep (default: 24 hours)
+   */
+  async clearUserCode(nodeId, userId, { actor, queueTtl } = {}) {
+    return this._sendOrQueue(
+      { actor, action: "CLEAR_USER_CODE", nodeId, details: { userId } },
+      () => this.getLock(nodeId).clearUserCode(userId),
+      { ttl: queueTtl }
+    );
+  }
+
+  /**
+   * Sets and clears several user codes of a lock, see ZWaveLock.setUserCodes.
+   * Every slot gets its own SET_USER_CODE or CLEAR_USER_CODE audit entry.
+   * @param {number} nodeId - The node ID
+   * @param {Array<{userId: number, userCode?: string, userIdStatus?: string}>} codes
+   * @param {Object} [options]
+   * @param {string} [options.actor] - Who set them, for the audit log
+   * @param {number} [options.queueTtl] - Seconds the command waits if the lock is asleep (default: 24 hours)
+   */
+  async setUserCodes(nodeId, codes, { actor, queueTtl } = {}) {
+    return this._sendOrQueue(
+      {
+        actor,
+        action: "SET_USER_CODES",
+        nodeId,
+        details: { userIds: codes.map(({ userId }) => userId) },
+      },
+      () => this._setUserCodes(nodeId, codes, actor),
+      // Every slot is audited on its own
+      { ttl: queueTtl, recordOutcome: false }
+    );
+  }
+
+  /**
+   * @private
+   */
+  async _setUserCodes(nodeId, codes, actor) {
+    const report = await this.getLock(nodeId).setUserCodes(codes);
+    report.results.forEach((result, i) => {
+      const { userCode, userIdStatus = "Enabled" } = codes[i];
+      const clear = userIdStatus === "Available";
+      this.auditLog?.record({
+        actor: actor || "unknown",
+        action: clear ? "CLEAR_USER_CODE" : "SET_USER_CODE",
+        nodeId,
+        result: result.status === "failed" ? "failed" : "success",
+        details: {
+          userId: result.userId,
+          ...(!clear && { userIdStatus, userCode: maskUserCode(userCode) }),
+          bulk: true,
+          ...(result.status === "failed" && {
+            code: result.code,
+            message: result.message,
+          }),
+        },
+      });
+    });
+    return report;
+  }
+
+  /**
+   * Changes the admin code of a lock. The audit log does not record the code.
+   * @param {number} nodeId - The node ID
+   * @param {string} adminCode - The new code, or "" to deactivate it
+   * @param {Object} [options]
+   * @param {string} [options.actor] - Who changed it, for the audit log
+   * @param {number} [options.queueTtl] - Seconds the command waits if the lock is asleep (default: 24 hours)
+   */
+  async setAdminCode(nodeId, adminCode, { actor, queueTtl } = {}) {
+    return this._sendOrQueue(
+      {
+        actor,
+        action: "SET_ADMIN_CODE",
+        nodeId,
+        details: { active: !!adminCode },
+      },
+      () => this.getLock(nodeId).setAdminCode(adminCode),
+      { ttl: queueTtl }
+    );
+  }
+
+  /**
+   * Changes the keypad mode of a lock
+   * @param {number} nodeId - The node ID
+   * @param {string} keypadMode - "Normal", "Vacation", "Privacy" or "LockedOut"
+   * @param {Object} [options]
+   * @param {string} [options.actor] - Who changed it, for the audit log
+   * @param {number} [options.queueTtl] - Seconds the command waits if the lock is asleep (default: 24 hours)
+   */
+  async setKeypadMode(nodeId, keypadMode, { actor, queueTtl } = {}) {
+    return this._sendOrQueue(
+      { actor, action: "SET_KEYPAD_MODE", nodeId, details: { keypadMode } },
+      () => this.getLock(nodeId).setKeypadMode(keypadMode),
+      { ttl: queueTtl }
+    );
+  }
+
+  /**
+   * Stores a schedule on a lock, see ZWaveLock.setSchedule
+   * @param {number} nodeId - The node ID
+   * @param {string} kind - "WeekDay", "YearDay" or "DailyRepeating"
+   * @param {{userId: number, slotId: number}} slot
+   * @param {Object} schedule
+   * @param {Object} [options]
+   * @param {string} [options.actor] - Who set it, for the audit log
+   * @param {number} [options.queueTtl] - Seconds the command waits if the lock is asleep (default: 24 hours)
+   */
+  async setSchedule(nodeId, kind, slot, schedule, { actor, queueTtl } = {}) {
+    return this._sendOrQueue(
+      {
+        actor,
+        action: "SET_SCHEDULE",
+        nodeId,
+        details: { kind, ...slot, schedule },
+      },
+      () => this.getLock(nodeId).setSchedule(kind, slot, schedule),
+      { ttl: queueTtl }
+    );
+  }
+
+  /**
+   * Erases a schedule slot of a lock
+   * @param {number} nodeId - The node ID
+   * @param {string} kind - "WeekDay", "YearDay" or "DailyRepeating"
+   * @param {{userId: number, slotId: number}} slot
+   * @param {Object} [options]
+   * @param {string} [options.actor] - Who cleared it, for the audit log
+   * @param {number} [options.queueTtl] - Seconds the command waits if the lock is asleep (default: 24 hours)
+   */
+  async clearSchedule(nodeId, kind, slot, { actor, queueTtl } = {}) {
+    return this._sendOrQueue(
+      { actor, action: "CLEAR_SCHEDULE", nodeId, details: { kind, ...slot } },
+      () => this.getLock(nodeId).clearSchedule(kind, slot),
+      { ttl: queueTtl }
+    );
+  }
+
+  /**
+   * Returns the wake-up interval of a sleeping node, see ZWaveLock.getWakeUpInterval
+   * @param {number} nodeId - The node ID
+   */
+  getWakeUpInterval(nodeId) {
+    return this.getLock(nodeId).getWakeUpInterval();
+  }
+
+  /**
+   * Changes how often a sleeping node wakes up. The node is asleep most of
+   * the time, so the change is usually queued until its next wake-up.
+   * @param {number} nodeId - The node ID
+   * @param {number} wakeUpInterval - Seconds between wake-ups
+   * @param {Object} [options]
+   * @param {string} [options.actor] - Who changed it, for the audit log
+   * @param {number} [options.queueTtl] - Seconds the command waits if the node is asleep (default: 24 hours)
+   */
+  async setWakeUpInterval(nodeId, wakeUpInterval, { actor, queueTtl } = {}) {
+    return this._sendOrQueue(
+      {
+        actor,
+        action: "SET_WAKE_UP_INTERVAL",
+        nodeId,
+        details: { wakeUpInterval },
+      },
+      () =>
+        this.getLock(nodeId).setWakeUpInterval(
+          wakeUpInterval,
+          this.driver.controller.ownNodeId
+        ),
+      { ttl: queueTtl }
+    );
+  }
+
+  /**
+   * Returns the commands waiting for sleeping nodes, oldest first
+   * @param {number} [nodeId] - Only the commands of this node
+   */
+  getQueue(nodeId) {
+    if (!this.driverReady || !this.driver) {
+      throw new ProtocolError(ErrorCode.DRIVER_NOT_READY, "Driver not ready");
+    }
+    return this.commandQueue.list(nodeId);
+  }
+
+  /**
+   * Removes a queued command before it is sent
+   * @param {string} queueId - ID of the queued command
+   * @param {Object} [options]
+   * @param {string} [options.actor] - Who cancelled it, for the audit log
+   * @returns {Object} The cancelled command
+   * @throws {ProtocolError} QUEUED_COMMAND_NOT_FOUND if it was already sent or expired
+   */
+  cancelQueued(queueId, { actor } = {}) {
+    const cancelled = this.commandQueue.cancel(queueId);
+    this._queuedAudits.delete(queueId);
+    console.log(
+      `[Queue] 🗑️  ${cancelled.command} for node ${cancelled.nodeId} cancelled (${queueId})`
+    );
+    this.auditLog?.record({
+      actor: actor || "unknown",
+      action: "CANCEL_QUEUED",
+      nodeId: cancelled.nodeId,
+      result: "success",
+      details: { queueId, command: cancelled.command },
+    });
+    return cancelled;
+  }
+
+  /**
+   * Returns the battery state of all battery-powered locks, lowest level
+   * first. Locks that have not reported a level yet come last.
+   * @returns {{lowThreshold: number|null, locks: Object[]}} `lowThreshold`
+   *   is null without a battery monitor. Each lock has `nodeId`, `name`,
+   *   `status`, `level`, `chargingStatus`, `rechargeOrReplace`, `low` and
+   *   `updatedAt` (null if unknown)
+   */
+  getBatteryReport() {
+    if (!this.driverReady || !this.driver) {
+      throw new ProtocolError(ErrorCode.DRIVER_NOT_READY, "Driver not ready");
+    }
+    const locks = [];
+    for (const lock of this.locks.values()) {
+      if (!isLock(lock.node)) continue;
+      // The monitor also knows the levels of locks that did not report since the restart
+      const state =
+        this.batteryMonitor?.getState(lock.nodeId) ??
+        lock.getCachedBatteryState();
+      if (!state) continue;
+      locks.push({
+        nodeId: lock.nodeId,
+        name: lock.node.name || null,
+        status: NodeStatus[lock.node.status],
+        level: state.level ?? null,
+        chargingStatus: state.chargingStatus ?? null,
+        rechargeOrReplace: state.rechargeOrReplace ?? null,
+        low: state.low ?? null,
+        updatedAt: state.updatedAt ?? null,
+      });
+    }
+    locks.sort(
+      (a, b) =>
+        (a.level ?? Infinity) - (b.level ?? Infinity) || a.nodeId - b.nodeId
+    );
+    return {
+      lowThreshold: this.batteryMonitor?.lowThreshold ?? null,
+      locks,
+    };
+  }
+
+  /**
+   * Returns the recorded battery changes of a node, newest first
+   * @param {number} nodeId - The node ID
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum number of entries (default: 100)
+   * @throws {ProtocolError} INTERNAL_ERROR if there is no battery monitor
+   */
+  async getBatteryHistory(nodeId, { limit } = {}) {
+    if (!this.batteryMonitor) {
+      throw new ProtocolError(
+        ErrorCode.INTERNAL_ERROR,
+        "No battery monitor configured"
+      );
+    }
+    return this.batteryMonitor.getHistory(nodeId, { limit });
+  }
+
+  /**
+   * Sets date, time and timezone on every lock that supports schedules.
+   * Locks that are asleep only take the time when they wake up, so they are
+   * synced from their wake-up handler instead.
+   */
+  async syncLockClocks() {
+    const awake = [];
+    for (const lock of this.locks.values()) {
+      if (lock.node.status === NodeStatus.Asleep) {
+        this._clockSyncPending.add(lock.nodeId);
+      } else {
+        awake.push(lock);
+      }
+    }
+    await Promise.all(awake.map((lock) => this._syncLockClock(lock)));
+  }
+
+  /**
+   * Sets the clock of a lock if it supports schedules. Failures are logged,
+   * and a sleeping lock is tried again at its next wake-up.
+   * @private
+   */
+  async _syncLockClock(lock) {
+    if (
+      !lock.node.ready ||
+      !lock.node.supportsCC(CommandClasses["Schedule Entry Lock"])
+    ) {
+      return;
+    }
+    try {
+      await lock.syncClock();
+    } catch (error) {
+      console.warn(
+        `[Schedules] ⚠️  Could not set the clock of node ${lock.nodeId}: ${error.message}`
+      );
+      if (lock.getPowerMode() === "sleeping") {
+        this._clockSyncPending.add(lock.nodeId);
+      }
+    }
+  }
+
+  /**
+   * Resynchronizes the lock clocks once a day and right after the next DST
+   * switch, so schedules keep following the local time
+   * @private
+   */
+  _scheduleClockSync() {
+    clearTimeout(this._clockSyncTimer);
+    const now = Date.now();
+    const { startDate, endDate } = getDSTInfo(new Date(now));
+    const untilSwitch = [startDate, endDate]
+      .map((date) => date.getTime() - now)
+      .filter((ms) => ms > 0)
+      // The offset changes at the switch, so sync shortly afterwards
+      .map((ms) => ms + 60 * 1000);
+    const delay = Math.min(CLOCK_SYNC_INTERVAL, ...untilSwitch);
+    this._clockSyncTimer = setTimeout(async () => {
+      await this.syncLockClocks();
+      this._scheduleClockSync();
+    }, delay);
+    this._clockSyncTimer.unref();
+  }
+
   /**
    * Waits for the driver to be ready.
    * @param {number} timeoutMs - Timeout in milliseconds (default: 30000)
@@ -957,7 +2094,12 @@ export class ZWaveProvisioningClient extends EventEmitter {
       this.driver.once("error", onError);
       timer = setTimeout(() => {
         cleanup();
-        reject(new Error("Timed out waiting for driver ready"));
+        reject(
+          new ProtocolError(
+            ErrorCode.DRIVER_NOT_READY,
+            "Timed out waiting for driver ready"
+          )
+        );
       }, timeoutMs);
     });
   }
@@ -969,30 +2111,182 @@ export class ZWaveProvisioningClient extends EventEmitter {
    * @param {number} nodeId - The target node ID (default: 2)
    * @param {number} manufacturerId - The 2-byte manufacturer ID (default: 0x0000 for Silicon Labs)
    * @param {number} count - Number of frames to send (default: 5)
-   * @returns {Promise<Object>} Result object with details
+   * @param {number} queueTtl - Seconds the command waits if the node is asleep (default: 24 hours)
+   * @param {Function} onProgress - Called with `{frameNumber, status, remainingDuration?}` when a frame the node is working on finishes (optional)
+   * @returns {Promise<Object>} Result object with details, or the queued command with `queued: true`
    */
   async sendManufacturerProprietaryRandom(options = {}) {
     if (!this._mpSender) {
       this._initializeMPSender();
     }
-    return this._mpSender.sendManufacturerProprietaryRandom(options);
+    const { actor, queueTtl, ...sendOptions } = options;
+    return this._sendOrQueue(
+      {
+        actor,
+        action: "SEND_MP_COMMAND",
+        nodeId: sendOptions.nodeId ?? 2,
+        details: { random: true, count: sendOptions.count ?? 5 },
+      },
+      () => this._mpSender.sendManufacturerProprietaryRandom(sendOptions),
+      { ttl: queueTtl }
+    );
   }
 
   /**
-   * Sends a Manufacturer Proprietary (CC 0x91) command with a custom 32-byte payload.
+   * Sends a Manufacturer Proprietary (CC 0x91) command with a custom payload.
    * Delegates to the Manufacturer Proprietary sender module.
    *
    * @param {number} nodeId - The target node ID (default: 2)
-   * @param {Buffer} vendorPayload - The 32-byte vendor payload (must be exactly 32 bytes)
+   * @param {Buffer} vendorPayload - The vendor payload, within the node's limits (see getPayloadLimits)
    * @param {number} manufacturerId - The 2-byte manufacturer ID (default: 0x0000 for Silicon Labs)
    * @param {number} count - Number of frames to send (default: 1, max: 100)
-   * @returns {Promise<Object>} Result object with details
+   * @param {string} actor - Who sent the command, for the audit log
+   * @param {number} queueTtl - Seconds the command waits if the node is asleep (default: 24 hours)
+   * @param {string} command - Name of the codec command the payload encodes, for the audit log (optional)
+   * @param {Function} onProgress - Called with `{frameNumber, status, remainingDuration?}` when a frame the node is working on finishes (optional)
+   * @returns {Promise<Object>} Result object with details, or the queued command with `queued: true`
    */
   async sendManufacturerProprietaryCustom(options) {
     if (!this._mpSender) {
       this._initializeMPSender();
     }
-    return this._mpSender.sendManufacturerProprietaryCustom(options);
+    const { actor, queueTtl, command, ...sendOptions } = options;
+    if (Buffer.isBuffer(sendOptions.vendorPayload) && this.driverReady) {
+      // Reject a wrong length now instead of when a sleeping node wakes up
+      checkVendorPayloadLength(
+        sendOptions.vendorPayload,
+        this.getPayloadLimits(sendOptions.nodeId ?? 2)
+      );
+    }
+    return this._sendOrQueue(
+      {
+        actor,
+        action: "SEND_MP_COMMAND",
+        nodeId: sendOptions.nodeId ?? 2,
+        // Lock payloads may contain secrets, so only their hash is recorded
+        payloadHash: Buffer.isBuffer(sendOptions.vendorPayload)
+          ? hashPayload(sendOptions.vendorPayload)
+          : undefined,
+        details: {
+          manufacturerId: sendOptions.manufacturerId ?? 0x0000,
+          count: sendOptions.count ?? 1,
+          ...(command && { command }),
+        },
+      },
+      () => this._mpSender.sendManufacturerProprietaryCustom(sendOptions),
+      { ttl: queueTtl }
+    );
+  }
+
+  /**
+   * Sends a named Manufacturer Proprietary command, encoded by the codec of
+   * the manufacturer ID
+   * @param {number} nodeId - The node ID
+   * @param {string} command - Command name, e.g. "OPEN_DOOR"
+   * @param {Object} [args] - Arguments of the command
+   * @param {Object} [options]
+   * @param {number} [options.manufacturerId] - Manufacturer ID of the codec (default: the node's)
+   * @param {string} [options.actor] - Who sent it, for the audit log
+   * @param {number} [options.queueTtl] - Seconds the command waits if the node is asleep (default: 24 hours)
+   * @param {Function} [options.onProgress] - See sendManufacturerProprietaryCustom
+   * @returns {Promise<Object>} The result of sendManufacturerProprietaryCustom
+   *   with `codec` and `command`, or the queued command with `queued: true`
+   * @throws {ProtocolError} INVALID_PARAMETER if no codec can encode the command
+   */
+  async sendMP(nodeId, command, args = {}, options = {}) {
+    const { node } = this.getLock(nodeId);
+    const manufacturerId = options.manufacturerId ?? node.manufacturerId ?? 0;
+    const { codec, payload } = this.mpCodecs.encode(
+      manufacturerId,
+      command,
+      args
+    );
+    const result = await this.sendManufacturerProprietaryCustom({
+      nodeId,
+      vendorPayload: payload,
+      manufacturerId,
+      command,
+      actor: options.actor,
+      queueTtl: options.queueTtl,
+      onProgress: options.onProgress,
+    });
+    return result.queued ? result : { ...result, codec, command };
+  }
+
+  /**
+   * Sends a Manufacturer Proprietary (CC 0x91) frame and waits for the
+   * node's reply. Delegates to ZWaveLock.requestMP. Unlike the other
+   * commands, requests to sleeping nodes are not queued, because they could
+   * not reply in time. Nor are they sent ahead of queued commands.
+   *
+   * @param {number} nodeId - The node ID
+   * @param {Buffer|string} payload - The vendor payload, within the node's limits (see getPayloadLimits)
+   * @param {number} manufacturerId - The 2-byte manufacturer ID (default: 0x0000 for Silicon Labs)
+   * @param {Function|Object} expect - Which frame is the reply, see createResponseMatcher (default: the next frame with the manufacturer ID)
+   * @param {number} timeoutMs - How long to wait for the reply (default: 5000)
+   * @param {string} actor - Who sent the command, for the audit log
+   * @param {Function} onProgress - See sendManufacturerProprietaryCustom (optional)
+   * @returns {Promise<Object>} Result object with details and the reply as `response`
+   * @throws {ProtocolError} SEND_FAILED if the node is asleep, has queued
+   *   commands or rejected the frame, RESPONSE_TIMEOUT if it did not reply
+   *   in time
+   */
+  async requestMP(options) {
+    const { nodeId, actor, ...requestOptions } = options;
+    const lock = this.getLock(nodeId);
+    if (lock.node.status === NodeStatus.Asleep) {
+      throw new ProtocolError(
+        ErrorCode.SEND_FAILED,
+        `Node ${nodeId} is asleep and cannot reply, send the command without waiting to queue it until the node wakes up`
+      );
+    }
+    if (this.commandQueue.has(nodeId)) {
+      throw new ProtocolError(
+        ErrorCode.SEND_FAILED,
+        `Node ${nodeId} has queued commands, send the command without waiting to queue it behind them`
+      );
+    }
+    const vendorPayload =
+      typeof requestOptions.payload === "string"
+        ? hexToBuffer(requestOptions.payload)
+        : requestOptions.payload;
+    return this._audited(
+      {
+        actor,
+        action: "SEND_MP_COMMAND",
+        nodeId,
+        payloadHash: Buffer.isBuffer(vendorPayload)
+          ? hashPayload(vendorPayload)
+          : undefined,
+        details: {
+          manufacturerId: requestOptions.manufacturerId ?? 0x0000,
+          count: 1,
+          waitForReply: true,
+        },
+      },
+      () => lock.requestMP({ ...requestOptions, payload: vendorPayload })
+    );
+  }
+
+  /**
+   * Returns the Manufacturer Proprietary payload lengths a node accepts: the
+   * range of its product profile, limited to what fits into a frame
+   * @param {number} nodeId - The node ID
+   * @returns {{nodeId: number, profile: string|null, minPayloadLength: number, maxPayloadLength: number, maxFramePayloadLength: number}}
+   */
+  getPayloadLimits(nodeId) {
+    return { nodeId, ...this.getLock(nodeId).getPayloadLimits() };
+  }
+
+  /**
+   * Converts a hex string to a Buffer. The length is checked when sending.
+   * Delegates to the Manufacturer Proprietary module.
+   * @param {string} payloadHex - Hex string (with or without spaces)
+   * @returns {Buffer}
+   * @throws {ProtocolError} INVALID_PAYLOAD if it is not a hex string
+   */
+  hexToBuffer(payloadHex) {
+    return hexToBuffer(payloadHex);
   }
 
   /**
@@ -1006,10 +2300,140 @@ export class ZWaveProvisioningClient extends EventEmitter {
     return hexTo32ByteBuffer(payloadHex);
   }
 
+  /**
+   * Sends a command now or, if its node is asleep, queues it until the node
+   * wakes up. Queued commands are recorded in the audit log as "queued", and
+   * again with their outcome once they are sent.
+   * @param {Object} entry - The audit entry without `result`, see {@link _audited}
+   * @param {Function} send - Sends the command
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - Seconds a queued command waits for the node (default: 24 hours)
+   * @param {boolean} [options.recordOutcome] - Whether to record the outcome in
+   *   the audit log (default: true). false if send records it itself
+   * @returns {Promise<Object>} The result of the command, or the queued
+   *   command with `queued: true`
+   */
+  async _sendOrQueue(entry, send, { ttl, recordOutcome = true } = {}) {
+    const { node } = this.getLock(entry.nodeId);
+    const audited = recordOutcome ? () => this._audited(entry, send) : send;
+    if (
+      node.status !== NodeStatus.Asleep &&
+      !this.commandQueue.has(entry.nodeId)
+    ) {
+      return audited();
+    }
+    const queued = this.commandQueue.enqueue(
+      entry.nodeId,
+      entry.action,
+      () => {
+        this._queuedAudits.delete(queued.queueId);
+        return audited();
+      },
+      { ttl, actor: entry.actor || "unknown" }
+    );
+    this._queuedAudits.set(queued.queueId, entry);
+    console.log(
+      `[Queue] 💤 Node ${entry.nodeId} is asleep, queued ${entry.action} (${queued.queueId})`
+    );
+    this.auditLog?.record({
+      ...entry,
+      actor: entry.actor || "unknown",
+      result: "queued",
+      details: { ...entry.details, queueId: queued.queueId },
+    });
+    return { queued: true, ...queued };
+  }
+
+  /**
+   * Records the outcome of a queued command that failed before it was sent,
+   * because it expired, its node was removed or the driver stopped
+   * @param {Object} queued - The queued command, see createCommandQueue
+   * @param {Error} error - Why it was dropped
+   */
+  _recordDropped(queued, error) {
+    const entry = this._queuedAudits.get(queued.queueId);
+    if (!entry) return;
+    this._queuedAudits.delete(queued.queueId);
+    const { code, message, details } = toProtocolError(error);
+    this.auditLog?.record({
+      ...entry,
+      actor: entry.actor || "unknown",
+      result: "failed",
+      details: {
+        ...entry.details,
+        queueId: queued.queueId,
+        code,
+        message,
+        ...details,
+      },
+    });
+  }
+
+  /**
+   * Runs an action and records it with its outcome in the audit log
+   * @param {Object} entry - The audit entry without `result`
+   * @param {Function} action - Performs the action
+   */
+  async _audited(entry, action) {
+    entry = { ...entry, actor: entry.actor || "unknown" };
+    try {
+      const value = await action();
+      this.auditLog?.record({ ...entry, result: "success" });
+      return value;
+    } catch (error) {
+      const { code, message, details } = toProtocolError(error);
+      this.auditLog?.record({
+        ...entry,
+        result: "failed",
+        details: { ...entry.details, code, message, ...details },
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Returns the simulated locks when running against the mock controller
+   * @returns {Array<Object>|null} Simulated locks, or null for a real controller
+   */
+  getMockLocks() {
+    return this.mockNetwork ? this.mockNetwork.getLocks() : null;
+  }
+
+  /**
+   * Returns the health of the connection to the controller
+   * @returns {Object|null} See createSerialLink, or null for a simulated controller
+   */
+  getLinkHealth() {
+    return this.serialLink ? this.serialLink.getHealth() : null;
+  }
+
   async close() {
+    clearTimeout(this._clockSyncTimer);
+    this._clockSyncTimer = null;
+    this._clockSyncPending.clear();
+    // Fail queued commands first, their nodes are not removed from the network
+    this.commandQueue.close(
+      new ProtocolError(
+        ErrorCode.DRIVER_NOT_READY,
+        "The driver was stopped before the node woke up"
+      )
+    );
+    for (const nodeId of [...this.locks.keys()]) {
+      this._removeLock(nodeId);
+    }
+    // Stop reconnecting before the driver closes the port
+    this.serialLink?.close();
     if (this.driver) {
       await this.driver.destroy();
       this.driverReady = false;
     }
+    if (this.mockNetwork) {
+      this.mockNetwork.destroy();
+      this.mockNetwork = null;
+    }
+    if (this._mockCacheDir) {
+      await rm(this._mockCacheDir, { recursive: true, force: true });
+      this._mockCacheDir = null;
+    }
   }
 }
@@ -0,0 +1,10 @@
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  ssr: {
+    resolve: {
+      // Resolve the zwave-js packages to their sources, like tsx does for the server
+      conditions: ["@@dev"],
+    },
+  },
+});